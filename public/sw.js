@@ -0,0 +1,72 @@
+// public/sw.js
+// Service worker da Horta Inteligente: guarda a "casca" do app (HTML, JS,
+// CSS, ícones e o Tailwind do CDN) para abrir sem conexão. Os dados não
+// passam por aqui — o Firestore tem o próprio cache offline (IndexedDB).
+//
+// O nome do cache leva o hash do build (trocado no "vite build", ver
+// vite.config.js): cada publicação instala um cache novo e apaga o antigo.
+
+const CACHE = 'horta-__BUILD_HASH__';
+const SHELL = ['/', '/index.html', '/manifest.webmanifest', '/icon.svg'];
+// Arquivos do build com hash no nome: nunca mudam de conteúdo
+const ASSETS = '/assets/';
+const TAILWIND_CDN = 'https://cdn.tailwindcss.com';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(SHELL)));
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function putInCache(request, response) {
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  // Páginas e index.html: rede primeiro, cópia guardada se estiver offline
+  if (request.mode === 'navigate' || (url.origin === self.location.origin && SHELL.includes(url.pathname))) {
+    const key = request.mode === 'navigate' || url.pathname === '/' ? '/index.html' : url.pathname;
+    event.respondWith(
+      fetch(request)
+        .then((res) => putInCache(key, res))
+        .catch(() => caches.match(key))
+    );
+    return;
+  }
+
+  // Arquivos do build (nomes com hash): cache primeiro
+  if (url.origin === self.location.origin && url.pathname.startsWith(ASSETS)) {
+    event.respondWith(
+      caches.match(request).then((hit) => hit || fetch(request).then((res) => putInCache(request, res)))
+    );
+    return;
+  }
+
+  // Tailwind do CDN: usa a cópia e atualiza em segundo plano
+  if (request.url.startsWith(TAILWIND_CDN)) {
+    event.respondWith(
+      caches.match(request).then((hit) => {
+        const update = fetch(request)
+          .then((res) => putInCache(request, res))
+          .catch(() => hit);
+        return hit || update;
+      })
+    );
+  }
+});
@@ -1,675 +1,729 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, {
+  Suspense,
+  lazy,
+  useEffect,
+  useLayoutEffect,
+  useState,
+} from "react";
+import { NavLink, Navigate, Route, Routes } from "react-router";
 import {
-  LineChart,
-  Line,
-  XAxis,
-  YAxis,
-  Tooltip,
-  ResponsiveContainer,
-} from "recharts";
+  authApi,
+  selectGarden,
+  DATA_SOURCE,
+  SIMULATOR_ENABLED,
+} from "./lib/backend";
+import { gardenRole } from "./lib/gardens";
+import { LOCALES, getLocale, setLocale, t } from "./lib/i18n";
+import { findCrop } from "./lib/crops";
+import { budgetPercent, isPaused, zonedParts } from "./lib/scheduleEngine";
+import { ROLE_LABELS, permissionsFor } from "./lib/roles";
+import { MQTT_STATE_LABELS } from "./lib/mqttTransport";
 import {
-  collection,
-  doc,
-  onSnapshot,
-  setDoc,
-  updateDoc,
-  deleteDoc,
-} from "firebase/firestore";
-import { db, ensureAnonAuth } from "./lib/firebase";
+  useAlertEngine,
+  useAlertNotifications,
+  useAlertRules,
+  useAlerts,
+  useAspersores,
+  useAuth,
+  useCalibration,
+  useConnectionState,
+  useCropProfiles,
+  useGardens,
+  useGeneralSettings,
+  useIrrigationPlan,
+  useLocale,
+  useMqtt,
+  useMqttConfig,
+  useNow,
+  useQueryParams,
+  useSimulator,
+  useUngardenedData,
+} from "./hooks";
+import { Card, SectionTitle } from "./components";
+
+// 🌧️ Aviso no topo: irrigação suspensa ou orçamento do mês diferente de 100%
+function IrrigationPlanBanner({ plan, monthBudget, timeZone, now, onResume }) {
+  const paused = isPaused(plan.pausedUntil, new Date(now));
+  if (!paused && monthBudget === 100) return null;
 
-ensureAnonAuth();
-
-// ===================== HOOKS =====================
-
-// Histórico de umidade (coleção "leiturasUmidade") – usado só para valor atual
-function useHumidityHistory() {
-  const [data, setData] = useState([]);
-
-  useEffect(() => {
-    const q = collection(db, "leiturasUmidade");
-    const unsub = onSnapshot(q, (snapshot) => {
-      const docs = snapshot.docs
-        .map((docSnap) => docSnap.data())
-        .filter(
-          (d) =>
-            d.createdAt &&
-            typeof d.umidade === "number" &&
-            typeof d.createdAt.toMillis === "function"
-        );
-
-      const sorted = docs
-        .sort((a, b) => a.createdAt.toMillis() - b.createdAt.toMillis())
-        .slice(-15)
-        .map((d) => ({
-          dateLabel: d.createdAt
-            .toDate()
-            .toLocaleDateString("pt-BR", {
-              day: "2-digit",
-              month: "2-digit",
+  return (
+    <div className="rounded-2xl border border-sky-200 bg-sky-50 px-6 py-4 flex flex-wrap items-center gap-3 text-sky-900">
+      {paused && (
+        <p className="font-medium">
+          {t("🌧️ Irrigação automática suspensa até {until}", {
+            until: plan.pausedUntil.toLocaleString(getLocale(), {
+              timeZone,
+              dateStyle: "short",
+              timeStyle: "short",
             }),
-          humidity: d.umidade,
-        }));
-
-      setData(sorted);
-    });
-
-    return unsub;
-  }, []);
-
-  return data;
-}
-
-// Umidade atual (último ponto do histórico)
-function useCurrentHumidity(history) {
-  return history.length ? history[history.length - 1].humidity : 0;
+          })}
+          {plan.pauseReason && ` (${plan.pauseReason})`} —{" "}
+          {t("agendamentos e modo automático não acionam as válvulas.")}
+        </p>
+      )}
+      {monthBudget !== 100 && (
+        <p className="font-medium">
+          {t(
+            "📉 Orçamento sazonal deste mês: {monthBudget}% do tempo dos agendamentos.",
+            { monthBudget }
+          )}
+        </p>
+      )}
+      {paused && onResume && (
+        <button
+          onClick={onResume}
+          className="ml-auto rounded-lg bg-sky-600 hover:bg-sky-700 text-white px-3 py-1 text-sm font-semibold"
+        >
+          {t("Retomar agora")}
+        </button>
+      )}
+    </div>
+  );
 }
 
-// 🔢 MÉDIA DIÁRIA – lê coleção "mediaDiaria"
-function useDailyAverageHistory() {
-  const [data, setData] = useState([]);
-
-  useEffect(() => {
-    const q = collection(db, "mediaDiaria");
-
-    const unsub = onSnapshot(q, (snapshot) => {
-      const docs = snapshot.docs
-        .map((d) => {
-          const docData = d.data() || {};
-
-          const rawDate = docData.data || d.id;
-
-          const rawValue =
-            docData.media !== undefined && docData.media !== null
-              ? docData.media
-              : docData.umidade;
-
-          const mediaNumber = Number(rawValue);
-
-          if (!rawDate || Number.isNaN(mediaNumber)) {
-            return null;
-          }
-
-          return {
-            rawDate,
-            media: mediaNumber,
-          };
-        })
-        .filter(Boolean);
-
-      const sorted = docs
-        .sort((a, b) => String(a.rawDate).localeCompare(String(b.rawDate)))
-        .slice(-15)
-        .map((d) => {
-          const [year, month, day] = String(d.rawDate).split("-");
-          const label =
-            year && month && day ? `${day}/${month}` : String(d.rawDate);
-
-          return {
-            dateLabel: label,
-            average: d.media,
-          };
-        });
-
-      setData(sorted);
-    });
-
-    return unsub;
-  }, []);
+// 🏡 Troca de horta no cabeçalho
+function GardenSwitcher({ gardens, garden, onSelect, onCreate }) {
+  const create = async () => {
+    const name = window.prompt(t("Nome da nova horta:"));
+    if (name?.trim()) await onCreate(name.trim());
+  };
 
-  return data;
+  return (
+    <div className="flex items-center gap-2">
+      <select
+        value={garden.id}
+        onChange={(e) => onSelect(e.target.value)}
+        aria-label={t("Horta")}
+        className="rounded-xl border-gray-300 text-sm focus:border-emerald-500 focus:ring-emerald-500"
+      >
+        {gardens.map((g) => (
+          <option key={g.id} value={g.id}>
+            🏡 {g.name}
+          </option>
+        ))}
+      </select>
+      {onCreate && (
+        <button
+          onClick={create}
+          title={t("Nova horta")}
+          className="rounded-xl px-3 py-2 bg-gray-200 text-gray-800 text-sm font-semibold"
+        >
+          {t("+ Horta")}
+        </button>
+      )}
+    </div>
+  );
 }
 
-// Configurações do modo automático
-function useAutoSettings() {
-  const [settings, setSettings] = useState({
-    autoModeEnabled: true,
-    minHumidity: 50,
-    maxHumidity: 80,
-  });
+// 🌐 Escolha do idioma (cabeçalho e tela de login)
+function LanguageSelect({ locale, onChange }) {
+  return (
+    <select
+      value={locale}
+      onChange={(e) => onChange(e.target.value)}
+      aria-label={t("Idioma")}
+      className="rounded-xl border-gray-300 text-sm focus:border-emerald-500 focus:ring-emerald-500"
+    >
+      {Object.entries(LOCALES).map(([value, label]) => (
+        <option key={value} value={value}>
+          {label}
+        </option>
+      ))}
+    </select>
+  );
+}
 
-  useEffect(() => {
-    const unsub = onSnapshot(doc(db, "configuracao", "geral"), (snap) => {
-      if (snap.exists()) {
-        const data = snap.data();
-        setSettings({
-          autoModeEnabled:
-            typeof data.autoModeEnabled === "boolean"
-              ? data.autoModeEnabled
-              : true,
-          minHumidity:
-            typeof data.minHumidity === "number" ? data.minHumidity : 50,
-          maxHumidity:
-            typeof data.maxHumidity === "number" ? data.maxHumidity : 80,
-        });
+// 📶 Indicador de conexão no cabeçalho
+function ConnectionIndicator({ online, pending, mqttState }) {
+  const [color, label] = !online
+    ? ["bg-red-500", t("Offline")]
+    : pending
+    ? ["bg-amber-500", t("Sincronizando")]
+    : ["bg-emerald-500", t("Online")];
+  return (
+    <span
+      className="flex items-center gap-2 text-sm text-gray-600"
+      title={
+        pending
+          ? t("{count} alteração(ões) aguardando o servidor", {
+              count: pending,
+            })
+          : t("Tudo sincronizado")
       }
-    });
-    return unsub;
-  }, []);
-
-  const save = async (newSet) => {
-    await setDoc(
-      doc(db, "configuracao", "geral"),
-      { ...newSet, updatedAt: new Date() },
-      { merge: true }
-    );
-    setSettings(newSet);
-  };
-
-  return { settings, save };
+    >
+      <span className={`w-2.5 h-2.5 rounded-full ${color}`} />
+      {label}
+      {pending > 0 && ` · ${t("{count} pendente(s)", { count: pending })}`}
+      {MQTT_STATE_LABELS[mqttState] && ` · ${t(MQTT_STATE_LABELS[mqttState])}`}
+    </span>
+  );
 }
 
-// 📅 Agendamento de irrigação – múltiplos agendamentos
-function useSchedule() {
-  const [schedule, setSchedule] = useState({
-    days: [false, false, false, false, false, false, false],
-    time: "06:00",
-    minutes: 15,
-    aspersorId: "aspersor1",
-  });
-
-  useEffect(() => {
-    const labels = ["Dom", "Seg", "Ter", "Qua", "Qui", "Sex", "Sáb"];
-
-    // Escuta TODOS os documentos da coleção "agendamentos"
-    const unsub = onSnapshot(collection(db, "agendamentos"), (snap) => {
-      const arr = snap.docs
-        .map((d) => ({ id: d.id, ...d.data() }))
-        // mais recente primeiro (usa createdAt se houver)
-        .sort(
-          (a, b) =>
-            (b.createdAt?.seconds || 0) - (a.createdAt?.seconds || 0)
-        );
-
-      // se não tiver nenhum, mantém valores padrão
-      if (!arr[0]) return;
-
-      const data = arr[0]; // mostra na tela SEMPRE o agendamento mais recente
-      const diasBool = labels.map((d) => data.days?.includes(d));
-
-      setSchedule({
-        days: diasBool,
-        time: data.time || "06:00",
-        minutes:
-          typeof data.minutes === "number" && !Number.isNaN(data.minutes)
-            ? data.minutes
-            : 15,
-        aspersorId: data.aspersorId || "aspersor1",
-      });
-    });
-
-    return unsub;
-  }, []);
+// 🔐 Tela de login (e-mail/senha ou link mágico por e-mail)
+function LoginScreen({ language }) {
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState("");
 
-  // SALVA um novo documento SEMPRE com ID único (prog-timestamp)
-  const save = async (newSched) => {
-    const labels = ["Dom", "Seg", "Ter", "Qua", "Qui", "Sex", "Sáb"];
-    const diasSelecionados = labels.filter((_, i) => newSched.days[i]);
-    if (diasSelecionados.length === 0) {
-      alert("Selecione pelo menos um dia da semana!");
+  const run = async (action) => {
+    if (!email.trim()) {
+      setMessage(t("Informe o e-mail."));
       return;
     }
-
-    await setDoc(doc(db, "agendamentos", `prog-${Date.now()}`), {
-      aspersorId: "aspersor1",
-      time: newSched.time,       // Node-RED usa campo "time"
-      minutes: newSched.minutes, // e "minutes"
-      days: diasSelecionados,
-      createdAt: new Date(),
-    });
+    setBusy(true);
+    setMessage("");
+    try {
+      await action();
+    } catch (e) {
+      console.error("Erro de login:", e);
+      setMessage(
+        e.code === "auth/invalid-credential" || e.code === "auth/wrong-password"
+          ? t("E-mail ou senha incorretos.")
+          : e.code === "auth/email-already-in-use"
+          ? t("Este e-mail já tem conta. Use Entrar.")
+          : e.code === "auth/weak-password"
+          ? t("A senha precisa ter pelo menos 6 caracteres.")
+          : t("Não foi possível entrar. Tente novamente.")
+      );
+    }
+    setBusy(false);
   };
 
-  return { schedule, save };
-}
-
-// Acionar aspersor (status manual)
-async function triggerActuator(nextState) {
-  try {
-    const ref = doc(db, "status", "aspersor1");
-    await setDoc(ref, { isOn: nextState, updatedAt: new Date() });
-    return { ok: true };
-  } catch (e) {
-    console.error("Erro ao acionar aspersor:", e);
-    return { ok: false };
-  }
-}
-
-// ===================== COMPONENTES =====================
-
-const Card = ({ children }) => (
-  <div className="bg-white rounded-2xl shadow-sm border border-gray-100 p-6">
-    {children}
-  </div>
-);
-
-const SectionTitle = ({ icon, children, subtitle }) => (
-  <div className="mb-4">
-    <div className="flex items-center gap-2 text-gray-900">
-      {icon}
-      <h2 className="text-2xl font-semibold">{children}</h2>
-    </div>
-    {subtitle && <p className="text-gray-500 text-sm mt-1">{subtitle}</p>}
-  </div>
-);
-
-// 💧 Umidade atual
-function HumidityCard({ value }) {
-  const pct = Math.max(0, Math.min(100, value ?? 0));
-  const circumference = 2 * Math.PI * 80;
-  const stroke = (pct / 100) * circumference;
   return (
-    <Card>
-      <SectionTitle
-        icon={<span className="text-emerald-600">💧</span>}
-        subtitle="Leitura atual do sensor"
-      >
-        Umidade do Solo
-      </SectionTitle>
-      <div className="flex items-center justify-center py-4">
-        <svg width="190" height="190" viewBox="0 0 200 200">
-          <circle
-            cx="100"
-            cy="100"
-            r="80"
-            fill="none"
-            stroke="#eef2f7"
-            strokeWidth="16"
-          />
-          <circle
-            cx="100"
-            cy="100"
-            r="80"
-            fill="none"
-            stroke="#10b981"
-            strokeWidth="16"
-            strokeLinecap="round"
-            strokeDasharray={`${stroke} ${circumference}`}
-            transform="rotate(-90 100 100)"
-          />
-          <text
-            x="100"
-            y="100"
-            textAnchor="middle"
-            dominantBaseline="central"
-            fontSize="44"
-            fill="#111827"
-            fontWeight="700"
-          >
-            {pct}%
-          </text>
-          <text
-            x="100"
-            y="130"
-            textAnchor="middle"
-            fontSize="16"
-            fill="#64748b"
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-6">
+      <div className="w-full max-w-md">
+        <div className="flex justify-end mb-3">
+          <LanguageSelect locale={language.locale} onChange={language.change} />
+        </div>
+        <Card>
+          <SectionTitle
+            icon={<span className="text-emerald-600">🌿</span>}
+            subtitle={t("Entre para acessar o painel")}
           >
-            {pct >= 70 ? "Úmido" : pct >= 40 ? "Adequado" : "Seco"}
-          </text>
-        </svg>
+            {t("Horta Inteligente")}
+          </SectionTitle>
+          <div className="grid gap-3">
+            <input
+              type="email"
+              placeholder={t("E-mail")}
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="rounded-xl border-gray-300 focus:border-emerald-500 focus:ring-emerald-500"
+            />
+            <input
+              type="password"
+              placeholder={t("Senha")}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="rounded-xl border-gray-300 focus:border-emerald-500 focus:ring-emerald-500"
+            />
+            <button
+              onClick={() =>
+                run(() => authApi.signInWithPassword(email.trim(), password))
+              }
+              disabled={busy}
+              className="rounded-xl py-3 bg-emerald-600 hover:bg-emerald-700 text-white font-semibold disabled:opacity-60"
+            >
+              {t("Entrar")}
+            </button>
+            <div className="flex gap-3">
+              <button
+                onClick={() =>
+                  run(() => authApi.signUpWithPassword(email.trim(), password))
+                }
+                disabled={busy}
+                className="flex-1 rounded-xl py-2 bg-gray-200 text-gray-800 font-semibold disabled:opacity-60"
+              >
+                {t("Criar conta")}
+              </button>
+              <button
+                onClick={() =>
+                  run(async () => {
+                    await authApi.sendLoginLink(email.trim());
+                    setMessage(
+                      t("Enviamos um link de acesso para o seu e-mail.")
+                    );
+                  })
+                }
+                disabled={busy}
+                className="flex-1 rounded-xl py-2 bg-gray-200 text-gray-800 font-semibold disabled:opacity-60"
+              >
+                {t("Receber link por e-mail")}
+              </button>
+            </div>
+            {message && <p className="text-sm text-gray-700">{message}</p>}
+          </div>
+        </Card>
       </div>
-    </Card>
+    </div>
   );
 }
 
-// 🌿 Controle Manual
-function ManualControlCard() {
-  const [loading, setLoading] = useState(false);
-  const [isOn, setIsOn] = useState(false);
-
-  const handleClick = async () => {
-    const proximoEstado = !isOn;
-    setLoading(true);
-    const res = await triggerActuator(proximoEstado);
-    if (res.ok) {
-      setIsOn(proximoEstado);
+// ===================== APP PRINCIPAL =====================
+// ✉️ Convites só são aceitos com o e-mail confirmado (ver firestore.rules)
+function VerifyEmailNote({ onRefresh }) {
+  const [status, setStatus] = useState(null);
+
+  const run = async (fn, done) => {
+    setStatus(null);
+    try {
+      await fn();
+      setStatus(done);
+    } catch (e) {
+      console.error("Erro na confirmação do e-mail:", e);
+      setStatus(t("Não foi possível concluir. Tente novamente."));
     }
-    setLoading(false);
   };
 
   return (
-    <Card>
-      <SectionTitle icon={<span className="text-emerald-600">🌱</span>}>
-        Controle Manual
-      </SectionTitle>
-      <p className="text-gray-600 mb-6">Ative o aspersor manualmente</p>
-
-      <div className="flex flex-col items-center gap-4">
-        <div className="w-28 h-28 rounded-full bg-emerald-50 flex items-center justify-center">
-          <span className="text-4xl text-emerald-700">🌿</span>
-        </div>
+    <div className="mt-3 rounded-lg bg-amber-50 px-3 py-2 text-sm text-amber-800">
+      <p>
+        {t(
+          "Confirme este e-mail pelo link que enviamos para receber os convites."
+        )}
+      </p>
+      <div className="mt-2 flex gap-3">
         <button
-          onClick={handleClick}
-          disabled={loading}
-          className="px-6 py-3 rounded-xl bg-emerald-600 hover:bg-emerald-700 text-white font-semibold disabled:opacity-60"
+          onClick={() =>
+            run(authApi.sendVerification, t("E-mail de confirmação enviado."))
+          }
+          className="underline"
         >
-          {loading
-            ? isOn
-              ? "Desligando..."
-              : "Ligando..."
-            : isOn
-            ? "Desligar Aspersor"
-            : "Ligar Aspersor"}
+          {t("Reenviar e-mail")}
+        </button>
+        <button
+          onClick={() => run(onRefresh, t("Ainda não confirmado."))}
+          className="underline"
+        >
+          {t("Já confirmei")}
         </button>
-        <p className="text-gray-700">
-          Status:{" "}
-          <span className="font-medium">{isOn ? "Ativo" : "Inativo"}</span>
-        </p>
       </div>
-    </Card>
+      {status && <p className="mt-2">{status}</p>}
+    </div>
   );
 }
 
-// 💦 Automático
-function AutoIrrigationCard({ settings, onSave }) {
-  const [autoModeEnabled, setAutoModeEnabled] = useState(
-    settings.autoModeEnabled
-  );
-  const [minHumidity, setMinHumidity] = useState(settings.minHumidity);
-  const [maxHumidity, setMaxHumidity] = useState(settings.maxHumidity);
-
-  useEffect(() => {
-    setAutoModeEnabled(settings.autoModeEnabled);
-    setMinHumidity(settings.minHumidity);
-    setMaxHumidity(settings.maxHumidity);
-  }, [settings]);
-
-  const handleMinChange = (value) => {
-    const v = Number(value);
-    setMinHumidity(v);
-    if (v > maxHumidity) {
-      setMaxHumidity(v);
-    }
-  };
-
-  const handleMaxChange = (value) => {
-    const v = Number(value);
-    setMaxHumidity(v);
-    if (v < minHumidity) {
-      setMinHumidity(v);
-    }
-  };
-
-  const save = () => {
-    if (maxHumidity < minHumidity) {
-      alert("A umidade máxima não pode ser menor que a umidade mínima.");
+// 🏡 Primeira horta: o responsável geral cria (movendo os dados de antes das
+// hortas, se houver); os demais esperam um convite
+function GardenSetupScreen({ profile, emailVerified, onRefresh, onCreate }) {
+  const isAdmin = profile.role === "owner";
+  const ungardened = useUngardenedData(isAdmin);
+  const [name, setName] = useState(() => t("Horta principal"));
+  const [busy, setBusy] = useState(false);
+
+  const create = async () => {
+    if (!name.trim()) {
+      alert(t("Informe o nome da horta!"));
       return;
     }
-    onSave({ autoModeEnabled, minHumidity, maxHumidity });
+    setBusy(true);
+    try {
+      if (ungardened.found) {
+        await ungardened.move(name.trim(), profile.uid);
+      } else {
+        await onCreate(name.trim());
+      }
+    } catch (e) {
+      console.error("Erro ao criar a horta:", e);
+      alert(t("Não foi possível criar a horta. Tente novamente."));
+      setBusy(false);
+    }
   };
 
   return (
-    <Card>
-      <SectionTitle icon={<span className="text-emerald-600">💦</span>}>
-        Irrigação Automática
-      </SectionTitle>
-      <p className="text-gray-600 mb-4">Configure os níveis de umidade</p>
-
-      <div className="flex items-center justify-between mb-5">
-        <span className="text-gray-800 font-medium">Modo Automático</span>
-        <label className="inline-flex items-center cursor-pointer">
-          <input
-            type="checkbox"
-            className="sr-only"
-            checked={autoModeEnabled}
-            onChange={(e) => setAutoModeEnabled(e.target.checked)}
-          />
-          <span
-            className={`w-11 h-6 rounded-full transition-colors ${
-              autoModeEnabled ? "bg-emerald-600" : "bg-gray-300"
-            }`}
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-6">
+      <div className="w-full max-w-md">
+        <Card>
+          <SectionTitle
+            icon={<span className="text-emerald-600">🏡</span>}
+            subtitle={profile.email}
           >
-            <span
-              className={`block w-5 h-5 bg-white rounded-full shadow transform transition-transform ${
-                autoModeEnabled ? "translate-x-6" : "translate-x-1"
-              }`}
-            />
-          </span>
-        </label>
-      </div>
-
-      <div className="mb-6">
-        <div className="flex items-center justify-between mb-2 text-gray-800">
-          <span>Umidade Mínima</span>
-          <span className="font-semibold">{minHumidity}%</span>
-        </div>
-        <input
-          type="range"
-          min={10}
-          max={90}
-          value={minHumidity}
-          onChange={(e) => handleMinChange(e.target.value)}
-          className="w-full accent-emerald-600"
-        />
-      </div>
-
-      <div className="mb-6">
-        <div className="flex items-center justify-between mb-2 text-gray-800">
-          <span>Umidade Máxima</span>
-          <span className="font-semibold">{maxHumidity}%</span>
-        </div>
-        <input
-          type="range"
-          min={10}
-          max={100}
-          value={maxHumidity}
-          onChange={(e) => handleMaxChange(e.target.value)}
-          className="w-full accent-emerald-600"
-        />
+            {isAdmin ? t("Criar a primeira horta") : t("Nenhuma horta")}
+          </SectionTitle>
+          {!isAdmin ? (
+            <>
+              <p className="text-gray-600">
+                {t(
+                  "Você ainda não participa de nenhuma horta. Peça ao responsável um convite para este e-mail."
+                )}
+              </p>
+              {!emailVerified && <VerifyEmailNote onRefresh={onRefresh} />}
+            </>
+          ) : ungardened.loading ? (
+            <p className="text-gray-500">
+              {t("Procurando dados existentes...")}
+            </p>
+          ) : (
+            <div className="grid gap-3">
+              {ungardened.found && (
+                <p className="rounded-lg bg-amber-50 px-3 py-2 text-sm text-amber-800">
+                  {t(
+                    "Os dados de antes das hortas serão movidos para esta horta, e todos os usuários entram nela com o papel que já tinham."
+                  )}
+                </p>
+              )}
+              <input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder={t("Nome da horta")}
+                className="rounded-xl border-gray-300 focus:border-emerald-500 focus:ring-emerald-500"
+              />
+              <button
+                onClick={create}
+                disabled={busy}
+                className="rounded-xl py-3 bg-emerald-600 hover:bg-emerald-700 text-white font-semibold disabled:opacity-50"
+              >
+                {busy
+                  ? t("Criando...")
+                  : ungardened.found
+                  ? t("Criar horta e mover os dados")
+                  : t("Criar horta")}
+              </button>
+            </div>
+          )}
+          <button
+            onClick={authApi.logout}
+            className="mt-4 text-sm text-gray-500 underline"
+          >
+            {t("Sair")}
+          </button>
+        </Card>
       </div>
-
-      <button
-        onClick={save}
-        className="w-full rounded-xl py-3 bg-emerald-600 hover:bg-emerald-700 text-white font-semibold"
-      >
-        Salvar Configurações
-      </button>
-    </Card>
+    </div>
   );
 }
 
-// 📅 Agendamento
-function ScheduleCard({ schedule, onSave }) {
-  const [days, setDays] = useState(schedule.days || []);
-  const [start, setStart] = useState(schedule.time || "06:00");
-  const [duration, setDuration] = useState(schedule.minutes || 15);
-
-  useEffect(() => {
-    setDays(schedule.days || []);
-    setStart(schedule.time || "06:00");
-    setDuration(schedule.minutes || 15);
-  }, [schedule]);
-
-  const toggleDay = (i) =>
-    setDays((old) => old.map((v, idx) => (idx === i ? !v : v)));
-
-  // 🔴 Aqui é onde você queria saber “onde alterar”:
-  // agora passamos time/minutes pra bater com o Node-RED
-  const save = () => onSave({ days, time: start, minutes: duration });
-
-  const labels = ["Dom", "Seg", "Ter", "Qua", "Qui", "Sex", "Sáb"];
-
+function LoadingScreen() {
   return (
-    <Card>
-      <SectionTitle icon={<span className="text-emerald-600">📅</span>}>
-        Irrigação Programada
-      </SectionTitle>
-      <div className="mb-5">
-        <p className="text-gray-800 font-medium mb-2">Dias da Semana</p>
-        <div className="flex flex-wrap gap-3">
-          {labels.map((lb, i) => (
-            <button
-              key={lb}
-              onClick={() => toggleDay(i)}
-              className={`px-3 py-2 rounded-full border text-sm ${
-                days[i]
-                  ? "bg-emerald-50 border-emerald-600 text-emerald-700"
-                  : "bg-white border-gray-300 text-gray-700"
-              }`}
-            >
-              {days[i] ? "✅" : "⭕"} {lb}
-            </button>
-          ))}
-        </div>
-      </div>
-
-      <div className="mb-4">
-        <p className="text-gray-800 font-medium mb-2">Horário de Início</p>
-        <input
-          type="time"
-          value={start}
-          onChange={(e) => setStart(e.target.value)}
-          className="w-full rounded-xl border-gray-300 focus:border-emerald-500 focus:ring-emerald-500"
-        />
-      </div>
-
-      <div className="mb-2">
-        <p className="text-gray-800 font-medium mb-2">Duração (minutos)</p>
-        <input
-          type="number"
-          min={1}
-          step={1}
-          value={duration}
-          onChange={(e) => setDuration(Number(e.target.value))}
-          className="w-full rounded-xl border-gray-300 focus:border-emerald-500 focus:ring-emerald-500"
-        />
-      </div>
-
-      <button
-        onClick={save}
-        className="mt-4 w-full rounded-xl py-3 bg-emerald-600 hover:bg-emerald-700 text-white font-semibold"
-      >
-        Salvar Programação
-      </button>
-    </Card>
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center text-gray-500">
+      {t("Carregando...")}
+    </div>
   );
 }
 
-// 📋 Lista de agendamentos (histórico)
-function ScheduleList() {
-  const [items, setItems] = useState([]);
-
-  useEffect(() => {
-    const unsub = onSnapshot(collection(db, "agendamentos"), (snap) => {
-      const arr = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
-      setItems(arr.sort((a, b) => b.createdAt?.seconds - a.createdAt?.seconds));
-    });
-    return unsub;
-  }, []);
-
-  const excluir = async (id) => {
-    if (window.confirm("Excluir este agendamento?")) {
-      await deleteDoc(doc(db, "agendamentos", id));
-    }
-  };
-
+export default function App() {
+  const { user, profile, emailVerified, refreshUser, loading } = useAuth();
+  const gardens = useGardens(profile, emailVerified);
+  const language = useLocale(profile);
+  const gardenId = gardens.garden?.id;
+  // Idioma e horta valem para o módulo todo (i18n.js, backend.js): são
+  // aplicados antes da pintura, e só então a tela é desenhada. Daqui em
+  // diante as coleções da horta são lidas e gravadas em "hortas/<id>/...";
+  // o Dashboard é remontado a cada troca de horta ou idioma, então todos os
+  // hooks voltam a assinar os dados da nova horta.
+  const selection = `${gardenId}-${language.locale}`;
+  const [applied, setApplied] = useState(null);
+  useLayoutEffect(() => {
+    setLocale(language.locale);
+    if (gardenId) selectGarden(gardenId);
+    setApplied(`${gardenId}-${language.locale}`);
+  }, [gardenId, language.locale]);
+
+  if (loading || applied !== selection) return <LoadingScreen />;
+  if (!user) return <LoginScreen language={language} />;
+  if (gardens.loading) return <LoadingScreen />;
+  if (!gardens.garden) {
+    return (
+      <GardenSetupScreen
+        profile={profile}
+        emailVerified={emailVerified}
+        onRefresh={refreshUser}
+        onCreate={gardens.create}
+      />
+    );
+  }
   return (
-    <Card>
-      <SectionTitle icon={<span className="text-emerald-600">📋</span>}>
-        Lista de Agendamentos
-      </SectionTitle>
-      {items.length === 0 ? (
-        <p className="text-gray-500">Nenhum agendamento cadastrado.</p>
-      ) : (
-        <ul className="space-y-2">
-          {items.map((ag) => (
-            <li
-              key={ag.id}
-              className="flex justify-between items-center border rounded-lg p-3"
-            >
-              <div>
-                <strong>{ag.days?.join(", ")}</strong> — {ag.time} ({ag.minutes}{" "}
-                min)
-              </div>
-              <button
-                onClick={() => excluir(ag.id)}
-                className="bg-red-500 text-white px-2 py-1 rounded"
-              >
-                Excluir
-              </button>
-            </li>
-          ))}
-        </ul>
-      )}
-    </Card>
+    <Dashboard
+      key={selection}
+      profile={profile}
+      gardens={gardens}
+      language={language}
+    />
   );
 }
 
-// 📈 Histórico (média diária)
-function HumidityHistory({ data }) {
-  const ticks = useMemo(() => data.map((d) => d.dateLabel), [data]);
-
+// 🧭 Telas do painel. Cada uma é carregada só quando aberta (a primeira
+// carga fica menor); o aspersor escolhido vai junto na URL ("?aspersor=").
+const loadOverview = () => import("./views/OverviewView");
+const loadHistory = () => import("./views/HistoryView");
+const loadSchedules = () => import("./views/SchedulesView");
+const loadDevices = () => import("./views/DevicesView");
+const loadSettings = () => import("./views/SettingsView");
+
+const OverviewView = lazy(loadOverview);
+const HistoryView = lazy(loadHistory);
+const SchedulesView = lazy(loadSchedules);
+const DevicesView = lazy(loadDevices);
+const SettingsView = lazy(loadSettings);
+
+const VIEWS = [
+  { path: "/", label: "Visão geral", icon: "🌿", load: loadOverview },
+  { path: "/historico", label: "Histórico", icon: "📈", load: loadHistory },
+  {
+    path: "/agendamentos",
+    label: "Agendamentos",
+    icon: "🗓️",
+    load: loadSchedules,
+  },
+  {
+    path: "/dispositivos",
+    label: "Dispositivos",
+    icon: "📡",
+    load: loadDevices,
+  },
+  {
+    path: "/configuracoes",
+    label: "Configurações",
+    icon: "⚙️",
+    load: loadSettings,
+  },
+];
+
+// Abas abaixo do cabeçalho; no celular, barra fixa no rodapé
+function DashboardNav({ search }) {
+  const linkClass = ({ isActive }) =>
+    `flex flex-col sm:flex-row items-center gap-0.5 sm:gap-2 px-2 sm:px-4 py-2 sm:py-3 text-xs sm:text-sm font-medium whitespace-nowrap sm:border-b-2 ${
+      isActive
+        ? "text-emerald-700 sm:border-emerald-600"
+        : "text-gray-500 hover:text-gray-800 sm:border-transparent"
+    }`;
   return (
-    <Card>
-      <SectionTitle icon={<span className="text-emerald-600">📈</span>}>
-        Histórico de Umidade (média diária)
-      </SectionTitle>
-      <div className="h-72">
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data}>
-            <XAxis
-              dataKey="dateLabel"
-              ticks={ticks}
-              interval={0}
-              tick={{ fontSize: 12, fill: "#475569" }}
-            />
-            <YAxis domain={[0, 100]} tick={{ fontSize: 12, fill: "#475569" }} />
-            <Tooltip formatter={(v) => [`${v}%`, "Média diária"]} />
-            <Line
-              type="monotone"
-              dataKey="average"
-              stroke="#10b981"
-              strokeWidth={3}
-              dot={{ r: 3 }}
-            />
-          </LineChart>
-        </ResponsiveContainer>
+    <nav
+      aria-label={t("Telas do painel")}
+      className="fixed bottom-0 inset-x-0 z-10 border-t border-gray-200 bg-white sm:static sm:border-t-0 sm:border-b"
+    >
+      <div className="max-w-7xl mx-auto sm:px-6 grid grid-cols-5 sm:flex sm:gap-2">
+        {VIEWS.map((v) => (
+          <NavLink
+            key={v.path}
+            to={{ pathname: v.path, search }}
+            end
+            className={linkClass}
+          >
+            <span className="text-lg sm:text-base">{v.icon}</span>
+            {t(v.label)}
+          </NavLink>
+        ))}
       </div>
-    </Card>
+    </nav>
   );
 }
 
-// ===================== APP PRINCIPAL =====================
-export default function App() {
-  const history = useHumidityHistory();
-  const currentHum = useCurrentHumidity(history);
-  const dailyAverageHistory = useDailyAverageHistory();
-  const { settings, save: saveAuto } = useAutoSettings();
-  const { schedule, save: saveSchedule } = useSchedule();
+function Dashboard({ profile, gardens, language }) {
+  const { garden } = gardens;
+  const role = gardenRole(garden, profile);
+  const perms = permissionsFor(role);
+  useSimulator(SIMULATOR_ENABLED && role === "owner", garden.id);
+  const { calibrations, save: saveCalibration } = useCalibration();
+  const cropProfiles = useCropProfiles();
+  const {
+    zones,
+    save: saveZone,
+    remove: removeZone,
+    applyCrop,
+    clearCrop,
+  } = useAspersores(calibrations, cropProfiles.crops);
+  const [query, setQuery] = useQueryParams();
+  const zone = zones.find((z) => z.id === query.get("aspersor")) || zones[0];
+  const zoneCrop = findCrop(cropProfiles.crops, zone.cropId);
+
+  const { config: mqttConfig, save: saveMqttConfig } = useMqttConfig();
+  const mqtt = useMqtt(mqttConfig);
+  const general = useGeneralSettings();
+  const connection = useConnectionState();
+  const irrigationPlan = useIrrigationPlan();
+  const { rules: alertRules, save: saveAlertRules } = useAlertRules();
+  const { alerts, loaded: alertsLoaded, setState: setAlertState } = useAlerts();
+  useAlertEngine({
+    zones,
+    calibrations,
+    rules: alertRules,
+    alerts,
+    alertsLoaded,
+  });
+  useAlertNotifications(alerts, alertsLoaded);
+  const now = useNow(60 * 1000);
+  const monthBudget = budgetPercent(
+    irrigationPlan.plan.seasonalBudget,
+    zonedParts(new Date(now), general.settings.timeZone).month
+  );
+
+  // Depois da primeira tela, baixa as outras em segundo plano: o service
+  // worker guarda os arquivos e todas as telas continuam abrindo offline
+  useEffect(() => {
+    const id = setTimeout(() => VIEWS.forEach((v) => v.load()), 3000);
+    return () => clearTimeout(id);
+  }, []);
+
+  // perfil salvo ou restaurado: aspersores travados nele seguem os limites
+  const saveCrop = async (crop) => applyCrop(await cropProfiles.save(crop));
+  const removeCrop = async (id) => {
+    const restored = await cropProfiles.remove(id);
+    await (restored ? applyCrop(restored) : clearCrop(id));
+  };
+
+  const zoneProps = {
+    zones,
+    zone,
+    zoneCrop,
+    crops: cropProfiles.crops,
+    onSelectZone: (id) => setQuery({ aspersor: id }),
+  };
+  const aspersor = query.get("aspersor");
 
   return (
     <div className="min-h-screen bg-gray-50">
       <header className="border-b border-gray-200 bg-white">
-        <div className="max-w-7xl mx-auto px-7 py-6 flex items-center gap-3">
+        <div className="max-w-7xl mx-auto px-6 py-6 flex flex-wrap items-center gap-3">
           <div className="w-10 h-10 rounded-full bg-emerald-600 flex items-center justify-center text-white text-xl">
             🌿
           </div>
           <div>
             <h1 className="text-3xl font-semibold text-gray-900">
-              Horta Inteligente
+              {t("Horta Inteligente")}
             </h1>
             <p className="text-gray-500 -mt-0.5">
-              Sistema de Monitoramento e Irrigação
+              {t("Sistema de Monitoramento e Irrigação")}
+              {DATA_SOURCE === "memory" && (
+                <span className="ml-2 rounded bg-amber-100 px-1.5 py-0.5 text-xs text-amber-800">
+                  {t("dados simulados")}
+                </span>
+              )}
+            </p>
+          </div>
+          <div className="sm:ml-auto">
+            <GardenSwitcher
+              gardens={gardens.gardens}
+              garden={garden}
+              onSelect={gardens.select}
+              onCreate={profile.role === "owner" ? gardens.create : null}
+            />
+          </div>
+          <div>
+            <LanguageSelect locale={getLocale()} onChange={language.change} />
+          </div>
+          <div>
+            <ConnectionIndicator
+              online={connection.online}
+              pending={connection.pending}
+              mqttState={mqtt.state}
+            />
+          </div>
+          <div className="ml-auto sm:ml-0 text-right">
+            <p className="text-sm text-gray-800">
+              {profile.name || profile.email}
+            </p>
+            <p className="text-xs text-gray-500">
+              {ROLE_LABELS[role] ? t(ROLE_LABELS[role]) : role} ·{" "}
+              <button onClick={authApi.logout} className="underline">
+                {t("Sair")}
+              </button>
             </p>
           </div>
         </div>
       </header>
 
-      <main className="max-w-7xl mx-auto px-6 py-6 grid gap-6">
-        {/* Linha 1 – Umidade, Manual e Automático */}
-        <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
-          <HumidityCard value={currentHum} />
-          <ManualControlCard />
-          <AutoIrrigationCard settings={settings} onSave={saveAuto} />
-        </div>
-
-        {/* Linha 2 – Programação e Histórico (média diária) */}
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-          <ScheduleCard schedule={schedule} onSave={saveSchedule} />
-          <HumidityHistory data={dailyAverageHistory} />
-        </div>
+      <DashboardNav
+        search={aspersor ? `?aspersor=${encodeURIComponent(aspersor)}` : ""}
+      />
+
+      <main className="max-w-7xl mx-auto px-6 pt-6 pb-24 sm:pb-6 grid gap-6">
+        {/* Adiamento por chuva / orçamento do mês, em todas as telas */}
+        <IrrigationPlanBanner
+          plan={irrigationPlan.plan}
+          monthBudget={monthBudget}
+          timeZone={general.settings.timeZone}
+          now={now}
+          onResume={perms.editSettings ? irrigationPlan.resume : null}
+        />
 
-        {/* Linha 3 – Lista de agendamentos */}
-        <ScheduleList />
+        <Suspense
+          fallback={
+            <p className="text-gray-500 text-center py-12">
+              {t("Carregando...")}
+            </p>
+          }
+        >
+          <Routes>
+            <Route
+              path="/"
+              element={
+                <OverviewView
+                  {...zoneProps}
+                  calibrations={calibrations}
+                  mqtt={mqtt}
+                  general={general.settings}
+                  seasonalBudget={irrigationPlan.plan.seasonalBudget}
+                  alerts={alerts}
+                  onSetAlertState={setAlertState}
+                  now={now}
+                  perms={perms}
+                />
+              }
+            />
+            <Route
+              path="/historico"
+              element={
+                <HistoryView
+                  {...zoneProps}
+                  calibrations={calibrations}
+                  timeZone={general.settings.timeZone}
+                  perms={perms}
+                />
+              }
+            />
+            <Route
+              path="/agendamentos"
+              element={
+                <SchedulesView
+                  {...zoneProps}
+                  timeZone={general.settings.timeZone}
+                  irrigationPlan={irrigationPlan}
+                  monthBudget={monthBudget}
+                  now={now}
+                  perms={perms}
+                />
+              }
+            />
+            <Route
+              path="/dispositivos"
+              element={
+                <DevicesView
+                  zones={zones}
+                  crops={cropProfiles.crops}
+                  calibrations={calibrations}
+                  onSaveCalibration={saveCalibration}
+                  onSaveZone={saveZone}
+                  onRemoveZone={removeZone}
+                  mqttConfig={mqttConfig}
+                  mqttState={mqtt.state}
+                  onSaveMqttConfig={saveMqttConfig}
+                  staleAfterMinutes={general.settings.staleAfterMinutes}
+                  perms={perms}
+                />
+              }
+            />
+            <Route
+              path="/configuracoes"
+              element={
+                <SettingsView
+                  garden={garden}
+                  profile={profile}
+                  zones={zones}
+                  crops={cropProfiles.crops}
+                  onSaveCrop={saveCrop}
+                  onRemoveCrop={removeCrop}
+                  general={general}
+                  alertRules={alertRules}
+                  onSaveAlertRules={saveAlertRules}
+                  perms={perms}
+                />
+              }
+            />
+            <Route path="*" element={<Navigate to="/" replace />} />
+          </Routes>
+        </Suspense>
       </main>
     </div>
   );
@@ -0,0 +1,91 @@
+// src/components.jsx
+// Peças de interface usadas por várias telas do painel.
+import { t } from "./lib/i18n";
+import { findCrop } from "./lib/crops";
+
+// readOnly: desabilita todos os controles do card (perfil sem permissão)
+export const Card = ({ children, readOnly }) => (
+  <div className="bg-white rounded-2xl shadow-sm border border-gray-100 p-6">
+    {readOnly ? (
+      <fieldset disabled className="min-w-0">
+        {children}
+        <p className="text-xs text-gray-400 mt-3">
+          {t("🔒 Somente leitura para o seu perfil")}
+        </p>
+      </fieldset>
+    ) : (
+      children
+    )}
+  </div>
+);
+
+// Gravação feita offline que ainda não chegou ao servidor
+export const PendingNote = () => (
+  <p className="text-amber-600 text-sm mt-2">
+    {t("⏳ Salvo neste aparelho — será sincronizado quando a conexão voltar.")}
+  </p>
+);
+
+export const SectionTitle = ({ icon, children, subtitle }) => (
+  <div className="mb-4">
+    <div className="flex items-center gap-2 text-gray-900">
+      {icon}
+      <h2 className="text-2xl font-semibold">{children}</h2>
+    </div>
+    {subtitle && <p className="text-gray-500 text-sm mt-1">{subtitle}</p>}
+  </div>
+);
+
+// 🚿 Seleção do aspersor/zona
+export function ZoneSelector({ zones, crops, selectedId, onSelect }) {
+  return (
+    <div className="flex flex-wrap gap-3">
+      {zones.map((z) => {
+        const crop = findCrop(crops, z.cropId);
+        return (
+          <button
+            key={z.id}
+            onClick={() => onSelect(z.id)}
+            className={`px-4 py-2 rounded-xl border text-left ${
+              z.id === selectedId
+                ? "bg-emerald-50 border-emerald-600 text-emerald-700"
+                : "bg-white border-gray-300 text-gray-700"
+            }`}
+          >
+            <span className="font-semibold">🚿 {z.name || z.id}</span>
+            {z.bed && (
+              <span className="block text-xs">
+                {t("Canteiro: {bed}", { bed: z.bed })}
+              </span>
+            )}
+            {crop && (
+              <span className="block text-xs">
+                {crop.emoji} {crop.name}
+                {z.cropLocked && " 🔒"}
+              </span>
+            )}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+// 💧 Umidade atual
+const HEALTH_LABELS = {
+  online: { text: "Online", className: "bg-emerald-100 text-emerald-800" },
+  stale: { text: "Dados atrasados", className: "bg-amber-100 text-amber-800" },
+  offline: { text: "Offline", className: "bg-red-100 text-red-700" },
+  unknown: { text: "Sem dados", className: "bg-gray-100 text-gray-600" },
+};
+
+export function HealthBadge({ state }) {
+  const h = HEALTH_LABELS[state] || HEALTH_LABELS.unknown;
+  return (
+    <span
+      className={`px-2 py-0.5 rounded-full text-xs font-semibold ${h.className}`}
+    >
+      {t(h.text)}
+    </span>
+  );
+}
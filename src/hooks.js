@@ -0,0 +1,1674 @@
+// src/hooks.js
+// Hooks do painel: assinam os dados da horta selecionada (via repositórios
+// e store) e gravam as alterações. As telas (src/views) usam estes hooks.
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { useSearchParams } from "react-router";
+import { authApi, rootStore, store, storeFor } from "./lib/backend";
+import {
+  cropsRepo,
+  dailyAveragesRepo,
+  gardensRepo,
+  readingsRepo,
+  schedulesRepo,
+  settingsRepo,
+  statusRepo,
+} from "./lib/repositories";
+import { startSimulator } from "./lib/simulator";
+import {
+  DAY_LABELS,
+  describeSchedule,
+  findScheduleConflicts,
+  scheduleError,
+  weekdaysToLabels,
+} from "./lib/schedules";
+import { defaultsFor, watchInvalidDocs } from "./lib/schemas";
+import {
+  countOutdated,
+  hasUngardened,
+  migrateAll,
+  moveToGarden,
+} from "./lib/migrations";
+import { DEFAULT_GARDEN_ID } from "./lib/gardens";
+import { compareText, detectLocale, t } from "./lib/i18n";
+import {
+  STUCK_MINUTES,
+  bucketPoint,
+  currentHumidity,
+  flagAll,
+  trustedReadings,
+} from "./lib/quality";
+import { cropFields, defaultCrop, findCrop, mergeCrops } from "./lib/crops";
+import { FULL_BUDGET, zonedTimeToDate } from "./lib/scheduleEngine";
+import {
+  aggregateDaily,
+  dayKey,
+  fillGapsFromStored,
+  missingDailyAverages,
+} from "./lib/aggregation";
+import { normalizePoints, percentToRaw, sensorKey } from "./lib/calibration";
+import { logAudit } from "./lib/audit";
+import { queueWrite, watchPendingWrites } from "./lib/offline";
+import { connectMqtt, normalizeMqttConfig } from "./lib/mqttTransport";
+import { sampleMinutes } from "./lib/whatIf";
+import {
+  ALERT_RULES,
+  alertKey,
+  alertMessage,
+  evaluateAlerts,
+  mutedAlertKeys,
+  normalizeAlertRules,
+} from "./lib/alerts";
+
+// Aspersor usado antes do cadastro de zonas (Node-RED ainda conhece esse id)
+export const DEFAULT_ASPERSOR_ID = "aspersor1";
+
+const DEFAULT_ZONES = [
+  { id: DEFAULT_ASPERSOR_ID, name: "Aspersor 1", bed: "", sensorId: "" },
+];
+
+// Valores de "configuracao/geral" enquanto o documento não chega (os mesmos
+// padrões que o esquema aplica a campos ausentes)
+export const GENERAL_DEFAULTS = defaultsFor("configuracao", "geral");
+
+// Timestamp do Firestore, Date ou nada → Date | null
+export const toDate = (v) =>
+  v && typeof v.toDate === "function"
+    ? v.toDate()
+    : v instanceof Date
+    ? v
+    : v
+    ? new Date(v)
+    : null;
+
+// 🔐 Usuário logado + perfil ("usuarios/<uid>", com o papel)
+// Quem entra pela primeira vez ganha um perfil "viewer". "emailVerified":
+// e-mail confirmado (necessário para aceitar convites); "refreshUser" relê
+// o usuário depois que ele confirma pelo link.
+export function useAuth() {
+  const [user, setUser] = useState(undefined);
+  const [emailVerified, setEmailVerified] = useState(false);
+  const [profile, setProfile] = useState(null);
+
+  useEffect(() => {
+    authApi
+      .completeLoginLink()
+      .catch((e) => console.error("Erro ao entrar pelo link:", e));
+    return authApi.watch((u) => {
+      setUser(u || null);
+      setEmailVerified(u?.emailVerified === true);
+    });
+  }, []);
+
+  const refreshUser = async () => {
+    const u = await authApi.reloadUser();
+    setEmailVerified(u?.emailVerified === true);
+  };
+
+  useEffect(() => {
+    setProfile(null);
+    if (!user) return;
+    const path = `usuarios/${user.uid}`;
+    const unsub = rootStore.watchDoc(path, (snap) => {
+      if (snap.exists) {
+        setProfile({ uid: user.uid, ...snap.data });
+      } else {
+        rootStore
+          .setDoc(path, {
+            email: user.email || "",
+            name: user.displayName || "",
+            role: "viewer",
+            createdAt: new Date(),
+          })
+          .catch((e) => console.error("Erro ao criar perfil:", e));
+      }
+    });
+    return unsub;
+  }, [user]);
+
+  return {
+    user,
+    profile,
+    emailVerified,
+    refreshUser,
+    loading: user === undefined || (user && !profile),
+  };
+}
+
+// 🌐 Idioma do painel: o do perfil ("usuarios/<uid>.locale"), senão o último
+// escolhido neste aparelho, senão o do navegador
+const LOCALE_KEY = "idioma";
+
+export function useLocale(profile) {
+  const [stored, setStored] = useState(() =>
+    window.localStorage.getItem(LOCALE_KEY)
+  );
+  const locale = profile?.locale || stored || detectLocale();
+  const uid = profile?.uid;
+
+  const change = async (next) => {
+    window.localStorage.setItem(LOCALE_KEY, next);
+    setStored(next);
+    if (uid) {
+      await rootStore.setDoc(
+        `usuarios/${uid}`,
+        { locale: next, updatedAt: new Date() },
+        { merge: true }
+      );
+    }
+  };
+
+  return { locale, change };
+}
+
+// 🏡 Hortas do usuário e a horta selecionada (lembrada neste aparelho).
+// Convites para o e-mail do usuário são aceitos ao entrar.
+const GARDEN_KEY = "horta-selecionada";
+
+export function useGardens(profile, emailVerified) {
+  const [gardens, setGardens] = useState(null);
+  const [selectedId, setSelectedId] = useState(() =>
+    window.localStorage.getItem(GARDEN_KEY)
+  );
+  const uid = profile?.uid;
+  const role = profile?.role;
+  const email = profile?.email;
+  const name = profile?.name;
+
+  useEffect(() => {
+    setGardens(null);
+    if (!uid) return;
+    const unsub = gardensRepo.watchForUser({ uid, role }, setGardens);
+    return unsub;
+  }, [uid, role]);
+
+  // convites só valem para e-mails confirmados (ver firestore.rules)
+  useEffect(() => {
+    if (!uid || !email || !emailVerified) return;
+    const unsub = gardensRepo.watchInvites(email, (invited) => {
+      for (const g of invited) {
+        gardensRepo
+          .acceptInvite(g, { uid, email, name })
+          ?.catch((e) => console.error("Erro ao aceitar convite:", e));
+      }
+    });
+    return unsub;
+  }, [uid, email, name, emailVerified]);
+
+  const garden =
+    gardens?.find((g) => g.id === selectedId) || gardens?.[0] || null;
+
+  const select = (id) => {
+    window.localStorage.setItem(GARDEN_KEY, id);
+    setSelectedId(id);
+  };
+
+  const create = async (gardenName) => {
+    select(await gardensRepo.create(gardenName, profile));
+  };
+
+  return { gardens, garden, loading: gardens === null, select, create };
+}
+
+// 🚚 Dados de antes das hortas (coleções na raiz do banco), só para o
+// responsável geral. "move" cria a horta padrão com eles.
+export function useUngardenedData(enabled) {
+  const [found, setFound] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) return;
+    hasUngardened(rootStore)
+      .then(setFound)
+      .catch((e) => console.error("Erro ao procurar dados antigos:", e));
+  }, [enabled]);
+
+  const move = (name, createdBy) =>
+    moveToGarden(rootStore, { gardenId: DEFAULT_GARDEN_ID, name, createdBy });
+
+  return { found: found === true, loading: enabled && found === null, move };
+}
+
+// 👥 Membros e convites da horta (o papel vale só nesta horta)
+export function useGardenMembers(garden) {
+  const members = useMemo(
+    () =>
+      Object.entries(garden.members)
+        .map(([uid, m]) => ({ uid, ...m }))
+        .sort((a, b) => String(a.email).localeCompare(String(b.email))),
+    [garden.members]
+  );
+  const invites = useMemo(
+    () =>
+      Object.entries(garden.invites)
+        .map(([email, role]) => ({ email, role }))
+        .sort((a, b) => a.email.localeCompare(b.email)),
+    [garden.invites]
+  );
+
+  const setRole = async (uid, role) => {
+    const before = members.find((m) => m.uid === uid);
+    await gardensRepo.setMemberRole(garden, uid, role);
+    await logAudit({
+      action: "user.role",
+      target: before?.email || uid,
+      before: { role: before?.role },
+      after: { role },
+    });
+  };
+
+  const remove = async (uid) => {
+    const before = members.find((m) => m.uid === uid);
+    await gardensRepo.removeMember(garden, uid);
+    await logAudit({
+      action: "member.remove",
+      target: before?.email || uid,
+      before: { role: before?.role },
+    });
+  };
+
+  const invite = async (email, role) => {
+    await gardensRepo.invite(garden, email, role);
+    await logAudit({ action: "member.invite", target: email, after: { role } });
+  };
+
+  const cancelInvite = async (email) => {
+    await gardensRepo.cancelInvite(garden, email);
+    await logAudit({
+      action: "member.uninvite",
+      target: email,
+      before: { role: garden.invites[email] },
+    });
+  };
+
+  return { members, invites, setRole, remove, invite, cancelInvite };
+}
+
+// 📝 Últimas entradas do registro de auditoria (coleção "auditoria")
+export const AUDIT_FEED_SIZE = 100;
+
+export function useAuditLog() {
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    const spec = {
+      collection: "auditoria",
+      orderBy: ["createdAt", "desc"],
+      limit: AUDIT_FEED_SIZE,
+    };
+    const unsub = store.watchQuery(spec, (docs) => {
+      setEntries(
+        docs.map((d) => ({
+          id: d.id,
+          ...d.data,
+          createdAt: toDate(d.data.createdAt),
+        }))
+      );
+    });
+    return unsub;
+  }, []);
+
+  return entries;
+}
+
+// 🚿 Cadastro de aspersores/zonas (coleção "aspersores")
+// Limites do modo automático como ficam no aspersor: em % e no valor bruto
+// equivalente pela calibração do sensor (sem calibração, sem valor bruto)
+const thresholdFields = (minHumidity, maxHumidity, calibrationPoints) => {
+  const minRaw = percentToRaw(minHumidity, calibrationPoints);
+  const maxRaw = percentToRaw(maxHumidity, calibrationPoints);
+  return {
+    minHumidity,
+    maxHumidity,
+    minRaw: minRaw ?? store.deleteField(),
+    maxRaw: maxRaw ?? store.deleteField(),
+  };
+};
+
+export function useAspersores(calibrations, crops) {
+  const [items, setItems] = useState([]);
+
+  useEffect(() => {
+    const unsub = store.watchQuery({ collection: "aspersores" }, (docs) => {
+      const arr = docs
+        .map((d) => ({ id: d.id, ...d.data }))
+        .sort((a, b) =>
+          compareText(String(a.name || a.id), String(b.name || b.id))
+        );
+      setItems(arr);
+    });
+    return unsub;
+  }, []);
+
+  // sem nenhum cadastro, continua funcionando com o aspersor antigo
+  const zones = items.length ? items : DEFAULT_ZONES;
+
+  const save = async (zone) => {
+    const id = zone.id || `aspersor-${Date.now()}`;
+    const before = items.find((z) => z.id === id);
+    const flowRate = Number(zone.flowRateLpm);
+    const crop = findCrop(crops, zone.cropId);
+    const data = {
+      name: zone.name,
+      bed: zone.bed || "",
+      sensorId: zone.sensorId || "",
+      flowRateLpm: flowRate > 0 ? flowRate : null,
+      cropId: crop ? crop.id : "",
+      cropLocked: Boolean(crop && zone.cropLocked),
+    };
+    // cultura nova ou travada: os limites do modo automático vêm do perfil
+    const followsCrop =
+      Boolean(crop) && (crop.id !== before?.cropId || data.cropLocked);
+    const thresholds = followsCrop
+      ? thresholdFields(
+          crop.minHumidity,
+          crop.maxHumidity,
+          calibrations[sensorKey(data.sensorId)]
+        )
+      : {};
+    await queueWrite(
+      store.setDoc(
+        `aspersores/${id}`,
+        { ...data, ...thresholds, updatedAt: new Date() },
+        { merge: true }
+      )
+    );
+    await logAudit({
+      action: "zone.save",
+      target: id,
+      before: before
+        ? {
+            name: before.name,
+            bed: before.bed,
+            sensorId: before.sensorId,
+            flowRateLpm: before.flowRateLpm ?? null,
+            cropId: before.cropId || "",
+            cropLocked: before.cropLocked === true,
+            ...(followsCrop
+              ? {
+                  minHumidity: before.minHumidity ?? null,
+                  maxHumidity: before.maxHumidity ?? null,
+                }
+              : {}),
+          }
+        : null,
+      after: followsCrop
+        ? {
+            ...data,
+            minHumidity: crop.minHumidity,
+            maxHumidity: crop.maxHumidity,
+          }
+        : data,
+    });
+    return id;
+  };
+
+  // Perfil alterado: os aspersores travados nele acompanham os novos limites
+  const applyCrop = async (crop) => {
+    const locked = items.filter((z) => z.cropLocked && z.cropId === crop.id);
+    if (!locked.length) return;
+    await queueWrite(
+      store.writeBatch(
+        locked.map((z) => ({
+          path: `aspersores/${z.id}`,
+          data: {
+            ...thresholdFields(
+              crop.minHumidity,
+              crop.maxHumidity,
+              calibrations[sensorKey(z.sensorId)]
+            ),
+            updatedAt: new Date(),
+          },
+          merge: true,
+        }))
+      )
+    );
+  };
+
+  // Perfil excluído: os aspersores ficam sem cultura (os limites continuam)
+  const clearCrop = async (cropId) => {
+    const using = items.filter((z) => z.cropId === cropId);
+    if (!using.length) return;
+    await queueWrite(
+      store.writeBatch(
+        using.map((z) => ({
+          path: `aspersores/${z.id}`,
+          data: { cropId: "", cropLocked: false, updatedAt: new Date() },
+          merge: true,
+        }))
+      )
+    );
+  };
+
+  const remove = async (id) => {
+    const before = items.find((z) => z.id === id);
+    await queueWrite(store.deleteDoc(`aspersores/${id}`));
+    await logAudit({ action: "zone.delete", target: id, before });
+  };
+
+  return { zones, save, remove, applyCrop, clearCrop };
+}
+
+// 🌱 Perfis de cultura: biblioteca padrão + os salvos em "culturas"
+export function useCropProfiles() {
+  const [docs, setDocs] = useState([]);
+
+  useEffect(() => {
+    const unsub = cropsRepo.watch(setDocs);
+    return unsub;
+  }, []);
+
+  const crops = useMemo(() => mergeCrops(docs), [docs]);
+
+  // → o perfil salvo (com id)
+  const save = async (crop) => {
+    const id = crop.id || `cultura-${Date.now()}`;
+    const before = findCrop(crops, id);
+    const data = cropFields(crop);
+    await queueWrite(cropsRepo.save(id, { ...data, updatedAt: new Date() }));
+    await logAudit({
+      action: "crop.save",
+      target: id,
+      before: before ? cropFields(before) : null,
+      after: data,
+    });
+    return { ...data, id };
+  };
+
+  // Perfil padrão volta aos valores da biblioteca; os criados somem.
+  // → o perfil que continua valendo com esse id (ou null)
+  const remove = async (id) => {
+    const before = findCrop(crops, id);
+    await queueWrite(cropsRepo.remove(id));
+    await logAudit({
+      action: "crop.delete",
+      target: id,
+      before: before ? cropFields(before) : null,
+    });
+    return defaultCrop(id);
+  };
+
+  return { crops, save, remove };
+}
+
+const READINGS_PAGE_SIZE = 500;
+// Períodos mais longos que isso viram um gráfico resumido: SAMPLE_BUCKETS
+// pontos, cada um a mediana de até SAMPLE_PER_BUCKET leituras
+const SAMPLED_RANGE_MS = 36 * 60 * 60 * 1000;
+const SAMPLE_BUCKETS = 180;
+const SAMPLE_PER_BUCKET = 6;
+
+// 📉 Leituras brutas num intervalo (coleção "leiturasUmidade")
+// A primeira página (mais recente) é ao vivo; "loadOlder" busca páginas
+// anteriores sob demanda. sensorId vazio = leituras de qualquer sensor.
+// Em períodos longos (7 ou 30 dias) o período inteiro vem resumido, sem
+// atualização ao vivo: "sampled" traz quantas leituras foram lidas.
+export function useHumidityReadings(sensorId, { from, to }, calibrations) {
+  const [recent, setRecent] = useState({
+    readings: [],
+    cursor: null,
+    full: false,
+  });
+  const [older, setOlder] = useState({
+    readings: [],
+    cursor: null,
+    full: false,
+  });
+  // leituras da amostra, uma lista por fatia (null = período curto)
+  const [samples, setSamples] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const fromMs = from ? from.getTime() : null;
+  const toMs = to ? to.getTime() : null;
+  const sampled =
+    fromMs !== null && (toMs ?? Date.now()) - fromMs > SAMPLED_RANGE_MS;
+
+  useEffect(() => {
+    setLoading(true);
+    setRecent({ readings: [], cursor: null, full: false });
+    setOlder({ readings: [], cursor: null, full: false });
+    setSamples(null);
+    if (sampled) {
+      let cancelled = false;
+      readingsRepo
+        .fetchSamples({
+          sensorId,
+          from: new Date(fromMs),
+          to: new Date(toMs ?? Date.now()),
+          buckets: SAMPLE_BUCKETS,
+          perBucket: SAMPLE_PER_BUCKET,
+        })
+        .catch((e) => {
+          console.error("Erro ao carregar leituras:", e);
+          return [];
+        })
+        .then((lists) => {
+          if (cancelled) return;
+          setSamples(lists);
+          setLoading(false);
+        });
+      return () => {
+        cancelled = true;
+      };
+    }
+    const unsub = readingsRepo.watchPage(
+      {
+        sensorId,
+        from: fromMs !== null ? new Date(fromMs) : null,
+        to: toMs !== null ? new Date(toMs) : null,
+        size: READINGS_PAGE_SIZE,
+      },
+      (page) => {
+        setRecent(page);
+        setLoading(false);
+      }
+    );
+    return unsub;
+  }, [sensorId, fromMs, toMs, sampled]);
+
+  const current = older.cursor ? older : recent;
+
+  const loadOlder = async () => {
+    if (!current.cursor || !current.full) return;
+    setLoading(true);
+    const page = await readingsRepo.fetchPage({
+      sensorId,
+      from: fromMs !== null ? new Date(fromMs) : null,
+      to: toMs !== null ? new Date(toMs) : null,
+      size: READINGS_PAGE_SIZE,
+      after: current.cursor,
+    });
+    setOlder((old) => ({
+      readings: [...old.readings, ...page.readings],
+      cursor: page.cursor || old.cursor,
+      full: page.full,
+    }));
+    setLoading(false);
+  };
+
+  // ordem cronológica para os gráficos (a página ao vivo pode "andar" e
+  // repetir documentos já trazidos nas páginas antigas)
+  const readings = useMemo(() => {
+    if (samples) {
+      return samples
+        .map((list) => bucketPoint(flagAll(list, calibrations)))
+        .filter(Boolean);
+    }
+    const byId = new Map();
+    for (const r of [...older.readings, ...recent.readings]) byId.set(r.id, r);
+    return flagAll([...byId.values()], calibrations);
+  }, [samples, recent, older, calibrations]);
+
+  return {
+    readings,
+    loading,
+    hasOlder: !samples && current.full,
+    loadOlder,
+    sampled: samples ? samples.reduce((n, list) => n + list.length, 0) : null,
+  };
+}
+
+// Leitura mais recente do sensor (limit 1), sem calibração aplicada
+export function useLatestReading(sensorId) {
+  const [reading, setReading] = useState(null);
+
+  useEffect(() => {
+    setReading(null);
+    const unsub = readingsRepo.watchLatest(sensorId, setReading);
+    return unsub;
+  }, [sensorId]);
+
+  return reading;
+}
+
+// Umidade atual do sensor, já calibrada, ou null quando não há leitura
+// (nunca devolve um 0 inventado). "at" é da leitura mais recente
+// (watchLatest, por mais antiga que seja: é ela que diz se o sensor está
+// offline); as leituras das últimas horas passam pelo filtro de qualidade:
+// "value" é a mediana das últimas confiáveis e "flag" a marcação da mais
+// recente. "live" é a última leitura recebida por MQTT, usada quando for
+// mais nova que a do Firestore.
+export function useCurrentHumidity(sensorId, calibrations, live) {
+  const latestStored = useLatestReading(sensorId);
+  const [stored, setStored] = useState([]);
+  const now = useNow(15 * 60 * 1000);
+  const fromMs =
+    Math.floor(now / (15 * 60 * 1000)) * 15 * 60 * 1000 -
+    (STUCK_MINUTES + 15) * 60 * 1000;
+
+  useEffect(() => {
+    setStored([]);
+    const unsub = readingsRepo.watchSince(
+      { sensorId, from: new Date(fromMs) },
+      setStored
+    );
+    return unsub;
+  }, [sensorId, fromMs]);
+
+  return useMemo(() => {
+    const latest =
+      live && (!latestStored || live.at > latestStored.at)
+        ? { ...live, sensorId }
+        : latestStored;
+    return currentHumidity(latest, stored, calibrations);
+  }, [latestStored, stored, live, sensorId, calibrations]);
+}
+
+// 📡 Dispositivos (coleção "dispositivos", id = sensorId ou "padrao")
+// O ESP32 grava "lastHeartbeat" periodicamente, mesmo sem leitura nova.
+export function useDevices() {
+  const [devices, setDevices] = useState({});
+
+  useEffect(() => {
+    const unsub = store.watchQuery({ collection: "dispositivos" }, (docs) => {
+      setDevices(
+        Object.fromEntries(
+          docs.map((d) => [
+            d.id,
+            {
+              id: d.id,
+              name: d.data.name || "",
+              firmware: d.data.firmware || "",
+              lastHeartbeat: toDate(d.data.lastHeartbeat),
+            },
+          ])
+        )
+      );
+    });
+    return unsub;
+  }, []);
+
+  return devices;
+}
+
+// 🎯 Calibração dos sensores (documento "configuracao/calibracao")
+// Formato: { sensores: { <sensorId | "padrao">: { points: [{ raw, pct }] } } }
+export function useCalibration() {
+  const [calibrations, setCalibrations] = useState({});
+
+  useEffect(() => {
+    const unsub = settingsRepo.watch("calibracao", ({ data }) => {
+      const sensores = data.sensores || {};
+      setCalibrations(
+        Object.fromEntries(
+          Object.entries(sensores).map(([id, c]) => [
+            id,
+            normalizePoints(c?.points),
+          ])
+        )
+      );
+    });
+    return unsub;
+  }, []);
+
+  const save = async (sensorId, points) => {
+    const key = sensorKey(sensorId);
+    await queueWrite(
+      settingsRepo.save("calibracao", {
+        sensores: {
+          [key]: {
+            points: normalizePoints(points),
+            updatedAt: new Date(),
+          },
+        },
+      })
+    );
+    await logAudit({
+      action: "calibration.save",
+      target: key,
+      before: { points: calibrations[key] || [] },
+      after: { points: normalizePoints(points) },
+    });
+  };
+
+  return { calibrations, save };
+}
+
+// 📶 Conexão do aparelho e escritas aguardando sincronizar
+export function useConnectionState() {
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [pending, setPending] = useState(0);
+
+  useEffect(() => {
+    const up = () => setOnline(true);
+    const down = () => setOnline(false);
+    window.addEventListener("online", up);
+    window.addEventListener("offline", down);
+    const unwatch = watchPendingWrites(setPending);
+    return () => {
+      window.removeEventListener("online", up);
+      window.removeEventListener("offline", down);
+      unwatch();
+    };
+  }, []);
+
+  return { online, pending };
+}
+
+// 🧬 Documentos inválidos encontrados nas leituras e documentos ainda no
+// formato antigo (ver src/lib/schemas.js e migrations.js)
+export function useDataMigration() {
+  const [invalid, setInvalid] = useState([]);
+  const [outdated, setOutdated] = useState(null);
+  const [check, setCheck] = useState(0);
+
+  useEffect(() => watchInvalidDocs(setInvalid), []);
+
+  useEffect(() => {
+    countOutdated(store)
+      .then(setOutdated)
+      .catch((e) => console.error("Erro ao verificar versões:", e));
+  }, [check]);
+
+  const migrate = async () => {
+    const report = await migrateAll(store);
+    await logAudit({
+      action: "data.migrate",
+      target: Object.keys(report).join(", "),
+      after: Object.fromEntries(
+        Object.entries(report).map(([name, r]) => [
+          name,
+          { migrados: r.migrated, invalidos: r.invalid.map((i) => i.id) },
+        ])
+      ),
+    });
+    setCheck((c) => c + 1);
+    return report;
+  };
+
+  return { invalid, outdated, migrate };
+}
+
+// 🧪 Simulador de sensor e válvula (VITE_DATA_SOURCE=memory ou
+// VITE_SIMULATOR=true). Roda na horta selecionada, só para o responsável,
+// que pode gravar tudo.
+export function useSimulator(enabled, gardenId) {
+  useEffect(() => {
+    if (!enabled) return;
+    return startSimulator(storeFor(gardenId));
+  }, [enabled, gardenId]);
+}
+
+// Relógio que atualiza a cada intervalo (para prazos e contagens)
+export function useNow(intervalMs = 1000) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(id);
+  }, [intervalMs]);
+
+  return now;
+}
+
+// Estado guardado na URL ("?aspersor=...&periodo=7d"), para que um link
+// abra a mesma tela. update({ nome: valor }) troca vários de uma vez; null
+// remove. Não cria entradas no histórico do navegador.
+export function useQueryParams() {
+  const [params, setParams] = useSearchParams();
+  const update = useCallback(
+    (values) =>
+      setParams(
+        (prev) => {
+          const next = new URLSearchParams(prev);
+          for (const [name, value] of Object.entries(values)) {
+            if (value === null || value === undefined) next.delete(name);
+            else next.set(name, value);
+          }
+          return next;
+        },
+        { replace: true }
+      ),
+    [setParams]
+  );
+  return [params, update];
+}
+
+// 🔌 Estado real do aspersor (documento "status/<aspersorId>")
+// O site grava o comando (isOn, commandId, requestedAt, source) e o ESP32
+// confirma escrevendo ackCommandId/ackAt depois de acionar o relé.
+export function useActuatorStatus(aspersorId) {
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    setStatus(null);
+    const unsub = statusRepo.watch(aspersorId, (snap) => {
+      if (!snap.exists) {
+        setStatus({ isOn: false });
+        return;
+      }
+      const data = snap.data;
+      setStatus({
+        // comando gravado offline, ainda não chegou ao servidor
+        pending: snap.pending,
+        isOn: data.isOn === true,
+        source: data.source || null,
+        commandId: data.commandId || null,
+        requestedAt: toDate(data.requestedAt || data.updatedAt),
+        ackCommandId: data.ackCommandId || null,
+        ackAt: toDate(data.ackAt),
+        endsAt: toDate(data.endsAt),
+      });
+    });
+    return unsub;
+  }, [aspersorId]);
+
+  return status;
+}
+
+// 🔢 MÉDIA DIÁRIA – os dias anteriores vêm de "mediaDiaria" (gravada pelo
+// Node-RED ou pelo painel); só o dia de hoje é calculado, ao vivo, das
+// leituras ("leiturasUmidade") no fuso da horta. Dias sem média salva viram
+// lacuna até alguém calcular e gravar a média com "backfill".
+const DAILY_HISTORY_DAYS = 15;
+
+// Meia-noite (no fuso da horta) do dia "AAAA-MM-DD", mais "offset" dias
+export function dayStart(key, timeZone, offset = 0) {
+  const [y, m, d] = key.split("-").map(Number);
+  return zonedTimeToDate(y, m, d + offset, 0, 0, timeZone);
+}
+
+export function useDailyAverageHistory(timeZone, calibrations) {
+  const [readings, setReadings] = useState([]);
+  const [stored, setStored] = useState([]);
+  // dias sem média em que o backfill não achou leituras
+  const [empty, setEmpty] = useState([]);
+  const now = useNow(10 * 60 * 1000);
+  const today = dayKey(now, timeZone);
+  const firstDay = dayKey(
+    dayStart(today, timeZone, -(DAILY_HISTORY_DAYS - 1)).getTime(),
+    timeZone
+  );
+  const fromMs = dayStart(firstDay, timeZone).getTime();
+  const todayMs = dayStart(today, timeZone).getTime();
+
+  useEffect(() => {
+    const unsub = readingsRepo.watchSince(
+      { from: new Date(todayMs) },
+      setReadings
+    );
+    return unsub;
+  }, [todayMs]);
+
+  useEffect(() => {
+    const unsub = dailyAveragesRepo.watch({ from: firstDay }, setStored);
+    return unsub;
+  }, [firstDay]);
+
+  const days = useMemo(
+    () =>
+      fillGapsFromStored(
+        aggregateDaily(trustedReadings(flagAll(readings, calibrations)), {
+          from: new Date(fromMs),
+          to: new Date(now),
+          timeZone,
+        }),
+        stored
+      ),
+    [readings, calibrations, stored, fromMs, now, timeZone]
+  );
+
+  // dias completos sem documento em "mediaDiaria"
+  const missing = useMemo(
+    () =>
+      days
+        .filter((d) => d.gap && d.date < today && !empty.includes(d.date))
+        .map((d) => d.date),
+    [days, today, empty]
+  );
+
+  // Calcula das leituras e grava em "mediaDiaria" os dias que o Node-RED
+  // não registrou. Lê só as leituras desses dias, uma vez.
+  const backfill = async () => {
+    const computed = [];
+    for (const date of missing) {
+      const from = dayStart(date, timeZone);
+      const to = new Date(dayStart(date, timeZone, 1).getTime() - 1);
+      const dayReadings = await readingsRepo.fetchRange({ from, to });
+      computed.push(
+        ...aggregateDaily(trustedReadings(flagAll(dayReadings, calibrations)), {
+          from,
+          to,
+          timeZone,
+        }).filter((d) => d.date === date)
+      );
+    }
+    const items = missingDailyAverages(computed, stored, today);
+    const saved = new Set(items.map((m) => m.data));
+    setEmpty((old) => [...old, ...missing.filter((d) => !saved.has(d))]);
+    if (!items.length) return 0;
+    await dailyAveragesRepo.saveMany(items, {
+      origem: "painel",
+      createdAt: new Date(),
+    });
+    await logAudit({
+      action: "data.backfill",
+      target: "mediaDiaria",
+      after: { dias: items.map((m) => m.data) },
+    });
+    return items.length;
+  };
+
+  return { days, missing, backfill };
+}
+
+// 🚰 Sessões de irrigação das últimas semanas (coleção "sessoesIrrigacao")
+// Gravadas pelo painel (irrigação manual) e pelo Node-RED (automático e
+// agendamentos): { aspersorId, source, startedAt, endedAt, flowRateLpm }.
+export const CONSUMPTION_DAYS = 28;
+
+export function useIrrigationSessions(timeZone) {
+  const [sessions, setSessions] = useState([]);
+  const now = useNow(60 * 1000);
+  const today = dayKey(now, timeZone);
+
+  const fromMs = useMemo(() => {
+    const [y, m, d] = today.split("-").map(Number);
+    return zonedTimeToDate(
+      y,
+      m,
+      d - (CONSUMPTION_DAYS - 1),
+      0,
+      0,
+      timeZone
+    ).getTime();
+  }, [today, timeZone]);
+
+  useEffect(() => {
+    const spec = {
+      collection: "sessoesIrrigacao",
+      where: [["startedAt", ">=", new Date(fromMs)]],
+      orderBy: ["startedAt", "desc"],
+    };
+    const unsub = store.watchQuery(spec, (docs) => {
+      setSessions(
+        docs.map((d) => {
+          const data = d.data;
+          return {
+            id: d.id,
+            aspersorId: data.aspersorId,
+            source: data.source || null,
+            startedAt: toDate(data.startedAt).getTime(),
+            endedAt: toDate(data.endedAt)?.getTime() ?? null,
+            flowRateLpm: data.flowRateLpm ?? null,
+          };
+        })
+      );
+    });
+    return unsub;
+  }, [fromMs]);
+
+  return { sessions, from: new Date(fromMs), now };
+}
+
+// 🚨 Regras de alerta (documento "configuracao/alertas")
+export function useAlertRules() {
+  const [rules, setRules] = useState(() => normalizeAlertRules());
+
+  useEffect(() => {
+    const unsub = settingsRepo.watch("alertas", ({ data }) => {
+      setRules(normalizeAlertRules(data));
+    });
+    return unsub;
+  }, []);
+
+  const save = async (newRules) => {
+    await queueWrite(
+      settingsRepo.save("alertas", { ...newRules, updatedAt: new Date() })
+    );
+    await logAudit({
+      action: "settings.alerts",
+      target: "configuracao/alertas",
+      before: rules,
+      after: newRules,
+    });
+  };
+
+  return { rules, save };
+}
+
+// 🚨 Alertas gravados (coleção "alertas"), mais recentes primeiro
+const ALERTS_FEED_SIZE = 100;
+
+export function useAlerts() {
+  const [alerts, setAlerts] = useState(null);
+
+  useEffect(() => {
+    const spec = {
+      collection: "alertas",
+      orderBy: ["createdAt", "desc"],
+      limit: ALERTS_FEED_SIZE,
+    };
+    const unsub = store.watchQuery(spec, (docs) => {
+      setAlerts(
+        docs.map((d) => {
+          const data = d.data;
+          return {
+            id: d.id,
+            ...data,
+            createdAt: toDate(data.createdAt),
+            ackAt: toDate(data.ackAt),
+            resolvedAt: toDate(data.resolvedAt),
+          };
+        })
+      );
+    });
+    return unsub;
+  }, []);
+
+  const setState = async (alert, state) => {
+    const user = authApi.currentUser();
+    const fields =
+      state === "acknowledged"
+        ? { state, ackAt: new Date(), ackBy: user?.email || user?.uid || "" }
+        : {
+            state,
+            resolvedAt: new Date(),
+            resolvedBy: user?.email || user?.uid || "",
+          };
+    await store.updateDoc(`alertas/${alert.id}`, fields);
+    await logAudit({
+      action: state === "acknowledged" ? "alert.ack" : "alert.resolve",
+      target: alert.id,
+      before: { state: alert.state },
+      after: { state },
+    });
+  };
+
+  return { alerts: alerts || [], loaded: alerts !== null, setState };
+}
+
+// 🚨 Avalia as regras de alerta com as leituras das últimas horas e o estado
+// das válvulas. Abre um alerta quando uma condição aparece e resolve
+// automaticamente quando ela some. Qualquer painel aberto faz a avaliação;
+// o id do alerta identifica o episódio, então não há duplicatas. Depois de
+// uma resolução manual a regra fica em silêncio (mutedAlertKeys).
+const ALERT_WINDOW_HOURS = 6;
+
+export function useAlertEngine({
+  zones,
+  calibrations,
+  rules,
+  alerts,
+  alertsLoaded,
+}) {
+  const [readings, setReadings] = useState(null);
+  const [statuses, setStatuses] = useState(null);
+  const [defaultMin, setDefaultMin] = useState(GENERAL_DEFAULTS.minHumidity);
+  const now = useNow(60 * 1000);
+  const hour = Math.floor(now / 3600000);
+  const pending = useRef(new Set());
+
+  useEffect(() => {
+    const from = new Date((hour - ALERT_WINDOW_HOURS) * 3600000);
+    const unsub = readingsRepo.watchSince({ from }, setReadings);
+    return unsub;
+  }, [hour]);
+
+  useEffect(() => {
+    const unsub = statusRepo.watchAll((all) => {
+      setStatuses(
+        Object.fromEntries(
+          Object.entries(all).map(([id, data]) => [
+            id,
+            {
+              isOn: data.isOn === true,
+              startedAt:
+                toDate(data.requestedAt || data.updatedAt)?.getTime() ?? null,
+              endsAt: toDate(data.endsAt)?.getTime() ?? null,
+            },
+          ])
+        )
+      );
+    });
+    return unsub;
+  }, []);
+
+  useEffect(() => {
+    const unsub = settingsRepo.watch("geral", ({ data }) => {
+      setDefaultMin(data.minHumidity);
+    });
+    return unsub;
+  }, []);
+
+  const active = useMemo(() => {
+    if (!readings || !statuses) return null;
+    const bySensor = {};
+    for (const r of trustedReadings(flagAll(readings, calibrations))) {
+      const k = sensorKey(r.sensorId);
+      (bySensor[k] = bySensor[k] || []).push(r);
+    }
+    return evaluateAlerts({
+      zones: zones.map((z) => ({
+        ...z,
+        minHumidity:
+          typeof z.minHumidity === "number" ? z.minHumidity : defaultMin,
+      })),
+      readings: bySensor,
+      statuses,
+      rules,
+      now,
+    });
+  }, [readings, statuses, calibrations, zones, defaultMin, rules, now]);
+
+  useEffect(() => {
+    if (!active || !alertsLoaded) return;
+    const activeKeys = new Set(active.map(alertKey));
+    const known = new Set(alerts.map((a) => a.id));
+    const unresolved = alerts.filter((a) => a.state !== "resolved");
+    const openKeys = new Set(unresolved.map(alertKey));
+    const muted = mutedAlertKeys(alerts, rules, now);
+
+    const run = async (id, write) => {
+      if (pending.current.has(id)) return;
+      pending.current.add(id);
+      try {
+        await write();
+      } catch (e) {
+        console.error("Erro ao gravar alerta:", e);
+      } finally {
+        pending.current.delete(id);
+      }
+    };
+
+    for (const a of active) {
+      const k = alertKey(a);
+      if (known.has(a.id) || openKeys.has(k) || muted.has(k)) continue;
+      run(a.id, () =>
+        store.setDoc(`alertas/${a.id}`, {
+          rule: a.rule,
+          aspersorId: a.aspersorId,
+          messageKey: a.messageKey,
+          messageParams: a.messageParams,
+          since: new Date(a.since),
+          state: "open",
+          createdAt: new Date(),
+        })
+      );
+    }
+    for (const a of unresolved) {
+      if (activeKeys.has(alertKey(a))) continue;
+      run(a.id, () =>
+        store.updateDoc(`alertas/${a.id}`, {
+          state: "resolved",
+          resolvedAt: new Date(),
+          autoResolved: true,
+        })
+      );
+    }
+  }, [active, alerts, alertsLoaded, rules, now]);
+}
+
+// 🔔 Notificação do navegador para cada alerta novo (os que já existiam ao
+// abrir o painel aparecem só na central)
+export function useAlertNotifications(alerts, loaded) {
+  const seen = useRef(null);
+
+  useEffect(() => {
+    if (!loaded) return;
+    if (seen.current === null) {
+      seen.current = new Set(alerts.map((a) => a.id));
+      return;
+    }
+    for (const a of alerts) {
+      if (seen.current.has(a.id)) continue;
+      seen.current.add(a.id);
+      if (
+        a.state === "open" &&
+        "Notification" in window &&
+        Notification.permission === "granted"
+      ) {
+        new Notification(`🚨 ${t(ALERT_RULES[a.rule]?.label || "Alerta")}`, {
+          body: alertMessage(a),
+          tag: a.id,
+        });
+      }
+    }
+  }, [alerts, loaded]);
+}
+
+// 📡 Broker MQTT (documento "configuracao/mqtt"). Usuário e senha do broker
+// ficam no .env.local (VITE_MQTT_USERNAME/VITE_MQTT_PASSWORD), não no banco.
+export function useMqttConfig() {
+  const [config, setConfig] = useState(() => normalizeMqttConfig());
+
+  useEffect(() => {
+    const unsub = settingsRepo.watch("mqtt", ({ data }) => {
+      setConfig(normalizeMqttConfig(data));
+    });
+    return unsub;
+  }, []);
+
+  const save = async (newConfig) => {
+    await queueWrite(
+      settingsRepo.save("mqtt", { ...newConfig, updatedAt: new Date() })
+    );
+    await logAudit({
+      action: "settings.mqtt",
+      target: "configuracao/mqtt",
+      before: config,
+      after: newConfig,
+    });
+  };
+
+  return { config, save };
+}
+
+// 📡 Conexão MQTT: últimas leituras e estados recebidos do broker e
+// publicação de comandos. state: disabled | connecting | connected | offline | error
+export function useMqtt(config) {
+  const [state, setState] = useState("disabled");
+  const [readings, setReadings] = useState({});
+  const [statuses, setStatuses] = useState({});
+  const transport = useRef(null);
+  const topicsKey = JSON.stringify(config.topics);
+
+  useEffect(() => {
+    if (!config.enabled) {
+      setState("disabled");
+      return;
+    }
+    let closed = false;
+    const pending = connectMqtt(
+      {
+        url: config.url,
+        topics: JSON.parse(topicsKey),
+        username: import.meta.env.VITE_MQTT_USERNAME,
+        password: import.meta.env.VITE_MQTT_PASSWORD,
+      },
+      {
+        onState: (s) => !closed && setState(s),
+        onReading: (sensorId, reading) =>
+          setReadings((old) => ({ ...old, [sensorId]: reading })),
+        onStatus: (aspersorId, status) =>
+          setStatuses((old) => ({ ...old, [aspersorId]: status })),
+      }
+    );
+    pending
+      .then((conn) => {
+        if (closed) conn.close();
+        else transport.current = conn;
+      })
+      .catch((e) => {
+        console.error("Erro ao conectar no broker MQTT:", e);
+        setState("error");
+      });
+    return () => {
+      closed = true;
+      transport.current?.close();
+      transport.current = null;
+    };
+  }, [config.enabled, config.url, topicsKey]);
+
+  const publishCommand = (aspersorId, command) =>
+    transport.current.publishCommand(aspersorId, command);
+
+  return {
+    state,
+    connected: state === "connected",
+    readings,
+    statuses,
+    publishCommand,
+  };
+}
+
+// ⚙️ Configurações gerais da horta (documento "configuracao/geral")
+export function useGeneralSettings() {
+  const pick = ({
+    maxManualMinutes,
+    timeZone,
+    staleAfterMinutes,
+    ignoreSuspectReadings,
+  }) => ({
+    maxManualMinutes,
+    timeZone,
+    staleAfterMinutes,
+    ignoreSuspectReadings,
+  });
+  const [settings, setSettings] = useState(() => pick(GENERAL_DEFAULTS));
+  const [pending, setPending] = useState(false);
+
+  useEffect(() => {
+    const unsub = settingsRepo.watch("geral", ({ data, pending }) => {
+      setPending(pending);
+      setSettings(pick(data));
+    });
+    return unsub;
+  }, []);
+
+  const save = async (newSet) => {
+    await queueWrite(
+      settingsRepo.save("geral", { ...newSet, updatedAt: new Date() })
+    );
+    await logAudit({
+      action: "settings.general",
+      target: "configuracao/geral",
+      before: settings,
+      after: newSet,
+    });
+  };
+
+  return { settings, pending, save };
+}
+
+// 🌧️ Adiamento por chuva e orçamento sazonal (em "configuracao/geral")
+// Agendamentos e modo automático ficam suspensos até "pausedUntil"; o
+// orçamento escala os minutos de todos os agendamentos conforme o mês.
+export function useIrrigationPlan() {
+  const [plan, setPlan] = useState({
+    pausedUntil: null,
+    pauseReason: "",
+    seasonalBudget: FULL_BUDGET,
+  });
+  const [pending, setPending] = useState(false);
+
+  useEffect(() => {
+    const unsub = settingsRepo.watch("geral", ({ data, pending }) => {
+      setPending(pending);
+      setPlan({
+        pausedUntil: data.pausedUntil || null,
+        pauseReason: data.pauseReason || "",
+        seasonalBudget: data.seasonalBudget,
+      });
+    });
+    return unsub;
+  }, []);
+
+  const pause = async (until, reason) => {
+    await queueWrite(
+      settingsRepo.save("geral", {
+        pausedUntil: until,
+        pauseReason: reason,
+        updatedAt: new Date(),
+      })
+    );
+    await logAudit({
+      action: "irrigation.pause",
+      target: "configuracao/geral",
+      before: { pausedUntil: plan.pausedUntil, pauseReason: plan.pauseReason },
+      after: { pausedUntil: until, pauseReason: reason },
+    });
+  };
+
+  const resume = async () => {
+    await queueWrite(
+      settingsRepo.save("geral", {
+        pausedUntil: null,
+        pauseReason: "",
+        updatedAt: new Date(),
+      })
+    );
+    await logAudit({
+      action: "irrigation.resume",
+      target: "configuracao/geral",
+      before: { pausedUntil: plan.pausedUntil, pauseReason: plan.pauseReason },
+      after: { pausedUntil: null },
+    });
+  };
+
+  const saveBudget = async (seasonalBudget) => {
+    await queueWrite(
+      settingsRepo.save("geral", { seasonalBudget, updatedAt: new Date() })
+    );
+    await logAudit({
+      action: "settings.budget",
+      target: "configuracao/geral",
+      before: { seasonalBudget: plan.seasonalBudget },
+      after: { seasonalBudget },
+    });
+  };
+
+  return { plan, pending, pause, resume, saveBudget };
+}
+
+// Configurações do modo automático
+// Valores gerais ficam em "configuracao/geral"; cada aspersor pode
+// sobrescrever os limites no próprio documento em "aspersores".
+// Com o sensor calibrado, grava também minRaw/maxRaw (valores do ADC) para
+// o ESP32/Node-RED comparar direto com a leitura bruta.
+export function useAutoSettings(aspersorId, calibrationPoints) {
+  const [general, setGeneral] = useState({
+    ...GENERAL_DEFAULTS,
+    defaulted: [],
+  });
+  const [zoneData, setZoneData] = useState({});
+  const [pending, setPending] = useState(false);
+
+  useEffect(() => {
+    const unsub = settingsRepo.watch("geral", ({ data, defaulted }) => {
+      setGeneral({ ...data, defaulted });
+    });
+    return unsub;
+  }, []);
+
+  useEffect(() => {
+    setZoneData({});
+    const unsub = store.watchDoc(`aspersores/${aspersorId}`, (snap) => {
+      setPending(snap.pending);
+      setZoneData(snap.data);
+    });
+    return unsub;
+  }, [aspersorId]);
+
+  const settings = useMemo(
+    () => ({
+      autoModeEnabled:
+        typeof zoneData.autoModeEnabled === "boolean"
+          ? zoneData.autoModeEnabled
+          : general.autoModeEnabled,
+      minHumidity:
+        typeof zoneData.minHumidity === "number"
+          ? zoneData.minHumidity
+          : general.minHumidity,
+      maxHumidity:
+        typeof zoneData.maxHumidity === "number"
+          ? zoneData.maxHumidity
+          : general.maxHumidity,
+      // limites que não estão salvos em lugar nenhum (valem os padrões)
+      usingDefaults: ["minHumidity", "maxHumidity"].filter(
+        (k) => typeof zoneData[k] !== "number" && general.defaulted.includes(k)
+      ),
+    }),
+    [general, zoneData]
+  );
+
+  const save = async (newSet) => {
+    await queueWrite(
+      store.setDoc(
+        `aspersores/${aspersorId}`,
+        {
+          ...newSet,
+          ...thresholdFields(
+            newSet.minHumidity,
+            newSet.maxHumidity,
+            calibrationPoints
+          ),
+          updatedAt: new Date(),
+        },
+        { merge: true }
+      )
+    );
+    await logAudit({
+      action: "settings.auto",
+      target: aspersorId,
+      before: {
+        autoModeEnabled: settings.autoModeEnabled,
+        minHumidity: settings.minHumidity,
+        maxHumidity: settings.maxHumidity,
+      },
+      after: newSet,
+    });
+  };
+
+  return { settings, pending, save };
+}
+
+// 🔮 Leituras dos últimos dias para a simulação "e se" (buscadas só quando
+// pedidas e guardadas por sensor e período), uma a cada sampleMinutes(days)
+export function useWhatIfReadings(sensorId, calibrations) {
+  const [loading, setLoading] = useState(false);
+  const cache = useRef({});
+
+  const load = async (days) => {
+    const key = `${sensorId}|${days}`;
+    if (!cache.current[key]) {
+      setLoading(true);
+      try {
+        const to = new Date();
+        const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+        const slices = await readingsRepo.fetchSamples({
+          sensorId,
+          from,
+          to,
+          buckets: Math.ceil((days * 24 * 60) / sampleMinutes(days)),
+          perBucket: 1,
+        });
+        cache.current[key] = slices.flat();
+      } finally {
+        setLoading(false);
+      }
+    }
+    return trustedReadings(flagAll(cache.current[key], calibrations));
+  };
+
+  return { loading, load };
+}
+
+// Campos gravados de um agendamento (sem id/createdAt), para a auditoria
+const scheduleFields = ({
+  name,
+  aspersorId,
+  time,
+  minutes,
+  weekdays,
+  active,
+}) => ({
+  name,
+  aspersorId,
+  time,
+  minutes,
+  weekdays,
+  active,
+});
+
+// 📅 Agendamentos de irrigação do aspersor selecionado
+// (sem aspersorId, devolve os de todos os aspersores)
+export function useSchedules(aspersorId) {
+  const [items, setItems] = useState([]);
+
+  useEffect(() => {
+    setItems([]);
+    const unsub = schedulesRepo.watch((docs) => {
+      const arr = docs
+        .map((d) => {
+          const data = d.data;
+          return {
+            id: d.id,
+            name: data.name || "",
+            weekdays: data.weekdays,
+            time: data.time,
+            minutes: data.minutes,
+            aspersorId: data.aspersorId || DEFAULT_ASPERSOR_ID,
+            active: data.active !== false,
+            createdAt: data.createdAt,
+            pending: d.pending,
+          };
+        })
+        .filter((d) => !aspersorId || d.aspersorId === aspersorId)
+        // mais recente primeiro (usa createdAt se houver)
+        .sort(
+          (a, b) =>
+            (toDate(b.createdAt)?.getTime() || 0) -
+            (toDate(a.createdAt)?.getTime() || 0)
+        );
+      setItems(arr);
+    });
+
+    return unsub;
+  }, [aspersorId]);
+
+  // Cria (prog-timestamp) ou edita no lugar quando vier "id".
+  // Retorna { ok } e, se o agendamento for inválido, { error } com o motivo
+  // para o formulário (sem error: o usuário desistiu no aviso de conflito).
+  const save = async (newSched) => {
+    const weekdays = DAY_LABELS.map((_, i) => i).filter(
+      (i) => newSched.days[i]
+    );
+    const error = scheduleError({ ...newSched, weekdays });
+    if (error) return { ok: false, error };
+
+    const data = {
+      name: (newSched.name || "").trim(),
+      aspersorId: newSched.aspersorId || aspersorId,
+      time: newSched.time, // Node-RED usa campo "time"
+      minutes: Number(newSched.minutes), // e "minutes"
+      weekdays,
+      days: weekdaysToLabels(weekdays), // rótulos, ainda lidos pelo Node-RED
+      active: newSched.active !== false,
+    };
+
+    const conflitos = findScheduleConflicts(
+      { ...data, id: newSched.id },
+      items
+    );
+    if (
+      conflitos.length &&
+      !window.confirm(
+        t("Este agendamento se sobrepõe a:\n{list}\n\nSalvar mesmo assim?", {
+          list: conflitos.map((c) => `• ${describeSchedule(c)}`).join("\n"),
+        })
+      )
+    ) {
+      return { ok: false };
+    }
+
+    if (newSched.id) {
+      const before = items.find((i) => i.id === newSched.id);
+      await queueWrite(
+        schedulesRepo.update(newSched.id, { ...data, updatedAt: new Date() })
+      );
+      await logAudit({
+        action: "schedule.update",
+        target: newSched.id,
+        before: before && scheduleFields(before),
+        after: data,
+      });
+    } else {
+      const id = `prog-${Date.now()}`;
+      await queueWrite(
+        schedulesRepo.create(id, { ...data, createdAt: new Date() })
+      );
+      await logAudit({ action: "schedule.create", target: id, after: data });
+    }
+    return { ok: true };
+  };
+
+  // Pausa/retoma sem apagar o agendamento
+  const setActive = async (schedule, active) => {
+    if (
+      active &&
+      findScheduleConflicts({ ...schedule, active }, items).length &&
+      !window.confirm(
+        t("Este agendamento se sobrepõe a outro ativo. Reativar mesmo assim?")
+      )
+    ) {
+      return;
+    }
+    await queueWrite(schedulesRepo.setActive(schedule.id, active));
+    await logAudit({
+      action: active ? "schedule.resume" : "schedule.pause",
+      target: schedule.id,
+      before: { active: schedule.active },
+      after: { active },
+    });
+  };
+
+  const remove = async (id) => {
+    const before = items.find((i) => i.id === id);
+    await queueWrite(schedulesRepo.remove(id));
+    await logAudit({
+      action: "schedule.delete",
+      target: id,
+      before: before && scheduleFields(before),
+    });
+  };
+
+  return { items, save, setActive, remove };
+}
@@ -0,0 +1,129 @@
+// src/lib/aggregation.js
+// Agregação diária das leituras de umidade (média, mínimo, máximo,
+// percentis e quantidade de amostras). Dias sem leitura viram lacunas
+// explícitas em vez de sumirem do gráfico.
+import { DEFAULT_TIME_ZONE, zonedParts } from './scheduleEngine';
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (n) => String(n).padStart(2, '0');
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// Instante → "AAAA-MM-DD" no fuso da horta
+export function dayKey(ms, timeZone = DEFAULT_TIME_ZONE) {
+  const p = zonedParts(new Date(ms), timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+// Percentil com interpolação linear; "sorted" precisa estar em ordem crescente
+export function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * p;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// Lista de dias "AAAA-MM-DD" de from até to (inclusive)
+export function dayRange(fromMs, toMs, timeZone = DEFAULT_TIME_ZONE) {
+  const days = [];
+  const first = zonedParts(new Date(fromMs), timeZone);
+  const last = dayKey(toMs, timeZone);
+  // avança pelo calendário em UTC para não depender de horário de verão
+  for (let i = 0; ; i++) {
+    const d = new Date(Date.UTC(first.year, first.month - 1, first.day + i));
+    const key = `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+    days.push(key);
+    if (key >= last || i > 3660) break;
+  }
+  return days;
+}
+
+// readings: [{ at (ms), humidity }] → um item por dia entre from e to
+export function aggregateDaily(readings, { from, to, timeZone = DEFAULT_TIME_ZONE }) {
+  const fromMs = from.getTime();
+  const toMs = to.getTime();
+  const buckets = {};
+  for (const r of readings) {
+    if (r.at < fromMs || r.at > toMs || typeof r.humidity !== 'number') continue;
+    const key = dayKey(r.at, timeZone);
+    (buckets[key] = buckets[key] || []).push(r.humidity);
+  }
+
+  return dayRange(fromMs, toMs, timeZone).map((date) => {
+    const values = (buckets[date] || []).sort((a, b) => a - b);
+    if (!values.length) {
+      return { date, count: 0, gap: true, average: null, min: null, max: null, p10: null, p90: null };
+    }
+    const sum = values.reduce((acc, v) => acc + v, 0);
+    return {
+      date,
+      count: values.length,
+      gap: false,
+      average: round1(sum / values.length),
+      min: values[0],
+      max: values[values.length - 1],
+      p10: round1(percentile(values, 0.1)),
+      p90: round1(percentile(values, 0.9)),
+    };
+  });
+}
+
+// Documento de "mediaDiaria" → { date, average, min, max, count } | null.
+// Aceita o formato antigo do Node-RED (umidade no lugar de media, data no id).
+export function parseDailyAverageDoc(id, data = {}) {
+  const date = String(data.data || id || '');
+  const raw = data.media !== undefined && data.media !== null ? data.media : data.umidade;
+  const average = Number(raw);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || raw === undefined || raw === null || Number.isNaN(average)) {
+    return null;
+  }
+  const num = (v) => (typeof v === 'number' ? v : null);
+  return {
+    date,
+    average,
+    min: num(data.min),
+    max: num(data.max),
+    p10: num(data.p10),
+    p90: num(data.p90),
+    count: num(data.count),
+  };
+}
+
+// Completa as lacunas da agregação com o que já está salvo em "mediaDiaria"
+// (útil quando as leituras antigas já foram apagadas)
+export function fillGapsFromStored(days, stored) {
+  const byDate = {};
+  for (const s of stored) byDate[s.date] = s;
+  return days.map((d) => {
+    const s = byDate[d.date];
+    if (!d.gap || !s) return d;
+    return {
+      ...d,
+      gap: false,
+      fromStored: true,
+      average: s.average,
+      min: s.min,
+      max: s.max,
+      p10: s.p10,
+      p90: s.p90,
+      count: s.count || 0,
+    };
+  });
+}
+
+// Dias completos (antes de hoje) com leituras e sem documento em "mediaDiaria"
+export function missingDailyAverages(days, stored, todayKey) {
+  const have = new Set(stored.map((s) => s.date));
+  return days
+    .filter((d) => !d.gap && !d.fromStored && d.date < todayKey && !have.has(d.date))
+    .map((d) => ({
+      data: d.date,
+      media: d.average,
+      min: d.min,
+      max: d.max,
+      p10: d.p10,
+      p90: d.p90,
+      count: d.count,
+    }));
+}
@@ -0,0 +1,69 @@
+// src/lib/aggregation.test.js
+import { describe, expect, it } from 'vitest';
+import { aggregateDaily, dayKey, fillGapsFromStored, missingDailyAverages, parseDailyAverageDoc } from './aggregation';
+
+const SP = 'America/Sao_Paulo';
+const at = (iso, humidity) => ({ at: Date.parse(iso), humidity });
+
+describe('aggregateDaily', () => {
+  const from = new Date('2026-10-17T03:00:00Z'); // 17/10 00:00 em São Paulo
+  const to = new Date('2026-10-20T02:59:59Z'); // 19/10 23:59 em São Paulo
+
+  it('um item por dia, com lacuna explícita nos dias sem leitura', () => {
+    const days = aggregateDaily([at('2026-10-17T12:00:00Z', 40), at('2026-10-19T12:00:00Z', 50)], {
+      from,
+      to,
+      timeZone: SP,
+    });
+    expect(days.map((d) => [d.date, d.gap, d.count])).toEqual([
+      ['2026-10-17', false, 1],
+      ['2026-10-18', true, 0],
+      ['2026-10-19', false, 1],
+    ]);
+    expect(days[1]).toMatchObject({ average: null, min: null, max: null, p10: null, p90: null });
+  });
+
+  it('agrupa pelo dia no fuso da horta', () => {
+    // 01:00 UTC de 18/10 ainda é 17/10 em São Paulo
+    const days = aggregateDaily([at('2026-10-18T01:00:00Z', 30)], { from, to, timeZone: SP });
+    expect(days[0]).toMatchObject({ date: '2026-10-17', count: 1 });
+    expect(days[1].gap).toBe(true);
+  });
+
+  it('calcula média, extremos e percentis e ignora leituras fora do período ou sem umidade', () => {
+    const readings = [10, 20, 30, 40, 50].map((h, i) => at(`2026-10-18T1${i}:00:00Z`, h));
+    readings.push(at('2026-10-16T12:00:00Z', 99), { at: Date.parse('2026-10-18T15:00:00Z'), humidity: null });
+    const [, day] = aggregateDaily(readings, { from, to, timeZone: SP });
+    expect(day).toMatchObject({ count: 5, average: 30, min: 10, max: 50, p10: 14, p90: 46 });
+  });
+});
+
+describe('dayKey', () => {
+  it('usa o fuso informado', () => {
+    expect(dayKey(Date.parse('2026-10-18T01:00:00Z'), SP)).toBe('2026-10-17');
+    expect(dayKey(Date.parse('2026-10-18T01:00:00Z'), 'UTC')).toBe('2026-10-18');
+  });
+});
+
+describe('mediaDiaria', () => {
+  it('lê o formato atual e o antigo do Node-RED', () => {
+    expect(parseDailyAverageDoc('2026-10-18', { media: 41.5, count: 10 })).toMatchObject({
+      date: '2026-10-18',
+      average: 41.5,
+      count: 10,
+    });
+    expect(parseDailyAverageDoc('x', { data: '2026-10-18', umidade: '39' })).toMatchObject({ average: 39 });
+    expect(parseDailyAverageDoc('ontem', { media: 40 })).toBeNull();
+  });
+
+  it('preenche as lacunas com o que já está salvo e lista os dias a gravar', () => {
+    const days = [
+      { date: '2026-10-17', gap: false, count: 3, average: 40, min: 35, max: 45, p10: 36, p90: 44 },
+      { date: '2026-10-18', gap: true, count: 0, average: null },
+      { date: '2026-10-19', gap: false, count: 2, average: 50, min: 49, max: 51, p10: 49, p90: 51 },
+    ];
+    const filled = fillGapsFromStored(days, [{ date: '2026-10-18', average: 42, count: 96 }]);
+    expect(filled[1]).toMatchObject({ gap: false, fromStored: true, average: 42, count: 96 });
+    expect(missingDailyAverages(filled, [], '2026-10-19').map((d) => d.data)).toEqual(['2026-10-17']);
+  });
+});
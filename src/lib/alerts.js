@@ -0,0 +1,168 @@
+// src/lib/alerts.js
+// Regras de alerta avaliadas sobre as leituras e o estado das válvulas.
+// A avaliação é pura: recebe o retrato atual e devolve as condições ativas;
+// quem grava os alertas (coleção "alertas") e notifica é o App.
+import { sensorKey } from './calibration';
+import { t } from './i18n';
+
+export const ALERT_RULES = {
+  lowHumidity: {
+    label: 'Umidade abaixo do mínimo',
+    params: { minutes: 30, muteMinutes: 120 },
+  },
+  valveOnTooLong: {
+    label: 'Válvula aberta além do esperado',
+    params: { maxMinutes: 60, graceMinutes: 2, muteMinutes: 60 },
+  },
+  noRiseWhileIrrigating: {
+    label: 'Umidade não sobe durante a irrigação',
+    params: { minutes: 10, minRise: 2, muteMinutes: 60 },
+  },
+};
+
+// open → acknowledged (alguém viu) → resolved (condição acabou ou foi encerrado)
+export const ALERT_STATES = {
+  open: 'Aberto',
+  acknowledged: 'Reconhecido',
+  resolved: 'Resolvido',
+};
+
+// Documento "configuracao/alertas" → { <regra>: { enabled, ...params } }
+export function normalizeAlertRules(data = {}) {
+  return Object.fromEntries(
+    Object.entries(ALERT_RULES).map(([key, def]) => {
+      const saved = data[key] || {};
+      const params = Object.fromEntries(
+        Object.entries(def.params).map(([p, fallback]) => [
+          p,
+          typeof saved[p] === 'number' && saved[p] >= 0 ? saved[p] : fallback,
+        ])
+      );
+      return [key, { enabled: saved.enabled !== false, ...params }];
+    })
+  );
+}
+
+// Textos dos alertas. O documento guarda a chave ("messageKey") e os valores
+// ("messageParams"); a tradução é feita ao mostrar (alertMessage), no idioma
+// de quem lê, e não no de quem abriu o alerta.
+export const ALERT_MESSAGES = {
+  lowHumidity: '{name}: umidade {humidity}% abaixo do mínimo de {min}% há {minutes} min',
+  valveOverdue: '{name}: válvula aberta há {minutes} min, já passou do horário de desligar',
+  valveOpen: '{name}: válvula aberta há {minutes} min',
+  noRise:
+    '{name}: umidade não subiu em {minutes} min de irrigação ({from}% → {to}%). ' +
+    'Verifique vazamento ou reservatório vazio.',
+};
+
+// Texto do alerta no idioma atual ("message" = alertas gravados já traduzidos)
+export function alertMessage(alert) {
+  const text = ALERT_MESSAGES[alert.messageKey];
+  return text ? t(text, alert.messageParams || {}) : alert.message || '';
+}
+
+// Mesmo episódio → mesmo id, para dois painéis abertos não duplicarem o alerta
+export const alertId = (rule, aspersorId, since) => `${rule}_${aspersorId}_${since}`;
+
+// Regra + aspersor: no máximo um alerta aberto por chave
+export const alertKey = (alert) => `${alert.rule}_${alert.aspersorId}`;
+
+// Resolvido pela avaliação (a condição acabou), e não por alguém. Alertas
+// antigos guardavam resolvedBy: "automático".
+export const isAutoResolved = (alert) => alert.autoResolved === true || alert.resolvedBy === 'automático';
+
+const minutesBetween = (a, b) => (b - a) / 60000;
+
+// Chaves silenciadas em "now": quem resolve um alerta à mão com a condição
+// ainda ativa não o vê reabrir na hora; a regra espera "muteMinutes" desde
+// a resolução antes de abrir outro alerta para o mesmo aspersor.
+export function mutedAlertKeys(alerts, rules, now = Date.now()) {
+  const muted = new Set();
+  for (const a of alerts) {
+    if (a.state !== 'resolved' || !a.resolvedAt || isAutoResolved(a)) continue;
+    if (minutesBetween(+a.resolvedAt, now) < (rules[a.rule]?.muteMinutes ?? 0)) muted.add(alertKey(a));
+  }
+  return muted;
+}
+
+// Início da sequência atual de leituras abaixo do mínimo (ms) ou null.
+// readings: [{ at, humidity }] em ordem crescente
+function belowSince(readings, minHumidity) {
+  let since = null;
+  for (let i = readings.length - 1; i >= 0; i--) {
+    if (typeof readings[i].humidity !== 'number') continue;
+    if (readings[i].humidity >= minHumidity) break;
+    since = readings[i].at;
+  }
+  return since;
+}
+
+// Última leitura até o instante informado (ou a primeira depois dele)
+function readingAt(readings, ms) {
+  let found = null;
+  for (const r of readings) {
+    if (r.at <= ms) found = r;
+    else return found || r;
+  }
+  return found;
+}
+
+// zones:    [{ id, name, sensorId, minHumidity }]
+// readings: { <sensorKey>: [{ at, humidity }] } em ordem crescente
+// statuses: { <aspersorId>: { isOn, startedAt (ms), endsAt (ms) } }
+// → [{ id, rule, aspersorId, since, messageKey, messageParams }]
+export function evaluateAlerts({ zones, readings, statuses, rules, now = Date.now() }) {
+  const active = [];
+  const push = (rule, zone, since, messageKey, messageParams) =>
+    active.push({ id: alertId(rule, zone.id, since), rule, aspersorId: zone.id, since, messageKey, messageParams });
+
+  for (const zone of zones) {
+    const name = zone.name || zone.id;
+    const series = readings[sensorKey(zone.sensorId)] || [];
+    const latest = series[series.length - 1];
+    const status = statuses[zone.id];
+
+    const low = rules.lowHumidity;
+    if (low?.enabled && typeof zone.minHumidity === 'number') {
+      const since = belowSince(series, zone.minHumidity);
+      if (since !== null && minutesBetween(since, now) >= low.minutes) {
+        push('lowHumidity', zone, since, 'lowHumidity', {
+          name,
+          humidity: latest.humidity,
+          min: zone.minHumidity,
+          minutes: Math.round(minutesBetween(since, now)),
+        });
+      }
+    }
+
+    if (!status?.isOn || !status.startedAt) continue;
+    const openMinutes = minutesBetween(status.startedAt, now);
+
+    const long = rules.valveOnTooLong;
+    if (long?.enabled) {
+      const late = status.endsAt
+        ? minutesBetween(status.endsAt, now) > long.graceMinutes
+        : openMinutes > long.maxMinutes;
+      if (late) {
+        push('valveOnTooLong', zone, status.startedAt, status.endsAt ? 'valveOverdue' : 'valveOpen', {
+          name,
+          minutes: Math.round(openMinutes),
+        });
+      }
+    }
+
+    const rise = rules.noRiseWhileIrrigating;
+    if (rise?.enabled && openMinutes >= rise.minutes && latest && latest.at > status.startedAt) {
+      const start = readingAt(series, status.startedAt);
+      if (start && typeof start.humidity === 'number' && latest.humidity - start.humidity < rise.minRise) {
+        push('noRiseWhileIrrigating', zone, status.startedAt, 'noRise', {
+          name,
+          minutes: Math.round(openMinutes),
+          from: start.humidity,
+          to: latest.humidity,
+        });
+      }
+    }
+  }
+  return active;
+}
@@ -0,0 +1,57 @@
+// src/lib/alerts.test.js
+import { describe, expect, it } from 'vitest';
+import { alertMessage, evaluateAlerts, mutedAlertKeys, normalizeAlertRules } from './alerts';
+import { setLocale } from './i18n';
+
+describe('mutedAlertKeys', () => {
+  const rules = normalizeAlertRules({ lowHumidity: { muteMinutes: 30 } });
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  const resolved = (minutesAgo, fields = {}) => ({
+    rule: 'lowHumidity',
+    aspersorId: 'aspersor1',
+    state: 'resolved',
+    resolvedAt: new Date(now - minutesAgo * 60000),
+    resolvedBy: 'ana@horta.dev',
+    ...fields,
+  });
+
+  it('silencia a regra do aspersor logo depois da resolução manual', () => {
+    expect([...mutedAlertKeys([resolved(10)], rules, now)]).toEqual(['lowHumidity_aspersor1']);
+  });
+
+  it('libera a regra depois de "muteMinutes"', () => {
+    expect(mutedAlertKeys([resolved(31)], rules, now).size).toBe(0);
+  });
+
+  it('não silencia resoluções automáticas nem alertas ainda abertos', () => {
+    const alerts = [
+      resolved(5, { resolvedBy: null, autoResolved: true }),
+      resolved(5, { resolvedBy: 'automático' }), // gravado antes de "autoResolved"
+      resolved(5, { state: 'open', resolvedAt: null }),
+    ];
+    expect(mutedAlertKeys(alerts, rules, now).size).toBe(0);
+  });
+});
+
+describe('alertMessage', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  const [alert] = evaluateAlerts({
+    zones: [{ id: 'aspersor1', name: 'Canteiro', sensorId: '', minHumidity: 30 }],
+    readings: { padrao: [{ at: now - 40 * 60000, humidity: 20 }, { at: now, humidity: 22 }] },
+    statuses: {},
+    rules: normalizeAlertRules(),
+    now,
+  });
+
+  it('guarda a chave e os valores, e traduz no idioma de quem lê', () => {
+    expect(alert).toMatchObject({ messageKey: 'lowHumidity', messageParams: { humidity: 22, minutes: 40 } });
+    setLocale('en');
+    expect(alertMessage(alert)).toBe('Canteiro: moisture 22% below the 30% minimum for 40 min');
+    setLocale('pt-BR');
+    expect(alertMessage(alert)).toBe('Canteiro: umidade 22% abaixo do mínimo de 30% há 40 min');
+  });
+
+  it('alertas antigos mostram o texto gravado', () => {
+    expect(alertMessage({ message: 'Texto antigo' })).toBe('Texto antigo');
+  });
+});
@@ -0,0 +1,77 @@
+// src/lib/audit.js
+// Registro de auditoria (coleção "auditoria" da horta): quem fez o quê, quando e
+// quais valores mudaram. Cada escrita do painel acrescenta uma entrada;
+// as entradas nunca são alteradas nem apagadas (ver firestore.rules).
+import { store, authApi } from './backend';
+import { queueWrite } from './offline';
+
+export const AUDIT_ACTIONS = {
+  'valve.on': 'Ligou aspersor',
+  'valve.off': 'Desligou aspersor',
+  'settings.auto': 'Alterou modo automático',
+  'settings.general': 'Alterou configurações gerais',
+  'settings.alerts': 'Alterou regras de alerta',
+  'settings.mqtt': 'Alterou broker MQTT',
+  'settings.budget': 'Alterou orçamento sazonal',
+  'irrigation.pause': 'Suspendeu a irrigação',
+  'irrigation.resume': 'Retomou a irrigação',
+  'schedule.create': 'Criou agendamento',
+  'schedule.update': 'Editou agendamento',
+  'schedule.pause': 'Pausou agendamento',
+  'schedule.resume': 'Reativou agendamento',
+  'schedule.delete': 'Excluiu agendamento',
+  'zone.save': 'Salvou aspersor',
+  'zone.delete': 'Excluiu aspersor',
+  'crop.save': 'Salvou perfil de cultura',
+  'crop.delete': 'Excluiu perfil de cultura',
+  'calibration.save': 'Salvou calibração',
+  'user.role': 'Alterou papel de usuário',
+  'member.invite': 'Convidou membro',
+  'member.uninvite': 'Cancelou convite',
+  'member.remove': 'Removeu membro',
+  'data.import': 'Importou dados',
+  'data.backfill': 'Gravou médias diárias',
+  'data.migrate': 'Migrou documentos antigos',
+  'alert.ack': 'Reconheceu alerta',
+  'alert.resolve': 'Resolveu alerta',
+};
+
+// O Firestore não aceita "undefined"; Timestamps viram Date
+function clean(value) {
+  if (value === undefined) return null;
+  if (value && typeof value.toDate === 'function') return value.toDate();
+  if (value instanceof Date || value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(clean);
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clean(v)]));
+}
+
+// Campos que mudaram entre before e after (para o feed de atividades)
+export function changedFields(before, after) {
+  const a = before || {};
+  const b = after || {};
+  const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])];
+  const same = (x, y) => JSON.stringify(clean(x)) === JSON.stringify(clean(y));
+  return keys
+    .filter((k) => k !== 'updatedAt' && k !== 'createdAt' && !same(a[k], b[k]))
+    .map((k) => ({ field: k, before: a[k], after: b[k] }));
+}
+
+// Acrescenta uma entrada. Falhas no registro não interrompem a ação.
+export async function logAudit({ action, target = '', before = null, after = null }) {
+  const user = authApi.currentUser();
+  try {
+    await queueWrite(store.addDoc('auditoria', {
+      action,
+      target,
+      actor: {
+        uid: user?.uid || '',
+        email: user?.email || '',
+      },
+      before: clean(before),
+      after: clean(after),
+      createdAt: new Date(),
+    }));
+  } catch (e) {
+    console.error('Erro ao registrar auditoria:', e);
+  }
+}
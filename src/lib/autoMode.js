@@ -0,0 +1,26 @@
+// src/lib/autoMode.js
+// Decisão do modo automático com histerese: abre a válvula abaixo do mínimo
+// e só fecha ao chegar no máximo, para não ficar ligando e desligando perto
+// do limite. É a mesma regra que o Node-RED aplica; o simulador usa daqui.
+
+// "paused" = irrigação suspensa (adiamento por chuva): vale como desligado.
+// "suspect" = a leitura foi marcada pelo filtro de qualidade (quality.js) e
+// é ignorada, como se não tivesse chegado.
+// → 'open' | 'close' | null (nada a fazer)
+export function autoModeAction({
+  enabled,
+  paused = false,
+  suspect = false,
+  humidity,
+  isOn,
+  source,
+  minHumidity,
+  maxHumidity,
+}) {
+  // desligar o modo automático fecha só o que ele mesmo abriu
+  if (!enabled || paused) return isOn && source === 'auto' ? 'close' : null;
+  if (suspect || typeof humidity !== 'number') return null;
+  if (!isOn && humidity < minHumidity) return 'open';
+  if (isOn && source === 'auto' && humidity >= maxHumidity) return 'close';
+  return null;
+}
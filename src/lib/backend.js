@@ -0,0 +1,49 @@
+// src/lib/backend.js
+// Fonte de dados do painel. Padrão: Firebase (com os emuladores locais se
+// VITE_USE_EMULATORS=true). Com VITE_DATA_SOURCE=memory tudo roda no
+// navegador, sem projeto Firebase, com o simulador de sensor e válvula.
+// VITE_SIMULATOR=true liga o simulador também sobre o Firestore (útil com o
+// emulador, entrando como "owner").
+//
+// As duas implementações expõem:
+//   store   – watchDoc, watchQuery, getDoc, getQuery, setDoc, updateDoc,
+//             addDoc, deleteDoc, setDocIf, writeBatch e deleteField
+//             (consultas: ver memoryStore.js)
+//   authApi – watch, currentUser, signInWithPassword, signUpWithPassword,
+//             sendVerification, reloadUser, sendLoginLink,
+//             completeLoginLink e logout
+//
+// Daqui sai o "store" da horta selecionada (selectGarden): os caminhos das
+// coleções da horta ganham o prefixo "hortas/<id>/" (ver gardens.js).
+// "rootStore" enxerga o banco inteiro (usuarios, hortas).
+import { scopeStore } from './gardens';
+import { clearGardenInvalidDocs } from './schemas';
+
+export const DATA_SOURCE = import.meta.env.VITE_DATA_SOURCE === 'memory' ? 'memory' : 'firestore';
+
+export const SIMULATOR_ENABLED =
+  DATA_SOURCE === 'memory' || import.meta.env.VITE_SIMULATOR === 'true';
+
+const impl =
+  DATA_SOURCE === 'memory' ? await import('./memoryBackend') : await import('./firestoreBackend');
+
+export const { authApi } = impl;
+
+export const rootStore = impl.store;
+
+let selectedGardenId = null;
+
+export function selectGarden(id) {
+  if (id !== selectedGardenId) clearGardenInvalidDocs();
+  selectedGardenId = id;
+}
+
+export const currentGardenId = () => selectedGardenId;
+
+// Store de uma horta fixa (para o simulador, que roda em segundo plano)
+export const storeFor = (gardenId) => scopeStore(rootStore, () => gardenId);
+
+export const store = scopeStore(rootStore, () => {
+  if (!selectedGardenId) throw new Error('Nenhuma horta selecionada');
+  return selectedGardenId;
+});
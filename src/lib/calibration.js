@@ -0,0 +1,79 @@
+// src/lib/calibration.js
+// Calibração dos sensores capacitivos: converte o valor bruto do ADC em
+// porcentagem de umidade a partir de pontos de referência medidos em campo
+// (no mínimo "seco" = 0% e "molhado" = 100%). Entre os pontos a conversão é
+// linear; fora deles usa o segmento mais próximo e limita a 0–100%.
+
+// Chave usada para leituras sem "sensorId"
+export const DEFAULT_SENSOR_KEY = 'padrao';
+
+export const sensorKey = (sensorId) => sensorId || DEFAULT_SENSOR_KEY;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+const clamp = (n) => Math.max(0, Math.min(100, n));
+
+// Ordena por valor bruto e descarta pontos inválidos ou repetidos
+export function normalizePoints(points = []) {
+  const seen = new Set();
+  return points
+    .filter((p) => Number.isFinite(p?.raw) && Number.isFinite(p?.pct))
+    .sort((a, b) => a.raw - b.raw)
+    .filter((p) => (seen.has(p.raw) ? false : seen.add(p.raw)));
+}
+
+// A porcentagem precisa só subir ou só descer conforme o bruto aumenta,
+// senão um mesmo valor teria duas leituras possíveis
+export function isMonotonic(points) {
+  const pts = normalizePoints(points);
+  if (pts.length < 2) return false;
+  const dir = Math.sign(pts[pts.length - 1].pct - pts[0].pct);
+  if (!dir) return false;
+  return pts.every((p, i) => i === 0 || Math.sign(p.pct - pts[i - 1].pct) === dir);
+}
+
+function interpolate(x, x0, y0, x1, y1) {
+  return y0 + ((x - x0) * (y1 - y0)) / (x1 - x0);
+}
+
+// Valor bruto → % (null se o sensor não estiver calibrado)
+export function rawToPercent(raw, points) {
+  const pts = normalizePoints(points);
+  if (!Number.isFinite(raw) || !isMonotonic(pts)) return null;
+  let i = pts.findIndex((p) => p.raw >= raw);
+  if (i === -1) i = pts.length - 1;
+  else if (i === 0) i = 1;
+  const a = pts[i - 1];
+  const b = pts[i];
+  return round1(clamp(interpolate(raw, a.raw, a.pct, b.raw, b.pct)));
+}
+
+// % → valor bruto equivalente (usado para gravar os limites do modo
+// automático no formato que o ESP32/Node-RED compara)
+export function percentToRaw(pct, points) {
+  const pts = normalizePoints(points);
+  if (!Number.isFinite(pct) || !isMonotonic(pts)) return null;
+  for (let i = 1; i < pts.length; i++) {
+    const a = pts[i - 1];
+    const b = pts[i];
+    const lo = Math.min(a.pct, b.pct);
+    const hi = Math.max(a.pct, b.pct);
+    if (pct >= lo && pct <= hi) {
+      return Math.round(interpolate(pct, a.pct, a.raw, b.pct, b.raw));
+    }
+  }
+  // fora da faixa calibrada: prolonga o segmento da ponta mais próxima
+  const first = pts[0];
+  const last = pts[pts.length - 1];
+  const nearFirst = Math.abs(pct - first.pct) < Math.abs(pct - last.pct);
+  const [a, b] = nearFirst ? [pts[0], pts[1]] : [pts[pts.length - 2], last];
+  return Math.round(interpolate(pct, a.pct, a.raw, b.pct, b.raw));
+}
+
+// Leitura { humidity, raw, sensorId } → mesma leitura com a umidade
+// convertida pela calibração do sensor, quando houver valor bruto
+export function calibrateReading(reading, calibrations = {}) {
+  if (!reading || !Number.isFinite(reading.raw)) return reading;
+  const pct = rawToPercent(reading.raw, calibrations[sensorKey(reading.sensorId)]);
+  if (pct === null) return reading;
+  return { ...reading, humidity: pct, calibrated: true };
+}
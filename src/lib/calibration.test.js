@@ -0,0 +1,85 @@
+// src/lib/calibration.test.js
+import { describe, expect, it } from 'vitest';
+import { calibrateReading, isMonotonic, normalizePoints, percentToRaw, rawToPercent } from './calibration';
+
+// Sensor capacitivo: quanto mais úmido, menor o valor bruto
+const POINTS = [
+  { raw: 3200, pct: 0 },
+  { raw: 2400, pct: 50 },
+  { raw: 1400, pct: 100 },
+];
+
+describe('normalizePoints / isMonotonic', () => {
+  it('ordena pelo bruto e descarta pontos inválidos ou repetidos', () => {
+    const pts = normalizePoints([
+      { raw: 2000, pct: 60 },
+      { raw: 1000, pct: 100 },
+      { raw: 2000, pct: 70 },
+      { raw: 'x' },
+    ]);
+    expect(pts).toEqual([
+      { raw: 1000, pct: 100 },
+      { raw: 2000, pct: 60 },
+    ]);
+  });
+
+  it('exige ao menos dois pontos e a porcentagem num só sentido', () => {
+    expect(isMonotonic(POINTS)).toBe(true);
+    expect(isMonotonic([{ raw: 3000, pct: 0 }])).toBe(false);
+    expect(isMonotonic([...POINTS, { raw: 1000, pct: 80 }])).toBe(false);
+  });
+});
+
+describe('rawToPercent', () => {
+  it('interpola linearmente entre os pontos vizinhos', () => {
+    expect(rawToPercent(2800, POINTS)).toBe(25);
+    expect(rawToPercent(1900, POINTS)).toBe(75);
+    expect(rawToPercent(2400, POINTS)).toBe(50);
+  });
+
+  it('fora dos pontos usa o segmento mais próximo e limita a 0–100%', () => {
+    expect(rawToPercent(3600, POINTS)).toBe(0);
+    expect(rawToPercent(1000, POINTS)).toBe(100);
+    expect(rawToPercent(1500, [{ raw: 3000, pct: 0 }, { raw: 2000, pct: 50 }])).toBe(75);
+  });
+
+  it('sem calibração válida → null', () => {
+    expect(rawToPercent(2000, [])).toBeNull();
+    expect(rawToPercent(Number.NaN, POINTS)).toBeNull();
+  });
+});
+
+describe('percentToRaw', () => {
+  it('é o inverso de rawToPercent dentro da faixa calibrada', () => {
+    expect(percentToRaw(25, POINTS)).toBe(2800);
+    expect(percentToRaw(75, POINTS)).toBe(1900);
+  });
+
+  it('fora da faixa prolonga o segmento da ponta mais próxima', () => {
+    const pts = [{ raw: 3000, pct: 10 }, { raw: 2000, pct: 90 }];
+    expect(percentToRaw(0, pts)).toBe(3125);
+    expect(percentToRaw(100, pts)).toBe(1875);
+  });
+
+  it('sem calibração válida → null', () => {
+    expect(percentToRaw(50, [{ raw: 3000, pct: 0 }])).toBeNull();
+  });
+});
+
+describe('calibrateReading', () => {
+  const calibrations = { s1: POINTS };
+
+  it('converte o bruto pela calibração do sensor', () => {
+    expect(calibrateReading({ raw: 2800, humidity: null, sensorId: 's1' }, calibrations)).toMatchObject({
+      humidity: 25,
+      calibrated: true,
+    });
+  });
+
+  it('sem bruto ou sem calibração, a leitura segue como veio', () => {
+    const noRaw = { humidity: 40, sensorId: 's1' };
+    const uncalibrated = { raw: 2800, humidity: null, sensorId: 's2' };
+    expect(calibrateReading(noRaw, calibrations)).toBe(noRaw);
+    expect(calibrateReading(uncalibrated, calibrations)).toBe(uncalibrated);
+  });
+});
@@ -0,0 +1,75 @@
+// src/lib/consumption.js
+// Sessões de irrigação (coleção "sessoesIrrigacao") e estimativa de consumo
+// de água: cada período com a válvula aberta vira uma sessão com início,
+// fim e origem; os litros saem da duração × vazão do aspersor.
+import { DAY_MS, dayKey, dayRange } from './aggregation';
+import { DEFAULT_TIME_ZONE } from './scheduleEngine';
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// Quem abriu a válvula (campo "source" do status e das sessões); o painel
+// traduz na hora de mostrar
+export const SOURCE_LABELS = {
+  manual: 'manualmente',
+  auto: 'pelo modo automático',
+  schedule: 'por agendamento',
+};
+
+// Id da sessão aberta por um comando: o mesmo para o painel e o Node-RED,
+// então gravar duas vezes não duplica a sessão
+export const sessionId = (aspersorId, commandId) => `${aspersorId}_${commandId}`;
+
+// Duração em minutos (sessão aberta conta até "now")
+export function sessionMinutes(session, now = Date.now()) {
+  const end = session.endedAt ?? now;
+  return Math.max(0, (end - session.startedAt) / 60000);
+}
+
+// Litros estimados; usa a vazão gravada na sessão ou a atual do aspersor
+export function sessionLiters(session, flowRateLpm, now = Date.now()) {
+  const rate = Number.isFinite(session.flowRateLpm) ? session.flowRateLpm : flowRateLpm;
+  if (!Number.isFinite(rate) || rate <= 0) return null;
+  return round1(sessionMinutes(session, now) * rate);
+}
+
+// "AAAA-MM-DD" da segunda-feira da semana do dia informado
+export function weekKey(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  const utc = new Date(Date.UTC(y, m - 1, d));
+  const offset = (utc.getUTCDay() + 6) % 7;
+  return new Date(utc.getTime() - offset * DAY_MS).toISOString().slice(0, 10);
+}
+
+// sessions: [{ aspersorId, startedAt (ms), endedAt, flowRateLpm }]
+// flowRates: { <aspersorId>: L/min }
+// → { rows: [{ date, total, <aspersorId>: litros }], totals: { <aspersorId>: litros }, unknownRate }
+// Sessões que atravessam a meia-noite contam no dia em que começaram.
+export function aggregateConsumption(
+  sessions,
+  { from, to, flowRates = {}, period = 'day', timeZone = DEFAULT_TIME_ZONE, now = Date.now() }
+) {
+  const fromMs = from.getTime();
+  const toMs = to.getTime();
+  const bucketOf = (date) => (period === 'week' ? weekKey(date) : date);
+
+  const keys = [...new Set(dayRange(fromMs, toMs, timeZone).map(bucketOf))];
+  const rows = Object.fromEntries(keys.map((k) => [k, { date: k, total: 0 }]));
+  const totals = {};
+  const unknownRate = new Set();
+
+  for (const s of sessions) {
+    if (s.startedAt < fromMs || s.startedAt > toMs) continue;
+    const liters = sessionLiters(s, flowRates[s.aspersorId], now);
+    if (liters === null) {
+      unknownRate.add(s.aspersorId);
+      continue;
+    }
+    const row = rows[bucketOf(dayKey(s.startedAt, timeZone))];
+    if (!row) continue;
+    row[s.aspersorId] = round1((row[s.aspersorId] || 0) + liters);
+    row.total = round1(row.total + liters);
+    totals[s.aspersorId] = round1((totals[s.aspersorId] || 0) + liters);
+  }
+
+  return { rows: keys.map((k) => rows[k]), totals, unknownRate: [...unknownRate] };
+}
@@ -0,0 +1,123 @@
+// src/lib/crops.js
+// Perfis de cultura: faixa de umidade recomendada e duração típica da rega
+// de cada planta. A biblioteca padrão abaixo vale enquanto o responsável não
+// edita um perfil; os editados e os novos ficam na coleção "culturas" (um
+// documento com o mesmo id substitui o padrão).
+//
+// Cada aspersor guarda "cropId" e "cropLocked". Ao escolher a cultura, os
+// limites do modo automático são preenchidos com a faixa do perfil; com
+// "cropLocked" eles acompanham o perfil e não podem ser mudados no card.
+
+import { compareText, t } from './i18n';
+
+// Umidade em % do sensor calibrado; minutos = duração típica de uma rega
+export const DEFAULT_CROPS = [
+  {
+    id: 'alface',
+    name: 'Alface',
+    emoji: '🥬',
+    minHumidity: 60,
+    maxHumidity: 80,
+    minutes: 10,
+    notes: 'Raiz rasa: regas curtas e frequentes, sem encharcar.',
+  },
+  {
+    id: 'rucula',
+    name: 'Rúcula',
+    emoji: '🌱',
+    minHumidity: 60,
+    maxHumidity: 80,
+    minutes: 10,
+    notes: 'Com solo seco fica picante e pendoa cedo.',
+  },
+  {
+    id: 'couve',
+    name: 'Couve',
+    emoji: '🥦',
+    minHumidity: 55,
+    maxHumidity: 75,
+    minutes: 15,
+    notes: '',
+  },
+  {
+    id: 'cenoura',
+    name: 'Cenoura',
+    emoji: '🥕',
+    minHumidity: 50,
+    maxHumidity: 70,
+    minutes: 15,
+    notes: 'Excesso de água racha as raízes.',
+  },
+  {
+    id: 'tomate',
+    name: 'Tomate',
+    emoji: '🍅',
+    minHumidity: 55,
+    maxHumidity: 75,
+    minutes: 20,
+    notes: 'Regar sem molhar as folhas; umidade irregular racha os frutos.',
+  },
+  {
+    id: 'pimentao',
+    name: 'Pimentão',
+    emoji: '🫑',
+    minHumidity: 55,
+    maxHumidity: 75,
+    minutes: 20,
+    notes: '',
+  },
+  {
+    id: 'morango',
+    name: 'Morango',
+    emoji: '🍓',
+    minHumidity: 60,
+    maxHumidity: 80,
+    minutes: 10,
+    notes: '',
+  },
+  {
+    id: 'ervas',
+    name: 'Ervas (cebolinha, salsa, manjericão)',
+    emoji: '🌿',
+    minHumidity: 45,
+    maxHumidity: 65,
+    minutes: 10,
+    notes: 'Toleram solo mais seco entre as regas.',
+  },
+];
+
+// Documentos da coleção "culturas" ([{ id, data }]) → lista completa, em
+// ordem alfabética. "builtIn" = faz parte da biblioteca padrão;
+// "edited" = padrão alterado pelo responsável.
+export function mergeCrops(docs) {
+  const stored = new Map(docs.map((d) => [d.id, d.data]));
+  // os padrões não editados aparecem no idioma do painel
+  const builtIn = DEFAULT_CROPS.map((c) => ({
+    ...c,
+    name: t(c.name),
+    notes: c.notes && t(c.notes),
+    ...stored.get(c.id),
+    id: c.id,
+    builtIn: true,
+    edited: stored.has(c.id),
+  }));
+  const custom = docs
+    .filter((d) => !DEFAULT_CROPS.some((c) => c.id === d.id))
+    .map((d) => ({ emoji: '🌱', notes: '', ...d.data, id: d.id, builtIn: false, edited: false }));
+  return [...builtIn, ...custom].sort((a, b) => compareText(a.name, b.name));
+}
+
+export const findCrop = (crops, id) => (id ? crops.find((c) => c.id === id) || null : null);
+
+// Perfil padrão com esse id (para "restaurar padrão")
+export const defaultCrop = (id) => DEFAULT_CROPS.find((c) => c.id === id) || null;
+
+// Campos gravados de um perfil (sem os indicadores builtIn/edited)
+export const cropFields = ({ name, emoji, minHumidity, maxHumidity, minutes, notes }) => ({
+  name,
+  emoji,
+  minHumidity,
+  maxHumidity,
+  minutes,
+  notes,
+});
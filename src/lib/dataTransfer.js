@@ -0,0 +1,199 @@
+// src/lib/dataTransfer.js
+// Exportação e importação (CSV/JSON) das coleções da horta. Aqui ficam só
+// os formatos e a validação; quem lê e grava no Firestore é o App.
+import { t } from './i18n';
+import { migrateDoc, schemaFor, validateDoc } from './schemas';
+
+export const EXPORT_FORMAT_VERSION = 1;
+
+// Coleções que podem ser exportadas/importadas. Os campos e a validação vêm
+// dos esquemas (schemas.js); "dateField" = campo usado no filtro por período.
+export const COLLECTIONS = {
+  leiturasUmidade: { label: 'Leituras de umidade', dateField: 'createdAt' },
+  mediaDiaria: { label: 'Médias diárias', dateField: 'data' },
+  agendamentos: { label: 'Agendamentos' },
+  aspersores: { label: 'Aspersores' },
+  culturas: { label: 'Perfis de cultura' },
+  sessoesIrrigacao: { label: 'Sessões de irrigação', dateField: 'startedAt' },
+  configuracao: { label: 'Configuração geral e calibração', onlyIds: ['geral', 'calibracao'] },
+};
+
+// Campos conhecidos (para a ordem das colunas do CSV)
+function knownFields(collectionName) {
+  if (collectionName !== 'configuracao') {
+    return Object.keys(schemaFor(collectionName)?.fields || {});
+  }
+  const ids = COLLECTIONS.configuracao.onlyIds;
+  return [...new Set(ids.flatMap((id) => Object.keys(schemaFor(collectionName, id).fields)))];
+}
+
+// ---------- serialização ----------
+
+// Valor do Firestore → valor simples (datas viram ISO 8601)
+function plain(value) {
+  if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(plain);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, plain(v)]));
+  }
+  return value;
+}
+
+// docs: [{ id, data }] vindos do Firestore
+export function toJSON(collectionName, docs) {
+  return JSON.stringify(
+    {
+      app: 'horta-inteligente',
+      version: EXPORT_FORMAT_VERSION,
+      collection: collectionName,
+      exportedAt: new Date().toISOString(),
+      docs: docs.map((d) => ({ id: d.id, ...plain(d.data) })),
+    },
+    null,
+    2
+  );
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (Array.isArray(value)) text = value.join('|');
+  else if (typeof value === 'object') text = JSON.stringify(value);
+  else text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCSV(collectionName, docs) {
+  const rows = docs.map((d) => ({ id: d.id, ...plain(d.data) }));
+  const known = knownFields(collectionName);
+  const extra = new Set();
+  rows.forEach((r) => Object.keys(r).forEach((k) => k !== 'id' && !known.includes(k) && extra.add(k)));
+  const columns = ['id', ...known, ...[...extra].sort()];
+  return [
+    columns.join(','),
+    ...rows.map((r) => columns.map((c) => csvCell(r[c])).join(',')),
+  ].join('\n');
+}
+
+// ---------- leitura de arquivos ----------
+
+// CSV (RFC 4180) → lista de objetos com os valores em texto
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  const [header, ...body] = rows.filter((r) => r.some((c) => c !== ''));
+  if (!header) return [];
+  return body.map((r) => Object.fromEntries(header.map((h, i) => [h.trim(), r[i] ?? ''])));
+}
+
+// O id vira o caminho "<coleção>/<id>" na gravação: uma barra levaria o
+// documento para outra coleção, e o Firestore não aceita ".", ".." nem
+// nomes como "__x__"
+const validDocId = (id) =>
+  typeof id === 'string' && !id.includes('/') && id !== '.' && id !== '..' && !/^__.*__$/.test(id);
+
+// Lê o conteúdo de um arquivo exportado (CSV ou JSON) e valida cada documento.
+// Retorna { collection, docs: [{ id, data }], errors: [{ row, id, message }] }.
+export function parseImport(text, { fileName = '', collection: chosen } = {}) {
+  let collectionName = chosen;
+  let rows;
+  let fromCSV = false;
+
+  if (fileName.toLowerCase().endsWith('.json') || text.trim().startsWith('{')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      return { collection: collectionName, docs: [], errors: [{ row: 0, message: t('JSON inválido') }] };
+    }
+    if (parsed.app !== 'horta-inteligente' || !Array.isArray(parsed.docs)) {
+      return {
+        collection: collectionName,
+        docs: [],
+        errors: [{ row: 0, message: t('Arquivo não foi exportado pela Horta Inteligente') }],
+      };
+    }
+    collectionName = parsed.collection;
+    rows = parsed.docs;
+  } else {
+    fromCSV = true;
+    rows = parseCSV(text);
+  }
+
+  const schema = COLLECTIONS[collectionName];
+  if (!schema) {
+    return {
+      collection: collectionName,
+      docs: [],
+      errors: [{ row: 0, message: t('Coleção "{name}" não pode ser importada', { name: collectionName }) }],
+    };
+  }
+
+  const docs = [];
+  const errors = [];
+  const seen = new Set();
+
+  rows.forEach((row, index) => {
+    const line = fromCSV ? index + 2 : index + 1; // +2: cabeçalho do CSV
+    const { id, ...fields } = row;
+    const problems = [];
+
+    if (!id) problems.push(t('id ausente'));
+    else if (!validDocId(id)) problems.push(t('id "{id}" inválido (sem "/", "." ou "..")', { id }));
+    else if (seen.has(id)) problems.push(t('id "{id}" repetido', { id }));
+    else if (schema.onlyIds && !schema.onlyIds.includes(id)) {
+      problems.push(t('só é permitido o documento {ids}', { ids: schema.onlyIds.join(', ') }));
+    }
+
+    // arquivos exportados antes de uma mudança de formato sobem de versão aqui
+    const checked = validateDoc(collectionName, id, migrateDoc(collectionName, id, fields).data, {
+      fromCSV,
+    });
+    problems.push(...checked.problems);
+    const { data } = checked;
+
+    if (problems.length) {
+      errors.push({ row: line, id, message: problems.join('; ') });
+    } else {
+      seen.add(id);
+      docs.push({ id, data });
+    }
+  });
+
+  return { collection: collectionName, docs, errors };
+}
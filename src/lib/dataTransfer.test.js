@@ -0,0 +1,30 @@
+// src/lib/dataTransfer.test.js
+import { describe, expect, it } from 'vitest';
+import { parseImport } from './dataTransfer';
+
+const exported = (docs) => JSON.stringify({ app: 'horta-inteligente', collection: 'aspersores', docs });
+
+describe('parseImport', () => {
+  it('recusa ids que mudariam o caminho do documento', () => {
+    const { docs, errors } = parseImport(
+      exported([
+        { id: 'aspersor1', name: 'Canteiro 1' },
+        { id: 'aspersor2/leituras/x', name: 'Canteiro 2' },
+        { id: '..', name: 'Canteiro 3' },
+        { id: '__x__', name: 'Canteiro 4' },
+      ])
+    );
+    expect(docs.map((d) => d.id)).toEqual(['aspersor1']);
+    expect(errors.map((e) => e.row)).toEqual([2, 3, 4]);
+  });
+
+  it('recusa ids repetidos', () => {
+    const { errors } = parseImport(
+      exported([
+        { id: 'aspersor1', name: 'A' },
+        { id: 'aspersor1', name: 'B' },
+      ])
+    );
+    expect(errors).toHaveLength(1);
+  });
+});
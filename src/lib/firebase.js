@@ -1,10 +1,26 @@
 // src/lib/firebase.js
 import { initializeApp, getApps } from 'firebase/app';
-import { getAuth, signInAnonymously, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore } from 'firebase/firestore';
+import {
+  getAuth,
+  onAuthStateChanged,
+  signInWithEmailAndPassword,
+  createUserWithEmailAndPassword,
+  sendEmailVerification,
+  sendSignInLinkToEmail,
+  isSignInWithEmailLink,
+  signInWithEmailLink,
+  signOut,
+  connectAuthEmulator,
+} from 'firebase/auth';
+import {
+  getFirestore,
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+  connectFirestoreEmulator,
+} from 'firebase/firestore';
 
 const raw = import.meta.env.VITE_FIREBASE_CONFIG || '{}';
-console.log('RAW VITE_FIREBASE_CONFIG =', raw); // debug
 
 let config = {};
 try {
@@ -20,17 +36,84 @@ if (!ok) console.error('Config Firebase incompleto! Confira .env.local');
 // Inicializa (ou reusa) o app
 export const app = getApps().length ? getApps()[0] : initializeApp(config);
 export const auth = getAuth(app);
-export const db = getFirestore(app);
-
-export async function ensureAnonAuth() {
-  return new Promise((resolve) => {
-    onAuthStateChanged(auth, async (user) => {
-      if (!user) {
-        await signInAnonymously(auth).catch((e) =>
-          console.error('Erro auth anon:', e)
-        );
-      }
-      resolve();
+
+// Cache local persistente (IndexedDB): as últimas leituras, configurações e
+// agendamentos continuam visíveis sem conexão e as escritas feitas offline
+// ficam na fila até sincronizar. Na recarga do Vite o Firestore já existe.
+function createDb() {
+  try {
+    return initializeFirestore(app, {
+      localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
     });
+  } catch {
+    return getFirestore(app);
+  }
+}
+export const db = createDb();
+
+// Emuladores locais (firebase emulators:start) para testar as regras
+if (import.meta.env.VITE_USE_EMULATORS === 'true' && !auth.emulatorConfig) {
+  connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+  connectFirestoreEmulator(db, '127.0.0.1', 8080);
+}
+
+// Chave do localStorage com o e-mail que pediu o link de acesso
+const LINK_EMAIL_KEY = 'horta:emailLink';
+
+export function watchAuth(callback) {
+  return onAuthStateChanged(auth, callback);
+}
+
+export async function signInWithPassword(email, password) {
+  return signInWithEmailAndPassword(auth, email, password);
+}
+
+// Conta nova com senha: o e-mail ainda precisa ser confirmado (os convites
+// só valem para e-mails confirmados, ver firestore.rules)
+export async function signUpWithPassword(email, password) {
+  const credential = await createUserWithEmailAndPassword(auth, email, password);
+  await sendVerification().catch((e) => console.error('Erro ao enviar a confirmação de e-mail:', e));
+  return credential;
+}
+
+export async function sendVerification() {
+  await sendEmailVerification(auth.currentUser, {
+    url: window.location.origin + window.location.pathname,
+  });
+}
+
+// Relê o usuário e renova o token depois de confirmar o e-mail
+// (email_verified só muda nas regras com um token novo)
+export async function reloadUser() {
+  const user = auth.currentUser;
+  if (!user) return null;
+  await user.reload();
+  await user.getIdToken(true);
+  return auth.currentUser;
+}
+
+// Envia o "link mágico" de acesso por e-mail
+export async function sendLoginLink(email) {
+  await sendSignInLinkToEmail(auth, email, {
+    url: window.location.origin + window.location.pathname,
+    handleCodeInApp: true,
   });
+  window.localStorage.setItem(LINK_EMAIL_KEY, email);
+}
+
+// Conclui o login quando a página foi aberta pelo link do e-mail
+export async function completeLoginLink() {
+  if (!isSignInWithEmailLink(auth, window.location.href)) return false;
+  const email =
+    window.localStorage.getItem(LINK_EMAIL_KEY) ||
+    window.prompt('Confirme seu e-mail para entrar:');
+  if (!email) return false;
+  await signInWithEmailLink(auth, email, window.location.href);
+  window.localStorage.removeItem(LINK_EMAIL_KEY);
+  window.history.replaceState(null, '', window.location.pathname);
+  return true;
+}
+
+export async function logout() {
+  await signOut(auth);
 }
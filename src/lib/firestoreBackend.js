@@ -0,0 +1,134 @@
+// src/lib/firestoreBackend.js
+// Backend sobre o Firebase (Firestore + Auth). Mesma interface do
+// memoryBackend.js: o App só conhece "store" e "authApi" (ver backend.js).
+import {
+  collection,
+  doc,
+  onSnapshot,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  addDoc,
+  deleteDoc,
+  writeBatch,
+  runTransaction,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  documentId,
+  deleteField,
+} from 'firebase/firestore';
+import {
+  auth,
+  db,
+  watchAuth,
+  signInWithPassword,
+  signUpWithPassword,
+  sendVerification,
+  reloadUser,
+  sendLoginLink,
+  completeLoginLink,
+  logout,
+} from './firebase';
+
+const ref = (path) => doc(db, path);
+
+const toDoc = (snap) => ({
+  id: snap.id,
+  exists: snap.exists(),
+  data: snap.exists() ? snap.data() : {},
+  pending: snap.metadata.hasPendingWrites,
+});
+
+// startAfterId desempata o cursor pelo id do documento (ver memoryStore.js)
+function toQuery({
+  collection: name,
+  where: filters = [],
+  orderBy: order,
+  startAfter: cursor,
+  startAfterId: cursorId,
+  limit: max,
+}) {
+  const clauses = filters.map(([path, op, value]) =>
+    where(path === '__name__' ? documentId() : path, op, value)
+  );
+  if (order) clauses.push(orderBy(order[0], order[1] || 'asc'));
+  if (cursor !== undefined && cursorId !== undefined) {
+    clauses.push(orderBy(documentId(), order?.[1] || 'asc'), startAfter(cursor, cursorId));
+  } else if (cursor !== undefined) clauses.push(startAfter(cursor));
+  if (max) clauses.push(limit(max));
+  return query(collection(db, name), ...clauses);
+}
+
+const toDocs = (snap) =>
+  snap.docs.map((d) => ({ id: d.id, data: d.data(), pending: d.metadata.hasPendingWrites }));
+
+// "pending" = gravado neste aparelho e ainda não confirmado pelo servidor
+export const store = {
+  deleteField,
+
+  watchDoc(path, cb) {
+    return onSnapshot(ref(path), { includeMetadataChanges: true }, (snap) => cb(toDoc(snap)));
+  },
+
+  watchQuery(spec, cb) {
+    return onSnapshot(toQuery(spec), { includeMetadataChanges: true }, (snap) => cb(toDocs(snap)));
+  },
+
+  async getDoc(path) {
+    return toDoc(await getDoc(ref(path)));
+  },
+
+  async getQuery(spec) {
+    return toDocs(await getDocs(toQuery(spec)));
+  },
+
+  setDoc: (path, data, options = {}) => setDoc(ref(path), data, options),
+
+  updateDoc: (path, data) => updateDoc(ref(path), data),
+
+  async addDoc(name, data) {
+    return (await addDoc(collection(db, name), data)).id;
+  },
+
+  deleteDoc: (path) => deleteDoc(ref(path)),
+
+  // setDoc (merge) só se check(documento atual) aprovar, numa transação: de
+  // vários aparelhos disputando, só um grava. → documento anterior ou null.
+  // Sem conexão a transação falha (não fica na fila como as outras escritas).
+  setDocIf(path, data, check) {
+    return runTransaction(db, async (tx) => {
+      const current = toDoc(await tx.get(ref(path)));
+      if (!check(current)) return null;
+      tx.set(ref(path), data, { merge: true });
+      return current;
+    });
+  },
+
+  // o Firestore aceita até 500 operações por lote
+  async writeBatch(ops) {
+    for (let i = 0; i < ops.length; i += 400) {
+      const batch = writeBatch(db);
+      for (const op of ops.slice(i, i + 400)) {
+        if (op.delete) batch.delete(ref(op.path));
+        else batch.set(ref(op.path), op.data, { merge: Boolean(op.merge) });
+      }
+      await batch.commit();
+    }
+  },
+};
+
+export const authApi = {
+  watch: watchAuth,
+  currentUser: () => auth.currentUser,
+  signInWithPassword,
+  signUpWithPassword,
+  sendVerification,
+  reloadUser,
+  sendLoginLink,
+  completeLoginLink,
+  logout,
+};
@@ -0,0 +1,95 @@
+// src/lib/gardens.js
+// Hortas: cada horta tem seus próprios dados em "hortas/<id>/<coleção>"
+// (leituras, configuração, agendamentos, aspersores...) e seus membros no
+// documento "hortas/<id>":
+//
+//   members      { <uid>: { role, email, name } } – papel de cada um nesta horta
+//   memberUids   [uid] – os mesmos uids, para a consulta "minhas hortas"
+//   invites      { <e-mail>: role } – convites ainda não aceitos
+//   inviteEmails [e-mail] – os mesmos e-mails, para a consulta de convites
+//
+// Quem tem papel "owner" em "usuarios/<uid>" é responsável geral: cria hortas
+// e é responsável em todas elas.
+
+// Coleções que pertencem a uma horta (as demais – "usuarios" e "hortas" –
+// são globais)
+export const GARDEN_COLLECTIONS = [
+  'leiturasUmidade',
+  'mediaDiaria',
+  'configuracao',
+  'agendamentos',
+  'status',
+  'aspersores',
+  'sessoesIrrigacao',
+  'dispositivos',
+  'alertas',
+  'auditoria',
+  'culturas',
+];
+
+// Horta que recebe os dados de antes das hortas (ver moveToGarden)
+export const DEFAULT_GARDEN_ID = 'principal';
+
+export const gardenPath = (gardenId, path) => `hortas/${gardenId}/${path}`;
+
+const isGardenPath = (path) => GARDEN_COLLECTIONS.includes(path.split('/')[0]);
+
+// "store" em que os caminhos das coleções da horta ("aspersores/x") viram
+// "hortas/<id>/aspersores/x". getGardenId é chamado a cada operação.
+export function scopeStore(store, getGardenId) {
+  const scoped = (path) => (isGardenPath(path) ? gardenPath(getGardenId(), path) : path);
+  const scopedSpec = (spec) => ({ ...spec, collection: scoped(spec.collection) });
+  return {
+    deleteField: store.deleteField,
+    watchDoc: (path, cb) => store.watchDoc(scoped(path), cb),
+    watchQuery: (spec, cb) => store.watchQuery(scopedSpec(spec), cb),
+    getDoc: (path) => store.getDoc(scoped(path)),
+    getQuery: (spec) => store.getQuery(scopedSpec(spec)),
+    setDoc: (path, data, options) => store.setDoc(scoped(path), data, options),
+    updateDoc: (path, data) => store.updateDoc(scoped(path), data),
+    addDoc: (collection, data) => store.addDoc(scoped(collection), data),
+    deleteDoc: (path) => store.deleteDoc(scoped(path)),
+    setDocIf: (path, data, check) => store.setDocIf(scoped(path), data, check),
+    writeBatch: (ops) => store.writeBatch(ops.map((op) => ({ ...op, path: scoped(op.path) }))),
+  };
+}
+
+// Papel do usuário na horta ("" = não participa)
+export function gardenRole(garden, profile) {
+  if (!garden || !profile) return '';
+  if (profile.role === 'owner') return 'owner';
+  return garden.members?.[profile.uid]?.role || '';
+}
+
+const memberInfo = (profile, role) => ({
+  role,
+  email: profile.email || '',
+  name: profile.name || '',
+});
+
+// Documento de uma horta nova, com quem criou como responsável
+export function newGarden(name, profile) {
+  return {
+    name,
+    createdAt: new Date(),
+    createdBy: profile.uid,
+    members: { [profile.uid]: memberInfo(profile, 'owner') },
+    memberUids: [profile.uid],
+    invites: {},
+    inviteEmails: [],
+  };
+}
+
+// Alteração (setDoc com merge) que transforma o convite do e-mail do
+// usuário em participação; null se não houver convite
+export function acceptInvitePatch(garden, profile, deleteField) {
+  const email = profile.email;
+  const role = email && garden.invites?.[email];
+  if (!role) return null;
+  return {
+    members: { [profile.uid]: memberInfo(profile, role) },
+    memberUids: [...new Set([...(garden.memberUids || []), profile.uid])],
+    invites: { [email]: deleteField() },
+    inviteEmails: (garden.inviteEmails || []).filter((e) => e !== email),
+  };
+}
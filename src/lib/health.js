@@ -0,0 +1,33 @@
+// src/lib/health.js
+// Saúde dos dispositivos: decide se um sensor/ESP32 está online, com dados
+// atrasados ou offline a partir da última leitura e do último heartbeat.
+import { t } from './i18n';
+
+export const DEFAULT_STALE_AFTER_MINUTES = 15;
+
+// online  – leitura recente
+// stale   – o dispositivo responde (heartbeat) mas as leituras pararam
+// offline – nem leitura nem heartbeat dentro do intervalo
+// unknown – nunca enviou nada
+export function deviceHealth({ lastReadingAt, lastHeartbeatAt, now = Date.now(), staleAfterMs }) {
+  const reading = lastReadingAt ? new Date(lastReadingAt).getTime() : null;
+  const heartbeat = lastHeartbeatAt ? new Date(lastHeartbeatAt).getTime() : null;
+  const lastSeenAt = Math.max(reading || 0, heartbeat || 0) || null;
+
+  if (!lastSeenAt) return { state: 'unknown', lastSeenAt: null };
+
+  const fresh = (t) => t !== null && now - t <= staleAfterMs;
+  if (fresh(reading)) return { state: 'online', lastSeenAt };
+  if (fresh(heartbeat)) return { state: 'stale', lastSeenAt };
+  return { state: 'offline', lastSeenAt };
+}
+
+// "agora", "há 5 min", "há 3 h", "há 2 d"
+export function formatAgo(ms, now = Date.now()) {
+  const min = Math.floor((now - ms) / 60000);
+  if (min < 1) return t('agora');
+  if (min < 60) return t('há {n} min', { n: min });
+  const h = Math.floor(min / 60);
+  if (h < 48) return t('há {n} h', { n: h });
+  return t('há {n} d', { n: Math.floor(h / 24) });
+}
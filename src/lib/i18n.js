@@ -0,0 +1,97 @@
+// src/lib/i18n.js
+// Idiomas do painel. Os textos ficam em português no código e passam por
+// t(): as traduções (src/locales) usam o próprio texto em português como
+// chave, e o que não estiver traduzido aparece em português.
+//
+//   t('Visto {ago}', { ago }) → "Seen 5 min ago"
+//
+// O idioma escolhido vale para o módulo todo (setLocale), como a horta
+// selecionada em backend.js: quem troca o idioma remonta o painel. Datas,
+// números e dias da semana seguem o mesmo idioma pelo Intl; os agendamentos
+// continuam gravados como números (weekdays) e rótulos em português (days).
+import en from '../locales/en';
+import es from '../locales/es';
+
+export const LOCALES = {
+  'pt-BR': 'Português',
+  en: 'English',
+  es: 'Español',
+};
+
+export const DEFAULT_LOCALE = 'pt-BR';
+
+const MESSAGES = { en, es };
+
+let current = DEFAULT_LOCALE;
+
+// "en-US" → "en"; idiomas sem tradução → português
+export function matchLocale(tag) {
+  if (!tag) return null;
+  if (LOCALES[tag]) return tag;
+  const base = String(tag).split('-')[0].toLowerCase();
+  if (base === 'pt') return 'pt-BR';
+  return LOCALES[base] ? base : null;
+}
+
+// Primeiro idioma do navegador que o painel conhece
+export function detectLocale(languages = globalThis.navigator?.languages || []) {
+  for (const tag of languages) {
+    const locale = matchLocale(tag);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+export function setLocale(locale) {
+  current = matchLocale(locale) || DEFAULT_LOCALE;
+  if (globalThis.document) document.documentElement.lang = current;
+}
+
+export const getLocale = () => current;
+
+// Texto traduzido, com "{nome}" trocado por vars.nome
+export function t(text, vars) {
+  const message = MESSAGES[current]?.[text] ?? text;
+  if (!vars) return message;
+  return message.replace(/\{(\w+)\}/g, (match, key) => (key in vars ? String(vars[key]) : match));
+}
+
+// 1234.5 → "1.234,5" / "1,234.5"
+export const formatNumber = (n, options) => Number(n).toLocaleString(current, options);
+
+// Nome do dia da semana (0 = domingo), "short" ou "long". O curto sai como
+// os rótulos de sempre: "Seg", "Mon", "Lun".
+export function weekdayName(day, style = 'short') {
+  // 1º de janeiro de 2023 foi um domingo
+  const name = new Date(Date.UTC(2023, 0, 1 + day)).toLocaleDateString(current, {
+    weekday: style,
+    timeZone: 'UTC',
+  });
+  if (style !== 'short') return name;
+  const label = name.replace(/\.$/, '');
+  return label.charAt(0).toLocaleUpperCase(current) + label.slice(1);
+}
+
+// Nome do mês (0 = janeiro)
+export const monthName = (month, style = 'short') =>
+  new Date(Date.UTC(2023, month, 15)).toLocaleDateString(current, { month: style, timeZone: 'UTC' });
+
+// "AAAA-MM-DD" → "22/10" / "10/22"
+export function formatDay(key, options = { day: '2-digit', month: '2-digit' }) {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).toLocaleDateString(current, { ...options, timeZone: 'UTC' });
+}
+
+// "3 h 20 min" / "12 min"
+export function formatDuration(ms) {
+  const totalMin = Math.max(0, Math.round(ms / 60000));
+  const d = Math.floor(totalMin / 1440);
+  const h = Math.floor((totalMin % 1440) / 60);
+  const m = totalMin % 60;
+  if (d) return `${d} d ${h} h`;
+  if (h) return `${h} h ${m} min`;
+  return `${m} min`;
+}
+
+// Ordenação de nomes no idioma atual
+export const compareText = (a, b) => a.localeCompare(b, current);
@@ -0,0 +1,57 @@
+// src/lib/memoryBackend.js
+// Backend em memória para desenvolver sem Firebase (VITE_DATA_SOURCE=memory).
+// Já entra com um usuário "owner", a horta padrão e um histórico de leituras
+// simulado; o simulador (simulator.js) continua gerando leituras e responde
+// aos comandos.
+import { createMemoryStore } from './memoryStore';
+import { seedHistory } from './simulator';
+import { DEFAULT_GARDEN_ID, newGarden, scopeStore } from './gardens';
+
+export const store = createMemoryStore();
+
+const DEV_USER = { uid: 'dev', email: 'dev@horta.local', displayName: 'Desenvolvimento', emailVerified: true };
+
+let currentUser = DEV_USER;
+const listeners = new Set();
+const notify = () => listeners.forEach((cb) => cb(currentUser));
+
+// Perfil do usuário de desenvolvimento (os demais entram como "viewer")
+await store.setDoc(`usuarios/${DEV_USER.uid}`, {
+  email: DEV_USER.email,
+  name: DEV_USER.displayName,
+  role: 'owner',
+  createdAt: new Date(),
+});
+await store.setDoc(
+  `hortas/${DEFAULT_GARDEN_ID}`,
+  newGarden('Horta principal', { uid: DEV_USER.uid, email: DEV_USER.email, name: DEV_USER.displayName })
+);
+await seedHistory(scopeStore(store, () => DEFAULT_GARDEN_ID));
+
+// Qualquer e-mail entra, já confirmado; o uid é o próprio e-mail
+const signIn = async (email) => {
+  currentUser = email === DEV_USER.email ? DEV_USER : { uid: email, email, displayName: '', emailVerified: true };
+  notify();
+  return currentUser;
+};
+
+export const authApi = {
+  watch(cb) {
+    listeners.add(cb);
+    queueMicrotask(() => listeners.has(cb) && cb(currentUser));
+    return () => listeners.delete(cb);
+  },
+  currentUser: () => currentUser,
+  signInWithPassword: signIn,
+  signUpWithPassword: signIn,
+  sendVerification: async () => {},
+  reloadUser: async () => currentUser,
+  async sendLoginLink(email) {
+    await signIn(email);
+  },
+  completeLoginLink: async () => false,
+  async logout() {
+    currentUser = null;
+    notify();
+  },
+};
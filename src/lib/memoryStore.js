@@ -0,0 +1,217 @@
+// src/lib/memoryStore.js
+// Banco de documentos em memória com a mesma interface do Firestore usada
+// pelo painel (ver firestoreBackend.js). Serve para desenvolver e testar sem
+// um projeto Firebase; os dados somem ao recarregar a página.
+//
+// Caminhos: "colecao/id" (ou subcoleções, "hortas/h1/colecao/id"). Consultas: { collection, where: [[campo, op, valor]],
+// orderBy: [campo, 'asc' | 'desc'], startAfter: valor, startAfterId: id, limit }. Como no Firestore, o campo
+// '__name__' no where é o id do documento, empates no orderBy saem pelo id (na mesma direção) e startAfterId
+// continua depois do documento (valor, id).
+
+const DELETE = Object.freeze({ __deleteField: true });
+
+const isPlainObject = (v) =>
+  v !== null && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Date);
+
+const clone = (v) => structuredClone(v);
+
+// Datas e Timestamps viram número para comparar
+const comparable = (v) => (v instanceof Date ? v.getTime() : v);
+
+function compare(a, b) {
+  const x = comparable(a);
+  const y = comparable(b);
+  if (x === y) return 0;
+  return x < y ? -1 : 1;
+}
+
+const field = (data, path) => path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), data);
+
+function matches(data, [path, op, expected]) {
+  const v = field(data, path);
+  if (v === undefined) return false;
+  switch (op) {
+    case '==':
+      return compare(v, expected) === 0;
+    case '!=':
+      return compare(v, expected) !== 0;
+    case '<':
+      return v !== null && compare(v, expected) < 0;
+    case '<=':
+      return v !== null && compare(v, expected) <= 0;
+    case '>':
+      return v !== null && compare(v, expected) > 0;
+    case '>=':
+      return v !== null && compare(v, expected) >= 0;
+    case 'in':
+      return expected.some((e) => compare(v, e) === 0);
+    case 'array-contains':
+      return Array.isArray(v) && v.some((e) => compare(e, expected) === 0);
+    default:
+      throw new Error(`Operador não suportado: ${op}`);
+  }
+}
+
+// Remove os campos marcados com deleteField()
+function stripDeletes(data) {
+  return Object.fromEntries(
+    Object.entries(data)
+      .filter(([, v]) => v !== DELETE)
+      .map(([k, v]) => [k, isPlainObject(v) ? stripDeletes(v) : v])
+  );
+}
+
+// setDoc com merge: mapas aninhados são mesclados, como no Firestore
+function deepMerge(target, patch) {
+  const out = { ...target };
+  for (const [k, v] of Object.entries(patch)) {
+    if (v === DELETE) delete out[k];
+    else if (isPlainObject(v) && isPlainObject(out[k])) out[k] = deepMerge(out[k], v);
+    else out[k] = isPlainObject(v) ? stripDeletes(v) : v;
+  }
+  return out;
+}
+
+export function createMemoryStore() {
+  const collections = new Map();
+  const docWatchers = new Set();
+  const queryWatchers = new Set();
+  const dirty = new Set();
+  let flushing = false;
+  let counter = 0;
+
+  const split = (path) => {
+    const i = path.lastIndexOf('/');
+    return [path.slice(0, i), path.slice(i + 1)];
+  };
+  const table = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+
+  const readDoc = (path) => {
+    const [name, id] = split(path);
+    const data = table(name).get(id);
+    return { id, exists: data !== undefined, data: data ? clone(data) : {}, pending: false };
+  };
+
+  const runQuery = ({ collection, where = [], orderBy, startAfter, startAfterId, limit }) => {
+    let docs = [...table(collection).entries()]
+      .filter(([id, data]) => where.every((w) => matches(w[0] === '__name__' ? { __name__: id } : data, w)))
+      .map(([id, data]) => ({ id, data }));
+    if (orderBy) {
+      const [path, dir = 'asc'] = orderBy;
+      const sign = dir === 'desc' ? -1 : 1;
+      docs = docs
+        .filter((d) => field(d.data, path) !== undefined)
+        .sort((a, b) => sign * (compare(field(a.data, path), field(b.data, path)) || compare(a.id, b.id)));
+      if (startAfter !== undefined) {
+        docs = docs.filter((d) => {
+          const c = compare(field(d.data, path), startAfter);
+          return sign * (c || (startAfterId !== undefined ? compare(d.id, startAfterId) : 0)) > 0;
+        });
+      }
+    }
+    if (limit) docs = docs.slice(0, limit);
+    return docs.map((d) => ({ id: d.id, data: clone(d.data), pending: false }));
+  };
+
+  // Avisa os observadores das coleções alteradas (uma vez por rodada)
+  const flush = () => {
+    flushing = false;
+    const changed = new Set(dirty);
+    dirty.clear();
+    for (const w of docWatchers) {
+      if (changed.has(split(w.path)[0])) w.cb(readDoc(w.path));
+    }
+    for (const w of queryWatchers) {
+      if (changed.has(w.spec.collection)) w.cb(runQuery(w.spec));
+    }
+  };
+  const touch = (name) => {
+    dirty.add(name);
+    if (!flushing) {
+      flushing = true;
+      queueMicrotask(flush);
+    }
+  };
+
+  const write = (path, update) => {
+    const [name, id] = split(path);
+    const t = table(name);
+    const next = update(t.get(id));
+    if (next === undefined) t.delete(id);
+    else t.set(id, clone(next));
+    touch(name);
+  };
+
+  return {
+    deleteField: () => DELETE,
+
+    watchDoc(path, cb) {
+      const w = { path, cb };
+      docWatchers.add(w);
+      queueMicrotask(() => docWatchers.has(w) && cb(readDoc(path)));
+      return () => docWatchers.delete(w);
+    },
+
+    watchQuery(spec, cb) {
+      const w = { spec, cb };
+      queryWatchers.add(w);
+      queueMicrotask(() => queryWatchers.has(w) && cb(runQuery(spec)));
+      return () => queryWatchers.delete(w);
+    },
+
+    async getDoc(path) {
+      return readDoc(path);
+    },
+
+    async getQuery(spec) {
+      return runQuery(spec);
+    },
+
+    async setDoc(path, data, { merge = false } = {}) {
+      write(path, (old) => (merge && old ? deepMerge(old, data) : stripDeletes(data)));
+    },
+
+    async updateDoc(path, data) {
+      write(path, (old) => {
+        if (!old) throw new Error(`Documento não encontrado: ${path}`);
+        const out = { ...old };
+        for (const [k, v] of Object.entries(data)) {
+          if (v === DELETE) delete out[k];
+          else out[k] = v;
+        }
+        return out;
+      });
+    },
+
+    async addDoc(collection, data) {
+      counter += 1;
+      const id = `${Date.now().toString(36)}${counter.toString(36)}`;
+      write(`${collection}/${id}`, () => stripDeletes(data));
+      return id;
+    },
+
+    async deleteDoc(path) {
+      write(path, () => undefined);
+    },
+
+    // setDoc com merge só se check(documento atual) aprovar → documento anterior ou null
+    async setDocIf(path, data, check) {
+      const current = readDoc(path);
+      if (!check(current)) return null;
+      write(path, (old) => (old ? deepMerge(old, data) : stripDeletes(data)));
+      return current;
+    },
+
+    // ops: [{ path, data, merge }] ou [{ path, delete: true }], gravadas juntas
+    async writeBatch(ops) {
+      for (const op of ops) {
+        write(op.path, (old) =>
+          op.delete ? undefined : op.merge && old ? deepMerge(old, op.data) : stripDeletes(op.data)
+        );
+      }
+    },
+  };
+}
@@ -0,0 +1,79 @@
+// src/lib/memoryStore.test.js
+import { describe, expect, it } from 'vitest';
+import { createMemoryStore } from './memoryStore';
+
+describe('paginação', () => {
+  // 5 leituras, as três do meio gravadas no mesmo instante
+  const seed = async () => {
+    const store = createMemoryStore();
+    const times = [1000, 2000, 2000, 2000, 3000];
+    await store.writeBatch(
+      times.map((ms, i) => ({ path: `leiturasUmidade/l${i}`, data: { createdAt: new Date(ms) } }))
+    );
+    return store;
+  };
+  const spec = { collection: 'leiturasUmidade', orderBy: ['createdAt', 'desc'], limit: 2 };
+
+  it('desempata pelo id do documento, na direção do orderBy', async () => {
+    const store = await seed();
+    const docs = await store.getQuery({ ...spec, limit: undefined });
+    expect(docs.map((d) => d.id)).toEqual(['l4', 'l3', 'l2', 'l1', 'l0']);
+  });
+
+  it('com startAfterId não pula documentos com o mesmo valor', async () => {
+    const store = await seed();
+    const ids = [];
+    let cursor;
+    for (;;) {
+      const page = await store.getQuery({
+        ...spec,
+        startAfter: cursor?.data.createdAt,
+        startAfterId: cursor?.id,
+      });
+      ids.push(...page.map((d) => d.id));
+      if (page.length < spec.limit) break;
+      cursor = page[page.length - 1];
+    }
+    expect(ids).toEqual(['l4', 'l3', 'l2', 'l1', 'l0']);
+  });
+
+  it('só com startAfter continua depois do valor', async () => {
+    const store = await seed();
+    const docs = await store.getQuery({ ...spec, startAfter: new Date(3000), limit: undefined });
+    expect(docs.map((d) => d.id)).toEqual(['l3', 'l2', 'l1', 'l0']);
+  });
+});
+
+describe('consulta pelo id', () => {
+  it('"__name__" no where compara com o id do documento', async () => {
+    const store = createMemoryStore();
+    await store.writeBatch(
+      ['2026-10-01', '2026-10-05', '2026-10-09'].map((id) => ({ path: `mediaDiaria/${id}`, data: { media: 50 } }))
+    );
+    const docs = await store.getQuery({ collection: 'mediaDiaria', where: [['__name__', '>=', '2026-10-05']] });
+    expect(docs.map((d) => d.id)).toEqual(['2026-10-05', '2026-10-09']);
+  });
+});
+
+describe('setDocIf', () => {
+  const stillOn = ({ exists, data }) => exists && data.isOn === true;
+
+  it('grava (com merge) só se a checagem aprovar o documento atual', async () => {
+    const store = createMemoryStore();
+    await store.setDoc('status/aspersor1', { isOn: true, source: 'manual' });
+    const previous = await store.setDocIf('status/aspersor1', { isOn: false }, stillOn);
+    expect(previous.data).toEqual({ isOn: true, source: 'manual' });
+    expect((await store.getDoc('status/aspersor1')).data).toEqual({ isOn: false, source: 'manual' });
+  });
+
+  it('de duas gravações concorrentes, só a primeira passa', async () => {
+    const store = createMemoryStore();
+    await store.setDoc('status/aspersor1', { isOn: true });
+    const results = await Promise.all([
+      store.setDocIf('status/aspersor1', { isOn: false, commandId: 'a' }, stillOn),
+      store.setDocIf('status/aspersor1', { isOn: false, commandId: 'b' }, stillOn),
+    ]);
+    expect(results.map(Boolean)).toEqual([true, false]);
+    expect((await store.getDoc('status/aspersor1')).data.commandId).toBe('a');
+  });
+});
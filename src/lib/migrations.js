@@ -0,0 +1,92 @@
+// src/lib/migrations.js
+// Rotina que regrava os documentos antigos no formato atual (ver as
+// "migrations" de cada esquema em schemas.js). A leitura já migra em memória,
+// então rodar a rotina é opcional — serve para o banco (e o Node-RED) verem
+// o formato novo. Documentos que continuam inválidos depois de migrados não
+// são gravados; vão para o relatório.
+import { SCHEMAS, migrateDoc, validateDoc, versionOf, withVersion } from './schemas';
+import { GARDEN_COLLECTIONS, gardenPath } from './gardens';
+
+// Coleções com alguma versão além da 1
+export const MIGRATABLE = Object.keys(SCHEMAS).filter(
+  (name) => !name.includes('/') && SCHEMAS[name].version > 1
+);
+
+async function outdated(store, name) {
+  const docs = await store.getQuery({ collection: name });
+  return docs.filter((d) => versionOf(d.data) < SCHEMAS[name].version);
+}
+
+// → { <coleção>: quantidade de documentos em versão antiga }
+export async function countOutdated(store) {
+  const counts = {};
+  for (const name of MIGRATABLE) counts[name] = (await outdated(store, name)).length;
+  return counts;
+}
+
+// → { <coleção>: { migrated, invalid: [{ id, problems }] } }
+export async function migrateAll(store, { collections = MIGRATABLE } = {}) {
+  const report = {};
+  for (const name of collections) {
+    const ops = [];
+    const invalid = [];
+    for (const d of await outdated(store, name)) {
+      const { data, problems } = validateDoc(name, d.id, migrateDoc(name, d.id, d.data).data);
+      if (problems.length) invalid.push({ id: d.id, problems });
+      else ops.push({ path: `${name}/${d.id}`, data });
+    }
+    await store.writeBatch(ops);
+    report[name] = { migrated: ops.length, invalid };
+  }
+  return report;
+}
+
+// ---------- migração única para hortas ----------
+// Antes das hortas, as coleções (leiturasUmidade, configuracao, ...) ficavam
+// na raiz do banco. Estas funções recebem o store do banco inteiro (rootStore).
+
+// → true se alguma coleção ainda tem documentos na raiz (um por coleção
+// basta; as coleções antigas podem ter milhares de leituras)
+export async function hasUngardened(rootStore) {
+  for (const name of GARDEN_COLLECTIONS) {
+    if ((await rootStore.getQuery({ collection: name, limit: 1 })).length) return true;
+  }
+  return false;
+}
+
+// Cria (ou completa) a horta "gardenId" com todos os usuários como membros,
+// no papel que tinham, e move para ela os documentos da raiz.
+// → { <coleção>: documentos movidos }
+export async function moveToGarden(rootStore, { gardenId, name, createdBy }) {
+  const users = await rootStore.getQuery({ collection: 'usuarios' });
+  const members = Object.fromEntries(
+    users
+      .filter((u) => u.data.role)
+      .map((u) => [u.id, { role: u.data.role, email: u.data.email || '', name: u.data.name || '' }])
+  );
+  await rootStore.setDoc(
+    `hortas/${gardenId}`,
+    withVersion('hortas', gardenId, {
+      name,
+      createdAt: new Date(),
+      createdBy,
+      members,
+      memberUids: Object.keys(members),
+      invites: {},
+      inviteEmails: [],
+    }),
+    { merge: true }
+  );
+
+  const report = {};
+  for (const collection of GARDEN_COLLECTIONS) {
+    const docs = await rootStore.getQuery({ collection });
+    // copia tudo antes de apagar: se cair no meio, rodar de novo completa
+    await rootStore.writeBatch(
+      docs.map((d) => ({ path: gardenPath(gardenId, `${collection}/${d.id}`), data: d.data }))
+    );
+    await rootStore.writeBatch(docs.map((d) => ({ path: `${collection}/${d.id}`, delete: true })));
+    report[collection] = docs.length;
+  }
+  return report;
+}
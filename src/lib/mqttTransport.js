@@ -0,0 +1,165 @@
+// src/lib/mqttTransport.js
+// Transporte MQTT sobre WebSocket, em paralelo ao Firestore: publica os
+// comandos dos aspersores e assina os tópicos de umidade e de estado direto
+// no broker (ex.: Mosquitto na rede local), sem depender do Node-RED.
+// A biblioteca "mqtt" só é carregada quando o transporte está ativado.
+
+// "{aspersorId}" e "{sensorId}" são trocados pelo id de cada um
+export const DEFAULT_MQTT_TOPICS = {
+  command: 'horta/aspersores/{aspersorId}/comando',
+  status: 'horta/aspersores/{aspersorId}/status',
+  humidity: 'horta/sensores/{sensorId}/umidade',
+};
+
+export const DEFAULT_MQTT_URL = import.meta.env.VITE_MQTT_URL || 'ws://localhost:9001';
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+// Documento "configuracao/mqtt" → { enabled, url, topics }
+export function normalizeMqttConfig(data = {}) {
+  const topics = { ...DEFAULT_MQTT_TOPICS };
+  for (const key of Object.keys(topics)) {
+    const t = data.topics?.[key];
+    if (typeof t === 'string' && t.trim()) topics[key] = t.trim();
+  }
+  return {
+    enabled: data.enabled === true,
+    url: typeof data.url === 'string' && data.url.trim() ? data.url.trim() : DEFAULT_MQTT_URL,
+    topics,
+  };
+}
+
+export const isValidBrokerUrl = (url) => /^wss?:\/\/[^\s]+$/.test(url);
+
+// Cada modelo precisa de exatamente um marcador, senão não dá para saber
+// de qual aspersor/sensor é a mensagem
+export function validateTopics(topics) {
+  const expected = { command: 'aspersorId', status: 'aspersorId', humidity: 'sensorId' };
+  return Object.entries(expected)
+    .filter(([key, name]) => {
+      const marks = [...(topics[key] || '').matchAll(PLACEHOLDER)].map((m) => m[1]);
+      return marks.length !== 1 || marks[0] !== name || /[+#]/.test(topics[key]);
+    })
+    .map(([key]) => key);
+}
+
+// Modelo + valores → tópico concreto
+export const fillTopic = (template, vars) =>
+  template.replace(PLACEHOLDER, (_, name) => vars[name] ?? '');
+
+// Modelo → filtro de assinatura ("{x}" vira "+")
+export const topicFilter = (template) => template.replace(PLACEHOLDER, '+');
+
+// Tópico recebido → { <marcador>: valor } ou null se não casar com o modelo
+export function matchTopic(template, topic) {
+  const names = [];
+  const pattern = template
+    .split(PLACEHOLDER)
+    .map((part, i) => {
+      if (i % 2) {
+        names.push(part);
+        return '([^/]+)';
+      }
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  const m = new RegExp(`^${pattern}$`).exec(topic);
+  if (!m) return null;
+  try {
+    return Object.fromEntries(names.map((n, i) => [n, decodeURIComponent(m[i + 1])]));
+  } catch {
+    // "%" malformado: a mensagem é ignorada, sem derrubar o handler do broker
+    return null;
+  }
+}
+
+function parseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+// Umidade: número puro ("57.3") ou { umidade, raw, at }
+export function parseHumidityPayload(text, now = Date.now()) {
+  const body = parseJSON(text);
+  if (typeof body === 'number') return { humidity: body, raw: null, at: now };
+  if (!body || typeof body !== 'object') return null;
+  const humidity = typeof body.umidade === 'number' ? body.umidade : null;
+  const raw = typeof body.raw === 'number' ? body.raw : null;
+  if (humidity === null && raw === null) return null;
+  const at = body.at ? new Date(body.at).getTime() : now;
+  return { humidity, raw, at: Number.isFinite(at) ? at : now };
+}
+
+// Estado: { isOn, source, ackCommandId, endsAt }, mesmos campos de "status/<id>"
+export function parseStatusPayload(text, now = Date.now()) {
+  const body = parseJSON(text);
+  if (!body || typeof body !== 'object' || typeof body.isOn !== 'boolean') return null;
+  return {
+    isOn: body.isOn,
+    source: body.source || null,
+    ackCommandId: body.ackCommandId || null,
+    endsAt: body.endsAt ? new Date(body.endsAt) : null,
+    at: now,
+  };
+}
+
+// Rótulos dos estados da conexão (o painel traduz na hora de mostrar)
+export const MQTT_STATE_LABELS = {
+  connecting: 'MQTT conectando...',
+  connected: 'MQTT conectado',
+  offline: 'MQTT sem conexão',
+  error: 'MQTT com erro',
+};
+
+// Cria a conexão com o broker.
+// handlers: { onState(state), onReading(sensorId, reading), onStatus(aspersorId, status) }
+// state: connecting | connected | offline | error
+export async function connectMqtt({ url, topics, username, password }, handlers) {
+  const { default: mqtt } = await import('mqtt');
+  const client = mqtt.connect(url, {
+    username: username || undefined,
+    password: password || undefined,
+    reconnectPeriod: 5000,
+    connectTimeout: 10000,
+    clientId: `painel-${Math.random().toString(16).slice(2, 10)}`,
+  });
+
+  handlers.onState?.('connecting');
+  client.on('connect', () => {
+    handlers.onState?.('connected');
+    client.subscribe([topicFilter(topics.humidity), topicFilter(topics.status)], { qos: 1 });
+  });
+  client.on('reconnect', () => handlers.onState?.('connecting'));
+  client.on('offline', () => handlers.onState?.('offline'));
+  client.on('error', (e) => {
+    console.error('Erro no MQTT:', e);
+    handlers.onState?.('error');
+  });
+  client.on('message', (topic, payload) => {
+    const text = payload.toString();
+    const sensor = matchTopic(topics.humidity, topic);
+    if (sensor) {
+      const reading = parseHumidityPayload(text);
+      if (reading) handlers.onReading?.(sensor.sensorId, reading);
+      return;
+    }
+    const valve = matchTopic(topics.status, topic);
+    if (valve) {
+      const status = parseStatusPayload(text);
+      if (status) handlers.onStatus?.(valve.aspersorId, status);
+    }
+  });
+
+  return {
+    // Publica um comando; resolve quando o broker confirmar (QoS 1)
+    publishCommand(aspersorId, command) {
+      const topic = fillTopic(topics.command, { aspersorId });
+      return client.publishAsync(topic, JSON.stringify(command), { qos: 1 });
+    },
+    connected: () => client.connected,
+    close: () => client.end(true),
+  };
+}
@@ -0,0 +1,135 @@
+// src/lib/mqttTransport.test.js
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_MQTT_TOPICS,
+  fillTopic,
+  matchTopic,
+  normalizeMqttConfig,
+  parseHumidityPayload,
+  parseStatusPayload,
+  topicFilter,
+  validateTopics,
+} from './mqttTransport';
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+describe('validateTopics', () => {
+  it('aceita os modelos padrão', () => {
+    expect(validateTopics(DEFAULT_MQTT_TOPICS)).toEqual([]);
+  });
+
+  it('recusa marcador ausente, repetido, trocado ou com curingas', () => {
+    expect(
+      validateTopics({
+        command: 'horta/comando',
+        status: 'horta/{aspersorId}/{aspersorId}',
+        humidity: 'horta/+/{sensorId}',
+      })
+    ).toEqual(['command', 'status', 'humidity']);
+    expect(validateTopics({ ...DEFAULT_MQTT_TOPICS, humidity: 'horta/{aspersorId}/umidade' })).toEqual(['humidity']);
+  });
+});
+
+describe('normalizeMqttConfig', () => {
+  it('completa os tópicos em branco com os padrões e só liga com enabled === true', () => {
+    const config = normalizeMqttConfig({
+      enabled: 'sim',
+      url: ' wss://broker ',
+      topics: { command: ' ', status: 'x/{aspersorId}' },
+    });
+    expect(config).toEqual({
+      enabled: false,
+      url: 'wss://broker',
+      topics: { ...DEFAULT_MQTT_TOPICS, status: 'x/{aspersorId}' },
+    });
+  });
+});
+
+describe('fillTopic / topicFilter', () => {
+  it('troca os marcadores pelos ids ou por "+"', () => {
+    const topic = fillTopic(DEFAULT_MQTT_TOPICS.command, { aspersorId: 'aspersor1' });
+    expect(topic).toBe('horta/aspersores/aspersor1/comando');
+    expect(topicFilter(DEFAULT_MQTT_TOPICS.humidity)).toBe('horta/sensores/+/umidade');
+  });
+});
+
+describe('matchTopic', () => {
+  const template = DEFAULT_MQTT_TOPICS.humidity;
+
+  it('extrai o id do tópico', () => {
+    expect(matchTopic(template, 'horta/sensores/sensor1/umidade')).toEqual({ sensorId: 'sensor1' });
+  });
+
+  it('decodifica ids com escapes', () => {
+    expect(matchTopic(template, 'horta/sensores/canteiro%20norte/umidade')).toEqual({ sensorId: 'canteiro norte' });
+  });
+
+  it('não casa com outros tópicos nem com níveis a mais', () => {
+    expect(matchTopic(template, 'horta/sensores/sensor1/temperatura')).toBeNull();
+    expect(matchTopic(template, 'horta/sensores/a/b/umidade')).toBeNull();
+  });
+
+  it('trata os pontos do modelo como texto', () => {
+    expect(matchTopic('horta.v1/{sensorId}', 'hortaxv1/sensor1')).toBeNull();
+  });
+
+  it('ignora escapes malformados em vez de lançar erro', () => {
+    expect(matchTopic(template, 'horta/sensores/100%/umidade')).toBeNull();
+    expect(matchTopic(template, 'horta/sensores/%E0%A4%A/umidade')).toBeNull();
+  });
+});
+
+describe('parseHumidityPayload', () => {
+  it('número puro vira a umidade, com o horário de chegada', () => {
+    expect(parseHumidityPayload('57.3', NOW)).toEqual({ humidity: 57.3, raw: null, at: NOW });
+  });
+
+  it('objeto com umidade, raw e horário', () => {
+    expect(parseHumidityPayload('{"umidade":40,"raw":512,"at":"2026-10-19T11:59:00Z"}', NOW)).toEqual({
+      humidity: 40,
+      raw: 512,
+      at: NOW - 60000,
+    });
+  });
+
+  it('só raw, ou horário inválido', () => {
+    expect(parseHumidityPayload('{"raw":512,"at":"ontem"}', NOW)).toEqual({ humidity: null, raw: 512, at: NOW });
+  });
+
+  it('ignora JSON inválido e objetos sem umidade nem raw', () => {
+    expect(parseHumidityPayload('não é json', NOW)).toBeNull();
+    expect(parseHumidityPayload('{"umidade":"40"}', NOW)).toBeNull();
+    expect(parseHumidityPayload('null', NOW)).toBeNull();
+  });
+});
+
+describe('parseStatusPayload', () => {
+  it('lê os campos de "status/<id>"', () => {
+    const status = parseStatusPayload(
+      '{"isOn":true,"source":"manual","ackCommandId":"cmd-1","endsAt":"2026-10-19T12:10:00Z"}',
+      NOW
+    );
+    expect(status).toEqual({
+      isOn: true,
+      source: 'manual',
+      ackCommandId: 'cmd-1',
+      endsAt: new Date('2026-10-19T12:10:00Z'),
+      at: NOW,
+    });
+  });
+
+  it('campos opcionais ausentes viram null', () => {
+    expect(parseStatusPayload('{"isOn":false}', NOW)).toEqual({
+      isOn: false,
+      source: null,
+      ackCommandId: null,
+      endsAt: null,
+      at: NOW,
+    });
+  });
+
+  it('exige "isOn" booleano', () => {
+    expect(parseStatusPayload('{"isOn":"true"}', NOW)).toBeNull();
+    expect(parseStatusPayload('{', NOW)).toBeNull();
+  });
+});
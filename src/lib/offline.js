@@ -0,0 +1,39 @@
+// src/lib/offline.js
+// Uso sem conexão: o Firestore guarda as escritas numa fila local e só
+// resolve a promessa quando o servidor confirma. Aqui contamos as escritas
+// pendentes (para o indicador de conexão) e evitamos que a interface fique
+// esperando enquanto o aparelho está offline.
+
+let pending = 0;
+const listeners = new Set();
+
+const notify = () => listeners.forEach((cb) => cb(pending));
+
+// Avisa "cb(n)" sempre que o número de escritas pendentes mudar
+export function watchPendingWrites(cb) {
+  listeners.add(cb);
+  cb(pending);
+  return () => listeners.delete(cb);
+}
+
+// Registra uma escrita do Firestore. Online, devolve a própria promessa;
+// offline, devolve uma já resolvida — a escrita continua na fila e aparece
+// como pendente até sincronizar.
+export function queueWrite(write) {
+  pending += 1;
+  notify();
+  const done = write
+    .catch((e) => {
+      console.error('Erro ao sincronizar escrita:', e);
+      throw e;
+    })
+    .finally(() => {
+      pending -= 1;
+      notify();
+    });
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    done.catch(() => {});
+    return Promise.resolve();
+  }
+  return done;
+}
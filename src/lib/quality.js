@@ -0,0 +1,137 @@
+// src/lib/quality.js
+// Qualidade das leituras de umidade. Cada leitura recebe um "flag":
+//   range – valor impossível: fora de 0–100%, 0% vindo do ESP32 (fio solto)
+//           ou valor bruto no limite do ADC
+//   spike – pico isolado: longe da mediana das leituras anteriores do sensor
+//   stuck – sensor travado: o mesmo valor por STUCK_MINUTES ou mais
+//   null  – leitura confiável
+// As leituras marcadas ficam fora das médias e dos alertas, aparecem
+// destacadas nos gráficos e o modo automático não age sobre elas (com
+// "configuracao/geral.ignoreSuspectReadings", ligado por padrão).
+import { calibrateReading } from './calibration';
+
+export const QUALITY_FLAGS = {
+  range: 'Valor impossível',
+  spike: 'Pico isolado',
+  stuck: 'Sensor travado',
+};
+
+export const ADC_MAX = 4095; // ADC de 12 bits do ESP32
+export const SPIKE_WINDOW = 5; // leituras anteriores usadas como referência
+export const SPIKE_MIN_DELTA = 10; // pontos percentuais
+export const STUCK_MINUTES = 180;
+export const SMOOTH_WINDOW = 5;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function impossible(r) {
+  if (r.humidity < 0 || r.humidity > 100) return true;
+  // com calibração, 0% é o solo mais seco que a curva alcança; sem ela,
+  // um 0 exato é o ESP32 lendo o fio solto
+  if (r.humidity === 0 && !r.calibrated) return true;
+  return Number.isFinite(r.raw) && (r.raw <= 0 || r.raw >= ADC_MAX);
+}
+
+// readings: [{ at (ms), humidity, raw?, sensorId? }] em ordem cronológica,
+// de um ou mais sensores → as mesmas leituras com "flag"
+export function flagReadings(
+  readings,
+  { spikeWindow = SPIKE_WINDOW, spikeMinDelta = SPIKE_MIN_DELTA, stuckMinutes = STUCK_MINUTES } = {}
+) {
+  const sensors = new Map();
+  return readings.map((r) => {
+    const key = r.sensorId || '';
+    if (!sensors.has(key)) sensors.set(key, { recent: [], runValue: undefined, runStart: null });
+    const s = sensors.get(key);
+    if (impossible(r)) return { ...r, flag: 'range' };
+
+    let flag = null;
+    // travado: sem nenhuma variação (no valor bruto, se houver) por horas
+    const value = Number.isFinite(r.raw) ? r.raw : r.humidity;
+    if (value !== s.runValue) {
+      s.runValue = value;
+      s.runStart = r.at;
+    } else if (r.at - s.runStart >= stuckMinutes * 60000) {
+      flag = 'stuck';
+    }
+
+    // pico: filtro de Hampel só com as leituras anteriores. Os picos entram
+    // na janela, então uma mudança de nível de verdade é aceita depois de
+    // poucas leituras.
+    if (!flag && s.recent.length >= 3) {
+      const m = median(s.recent);
+      const mad = median(s.recent.map((v) => Math.abs(v - m)));
+      if (Math.abs(r.humidity - m) > Math.max(3 * 1.4826 * mad, spikeMinDelta)) flag = 'spike';
+    }
+    s.recent.push(r.humidity);
+    if (s.recent.length > spikeWindow) s.recent.shift();
+
+    return { ...r, flag };
+  });
+}
+
+export const isTrusted = (r) => !r.flag;
+
+export const trustedReadings = (flagged) => flagged.filter(isTrusted);
+
+// Valor do medidor: mediana das últimas leituras confiáveis (tira o ruído
+// sem atrasar muito). → { value, at } | null
+export function smoothedHumidity(flagged, window = SMOOTH_WINDOW) {
+  const trusted = trustedReadings(flagged).slice(-window);
+  if (!trusted.length) return null;
+  return {
+    value: round1(median(trusted.map((r) => r.humidity))),
+    at: trusted[trusted.length - 1].at,
+  };
+}
+
+// Um ponto para a fatia de um gráfico resumido (ver readingsRepo.fetchSamples):
+// a mediana das leituras confiáveis da fatia ou, se todas forem suspeitas, a
+// mais recente delas, com o "flag". Fatia vazia → null.
+export function bucketPoint(flagged) {
+  if (!flagged.length) return null;
+  const trusted = trustedReadings(flagged);
+  if (!trusted.length) return flagged[flagged.length - 1];
+  return {
+    ...trusted[Math.floor(trusted.length / 2)],
+    humidity: round1(median(trusted.map((r) => r.humidity))),
+    flag: null,
+  };
+}
+
+// Marcação da leitura mais recente (null = confiável ou sem leituras). É o
+// que o modo automático consulta antes de agir (ver autoModeAction).
+export const latestFlag = (flagged) => flagged[flagged.length - 1]?.flag ?? null;
+
+// Leituras gravadas → calibradas, em ordem cronológica e com o "flag". As que
+// não viram porcentagem (só "raw", sensor sem calibração) ficam de fora.
+export function flagAll(readings, calibrations) {
+  return flagReadings(
+    readings
+      .map((r) => calibrateReading(r, calibrations))
+      .filter((r) => typeof r.humidity === 'number')
+      .sort((a, b) => a.at - b.at)
+  );
+}
+
+// Umidade atual do sensor → { value, at, flag } ou null sem leitura. "latest"
+// é a leitura mais recente, por mais antiga que seja ("at" diz se o sensor
+// está offline); "recent", as das últimas horas, que passam pelo filtro:
+// "value" é a mediana das últimas confiáveis. Se a mais recente não vira
+// porcentagem (sensor aguardando calibração), value é null.
+export function currentHumidity(latest, recent, calibrations) {
+  if (!latest) return null;
+  if (typeof calibrateReading(latest, calibrations).humidity !== 'number') {
+    return { value: null, at: latest.at, flag: null };
+  }
+  const newest = recent.reduce((m, r) => Math.max(m, r.at), -Infinity);
+  const flagged = flagAll(latest.at > newest ? [...recent, latest] : recent, calibrations);
+  const smoothed = smoothedHumidity(flagged);
+  return { value: smoothed ? smoothed.value : null, at: latest.at, flag: latestFlag(flagged) };
+}
@@ -0,0 +1,105 @@
+// src/lib/quality.test.js
+import { describe, expect, it } from 'vitest';
+import { STUCK_MINUTES, bucketPoint, currentHumidity, flagReadings, smoothedHumidity } from './quality';
+
+describe('bucketPoint', () => {
+  const reading = (at, humidity) => ({ at, humidity, sensorId: '' });
+
+  it('usa a mediana das leituras confiáveis da fatia', () => {
+    const flagged = flagReadings([reading(1, 40), reading(2, 42), reading(3, 150), reading(4, 44)]);
+    expect(bucketPoint(flagged)).toMatchObject({ at: 2, humidity: 42, flag: null });
+  });
+
+  it('sem leitura confiável, devolve a mais recente com a marcação', () => {
+    expect(bucketPoint(flagReadings([reading(1, -5), reading(2, 120)]))).toMatchObject({ at: 2, flag: 'range' });
+  });
+
+  it('fatia vazia → null', () => {
+    expect(bucketPoint([])).toBeNull();
+  });
+});
+
+describe('currentHumidity', () => {
+  const at = (minutes) => Date.parse('2026-10-19T12:00:00Z') + minutes * 60000;
+
+  it('sensor aguardando calibração (só "raw"): sem valor, mas com a hora da leitura', () => {
+    const latest = { at: at(0), raw: 2100, humidity: null, sensorId: 'novo' };
+    expect(currentHumidity(latest, [latest], {})).toEqual({ value: null, at: at(0), flag: null });
+  });
+
+  it('mediana das últimas confiáveis, "at" da mais recente mesmo fora da janela', () => {
+    const recent = [40, 42, 41].map((humidity, i) => ({ at: at(i), humidity, sensorId: '' }));
+    expect(currentHumidity(recent[2], recent, {})).toEqual({ value: 41, at: at(2), flag: null });
+    const old = { at: at(-600), humidity: 35, sensorId: '' };
+    expect(currentHumidity(old, [], {})).toEqual({ value: 35, at: at(-600), flag: null });
+  });
+
+  it('sem leitura → null', () => {
+    expect(currentHumidity(null, [], {})).toBeNull();
+  });
+});
+
+describe('flagReadings', () => {
+  const MIN = 60000;
+  const series = (values, { step = 10, sensorId = '' } = {}) =>
+    values.map((humidity, i) => ({ at: i * step * MIN, humidity, sensorId }));
+  const flags = (flagged) => flagged.map((r) => r.flag);
+
+  it('marca valores impossíveis: fora de 0–100, 0 sem calibração e bruto no limite do ADC', () => {
+    const readings = [
+      { at: 0, humidity: 105 },
+      { at: 1, humidity: -1 },
+      { at: 2, humidity: 0 },
+      { at: 3, humidity: 0, calibrated: true, raw: 3000 },
+      { at: 4, humidity: 50, raw: 4095 },
+    ];
+    expect(flags(flagReadings(readings))).toEqual(['range', 'range', 'range', null, 'range']);
+  });
+
+  it('marca um pico isolado e volta a confiar na leitura seguinte', () => {
+    expect(flags(flagReadings(series([40, 41, 40, 41, 80, 40])))).toEqual([null, null, null, null, 'spike', null]);
+  });
+
+  it('aceita uma mudança de nível de verdade depois de poucas leituras', () => {
+    const flagged = flagReadings(series([30, 31, 30, 31, 60, 61, 60, 61, 60]));
+    expect(flags(flagged).slice(4, 6)).toEqual(['spike', 'spike']);
+    expect(flags(flagged).slice(-2)).toEqual([null, null]);
+  });
+
+  it('marca o sensor travado no mesmo valor por STUCK_MINUTES', () => {
+    const values = Array(STUCK_MINUTES / 10 + 2).fill(45);
+    const flagged = flagReadings(series(values));
+    expect(flagged[STUCK_MINUTES / 10 - 1].flag).toBeNull();
+    expect(flagged[STUCK_MINUTES / 10].flag).toBe('stuck');
+    expect(flagReadings(series([...values, 46])).at(-1).flag).toBeNull();
+  });
+
+  it('avalia cada sensor com o próprio histórico', () => {
+    const readings = [
+      ...series([40, 41, 40, 41], { sensorId: 'a' }),
+      ...series([80], { sensorId: 'b' }),
+    ];
+    expect(flags(flagReadings(readings))).toEqual([null, null, null, null, null]);
+  });
+});
+
+describe('smoothedHumidity', () => {
+  it('mediana das últimas SMOOTH_WINDOW leituras confiáveis, pulando as suspeitas', () => {
+    const flagged = [
+      { at: 1, humidity: 10, flag: null },
+      { at: 2, humidity: 40, flag: null },
+      { at: 3, humidity: 42, flag: null },
+      { at: 4, humidity: 95, flag: 'spike' },
+      { at: 5, humidity: 44, flag: null },
+      { at: 6, humidity: 46, flag: null },
+      { at: 7, humidity: 41, flag: null },
+      { at: 8, humidity: 0, flag: 'range' },
+    ];
+    expect(smoothedHumidity(flagged)).toEqual({ value: 42, at: 7 });
+    expect(smoothedHumidity(flagged, 2)).toEqual({ value: 43.5, at: 7 });
+  });
+
+  it('sem leituras confiáveis → null', () => {
+    expect(smoothedHumidity([{ at: 1, humidity: 120, flag: 'range' }])).toBeNull();
+  });
+});
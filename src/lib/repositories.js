@@ -0,0 +1,332 @@
+// src/lib/repositories.js
+// Repositórios do painel: hortas, leituras, médias diárias, configurações,
+// agendamentos, perfis de cultura e estado das válvulas. Concentram nomes de
+// coleções, consultas e formato dos documentos; funcionam com qualquer
+// backend (Firestore, emulador ou memória — ver backend.js). Fora as hortas,
+// tudo é lido e gravado na horta selecionada.
+//
+// Tudo o que é lido passa pelo esquema da coleção (schemas.js): documentos
+// antigos são migrados em memória e os inválidos aparecem no relatório de
+// watchInvalidDocs em vez de sumirem.
+import { rootStore, store } from './backend';
+import { parseDailyAverageDoc } from './aggregation';
+import { readDoc, withVersion } from './schemas';
+import { acceptInvitePatch, newGarden } from './gardens';
+import { compareText } from './i18n';
+
+// ---------- hortas ("hortas/<id>", globais; ver gardens.js) ----------
+
+const toGardens = (docs) =>
+  docs
+    .map((d) => ({ ...d, ...readDoc('hortas', d.id, d.data, { withDefaults: true }) }))
+    .filter((d) => d.valid)
+    .map((d) => ({ id: d.id, ...d.data }))
+    .sort((a, b) => compareText(a.name, b.name));
+
+const gardenDoc = (id) => `hortas/${id}`;
+
+export const gardensRepo = {
+  // Todas (responsável geral) ou só as hortas de que o usuário participa
+  watchForUser(profile, cb) {
+    const spec =
+      profile.role === 'owner'
+        ? { collection: 'hortas' }
+        : { collection: 'hortas', where: [['memberUids', 'array-contains', profile.uid]] };
+    return rootStore.watchQuery(spec, (docs) => cb(toGardens(docs)));
+  },
+
+  // Hortas com convite para o e-mail
+  watchInvites(email, cb) {
+    return rootStore.watchQuery(
+      { collection: 'hortas', where: [['inviteEmails', 'array-contains', email]] },
+      (docs) => cb(toGardens(docs))
+    );
+  },
+
+  async create(name, profile) {
+    const id = `horta-${Date.now()}`;
+    await rootStore.setDoc(gardenDoc(id), withVersion('hortas', id, newGarden(name, profile)));
+    return id;
+  },
+
+  rename(id, name) {
+    return rootStore.setDoc(gardenDoc(id), { name }, { merge: true });
+  },
+
+  acceptInvite(garden, profile) {
+    const patch = acceptInvitePatch(garden, profile, rootStore.deleteField);
+    return patch && rootStore.setDoc(gardenDoc(garden.id), patch, { merge: true });
+  },
+
+  invite(garden, email, role) {
+    return rootStore.setDoc(
+      gardenDoc(garden.id),
+      {
+        invites: { [email]: role },
+        inviteEmails: [...new Set([...garden.inviteEmails, email])],
+      },
+      { merge: true }
+    );
+  },
+
+  cancelInvite(garden, email) {
+    return rootStore.setDoc(
+      gardenDoc(garden.id),
+      {
+        invites: { [email]: rootStore.deleteField() },
+        inviteEmails: garden.inviteEmails.filter((e) => e !== email),
+      },
+      { merge: true }
+    );
+  },
+
+  setMemberRole(garden, uid, role) {
+    return rootStore.setDoc(gardenDoc(garden.id), { members: { [uid]: { role } } }, { merge: true });
+  },
+
+  removeMember(garden, uid) {
+    return rootStore.setDoc(
+      gardenDoc(garden.id),
+      {
+        members: { [uid]: rootStore.deleteField() },
+        memberUids: garden.memberUids.filter((u) => u !== uid),
+      },
+      { merge: true }
+    );
+  },
+};
+
+// ---------- leituras ("leiturasUmidade") ----------
+
+// Documento → { id, at (ms), humidity, raw, sensorId } | null
+// "raw" é o valor do ADC (quando o ESP32 envia); a umidade em % vem de
+// "umidade" ou da calibração do sensor (calibrateReading).
+export function parseReading(id, raw) {
+  const { data: d, valid } = readDoc('leiturasUmidade', id, raw);
+  if (!valid) return null;
+  return {
+    id,
+    at: d.createdAt.getTime(),
+    humidity: d.umidade ?? null,
+    raw: d.raw ?? null,
+    sensorId: d.sensorId || '',
+  };
+}
+
+// Mais nova primeiro. Filtrar por sensorId + ordenar por createdAt exige
+// índice composto no Firestore.
+function readingsSpec({ sensorId, from, to, after, size }) {
+  const where = [];
+  if (sensorId) where.push(['sensorId', '==', sensorId]);
+  if (from) where.push(['createdAt', '>=', from]);
+  if (to) where.push(['createdAt', '<=', to]);
+  return {
+    collection: 'leiturasUmidade',
+    where,
+    orderBy: ['createdAt', 'desc'],
+    startAfter: after ? after.createdAt : undefined,
+    startAfterId: after ? after.id : undefined,
+    limit: size,
+  };
+}
+
+// Página → { readings, cursor ({ createdAt, id } do último documento), full }.
+// O id no cursor evita pular leituras gravadas no mesmo instante.
+function toPage(docs, size) {
+  const last = docs[docs.length - 1];
+  return {
+    readings: docs.map((d) => parseReading(d.id, d.data)).filter(Boolean),
+    cursor: last ? { createdAt: last.data.createdAt, id: last.id } : null,
+    full: Boolean(size) && docs.length === size,
+  };
+}
+
+// consultas da amostra feitas ao mesmo tempo
+const SAMPLE_BATCH = 30;
+
+export const readingsRepo = {
+  // Página mais recente, ao vivo. sensorId vazio = qualquer sensor.
+  watchPage({ sensorId, from, to, size }, cb) {
+    return store.watchQuery(readingsSpec({ sensorId, from, to, size }), (docs) => cb(toPage(docs, size)));
+  },
+
+  // Página anterior ao "after" (cursor devolvido pela página mais nova)
+  async fetchPage({ sensorId, from, to, size, after }) {
+    return toPage(await store.getQuery(readingsSpec({ sensorId, from, to, size, after })), size);
+  },
+
+  // Amostra de um período longo: as "perBucket" leituras mais recentes de
+  // cada uma das "buckets" fatias iguais de from–to → uma lista por fatia,
+  // da mais antiga para a mais nova. Custa no máximo buckets × perBucket
+  // leituras, qualquer que seja o tamanho do período.
+  async fetchSamples({ sensorId, from, to, buckets, perBucket }) {
+    const step = (to.getTime() - from.getTime()) / buckets;
+    const slices = Array.from({ length: buckets }, (_, i) => ({
+      from: new Date(from.getTime() + i * step),
+      to: new Date(from.getTime() + (i + 1) * step - 1),
+    }));
+    const lists = [];
+    for (let i = 0; i < slices.length; i += SAMPLE_BATCH) {
+      const pages = await Promise.all(
+        slices.slice(i, i + SAMPLE_BATCH).map((s) => readingsRepo.fetchPage({ sensorId, ...s, size: perBucket }))
+      );
+      lists.push(...pages.map((p) => p.readings));
+    }
+    return lists;
+  },
+
+  // Leituras desde "from", ao vivo (todas as páginas)
+  watchSince({ sensorId, from }, cb) {
+    return store.watchQuery(readingsSpec({ sensorId, from }), (docs) => cb(toPage(docs).readings));
+  },
+
+  watchLatest(sensorId, cb) {
+    return store.watchQuery(readingsSpec({ sensorId, size: 1 }), (docs) =>
+      cb(toPage(docs).readings[0] || null)
+    );
+  },
+
+  // Documentos crus (para exportação)
+  async fetchDocs({ from, to }) {
+    return store.getQuery(readingsSpec({ from, to }));
+  },
+
+  // Leituras de um período fechado, de todos os sensores, sem atualização
+  async fetchRange({ from, to }) {
+    return toPage(await store.getQuery(readingsSpec({ from, to }))).readings;
+  },
+};
+
+// ---------- médias diárias ("mediaDiaria", id = "AAAA-MM-DD") ----------
+
+export const dailyAveragesRepo = {
+  // Dias a partir de "from" ("AAAA-MM-DD"), pelo id: os documentos antigos
+  // do Node-RED não têm o campo "data"
+  watch({ from }, cb) {
+    const spec = { collection: 'mediaDiaria', where: [['__name__', '>=', from]] };
+    return store.watchQuery(spec, (docs) =>
+      cb(
+        docs
+          .map((d) => readDoc('mediaDiaria', d.id, d.data))
+          .map((d) => d.valid && parseDailyAverageDoc(d.data.data, d.data))
+          .filter(Boolean)
+      )
+    );
+  },
+
+  // items: [{ data: "AAAA-MM-DD", media, min, max, ... }]
+  saveMany(items, extra = {}) {
+    return store.writeBatch(
+      items.map((m) => ({
+        path: `mediaDiaria/${m.data}`,
+        data: withVersion('mediaDiaria', m.data, { ...m, ...extra }),
+      }))
+    );
+  },
+};
+
+// ---------- configurações ("configuracao/<id>": geral, calibracao, ...) ----------
+
+export const settingsRepo = {
+  // cb({ exists, data, pending, defaulted }): campos ausentes ou inválidos
+  // chegam com o valor padrão do esquema e são listados em "defaulted"
+  watch(id, cb) {
+    return store.watchDoc(`configuracao/${id}`, (d) => {
+      const { data, defaulted } = readDoc('configuracao', id, d.data, { withDefaults: true });
+      cb({ exists: d.exists, data, pending: d.pending, defaulted });
+    });
+  },
+
+  save(id, data) {
+    return store.setDoc(`configuracao/${id}`, data, { merge: true });
+  },
+};
+
+// ---------- agendamentos ("agendamentos") ----------
+
+export const schedulesRepo = {
+  // cb([{ id, data, pending }]), já no formato atual (com "weekdays")
+  watch(cb) {
+    return store.watchQuery({ collection: 'agendamentos' }, (docs) =>
+      cb(
+        docs
+          .map((d) => ({ ...d, ...readDoc('agendamentos', d.id, d.data) }))
+          .filter((d) => d.valid)
+          .map(({ id, data, pending }) => ({ id, data, pending }))
+      )
+    );
+  },
+
+  create(id, data) {
+    return store.setDoc(`agendamentos/${id}`, withVersion('agendamentos', id, data));
+  },
+
+  // edição completa (todos os campos do agendamento)
+  update(id, data) {
+    return store.setDoc(`agendamentos/${id}`, withVersion('agendamentos', id, data), { merge: true });
+  },
+
+  setActive(id, active) {
+    return store.updateDoc(`agendamentos/${id}`, { active, updatedAt: new Date() });
+  },
+
+  remove(id) {
+    return store.deleteDoc(`agendamentos/${id}`);
+  },
+};
+
+// ---------- perfis de cultura ("culturas", ver crops.js) ----------
+
+export const cropsRepo = {
+  // cb([{ id, data, pending }]); só os perfis salvos (a biblioteca padrão
+  // entra em mergeCrops)
+  watch(cb) {
+    return store.watchQuery({ collection: 'culturas' }, (docs) =>
+      cb(
+        docs
+          .map((d) => ({ ...d, ...readDoc('culturas', d.id, d.data) }))
+          .filter((d) => d.valid)
+          .map(({ id, data, pending }) => ({ id, data, pending }))
+      )
+    );
+  },
+
+  save(id, data) {
+    return store.setDoc(`culturas/${id}`, withVersion('culturas', id, data));
+  },
+
+  remove(id) {
+    return store.deleteDoc(`culturas/${id}`);
+  },
+};
+
+// ---------- estado das válvulas ("status/<aspersorId>") ----------
+
+export const statusRepo = {
+  // cb({ exists, data, pending })
+  watch(aspersorId, cb) {
+    return store.watchDoc(`status/${aspersorId}`, (d) =>
+      cb({ ...d, data: readDoc('status', aspersorId, d.data).data })
+    );
+  },
+
+  // cb({ <aspersorId>: data })
+  watchAll(cb) {
+    return store.watchQuery({ collection: 'status' }, (docs) =>
+      cb(Object.fromEntries(docs.map((d) => [d.id, readDoc('status', d.id, d.data).data])))
+    );
+  },
+
+  get(aspersorId) {
+    return store.getDoc(`status/${aspersorId}`);
+  },
+
+  save(aspersorId, data) {
+    return store.setDoc(`status/${aspersorId}`, data, { merge: true });
+  },
+
+  // Grava só se check(estado atual) aprovar → estado anterior ou null
+  saveIf(aspersorId, data, check) {
+    return store.setDocIf(`status/${aspersorId}`, data, check);
+  },
+};
@@ -0,0 +1,41 @@
+// src/lib/roles.js
+// Papéis dos usuários em cada horta ("members.<uid>.role" em "hortas/<id>",
+// ver gardens.js) e o que cada um pode fazer. As mesmas regras estão em
+// firestore.rules. "owner" em "usuarios/<uid>.role" é o responsável geral.
+//
+// viewer   – vê leituras, históricos e agendamentos
+// operator – também liga/desliga aspersores e mantém agendamentos
+// owner    – também altera configurações, cadastros e usuários
+// device   – conta usada pelo ESP32/Node-RED (não entra no painel)
+
+export const ROLES = ['viewer', 'operator', 'owner'];
+
+export const ROLE_LABELS = {
+  viewer: 'Visualizador',
+  operator: 'Operador',
+  owner: 'Responsável',
+  device: 'Dispositivo',
+};
+
+const LEVEL = { viewer: 1, operator: 2, owner: 3 };
+
+const REQUIRED = {
+  viewData: 'viewer',
+  exportData: 'viewer',
+  operateValves: 'operator',
+  editSchedules: 'operator',
+  editSettings: 'owner',
+  importData: 'owner',
+  manageUsers: 'owner',
+};
+
+export function can(role, action) {
+  const needed = REQUIRED[action];
+  if (!needed) return false;
+  return (LEVEL[role] || 0) >= LEVEL[needed];
+}
+
+// Objeto com todas as permissões do papel, para repassar aos cards
+export function permissionsFor(role) {
+  return Object.fromEntries(Object.keys(REQUIRED).map((a) => [a, can(role, a)]));
+}
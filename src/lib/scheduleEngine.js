@@ -0,0 +1,178 @@
+// src/lib/scheduleEngine.js
+// Expande os agendamentos em execuções concretas (data/hora de início e fim)
+// no fuso horário da horta. Não depende do Firestore: recebe objetos simples
+// no formato de "agendamentos" ({ id, weekdays, time, minutes, aspersorId, active }).
+import { parseTime, scheduleWeekdays } from './schedules';
+
+export const DEFAULT_TIME_ZONE = 'America/Sao_Paulo';
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const formatters = {};
+
+function formatterFor(timeZone) {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short',
+    });
+  }
+  return formatters[timeZone];
+}
+
+// Verifica se o nome de fuso é aceito pelo navegador
+export function isValidTimeZone(timeZone) {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Data/hora "de parede" de um instante no fuso informado
+export function zonedParts(date, timeZone = DEFAULT_TIME_ZONE) {
+  const parts = {};
+  for (const p of formatterFor(timeZone).formatToParts(date)) {
+    parts[p.type] = p.value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAY_INDEX[parts.weekday],
+  };
+}
+
+// Diferença (ms) entre o horário de parede no fuso e o UTC naquele instante
+function offsetAt(ms, timeZone) {
+  const p = zonedParts(new Date(ms), timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+// Horário de parede no fuso → instante (Date). Recalcula o deslocamento no
+// resultado para acertar as datas de mudança de horário de verão. Um horário
+// que não existe (pulado quando o relógio adianta) vai para depois do salto:
+// 02:30 vira 03:30.
+export function zonedTimeToDate(year, month, day, hour, minute, timeZone = DEFAULT_TIME_ZONE) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const first = wall - offsetAt(wall, timeZone);
+  const ms = wall - offsetAt(first, timeZone);
+  if (ms + offsetAt(ms, timeZone) === wall) return new Date(ms);
+  return new Date(Math.max(first, ms));
+}
+
+// ---------- adiamento por chuva e orçamento sazonal ----------
+// Ficam em "configuracao/geral": "pausedUntil" suspende agendamentos e modo
+// automático até a data; "seasonalBudget" tem 12 percentuais (janeiro
+// primeiro) aplicados aos "minutes" de todos os agendamentos no mês.
+
+export const FULL_BUDGET = Array(12).fill(100);
+
+// Irrigação automática suspensa no instante?
+export const isPaused = (pausedUntil, at = new Date()) =>
+  Boolean(pausedUntil) && at.getTime() < pausedUntil.getTime();
+
+// Percentual do orçamento no mês (1–12); sem valor válido, 100%
+export function budgetPercent(seasonalBudget, month) {
+  const p = seasonalBudget?.[month - 1];
+  return typeof p === 'number' && p >= 0 ? p : 100;
+}
+
+// Minutos com o orçamento aplicado (0% = não rega; nunca menos de 1 min)
+export const budgetedMinutes = (minutes, percent) =>
+  percent > 0 ? Math.max(1, Math.round((minutes * percent) / 100)) : 0;
+
+// Execuções dos agendamentos ativos que terminam depois de "from" e começam
+// antes de "from + days", ordenadas pelo início. "minutes" já vem com o
+// orçamento do mês aplicado ("plannedMinutes" é o valor do agendamento);
+// execuções que não vão acontecer ficam na lista com "skipped" = 'paused'
+// (adiamento por chuva) ou 'budget' (orçamento de 0%).
+export function expandSchedules(
+  schedules,
+  {
+    from = new Date(),
+    days = 7,
+    timeZone = DEFAULT_TIME_ZONE,
+    pausedUntil = null,
+    seasonalBudget = null,
+  } = {}
+) {
+  const fromMs = from.getTime();
+  const untilMs = fromMs + days * 24 * 60 * 60 * 1000;
+  const today = zonedParts(from, timeZone);
+  const runs = [];
+
+  // começa um dia antes para pegar regas que atravessam a meia-noite
+  for (let offset = -1; offset <= days; offset++) {
+    const base = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    const weekday = base.getUTCDay();
+
+    for (const schedule of schedules) {
+      if (schedule.active === false) continue;
+      const start = parseTime(schedule.time);
+      const plannedMinutes = Number(schedule.minutes);
+      if (start === null || !(plannedMinutes > 0)) continue;
+      if (!scheduleWeekdays(schedule).includes(weekday)) continue;
+
+      const startDate = zonedTimeToDate(
+        base.getUTCFullYear(),
+        base.getUTCMonth() + 1,
+        base.getUTCDate(),
+        Math.floor(start / 60),
+        start % 60,
+        timeZone
+      );
+      const budget = budgetPercent(seasonalBudget, base.getUTCMonth() + 1);
+      const minutes = budgetedMinutes(plannedMinutes, budget);
+      const endDate = new Date(startDate.getTime() + (minutes || plannedMinutes) * 60000);
+      if (endDate.getTime() <= fromMs || startDate.getTime() >= untilMs) continue;
+
+      runs.push({
+        scheduleId: schedule.id,
+        name: schedule.name || '',
+        aspersorId: schedule.aspersorId,
+        minutes,
+        plannedMinutes,
+        budget,
+        skipped: isPaused(pausedUntil, startDate) ? 'paused' : minutes ? null : 'budget',
+        start: startDate,
+        end: endDate,
+      });
+    }
+  }
+
+  return runs.sort((a, b) => a.start - b.start);
+}
+
+// Próxima execução que ainda não começou (ignora as suspensas)
+export function nextRun(runs, now = new Date()) {
+  return runs.find((r) => !r.skipped && r.start.getTime() > now.getTime()) || null;
+}
+
+// Execuções em andamento neste instante (ignora as suspensas)
+export function activeRuns(runs, now = new Date()) {
+  const t = now.getTime();
+  return runs.filter((r) => !r.skipped && r.start.getTime() <= t && r.end.getTime() > t);
+}
+
+// Agrupa as execuções pelo dia local da horta ("AAAA-MM-DD")
+export function groupRunsByDay(runs, timeZone = DEFAULT_TIME_ZONE) {
+  const groups = {};
+  for (const run of runs) {
+    const p = zonedParts(run.start, timeZone);
+    const key = `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+    (groups[key] = groups[key] || []).push(run);
+  }
+  return groups;
+}
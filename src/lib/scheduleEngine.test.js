@@ -0,0 +1,175 @@
+// src/lib/scheduleEngine.test.js
+import { describe, expect, it } from 'vitest';
+import {
+  activeRuns,
+  expandSchedules,
+  groupRunsByDay,
+  isPaused,
+  nextRun,
+  zonedTimeToDate,
+} from './scheduleEngine';
+
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+const schedule = (fields = {}) => ({
+  id: 'prog-1',
+  aspersorId: 'aspersor1',
+  weekdays: EVERY_DAY,
+  time: '06:00',
+  minutes: 30,
+  ...fields,
+});
+const iso = (runs) => runs.map((r) => r.start.toISOString());
+
+describe('zonedTimeToDate', () => {
+  it('converte o horário de parede do fuso da horta', () => {
+    expect(zonedTimeToDate(2026, 10, 19, 6, 0, 'America/Sao_Paulo').toISOString()).toBe(
+      '2026-10-19T09:00:00.000Z'
+    );
+  });
+
+  it('acompanha a mudança de horário de verão', () => {
+    const ny = 'America/New_York';
+    // 8/3/2026: o relógio adianta às 02:00
+    expect(zonedTimeToDate(2026, 3, 7, 6, 0, ny).toISOString()).toBe('2026-03-07T11:00:00.000Z');
+    expect(zonedTimeToDate(2026, 3, 8, 6, 0, ny).toISOString()).toBe('2026-03-08T10:00:00.000Z');
+    // 1/11/2026: o relógio atrasa às 02:00
+    expect(zonedTimeToDate(2026, 11, 1, 6, 0, ny).toISOString()).toBe('2026-11-01T11:00:00.000Z');
+  });
+
+  it('leva o horário pulado para depois do salto', () => {
+    // 02:30 não existe em 8/3/2026 em Nova York → 03:30 (horário de verão)
+    expect(zonedTimeToDate(2026, 3, 8, 2, 30, 'America/New_York').toISOString()).toBe(
+      '2026-03-08T07:30:00.000Z'
+    );
+  });
+
+  it('usa a primeira ocorrência do horário repetido', () => {
+    // 01:30 acontece duas vezes em 1/11/2026; a primeira ainda é EDT
+    expect(zonedTimeToDate(2026, 11, 1, 1, 30, 'America/New_York').toISOString()).toBe(
+      '2026-11-01T05:30:00.000Z'
+    );
+  });
+});
+
+describe('expandSchedules', () => {
+  it('gera as execuções no fuso da horta, só nos dias do agendamento', () => {
+    const runs = expandSchedules([schedule({ weekdays: [1, 3] })], {
+      from: new Date('2026-10-18T12:00:00Z'), // domingo
+      days: 7,
+      timeZone: 'America/Sao_Paulo',
+    });
+    expect(iso(runs)).toEqual(['2026-10-19T09:00:00.000Z', '2026-10-21T09:00:00.000Z']);
+    expect(runs[0].end.toISOString()).toBe('2026-10-19T09:30:00.000Z');
+  });
+
+  it('mantém o horário local quando o horário de verão começa', () => {
+    const runs = expandSchedules([schedule()], {
+      from: new Date('2026-03-06T12:00:00Z'),
+      days: 3,
+      timeZone: 'America/New_York',
+    });
+    expect(iso(runs)).toEqual([
+      '2026-03-07T11:00:00.000Z',
+      '2026-03-08T10:00:00.000Z',
+      '2026-03-09T10:00:00.000Z',
+    ]);
+  });
+
+  it('inclui a rega que começou ontem e ainda não terminou', () => {
+    const runs = expandSchedules([schedule({ time: '23:30', minutes: 60 })], {
+      from: new Date('2026-10-19T03:00:00Z'), // 00:00 em São Paulo
+      days: 1,
+      timeZone: 'America/Sao_Paulo',
+    });
+    expect(iso(runs)[0]).toBe('2026-10-19T02:30:00.000Z');
+    expect(activeRuns(runs, new Date('2026-10-19T03:00:00Z'))).toHaveLength(1);
+  });
+
+  it('ignora agendamentos pausados ou sem horário válido', () => {
+    const runs = expandSchedules(
+      [schedule({ active: false }), schedule({ id: 'b', time: '25:00' }), schedule({ id: 'c', minutes: 0 })],
+      { from: new Date('2026-10-19T00:00:00Z'), days: 2 }
+    );
+    expect(runs).toEqual([]);
+  });
+
+  it('aplica o orçamento do mês aos minutos', () => {
+    const seasonalBudget = Array(12).fill(100);
+    seasonalBudget[9] = 50; // outubro
+    seasonalBudget[10] = 0; // novembro
+    const runs = expandSchedules([schedule()], {
+      from: new Date('2026-10-31T00:00:00Z'),
+      days: 2,
+      timeZone: 'UTC',
+      seasonalBudget,
+    });
+    expect(runs.map((r) => [r.minutes, r.plannedMinutes, r.skipped])).toEqual([
+      [15, 30, null],
+      [0, 30, 'budget'],
+    ]);
+  });
+});
+
+describe('pausedUntil', () => {
+  const pausedUntil = new Date('2026-10-20T12:00:00Z');
+  const runs = expandSchedules([schedule()], {
+    from: new Date('2026-10-19T00:00:00Z'),
+    days: 3,
+    timeZone: 'UTC',
+    pausedUntil,
+  });
+
+  it('marca como suspensas as execuções antes do fim da pausa', () => {
+    expect(runs.map((r) => [r.start.toISOString(), r.skipped])).toEqual([
+      ['2026-10-19T06:00:00.000Z', 'paused'],
+      ['2026-10-20T06:00:00.000Z', 'paused'],
+      ['2026-10-21T06:00:00.000Z', null],
+    ]);
+  });
+
+  it('isPaused compara com o instante informado', () => {
+    expect(isPaused(pausedUntil, new Date('2026-10-20T11:59:00Z'))).toBe(true);
+    expect(isPaused(pausedUntil, new Date('2026-10-20T12:00:00Z'))).toBe(false);
+    expect(isPaused(null)).toBe(false);
+  });
+
+  it('a próxima irrigação e as em andamento pulam as suspensas', () => {
+    expect(nextRun(runs, new Date('2026-10-19T00:00:00Z')).start.toISOString()).toBe('2026-10-21T06:00:00.000Z');
+    expect(activeRuns(runs, new Date('2026-10-19T06:10:00Z'))).toEqual([]);
+  });
+});
+
+describe('nextRun', () => {
+  const runs = expandSchedules([schedule({ time: '06:00' }), schedule({ id: 'prog-2', time: '18:00' })], {
+    from: new Date('2026-10-19T00:00:00Z'),
+    days: 2,
+    timeZone: 'UTC',
+  });
+
+  it('devolve a primeira execução que ainda não começou', () => {
+    expect(nextRun(runs, new Date('2026-10-19T07:00:00Z')).scheduleId).toBe('prog-2');
+    expect(nextRun(runs, new Date('2026-10-19T19:00:00Z')).start.toISOString()).toBe('2026-10-20T06:00:00.000Z');
+  });
+
+  it('não conta a execução em andamento', () => {
+    const now = new Date('2026-10-19T06:00:00Z');
+    expect(nextRun(runs, now).scheduleId).toBe('prog-2');
+    expect(activeRuns(runs, now).map((r) => r.scheduleId)).toEqual(['prog-1']);
+  });
+
+  it('sem execuções futuras, null', () => {
+    expect(nextRun(runs, new Date('2026-10-22T00:00:00Z'))).toBeNull();
+  });
+});
+
+describe('groupRunsByDay', () => {
+  it('agrupa pelo dia local da horta', () => {
+    const runs = expandSchedules([schedule({ time: '22:00' })], {
+      from: new Date('2026-10-19T12:00:00Z'),
+      days: 1,
+      timeZone: 'America/Sao_Paulo',
+    });
+    // 22:00 em São Paulo já é o dia seguinte em UTC
+    expect(Object.keys(groupRunsByDay(runs, 'America/Sao_Paulo'))).toEqual(['2026-10-19']);
+  });
+});
@@ -0,0 +1,93 @@
+// src/lib/schedules.js
+// Regras dos agendamentos que não dependem do Firestore.
+import { t, weekdayName } from './i18n';
+
+// Rótulos dos dias da semana, na ordem dos números gravados em "weekdays"
+// (0 = domingo). Também são gravados em "days" para o Node-RED.
+export const DAY_LABELS = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
+
+// ["Seg", "Qua"] (ou "Seg|Qua", como no CSV) → [1, 3]; rótulos
+// desconhecidos ficam de fora
+export function labelsToWeekdays(labels) {
+  const list = Array.isArray(labels) ? labels : String(labels || '').split('|');
+  return [...new Set(list.map((l) => DAY_LABELS.indexOf(String(l).trim())).filter((n) => n >= 0))].sort(
+    (a, b) => a - b
+  );
+}
+
+export const weekdaysToLabels = (weekdays) => (weekdays || []).map((n) => DAY_LABELS[n]);
+
+// Dias do agendamento como números; aceita documentos antigos só com "days"
+export const scheduleWeekdays = (schedule) =>
+  Array.isArray(schedule.weekdays) ? schedule.weekdays : labelsToWeekdays(schedule.days);
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+// "HH:MM" → minutos desde a meia-noite (ou null se inválido)
+export function parseTime(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || ''));
+  if (!match) return null;
+  const h = Number(match[1]);
+  const m = Number(match[2]);
+  if (h > 23 || m > 59) return null;
+  return h * 60 + m;
+}
+
+// Intervalos [início, fim) em minutos da semana (domingo 00:00 = 0).
+// Uma rega que passa da meia-noite de sábado continua no domingo.
+function weekIntervals(schedule) {
+  const start = parseTime(schedule.time);
+  const duration = Number(schedule.minutes);
+  if (start === null || !(duration > 0)) return [];
+
+  const intervals = [];
+  for (const day of scheduleWeekdays(schedule)) {
+    const from = day * MINUTES_PER_DAY + start;
+    const to = from + duration;
+    if (to > MINUTES_PER_WEEK) {
+      intervals.push([from, MINUTES_PER_WEEK], [0, to - MINUTES_PER_WEEK]);
+    } else {
+      intervals.push([from, to]);
+    }
+  }
+  return intervals;
+}
+
+function overlaps(a, b) {
+  const ia = weekIntervals(a);
+  const ib = weekIntervals(b);
+  return ia.some(([s1, e1]) => ib.some(([s2, e2]) => s1 < e2 && s2 < e1));
+}
+
+// Motivo para não gravar o agendamento (ou null). São as mesmas regras do
+// esquema (schemas.js), com mensagens para o formulário.
+export function scheduleError(schedule) {
+  if (!scheduleWeekdays(schedule).length) return t('Selecione pelo menos um dia da semana!');
+  if (parseTime(schedule.time) === null) return t('Informe o horário de início no formato HH:MM.');
+  const minutes = Number(schedule.minutes);
+  if (schedule.minutes === '' || !Number.isInteger(minutes) || minutes < 1 || minutes > MINUTES_PER_DAY) {
+    return t('A duração deve ser um número inteiro de minutos entre 1 e {max}.', { max: MINUTES_PER_DAY });
+  }
+  return null;
+}
+
+// Agendamentos ativos do mesmo aspersor que se sobrepõem ao candidato.
+// Agendamentos pausados não entram em conflito.
+export function findScheduleConflicts(candidate, schedules) {
+  if (candidate.active === false) return [];
+  return schedules.filter(
+    (other) =>
+      other.id !== candidate.id &&
+      other.aspersorId === candidate.aspersorId &&
+      other.active !== false &&
+      overlaps(candidate, other)
+  );
+}
+
+// Descrição curta para listas e avisos, com os dias no idioma do painel
+export function describeSchedule(schedule) {
+  const days = scheduleWeekdays(schedule).map((d) => weekdayName(d));
+  const base = `${days.join(', ')} — ${schedule.time} (${schedule.minutes} min)`;
+  return schedule.name ? `${schedule.name}: ${base}` : base;
+}
@@ -0,0 +1,71 @@
+// src/lib/schedules.test.js
+import { describe, expect, it } from 'vitest';
+import { findScheduleConflicts, labelsToWeekdays, parseTime, scheduleError } from './schedules';
+
+const schedule = (fields = {}) => ({
+  id: 'a',
+  aspersorId: 'aspersor1',
+  weekdays: [1],
+  time: '06:00',
+  minutes: 30,
+  ...fields,
+});
+const ids = (list) => list.map((s) => s.id);
+
+describe('parseTime / labelsToWeekdays', () => {
+  it('aceita só "HH:MM" válido', () => {
+    expect(parseTime('6:05')).toBe(365);
+    expect(parseTime('23:59')).toBe(1439);
+    expect(parseTime('24:00')).toBeNull();
+    expect(parseTime('06:60')).toBeNull();
+    expect(parseTime('0600')).toBeNull();
+  });
+
+  it('converte os rótulos gravados em "days" (lista ou "Seg|Qua")', () => {
+    expect(labelsToWeekdays(['Qua', 'Seg', 'Seg'])).toEqual([1, 3]);
+    expect(labelsToWeekdays('Sáb|Dom|Xyz')).toEqual([0, 6]);
+  });
+});
+
+describe('scheduleError', () => {
+  it('aceita um agendamento completo', () => {
+    expect(scheduleError(schedule())).toBeNull();
+    expect(scheduleError(schedule({ minutes: '1440' }))).toBeNull();
+  });
+
+  it('recusa sem dias, com horário inválido ou duração fora de 1–1440 minutos inteiros', () => {
+    expect(scheduleError(schedule({ weekdays: [] }))).toMatch(/dia da semana/);
+    expect(scheduleError(schedule({ time: '25:00' }))).toMatch(/HH:MM/);
+    for (const minutes of ['', 0, 1441, 2.5, 'abc']) {
+      expect(scheduleError(schedule({ minutes }))).toMatch(/entre 1 e 1440/);
+    }
+  });
+
+  it('aceita documentos antigos só com "days"', () => {
+    expect(scheduleError(schedule({ weekdays: undefined, days: ['Ter'] }))).toBeNull();
+  });
+});
+
+describe('findScheduleConflicts', () => {
+  it('acusa a sobreposição no mesmo aspersor e dia', () => {
+    const others = [
+      schedule({ id: 'b', time: '06:15' }),
+      schedule({ id: 'c', time: '06:30' }), // começa quando o candidato termina
+      schedule({ id: 'd', time: '06:15', weekdays: [2] }),
+      schedule({ id: 'e', time: '06:15', aspersorId: 'aspersor2' }),
+    ];
+    expect(ids(findScheduleConflicts(schedule(), others))).toEqual(['b']);
+  });
+
+  it('ignora o próprio agendamento e os pausados', () => {
+    const others = [schedule(), schedule({ id: 'b', active: false })];
+    expect(findScheduleConflicts(schedule(), others)).toEqual([]);
+    expect(findScheduleConflicts(schedule({ active: false }), [schedule({ id: 'c' })])).toEqual([]);
+  });
+
+  it('a rega que passa da meia-noite de sábado conflita com a de domingo cedo', () => {
+    const saturdayNight = schedule({ weekdays: [6], time: '23:30', minutes: 60 });
+    const sundayMorning = schedule({ id: 'b', weekdays: [0], time: '00:15' });
+    expect(ids(findScheduleConflicts(saturdayNight, [sundayMorning]))).toEqual(['b']);
+  });
+});
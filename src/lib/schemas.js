@@ -0,0 +1,450 @@
+// src/lib/schemas.js
+// Esquema dos documentos de cada coleção: tipos dos campos, valores padrão,
+// versão e migrações. É a referência única do formato dos dados — usada na
+// leitura (repositories.js), na importação (dataTransfer.js) e na rotina de
+// migração (migrations.js).
+//
+// A versão fica no campo "schemaVersion"; documentos sem ele são versão 1
+// (tudo o que foi gravado antes dos esquemas, inclusive pelo Node-RED).
+import { DAY_LABELS, labelsToWeekdays, parseTime } from './schedules';
+import { DEFAULT_TIME_ZONE, FULL_BUDGET, isValidTimeZone } from './scheduleEngine';
+import { DEFAULT_STALE_AFTER_MINUTES } from './health';
+import { t } from './i18n';
+import { GARDEN_COLLECTIONS } from './gardens';
+
+export const VERSION_FIELD = 'schemaVersion';
+
+// Tipos: number, boolean, date, day (AAAA-MM-DD), time (HH:MM), weekdays
+// (números 0 = domingo … 6 = sábado), days (rótulos antigos "Dom", "Seg"…),
+// enum (values), monthlyPercent (12 percentuais, janeiro primeiro), object,
+// timeZone, string e any. "required" = obrigatório;
+// "default" = valor usado na leitura quando o campo falta ou é inválido.
+export const SCHEMAS = {
+  leiturasUmidade: {
+    version: 1,
+    fields: {
+      umidade: { type: 'number', min: 0 },
+      createdAt: { type: 'date', required: true },
+      sensorId: { type: 'string' },
+      raw: { type: 'number' },
+    },
+    check: (d) => (d.umidade === undefined && d.raw === undefined ? [t('umidade ou raw é obrigatório')] : []),
+  },
+  mediaDiaria: {
+    version: 2,
+    fields: {
+      data: { type: 'day', required: true },
+      media: { type: 'number', required: true, min: 0, max: 100 },
+      min: { type: 'number' },
+      max: { type: 'number' },
+      p10: { type: 'number' },
+      p90: { type: 'number' },
+      count: { type: 'number', min: 0 },
+      origem: { type: 'string' },
+      createdAt: { type: 'date' },
+    },
+    migrations: {
+      // v2: a média fica sempre em "media" (o Node-RED gravava "umidade") e
+      // o dia também no campo "data", não só no id
+      2: (d, id) => {
+        const { umidade, ...rest } = d;
+        return { ...rest, data: d.data ?? id, media: d.media ?? umidade };
+      },
+    },
+  },
+  agendamentos: {
+    version: 2,
+    fields: {
+      name: { type: 'string' },
+      aspersorId: { type: 'string', required: true },
+      time: { type: 'time', required: true },
+      minutes: { type: 'number', required: true, min: 1 },
+      weekdays: { type: 'weekdays', required: true },
+      // cópia em rótulos, mantida para o Node-RED (ver README)
+      days: { type: 'days' },
+      active: { type: 'boolean' },
+      createdAt: { type: 'date' },
+      updatedAt: { type: 'date' },
+    },
+    migrations: {
+      // v2: dias da semana como números, independentes do idioma
+      2: (d) => ({ ...d, weekdays: d.weekdays ?? labelsToWeekdays(d.days) }),
+    },
+  },
+  aspersores: {
+    version: 1,
+    fields: {
+      name: { type: 'string' },
+      bed: { type: 'string' },
+      sensorId: { type: 'string' },
+      autoModeEnabled: { type: 'boolean' },
+      minHumidity: { type: 'number', min: 0, max: 100 },
+      maxHumidity: { type: 'number', min: 0, max: 100 },
+      minRaw: { type: 'number' },
+      maxRaw: { type: 'number' },
+      flowRateLpm: { type: 'number', min: 0 },
+      // perfil de cultura (crops.js) e se os limites seguem o perfil
+      cropId: { type: 'string' },
+      cropLocked: { type: 'boolean' },
+      updatedAt: { type: 'date' },
+    },
+    check: minBelowMax,
+  },
+  culturas: {
+    version: 1,
+    fields: {
+      name: { type: 'string', required: true },
+      emoji: { type: 'string' },
+      minHumidity: { type: 'number', required: true, min: 0, max: 100 },
+      maxHumidity: { type: 'number', required: true, min: 0, max: 100 },
+      minutes: { type: 'number', required: true, min: 1 },
+      notes: { type: 'string' },
+      updatedAt: { type: 'date' },
+    },
+    check: minBelowMax,
+  },
+  sessoesIrrigacao: {
+    version: 1,
+    fields: {
+      aspersorId: { type: 'string', required: true },
+      source: { type: 'string' },
+      commandId: { type: 'string' },
+      startedAt: { type: 'date', required: true },
+      endedAt: { type: 'date' },
+      flowRateLpm: { type: 'number', min: 0 },
+      liters: { type: 'number', min: 0 },
+    },
+  },
+  status: {
+    version: 1,
+    fields: {
+      isOn: { type: 'boolean', default: false },
+      source: { type: 'enum', values: ['manual', 'auto', 'schedule'] },
+      commandId: { type: 'string' },
+      requestedAt: { type: 'date' },
+      ackCommandId: { type: 'string' },
+      ackAt: { type: 'date' },
+      endsAt: { type: 'date' },
+      updatedAt: { type: 'date' },
+    },
+  },
+  dispositivos: {
+    version: 1,
+    fields: {
+      lastHeartbeat: { type: 'date' },
+      name: { type: 'string' },
+      firmware: { type: 'string' },
+    },
+  },
+  alertas: {
+    version: 1,
+    fields: {
+      rule: { type: 'string', required: true },
+      aspersorId: { type: 'string' },
+      messageKey: { type: 'string' },
+      messageParams: { type: 'object' },
+      message: { type: 'string' },
+      since: { type: 'date' },
+      state: { type: 'enum', values: ['open', 'acknowledged', 'resolved'], required: true },
+      createdAt: { type: 'date' },
+      ackAt: { type: 'date' },
+      ackBy: { type: 'string' },
+      resolvedAt: { type: 'date' },
+      resolvedBy: { type: 'string' },
+      autoResolved: { type: 'boolean' },
+    },
+  },
+  auditoria: {
+    version: 1,
+    fields: {
+      action: { type: 'string', required: true },
+      target: { type: 'string' },
+      actor: { type: 'object' },
+      before: { type: 'any' },
+      after: { type: 'any' },
+      createdAt: { type: 'date', required: true },
+    },
+  },
+  usuarios: {
+    version: 1,
+    fields: {
+      email: { type: 'string' },
+      name: { type: 'string' },
+      role: { type: 'enum', values: ['viewer', 'operator', 'owner', 'device'], required: true },
+      locale: { type: 'enum', values: ['pt-BR', 'en', 'es'] },
+      createdAt: { type: 'date' },
+      updatedAt: { type: 'date' },
+    },
+  },
+  // membros e convites: ver gardens.js
+  hortas: {
+    version: 1,
+    fields: {
+      name: { type: 'string', required: true },
+      createdAt: { type: 'date' },
+      createdBy: { type: 'string' },
+      members: { type: 'object', default: {} },
+      memberUids: { type: 'any', default: [] },
+      invites: { type: 'object', default: {} },
+      inviteEmails: { type: 'any', default: [] },
+    },
+  },
+  // "configuracao" tem um esquema por documento
+  'configuracao/geral': {
+    version: 1,
+    fields: {
+      autoModeEnabled: { type: 'boolean', default: true },
+      minHumidity: { type: 'number', min: 0, max: 100, default: 50 },
+      maxHumidity: { type: 'number', min: 0, max: 100, default: 80 },
+      ignoreSuspectReadings: { type: 'boolean', default: true },
+      maxManualMinutes: { type: 'number', min: 1, default: 30 },
+      staleAfterMinutes: { type: 'number', min: 1, default: DEFAULT_STALE_AFTER_MINUTES },
+      timeZone: { type: 'timeZone', default: DEFAULT_TIME_ZONE },
+      pausedUntil: { type: 'date' },
+      pauseReason: { type: 'string' },
+      seasonalBudget: { type: 'monthlyPercent', default: FULL_BUDGET },
+      updatedAt: { type: 'date' },
+    },
+    check: minBelowMax,
+  },
+  'configuracao/calibracao': {
+    version: 1,
+    fields: {
+      sensores: { type: 'object', default: {} },
+    },
+  },
+  'configuracao/alertas': {
+    version: 1,
+    fields: {
+      lowHumidity: { type: 'object' },
+      valveOnTooLong: { type: 'object' },
+      noRiseWhileIrrigating: { type: 'object' },
+      updatedAt: { type: 'date' },
+    },
+  },
+  'configuracao/mqtt': {
+    version: 1,
+    fields: {
+      enabled: { type: 'boolean' },
+      url: { type: 'string' },
+      topics: { type: 'object' },
+      updatedAt: { type: 'date' },
+    },
+  },
+};
+
+function minBelowMax(d) {
+  return typeof d.minHumidity === 'number' &&
+    typeof d.maxHumidity === 'number' &&
+    d.minHumidity > d.maxHumidity
+    ? [t('minHumidity maior que maxHumidity')]
+    : [];
+}
+
+// Esquema de um documento ("configuracao" depende do id)
+export function schemaFor(collection, id) {
+  return SCHEMAS[`${collection}/${id}`] || SCHEMAS[collection] || null;
+}
+
+// (no CSV a versão chega como texto)
+export function versionOf(data) {
+  const v = Number(data?.[VERSION_FIELD]);
+  return Number.isInteger(v) && v > 0 ? v : 1;
+}
+
+// Dados já na versão atual do esquema, para gravar
+export function withVersion(collection, id, data) {
+  const schema = schemaFor(collection, id);
+  return schema ? { ...data, [VERSION_FIELD]: schema.version } : data;
+}
+
+// Valores padrão declarados no esquema ({} se não houver)
+export function defaultsFor(collection, id) {
+  const fields = schemaFor(collection, id)?.fields || {};
+  return Object.fromEntries(
+    Object.entries(fields)
+      .filter(([, spec]) => spec.default !== undefined)
+      .map(([name, spec]) => [name, spec.default])
+  );
+}
+
+// ---------- validação ----------
+
+// Converte/valida um campo. Retorna { value } ou { error }.
+export function coerceField(spec, value, { fromCSV = false } = {}) {
+  if (value === '' && fromCSV) value = undefined;
+  if (value === undefined || value === null) {
+    return spec.required ? { error: t('campo obrigatório ausente') } : { value: undefined };
+  }
+
+  switch (spec.type) {
+    case 'number': {
+      const n = typeof value === 'number' ? value : Number(String(value).replace(',', '.'));
+      if (Number.isNaN(n)) return { error: t('"{value}" não é um número', { value }) };
+      if (spec.min !== undefined && n < spec.min) return { error: t('deve ser ≥ {min}', { min: spec.min }) };
+      if (spec.max !== undefined && n > spec.max) return { error: t('deve ser ≤ {max}', { max: spec.max }) };
+      return { value: n };
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return { value };
+      const text = String(value).toLowerCase();
+      if (['true', '1', 'sim'].includes(text)) return { value: true };
+      if (['false', '0', 'nao', 'não'].includes(text)) return { value: false };
+      return { error: t('"{value}" não é verdadeiro/falso', { value }) };
+    }
+    case 'date': {
+      const d = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+      if (Number.isNaN(d.getTime())) return { error: t('"{value}" não é uma data válida', { value }) };
+      return { value: d };
+    }
+    case 'day':
+      return /^\d{4}-\d{2}-\d{2}$/.test(String(value))
+        ? { value: String(value) }
+        : { error: t('"{value}" não está no formato AAAA-MM-DD', { value }) };
+    case 'time':
+      return parseTime(value) === null
+        ? { error: t('"{value}" não está no formato HH:MM', { value }) }
+        : { value: String(value) };
+    case 'weekdays': {
+      const list = (Array.isArray(value) ? value : String(value).split('|')).map(Number);
+      if (!list.length || list.some((n) => !Number.isInteger(n) || n < 0 || n > 6)) {
+        return {
+          error: t('dias inválidos ({days}); use 0 (domingo) a 6 (sábado)', {
+            days: [].concat(value).join(', ') || t('vazio'),
+          }),
+        };
+      }
+      return { value: [...new Set(list)].sort((a, b) => a - b) };
+    }
+    case 'days': {
+      const list = Array.isArray(value) ? value : String(value).split('|').map((v) => v.trim());
+      const invalid = list.filter((d) => !DAY_LABELS.includes(d));
+      if (!list.length || invalid.length) {
+        return {
+          error: t('dias inválidos ({days}); use {labels}', {
+            days: invalid.join(', ') || t('vazio'),
+            labels: DAY_LABELS.join('|'),
+          }),
+        };
+      }
+      return { value: list };
+    }
+    case 'monthlyPercent': {
+      const list = (Array.isArray(value) ? value : String(value).split('|')).map(Number);
+      if (list.length !== 12 || list.some((n) => Number.isNaN(n) || n < 0 || n > 200)) {
+        return { error: t('informe 12 percentuais (janeiro a dezembro) entre 0 e 200') };
+      }
+      return { value: list };
+    }
+    case 'enum':
+      return spec.values.includes(value)
+        ? { value }
+        : { error: t('"{value}" não é um de {values}', { value, values: spec.values.join(', ') }) };
+    case 'object': {
+      if (typeof value === 'object') return { value };
+      try {
+        return { value: JSON.parse(value) };
+      } catch {
+        return { error: t('JSON inválido') };
+      }
+    }
+    case 'timeZone':
+      return isValidTimeZone(String(value))
+        ? { value: String(value) }
+        : { error: t('fuso horário "{value}" desconhecido', { value }) };
+    case 'any':
+      return { value };
+    default:
+      return { value: String(value) };
+  }
+}
+
+// Sobe o documento até a versão atual do esquema (sem gravar nada)
+export function migrateDoc(collection, id, data) {
+  const schema = schemaFor(collection, id);
+  const from = versionOf(data);
+  if (!schema || from >= schema.version) return { data, from, changed: false };
+  let out = { ...data };
+  for (let v = from + 1; v <= schema.version; v++) {
+    if (schema.migrations?.[v]) out = schema.migrations[v](out, id);
+  }
+  return { data: { ...out, [VERSION_FIELD]: schema.version }, from, changed: true };
+}
+
+// Valida um documento (já migrado) campo a campo.
+// Retorna { data, problems, defaulted }: "data" traz os campos convertidos e
+// os desconhecidos como vieram; com withDefaults, campos ausentes ou
+// inválidos recebem o "default" do esquema e entram em "defaulted".
+export function validateDoc(collection, id, data, { fromCSV = false, withDefaults = false } = {}) {
+  const schema = schemaFor(collection, id);
+  if (!schema) return { data, problems: [], defaulted: [] };
+
+  const out = {};
+  const problems = [];
+  const defaulted = [];
+  for (const [name, spec] of Object.entries(schema.fields)) {
+    const res = coerceField(spec, data[name], { fromCSV });
+    if (res.error) problems.push(`${name}: ${res.error}`);
+    if (res.value !== undefined && !res.error) out[name] = res.value;
+    else if (withDefaults && spec.default !== undefined) {
+      out[name] = spec.default;
+      defaulted.push(name);
+    }
+  }
+  if (schema.check) problems.push(...schema.check(out));
+  // campos desconhecidos seguem como vieram (texto no CSV)
+  for (const [name, value] of Object.entries(data)) {
+    if (!(name in schema.fields) && value !== '' && value !== undefined) out[name] = value;
+  }
+  if (VERSION_FIELD in out) out[VERSION_FIELD] = versionOf(out);
+  return { data: out, problems, defaulted };
+}
+
+// ---------- documentos inválidos ----------
+// Em vez de sumirem em silêncio, ficam listados aqui (card "Dados e
+// migração" do painel) até a próxima leitura válida do mesmo documento.
+// Os das coleções da horta saem ao trocar de horta (clearGardenInvalidDocs),
+// já que o mesmo "coleção/id" existe em cada horta.
+
+const invalidDocs = new Map();
+const listeners = new Set();
+
+const notify = () => {
+  const list = [...invalidDocs.values()];
+  listeners.forEach((cb) => cb(list));
+};
+
+export function watchInvalidDocs(cb) {
+  listeners.add(cb);
+  cb([...invalidDocs.values()]);
+  return () => listeners.delete(cb);
+}
+
+export function clearGardenInvalidDocs() {
+  let changed = false;
+  for (const [key, doc] of invalidDocs) {
+    if (GARDEN_COLLECTIONS.includes(doc.collection)) changed = invalidDocs.delete(key) || changed;
+  }
+  if (changed) notify();
+}
+
+function report(collection, id, problems) {
+  const key = `${collection}/${id}`;
+  const old = invalidDocs.get(key);
+  if (!problems.length) {
+    if (old && invalidDocs.delete(key)) notify();
+    return;
+  }
+  if (old && old.problems.join() === problems.join()) return;
+  invalidDocs.set(key, { collection, id, problems });
+  notify();
+}
+
+// Leitura de um documento: migra em memória, valida e registra os problemas.
+// Retorna { data, valid, defaulted }.
+export function readDoc(collection, id, raw, { withDefaults = false } = {}) {
+  const migrated = migrateDoc(collection, id, raw).data;
+  const { data, problems, defaulted } = validateDoc(collection, id, migrated, { withDefaults });
+  report(collection, id, problems);
+  return { data, valid: problems.length === 0, defaulted };
+}
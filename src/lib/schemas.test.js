@@ -0,0 +1,107 @@
+// src/lib/schemas.test.js
+import { describe, expect, it } from 'vitest';
+import { VERSION_FIELD, migrateDoc, readDoc, validateDoc, versionOf, withVersion } from './schemas';
+
+describe('versionOf', () => {
+  it('documentos sem versão (ou com versão inválida) são da versão 1', () => {
+    expect(versionOf({})).toBe(1);
+    expect(versionOf(undefined)).toBe(1);
+    expect(versionOf({ [VERSION_FIELD]: 'x' })).toBe(1);
+    expect(versionOf({ [VERSION_FIELD]: 0 })).toBe(1);
+  });
+
+  it('aceita a versão como texto, como chega do CSV', () => {
+    expect(versionOf({ [VERSION_FIELD]: '2' })).toBe(2);
+  });
+});
+
+describe('migrateDoc', () => {
+  it('agendamentos v1: converte os rótulos de dias em números', () => {
+    const { data, from, changed } = migrateDoc('agendamentos', 'a1', {
+      aspersorId: 'aspersor1',
+      time: '06:00',
+      minutes: 10,
+      days: ['Seg', 'Qua'],
+    });
+    expect(from).toBe(1);
+    expect(changed).toBe(true);
+    expect(data).toMatchObject({ weekdays: [1, 3], days: ['Seg', 'Qua'], [VERSION_FIELD]: 2 });
+  });
+
+  it('agendamentos v1 que já têm "weekdays" mantêm os números', () => {
+    const { data } = migrateDoc('agendamentos', 'a1', { days: ['Seg'], weekdays: [0, 6] });
+    expect(data.weekdays).toEqual([0, 6]);
+  });
+
+  it('mediaDiaria v1: "umidade" vira "media" e o dia sai do id', () => {
+    const { data } = migrateDoc('mediaDiaria', '2026-10-18', { umidade: 42, count: 96 });
+    expect(data).toEqual({ data: '2026-10-18', media: 42, count: 96, [VERSION_FIELD]: 2 });
+  });
+
+  it('não mexe em documentos já na versão atual', () => {
+    const doc = { data: '2026-10-18', media: 40, umidade: 1, [VERSION_FIELD]: 2 };
+    expect(migrateDoc('mediaDiaria', '2026-10-18', doc)).toEqual({ data: doc, from: 2, changed: false });
+  });
+
+  it('coleções sem esquema passam direto', () => {
+    const doc = { qualquer: 1 };
+    expect(migrateDoc('desconhecida', 'x', doc)).toEqual({ data: doc, from: 1, changed: false });
+  });
+});
+
+describe('validateDoc', () => {
+  it('converte os campos do CSV e mantém os desconhecidos', () => {
+    const { data, problems } = validateDoc(
+      'agendamentos',
+      'a1',
+      { aspersorId: 'aspersor1', time: '06:00', minutes: '15', weekdays: '3|1|3', active: 'sim', extra: 'x' },
+      { fromCSV: true }
+    );
+    expect(problems).toEqual([]);
+    expect(data).toEqual({
+      aspersorId: 'aspersor1',
+      time: '06:00',
+      minutes: 15,
+      weekdays: [1, 3],
+      active: true,
+      extra: 'x',
+    });
+  });
+
+  it('lista os problemas por campo', () => {
+    const { problems } = validateDoc('agendamentos', 'a1', { aspersorId: 'aspersor1', time: '25:00', minutes: 0 });
+    expect(problems.map((p) => p.split(':')[0])).toEqual(['time', 'minutes', 'weekdays']);
+  });
+
+  it('roda a checagem do esquema sobre os campos convertidos', () => {
+    const { problems } = validateDoc('aspersores', 'aspersor1', { minHumidity: '70', maxHumidity: 40 });
+    expect(problems).toEqual(['minHumidity maior que maxHumidity']);
+  });
+
+  it('com withDefaults, campos ausentes ou inválidos recebem o padrão', () => {
+    const { data, problems, defaulted } = validateDoc(
+      'configuracao',
+      'geral',
+      { minHumidity: 'muito', maxHumidity: 70 },
+      { withDefaults: true }
+    );
+    expect(problems).toHaveLength(1);
+    expect(data).toMatchObject({ minHumidity: 50, maxHumidity: 70, autoModeEnabled: true });
+    expect(defaulted).toContain('minHumidity');
+    expect(defaulted).not.toContain('maxHumidity');
+  });
+
+  it('a versão do CSV volta a ser número', () => {
+    const doc = withVersion('mediaDiaria', '2026-10-18', { data: '2026-10-18', media: 40 });
+    const { data } = validateDoc('mediaDiaria', '2026-10-18', { ...doc, [VERSION_FIELD]: '2' }, { fromCSV: true });
+    expect(data[VERSION_FIELD]).toBe(2);
+  });
+});
+
+describe('readDoc', () => {
+  it('migra antes de validar', () => {
+    const { data, valid } = readDoc('mediaDiaria', '2026-10-18', { umidade: 42 });
+    expect(valid).toBe(true);
+    expect(data).toMatchObject({ data: '2026-10-18', media: 42, [VERSION_FIELD]: 2 });
+  });
+});
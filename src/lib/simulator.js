@@ -0,0 +1,225 @@
+// src/lib/simulator.js
+// Simulador de sensor de umidade e válvula para desenvolvimento. Faz o papel
+// do ESP32 (leituras, heartbeat, confirmação de comandos) e do Node-RED
+// (desligar no endsAt, agendamentos, modo automático e sessões de irrigação)
+// sobre qualquer "store": o em memória ou o Firestore do emulador.
+import { autoModeAction } from './autoMode';
+import { sensorKey } from './calibration';
+import { sessionId, sessionLiters } from './consumption';
+import { STUCK_MINUTES, flagReadings, latestFlag } from './quality';
+import { DEFAULT_TIME_ZONE, activeRuns, expandSchedules, isPaused } from './scheduleEngine';
+
+const TICK_MS = 5000;
+const READING_EVERY_TICKS = 6; // uma leitura a cada 30 s
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_ZONE = { id: 'aspersor1', sensorId: '' };
+
+const round1 = (n) => Math.round(n * 10) / 10;
+const clamp = (n) => Math.max(5, Math.min(95, n));
+const noise = (amplitude) => (Math.random() * 2 - 1) * amplitude;
+
+const toMs = (v) =>
+  v && typeof v.toDate === 'function'
+    ? v.toDate().getTime()
+    : v instanceof Date
+      ? v.getTime()
+      : v
+        ? new Date(v).getTime()
+        : null;
+
+// Sensor capacitivo: seco ≈ 3200, encharcado ≈ 1600
+export const simulatedRaw = (pct) => Math.round(3200 - pct * 16);
+
+const readingData = (sensorId, pct, at) => ({
+  umidade: round1(pct),
+  raw: simulatedRaw(pct),
+  createdAt: at,
+  ...(sensorId ? { sensorId } : {}),
+});
+
+// Histórico inicial: uma leitura a cada 15 min nos últimos "days" dias, com
+// o ciclo de secar durante o dia e recuperar à noite
+export async function seedHistory(store, { days = 15, sensors = [''], now = Date.now() } = {}) {
+  const ops = [];
+  for (const sensorId of sensors) {
+    for (let t = now - days * DAY_MS; t < now; t += 15 * 60000) {
+      const hour = new Date(t).getHours();
+      const pct = clamp(58 + 10 * Math.cos(((hour - 4) / 24) * 2 * Math.PI) + noise(2));
+      ops.push({
+        path: `leiturasUmidade/sim-${sensorKey(sensorId)}-${t}`,
+        data: readingData(sensorId, pct, new Date(t)),
+      });
+    }
+  }
+  await store.writeBatch(ops);
+}
+
+async function setValve(store, zone, { on, source, now, endsAt = null }) {
+  const commandId = `sim-${now.getTime()}`;
+  await store.setDoc(
+    `status/${zone.id}`,
+    {
+      isOn: on,
+      source,
+      commandId,
+      requestedAt: now,
+      ackCommandId: commandId,
+      ackAt: now,
+      endsAt,
+      updatedAt: now,
+    },
+    { merge: true }
+  );
+
+  const open = await store.getQuery({
+    collection: 'sessoesIrrigacao',
+    where: [
+      ['aspersorId', '==', zone.id],
+      ['endedAt', '==', null],
+    ],
+  });
+  for (const s of open) {
+    const session = { ...s.data, startedAt: toMs(s.data.startedAt), endedAt: now.getTime() };
+    await store.updateDoc(`sessoesIrrigacao/${s.id}`, { endedAt: now, liters: sessionLiters(session) });
+  }
+  if (on) {
+    await store.setDoc(`sessoesIrrigacao/${sessionId(zone.id, commandId)}`, {
+      aspersorId: zone.id,
+      source,
+      commandId,
+      startedAt: now,
+      endedAt: null,
+      flowRateLpm: zone.flowRateLpm ?? null,
+    });
+  }
+}
+
+async function lastHumidity(store, sensorId) {
+  const [latest] = await store.getQuery({
+    collection: 'leiturasUmidade',
+    where: sensorId ? [['sensorId', '==', sensorId]] : [],
+    orderBy: ['createdAt', 'desc'],
+    limit: 1,
+  });
+  return typeof latest?.data.umidade === 'number' ? latest.data.umidade : null;
+}
+
+// Um passo da simulação para todos os aspersores. "recent" guarda as leituras
+// gravadas de cada sensor nas últimas horas, para o filtro de qualidade.
+async function step(store, humidity, recent, writeReadings) {
+  const now = new Date();
+  const zoneDocs = await store.getQuery({ collection: 'aspersores' });
+  const zones = zoneDocs.length ? zoneDocs.map((d) => ({ id: d.id, ...d.data })) : [DEFAULT_ZONE];
+  const general = (await store.getDoc('configuracao/geral')).data;
+  const schedules = (await store.getQuery({ collection: 'agendamentos' })).map((d) => ({
+    id: d.id,
+    ...d.data,
+  }));
+  const pausedUntil = toMs(general.pausedUntil) ? new Date(toMs(general.pausedUntil)) : null;
+  const running = activeRuns(
+    expandSchedules(schedules, {
+      from: now,
+      days: 1,
+      timeZone: general.timeZone || DEFAULT_TIME_ZONE,
+      pausedUntil,
+      seasonalBudget: general.seasonalBudget,
+    }),
+    now
+  );
+  const watering = {};
+
+  for (const zone of zones) {
+    const key = sensorKey(zone.sensorId);
+    if (humidity[key] === undefined) humidity[key] = (await lastHumidity(store, zone.sensorId)) ?? 60;
+    const status = (await store.getDoc(`status/${zone.id}`)).data;
+    let isOn = status.isOn === true;
+    let source = status.source || null;
+
+    // ESP32: confirma o último comando recebido
+    if (status.commandId && status.ackCommandId !== status.commandId) {
+      await store.setDoc(`status/${zone.id}`, { ackCommandId: status.commandId, ackAt: now }, { merge: true });
+    }
+
+    // Node-RED: desliga no horário previsto
+    const endsAt = toMs(status.endsAt);
+    if (isOn && endsAt && endsAt <= now.getTime()) {
+      await setValve(store, zone, { on: false, source, now });
+      isOn = false;
+    }
+
+    // Node-RED: agendamentos em andamento
+    const run = running.find((r) => r.aspersorId === zone.id);
+    if (run && !isOn) {
+      await setValve(store, zone, { on: true, source: 'schedule', now, endsAt: run.end });
+      isOn = true;
+      source = 'schedule';
+    }
+
+    // Node-RED: modo automático (ignora a última leitura se ela for suspeita)
+    const action = autoModeAction({
+      enabled: zone.autoModeEnabled ?? general.autoModeEnabled ?? true,
+      paused: isPaused(pausedUntil, now),
+      suspect: (general.ignoreSuspectReadings ?? true) && Boolean(latestFlag(flagReadings(recent[key] || []))),
+      humidity: humidity[key],
+      isOn,
+      source,
+      minHumidity: zone.minHumidity ?? general.minHumidity ?? 50,
+      maxHumidity: zone.maxHumidity ?? general.maxHumidity ?? 80,
+    });
+    if (action) {
+      isOn = action === 'open';
+      await setValve(store, zone, { on: isOn, source: 'auto', now });
+    }
+
+    watering[key] = watering[key] || isOn;
+  }
+
+  // Solo: sobe com a válvula aberta, seca devagar com ela fechada
+  for (const [key, on] of Object.entries(watering)) {
+    humidity[key] = clamp(humidity[key] + (on ? 0.8 : -0.15) + noise(0.2));
+  }
+
+  if (!writeReadings) return;
+  for (const zone of zones) {
+    const key = sensorKey(zone.sensorId);
+    if (!(key in watering)) continue;
+    delete watering[key];
+    const data = readingData(zone.sensorId, humidity[key], now);
+    const keepFrom = now.getTime() - (STUCK_MINUTES + 30) * 60000;
+    recent[key] = [
+      ...(recent[key] || []).filter((r) => r.at >= keepFrom),
+      { at: now.getTime(), humidity: data.umidade, raw: data.raw, sensorId: zone.sensorId || '' },
+    ];
+    await store.addDoc('leiturasUmidade', data);
+    await store.setDoc(
+      `dispositivos/${key}`,
+      { lastHeartbeat: now, name: 'Simulador', firmware: 'simulado' },
+      { merge: true }
+    );
+  }
+}
+
+// Inicia a simulação; devolve a função que para
+export function startSimulator(store, { tickMs = TICK_MS } = {}) {
+  const humidity = {};
+  const recent = {};
+  let tick = 0;
+  let busy = false;
+
+  const run = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      await step(store, humidity, recent, tick % READING_EVERY_TICKS === 0);
+      tick += 1;
+    } catch (e) {
+      console.error('Erro no simulador:', e);
+    } finally {
+      busy = false;
+    }
+  };
+
+  run();
+  const id = setInterval(run, tickMs);
+  return () => clearInterval(id);
+}
@@ -0,0 +1,133 @@
+// src/lib/whatIf.js
+// Simulação "e se": repassa as leituras gravadas (leiturasUmidade) por
+// limites e agendamentos candidatos, com a mesma histerese do modo automático
+// (autoModeAction), e estima quantas vezes a válvula abriria, por quanto
+// tempo e quanto tempo o solo ficaria abaixo do mínimo.
+//
+// As leituras são as reais. Quando a simulação abre a válvula, a umidade
+// simulada ganha risePerMinute por minuto aberta; o excedente seca
+// dryPerMinute por minuto fechada até voltar à leitura gravada. Serve para
+// comparar cenários entre si, não como previsão exata.
+import { DAY_MS } from './aggregation';
+import { autoModeAction } from './autoMode';
+import { expandSchedules } from './scheduleEngine';
+
+export const RISE_PER_MINUTE = 1; // % por minuto com a válvula aberta
+export const DRY_PER_MINUTE = 0.05; // % por minuto (3%/h) do excedente
+// Intervalos sem leitura maiores que isso não entram na conta
+export const MAX_GAP_MINUTES = 60;
+// A simulação usa uma leitura por intervalo (a mais recente dele), não todas,
+// e no máximo MAX_SAMPLES intervalos (uma consulta cada): a cada
+// SAMPLE_MINUTES nos períodos curtos, mais espaçadas nos longos (30 dias →
+// uma por hora, 720 consultas em vez de ~86.000 leituras)
+export const SAMPLE_MINUTES = 10;
+export const MAX_SAMPLES = 720;
+
+export const sampleMinutes = (days) => Math.max(SAMPLE_MINUTES, Math.ceil((days * 24 * 60) / MAX_SAMPLES));
+
+// Intervalo sem leitura tolerado com a amostra de "days" dias: com leituras
+// mais espaçadas que MAX_GAP_MINUTES, até duas amostras seguidas
+export const maxGapFor = (days) => Math.max(MAX_GAP_MINUTES, 2 * sampleMinutes(days));
+
+const round1 = (n) => Math.round(n * 10) / 10;
+const clamp = (n) => Math.max(0, Math.min(100, n));
+
+// Minutos de [t0, t1) cobertos pelas regas (ordenadas por início)
+function scheduledMinutes(runs, t0, t1) {
+  let total = 0;
+  for (const run of runs) {
+    const start = run.start.getTime();
+    if (start >= t1) break;
+    const overlap = Math.min(run.end.getTime(), t1) - Math.max(start, t0);
+    if (overlap > 0) total += overlap;
+  }
+  return total / 60000;
+}
+
+// readings: [{ at (ms), humidity }] em qualquer ordem
+// scenario: { autoModeEnabled, minHumidity, maxHumidity, schedules }
+// options: { timeZone, seasonalBudget, flowRateLpm, risePerMinute, dryPerMinute,
+//            maxGapMinutes }
+// → { cycles, autoCycles, scheduleRuns, valveMinutes, belowMinMinutes,
+//     coveredMinutes, liters (null sem vazão) }
+export function replayScenario(
+  readings,
+  { autoModeEnabled, minHumidity, maxHumidity, schedules = [] },
+  {
+    timeZone,
+    seasonalBudget,
+    flowRateLpm,
+    risePerMinute = RISE_PER_MINUTE,
+    dryPerMinute = DRY_PER_MINUTE,
+    maxGapMinutes = MAX_GAP_MINUTES,
+  } = {}
+) {
+  const sorted = readings
+    .filter((r) => typeof r.humidity === 'number')
+    .sort((a, b) => a.at - b.at);
+
+  let autoOn = false;
+  let boost = 0;
+  let autoCycles = 0;
+  let valveMinutes = 0;
+  let belowMinMinutes = 0;
+  let coveredMinutes = 0;
+  const startedRuns = new Set();
+
+  const from = sorted.length ? sorted[0].at : 0;
+  const to = sorted.length ? sorted[sorted.length - 1].at : 0;
+  const runs = sorted.length
+    ? expandSchedules(schedules, {
+        from: new Date(from),
+        days: Math.ceil((to - from) / DAY_MS) + 1,
+        timeZone,
+        seasonalBudget,
+      }).filter((r) => !r.skipped)
+    : [];
+
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const t0 = sorted[i].at;
+    const t1 = sorted[i + 1].at;
+    const gap = (t1 - t0) / 60000;
+    const humidity = clamp(sorted[i].humidity + boost);
+
+    // agendamento em andamento: a válvula está aberta por ele e o modo
+    // automático não mexe (como no Node-RED)
+    const run = runs.find((r) => r.start.getTime() <= t0 && r.end.getTime() > t0);
+    const action = autoModeAction({
+      enabled: autoModeEnabled,
+      humidity,
+      isOn: autoOn || Boolean(run),
+      source: autoOn ? 'auto' : run ? 'schedule' : null,
+      minHumidity,
+      maxHumidity,
+    });
+    if (action === 'open') {
+      autoOn = true;
+      autoCycles += 1;
+    } else if (action === 'close') {
+      autoOn = false;
+    }
+
+    if (gap > maxGapMinutes) continue;
+    for (const r of runs) {
+      if (r.start.getTime() >= t0 && r.start.getTime() < t1) startedRuns.add(r);
+    }
+    const onMinutes = autoOn ? gap : Math.min(gap, scheduledMinutes(runs, t0, t1));
+    coveredMinutes += gap;
+    valveMinutes += onMinutes;
+    if (humidity < minHumidity) belowMinMinutes += gap;
+    boost = Math.max(0, boost + risePerMinute * onMinutes - dryPerMinute * (gap - onMinutes));
+  }
+
+  const rate = Number(flowRateLpm);
+  return {
+    cycles: autoCycles + startedRuns.size,
+    autoCycles,
+    scheduleRuns: startedRuns.size,
+    valveMinutes: round1(valveMinutes),
+    belowMinMinutes: round1(belowMinMinutes),
+    coveredMinutes: round1(coveredMinutes),
+    liters: rate > 0 ? round1(valveMinutes * rate) : null,
+  };
+}
@@ -0,0 +1,457 @@
+// src/locales/en.js
+// Inglês: texto em português (a chave usada em t()) → tradução.
+// Textos que faltarem aparecem em português.
+export default {
+  '"{value}" não está no formato AAAA-MM-DD': '"{value}" is not in the YYYY-MM-DD format',
+  '"{value}" não está no formato HH:MM': '"{value}" is not in the HH:MM format',
+  '"{value}" não é um de {values}': '"{value}" is not one of {values}',
+  '"{value}" não é um número': '"{value}" is not a number',
+  '"{value}" não é uma data válida': '"{value}" is not a valid date',
+  '"{value}" não é verdadeiro/falso': '"{value}" is not true/false',
+  '(em andamento)': '(in progress)',
+  '(pausado)': '(paused)',
+  '+ Horta': '+ Garden',
+  '30 dias': '30 days',
+  '7 dias': '7 days',
+  'A data precisa ser hoje ou depois.': 'The date must be today or later.',
+  'A duração deve ser um número inteiro de minutos entre 1 e {max}.': 'The duration must be a whole number of minutes between 1 and {max}.',
+  'A duração típica deve ser de pelo menos 1 minuto.': 'The typical duration must be at least 1 minute.',
+  'A faixa de umidade deve ir de 0 a 100%, com mínima < máxima.': 'The moisture range must go from 0 to 100%, with minimum < maximum.',
+  'A proposta mudou — simule de novo para atualizar.': 'The proposal changed — simulate again to update.',
+  'A senha precisa ter pelo menos 6 caracteres.': 'The password must be at least 6 characters long.',
+  'A umidade máxima não pode ser menor que a umidade mínima.': 'The maximum moisture cannot be lower than the minimum moisture.',
+  'A última leitura deste sensor não tem valor bruto (raw).': 'The latest reading from this sensor has no raw value.',
+  'A última leitura foi ignorada.': 'The latest reading was ignored.',
+  'A última leitura foi ignorada; o valor mostrado vem das anteriores.': 'The latest reading was ignored; the value shown comes from the previous ones.',
+  'Abaixo do mínimo': 'Below minimum',
+  'Aberta por mais de (minutos, sem horário de desligar)': 'Open for more than (minutes, without a shut-off time)',
+  'Aberto': 'Open',
+  'Aberto {how}': 'Opened {how}',
+  'Adequado': 'Adequate',
+  'Adicionar Aspersor': 'Add Sprinkler',
+  'Adicionar Perfil': 'Add Profile',
+  'Agendamentos': 'Schedules',
+  'Agendamentos na proposta:': 'Schedules in the proposal:',
+  'Ainda não confirmado.': 'Not confirmed yet.',
+  'Alerta': 'Alert',
+  'Alface': 'Lettuce',
+  'Alterou broker MQTT': 'Changed MQTT broker',
+  'Alterou configurações gerais': 'Changed general settings',
+  'Alterou modo automático': 'Changed automatic mode',
+  'Alterou orçamento sazonal': 'Changed seasonal budget',
+  'Alterou papel de usuário': 'Changed user role',
+  'Alterou regras de alerta': 'Changed alert rules',
+  'Ao escolher a cultura, os limites do modo automático passam para {min}% a {max}%; depois podem ser ajustados.': 'Choosing the crop sets the automatic mode limits to {min}% to {max}%; they can be adjusted afterwards.',
+  'Arquivo não foi exportado pela Horta Inteligente': 'File was not exported by Smart Garden',
+  'Arquivos JSON já indicam a coleção; para CSV, escolha a coleção acima.': 'JSON files already name the collection; for CSV, choose the collection above.',
+  'Aspersores': 'Sprinklers',
+  'Ativar': 'Activate',
+  'Ative o aspersor {name} manualmente': 'Turn sprinkler {name} on manually',
+  'Atividades': 'Activity',
+  'Ativo': 'Active',
+  'Atual': 'Current',
+  'Até': 'To',
+  'Backup, relatórios e migração para outro projeto Firebase': 'Backups, reports and migration to another Firebase project',
+  'Baixar Arquivo': 'Download File',
+  'Broker MQTT': 'MQTT Broker',
+  'Bruto': 'Raw',
+  'Cada aspersor tem seu canteiro, sensor, controles e agendamentos': 'Each sprinkler has its own bed, sensor, controls and schedules',
+  'Cada mês deve ficar entre 0% e 200%.': 'Each month must be between 0% and 200%.',
+  'Cadastro de Aspersores': 'Sprinkler Registry',
+  'Calcular e gravar em mediaDiaria {count} dia(s) sem média': 'Compute and save {count} day(s) without an average to mediaDiaria',
+  'Calibração do Sensor': 'Sensor Calibration',
+  'Calibração inválida: capture pelo menos o ponto seco e o molhado, e a umidade deve só subir (ou só descer) com o valor bruto.': 'Invalid calibration: capture at least the dry and the wet points, and moisture must only rise (or only fall) with the raw value.',
+  'Cancelar': 'Cancel',
+  'Cancelou convite': 'Cancelled invite',
+  'Canteiro': 'Bed',
+  'Canteiro: {bed}': 'Bed: {bed}',
+  'Capturar Molhado (100%)': 'Capture Wet (100%)',
+  'Capturar Seco (0%)': 'Capture Dry (0%)',
+  'Capturar ponto': 'Capture point',
+  'Carregando leituras...': 'Loading readings...',
+  'Carregando...': 'Loading...',
+  'Carregar leituras mais antigas': 'Load older readings',
+  'Cenoura': 'Carrot',
+  'Central de Alertas': 'Alert Center',
+  'Chuva e Orçamento Sazonal': 'Rain and Seasonal Budget',
+  'Coleção "{name}" não pode ser importada': 'Collection "{name}" cannot be imported',
+  'Com solo seco fica picante e pendoa cedo.': 'With dry soil it turns spicy and bolts early.',
+  'Comando enviado — aguardando confirmação do ESP32...': 'Command sent — waiting for the ESP32 to confirm...',
+  'Comandos (publica)': 'Commands (publishes)',
+  'Conexão direta com o broker (ex.: Mosquitto na rede local)': 'Direct connection to the broker (e.g. Mosquitto on the local network)',
+  'Configuração geral e calibração': 'General settings and calibration',
+  'Configurações': 'Settings',
+  'Configurações Gerais': 'General Settings',
+  'Configure os níveis de umidade': 'Set the moisture levels',
+  'Confirmado pelo ESP32': 'Confirmed by the ESP32',
+  'Confirmado pelo ESP32 às {time}': 'Confirmed by the ESP32 at {time}',
+  'Confirme este e-mail pelo link que enviamos para receber os convites.': 'Confirm this email through the link we sent to receive invites.',
+  'Considerar sensor sem dados após (minutos)': 'Consider a sensor without data after (minutes)',
+  'Consumo de Água': 'Water Usage',
+  'Controle Manual': 'Manual Control',
+  'Converte o valor bruto do ADC em % de umidade': 'Converts the raw ADC value into moisture %',
+  'Convidar': 'Invite',
+  'Convidou membro': 'Invited member',
+  'Convites pendentes': 'Pending invites',
+  'Corrija os erros antes de importar': 'Fix the errors before importing',
+  'Couve': 'Kale',
+  'Criando...': 'Creating...',
+  'Criar a primeira horta': 'Create the first garden',
+  'Criar conta': 'Create account',
+  'Criar horta': 'Create garden',
+  'Criar horta e mover os dados': 'Create garden and move the data',
+  'Criou agendamento': 'Created schedule',
+  'Dados atrasados': 'Stale data',
+  'De': 'From',
+  'Depois de (minutos)': 'After (minutes)',
+  'Desliga automaticamente às {time}': 'Turns off automatically at {time}',
+  'Desligando...': 'Turning off...',
+  'Desligar Aspersor': 'Turn Sprinkler Off',
+  'Desligou aspersor': 'Turned sprinkler off',
+  'Dias da Semana': 'Days of the Week',
+  'Dispositivo': 'Device',
+  'Dispositivos': 'Devices',
+  'Documentos em formato antigo e documentos que não passaram na validação': 'Documents in an old format and documents that failed validation',
+  'Documentos inválidos ({length})': 'Invalid documents ({length})',
+  'Duração (minutos)': 'Duration (minutes)',
+  'Duração (máx. {maxManualMinutes} min)': 'Duration (max. {maxManualMinutes} min)',
+  'E-mail': 'E-mail',
+  'E-mail de confirmação enviado.': 'Confirmation email sent.',
+  'E-mail ou senha incorretos.': 'Incorrect e-mail or password.',
+  'E-mail para convidar': 'E-mail to invite',
+  'Editando agendamento existente': 'Editing an existing schedule',
+  'Editar': 'Edit',
+  'Editou agendamento': 'Edited schedule',
+  'Em: {zones}': 'On: {zones}',
+  'Emoji': 'Emoji',
+  'Endereço WebSocket do broker': 'Broker WebSocket address',
+  'Endereço inválido. Use ws://host:porta ou wss://host:porta.': 'Invalid address. Use ws://host:port or wss://host:port.',
+  'Entrar': 'Sign in',
+  'Entre para acessar o painel': 'Sign in to access the dashboard',
+  'Enviamos um link de acesso para o seu e-mail.': 'We sent a sign-in link to your e-mail.',
+  'Ervas (cebolinha, salsa, manjericão)': 'Herbs (chives, parsley, basil)',
+  'Escolha a data.': 'Choose the date.',
+  'Escolha uma duração entre 1 e {max} minutos.': 'Choose a duration between 1 and {max} minutes.',
+  'Estado da válvula (assina)': 'Valve state (subscribes)',
+  'Este agendamento se sobrepõe a outro ativo. Reativar mesmo assim?': 'This schedule overlaps another active one. Reactivate anyway?',
+  'Este agendamento se sobrepõe a:\n{list}\n\nSalvar mesmo assim?': 'This schedule overlaps:\n{list}\n\nSave anyway?',
+  'Este e-mail já participa da horta.': 'This e-mail is already part of the garden.',
+  'Este e-mail já tem conta. Use Entrar.': 'This e-mail already has an account. Use Sign in.',
+  'Estimativa sobre {readings} leituras dos últimos {days} dias (uma a cada {minutes} min), supondo que a umidade sobe cerca de 1% por minuto com a válvula aberta.': 'Estimate over {readings} readings from the last {days} days (one every {minutes} min), assuming moisture rises about 1% per minute with the valve open.',
+  'Ex.: Rega da manhã': 'E.g. Morning watering',
+  'Excesso de água racha as raízes.': 'Too much water splits the roots.',
+  'Excluir': 'Delete',
+  'Excluir este agendamento?': 'Delete this schedule?',
+  'Excluir este aspersor do cadastro?': 'Remove this sprinkler from the registry?',
+  'Excluir o perfil {crop}?': 'Delete the {crop} profile?',
+  'Excluiu agendamento': 'Deleted schedule',
+  'Excluiu aspersor': 'Deleted sprinkler',
+  'Excluiu perfil de cultura': 'Deleted crop profile',
+  'Exportando...': 'Exporting...',
+  'Exportar': 'Export',
+  'Exportar e Importar Dados': 'Export and Import Data',
+  'Faixa de umidade recomendada e duração típica da rega de cada planta': 'Recommended moisture range and typical watering time for each plant',
+  'Faixa sombreada: mínimo e máximo do dia': 'Shaded band: daily minimum and maximum',
+  'Falha ao enviar o comando. Tente novamente.': 'Failed to send the command. Try again.',
+  'Falha ao gravar os dados importados.': 'Failed to save the imported data.',
+  'Fechar simulação': 'Close simulation',
+  'Filtrar por alvo (ex.: aspersor1)': 'Filter by target (e.g. aspersor1)',
+  'Formato dos Dados': 'Data Format',
+  'Fuso horário da horta (ex.: America/Sao_Paulo)': 'Garden time zone (e.g. America/Sao_Paulo)',
+  'Fuso horário inválido. Use o formato Região/Cidade.': 'Invalid time zone. Use the Region/City format.',
+  'Gravando...': 'Saving...',
+  'Gravar {count} documento(s) em "{collection}"? Documentos com o mesmo id serão substituídos.': 'Write {count} document(s) to "{collection}"? Documents with the same id will be replaced.',
+  'Gravou médias diárias': 'Saved daily averages',
+  'Histórico': 'History',
+  'Histórico de Umidade (média diária)': 'Moisture History (daily average)',
+  'Horta': 'Garden',
+  'Horta Inteligente': 'Smart Garden',
+  'Horta principal': 'Main garden',
+  'Horário de Início': 'Start Time',
+  'Horários no fuso {timeZone}': 'Times in the {timeZone} time zone',
+  'ID do sensor': 'Sensor ID',
+  'Idioma': 'Language',
+  'Importando...': 'Importing...',
+  'Importar': 'Import',
+  'Importação concluída.': 'Import finished.',
+  'Importou dados': 'Imported data',
+  'Inativo': 'Inactive',
+  'Informe o e-mail.': 'Enter your e-mail.',
+  'Informe o horário de início no formato HH:MM.': 'Enter the start time as HH:MM.',
+  'Informe o nome da cultura!': 'Enter the crop name!',
+  'Informe o nome da horta!': 'Enter the garden name!',
+  'Informe o nome do aspersor!': 'Enter the sprinkler name!',
+  'Informe um e-mail válido!': 'Enter a valid e-mail!',
+  'Irrigação Automática': 'Automatic Irrigation',
+  'Irrigação Programada': 'Scheduled Irrigation',
+  'Irrigação automática ativa.': 'Automatic irrigation on.',
+  'Irrigações': 'Waterings',
+  'JSON inválido': 'Invalid JSON',
+  'Já confirmei': 'I have confirmed',
+  'Leitura atual do sensor': 'Current sensor reading',
+  'Leitura atual do sensor {sensorId}': 'Current reading of sensor {sensorId}',
+  'Leitura bruta atual:': 'Current raw reading:',
+  'Leituras de umidade': 'Moisture readings',
+  'Leituras do Sensor': 'Sensor Readings',
+  'Ligando...': 'Turning on...',
+  'Ligar por {minutes} min': 'Turn on for {minutes} min',
+  'Ligou aspersor': 'Turned sprinkler on',
+  'Limites': 'Limits',
+  'Linha {row}': 'Row {row}',
+  'Lista de Agendamentos': 'Schedule List',
+  'MQTT com erro': 'MQTT error',
+  'MQTT conectado': 'MQTT connected',
+  'MQTT conectando...': 'MQTT connecting...',
+  'MQTT desativado': 'MQTT disabled',
+  'MQTT sem conexão': 'MQTT offline',
+  'Membros da Horta': 'Garden Members',
+  'Migrando...': 'Migrating...',
+  'Migrar para o formato atual': 'Migrate to the current format',
+  'Migrou documentos antigos': 'Migrated old documents',
+  'Modo Automático': 'Automatic Mode',
+  'Modo automático ignora leituras suspeitas': 'Automatic mode ignores suspect readings',
+  'Morango': 'Strawberry',
+  'Mostrar resolvidos': 'Show resolved',
+  'Motivo (ex.: chuva)': 'Reason (e.g. rain)',
+  'Média salva': 'Saved average',
+  'Média: {average}%': 'Average: {average}%',
+  'Médias diárias': 'Daily averages',
+  'Mín/Máx: {min}% – {max}%': 'Min/Max: {min}% – {max}%',
+  'Nenhum agendamento cadastrado.': 'No schedules yet.',
+  'Nenhum alerta aberto': 'No open alerts',
+  'Nenhum encontrado até agora.': 'None found so far.',
+  'Nenhuma atividade encontrada.': 'No activity found.',
+  'Nenhuma horta': 'No garden',
+  'Nenhuma irrigação programada nos próximos 7 dias.': 'No irrigation scheduled for the next 7 days.',
+  'Nenhuma leitura no período.': 'No readings in this period.',
+  'Nome': 'Name',
+  'Nome (opcional)': 'Name (optional)',
+  'Nome da cultura': 'Crop name',
+  'Nome da horta': 'Garden name',
+  'Nome da nova horta:': 'Name of the new garden:',
+  'Notificações bloqueadas no navegador': 'Notifications blocked in the browser',
+  'Nova horta': 'New garden',
+  'Não foi possível carregar as leituras para a simulação.': 'Could not load the readings for the simulation.',
+  'Não foi possível concluir. Tente novamente.': 'Could not finish. Try again.',
+  'Não foi possível criar a horta. Tente novamente.': 'Could not create the garden. Try again.',
+  'Não foi possível entrar. Tente novamente.': 'Could not sign in. Try again.',
+  'Não foi possível exportar os dados.': 'Could not export the data.',
+  'Não foi possível migrar os documentos.': 'Could not migrate the documents.',
+  'O ESP32 não confirmou o comando. Verifique o dispositivo.': 'The ESP32 did not confirm the command. Check the device.',
+  'O convite é aceito quando a pessoa entrar no painel com esse e-mail.': 'The invite is accepted when the person signs in to the dashboard with this e-mail.',
+  'O intervalo de dados atrasados deve ser entre 1 e 1440 minutos.': 'The stale data interval must be between 1 and 1440 minutes.',
+  'O mínimo de umidade de cada aspersor vem do modo automático': 'Each sprinkler\'s minimum moisture comes from automatic mode',
+  'O tempo máximo manual deve ser entre 1 e 240 minutos.': 'The maximum manual time must be between 1 and 240 minutes.',
+  'Observações (opcional)': 'Notes (optional)',
+  'Offline': 'Offline',
+  'Online': 'Online',
+  'Operador': 'Operator',
+  'Orçamento do mês em 0%': 'This month\'s budget is 0%',
+  'Orçamento por mês (% dos minutos de cada agendamento)': 'Budget per month (% of each schedule\'s minutes)',
+  'Os dados de antes das hortas serão movidos para esta horta, e todos os usuários entram nela com o papel que já tinham.': 'The data from before gardens existed will be moved to this garden, and every user joins it with the role they already had.',
+  'Os limites do modo automático seguem o perfil ({min}% a {max}%), inclusive quando ele for alterado.': 'The automatic mode limits follow the profile ({min}% to {max}%), including when it changes.',
+  'P10/P90: {p10}% – {p90}%': 'P10/P90: {p10}% – {p90}%',
+  'Pausar': 'Pause',
+  'Pausar até o dia': 'Pause until',
+  'Pausou agendamento': 'Paused schedule',
+  'Perfis de Cultura': 'Crop Profiles',
+  'Perfis de cultura': 'Crop profiles',
+  'Personalizado': 'Custom',
+  'Pico isolado': 'Isolated spike',
+  'Pimentão': 'Bell pepper',
+  'Por dia': 'Per day',
+  'Por semana': 'Per week',
+  'Procurando dados existentes...': 'Looking for existing data...',
+  'Proposta': 'Proposal',
+  'Próximas Irrigações': 'Upcoming Irrigation',
+  'Raiz rasa: regas curtas e frequentes, sem encharcar.': 'Shallow roots: short, frequent waterings without soaking.',
+  'Reativou agendamento': 'Reactivated schedule',
+  'Receber link por e-mail': 'Get a link by e-mail',
+  'Reconhecer': 'Acknowledge',
+  'Reconheceu alerta': 'Acknowledged alert',
+  'Reconhecido': 'Acknowledged',
+  'Reenviar e-mail': 'Resend email',
+  'Rega típica (min)': 'Typical watering (min)',
+  'Regar sem molhar as folhas; umidade irregular racha os frutos.': 'Water without wetting the leaves; uneven moisture splits the fruit.',
+  'Regras de Alerta': 'Alert Rules',
+  'Remover': 'Remove',
+  'Remover {who} de {garden}?': 'Remove {who} from {garden}?',
+  'Removeu membro': 'Removed member',
+  'Resolver': 'Resolve',
+  'Resolveu alerta': 'Resolved alert',
+  'Resolvido': 'Resolved',
+  'Responsável': 'Owner',
+  'Restaurar': 'Restore',
+  'Restaurar os valores padrão de {crop}?': 'Restore the default values of {crop}?',
+  'Resumo do período: {points} pontos de {count} leituras': 'Period summary: {points} points from {count} readings',
+  'Retomar': 'Resume',
+  'Retomar agora': 'Resume now',
+  'Retomou a irrigação': 'Resumed irrigation',
+  'Rúcula': 'Arugula',
+  'Sair': 'Sign out',
+  'Salvar Alterações': 'Save Changes',
+  'Salvar Aspersor': 'Save Sprinkler',
+  'Salvar Calibração': 'Save Calibration',
+  'Salvar Configurações': 'Save Settings',
+  'Salvar MQTT': 'Save MQTT',
+  'Salvar Orçamento': 'Save Budget',
+  'Salvar Perfil': 'Save Profile',
+  'Salvar Programação': 'Save Schedule',
+  'Salvar Regras': 'Save Rules',
+  'Salvou aspersor': 'Saved sprinkler',
+  'Salvou calibração': 'Saved calibration',
+  'Salvou perfil de cultura': 'Saved crop profile',
+  'Seco': 'Dry',
+  'Selecione pelo menos um dia da semana!': 'Select at least one day of the week!',
+  'Sem calibração: o painel usa o campo "umidade" da leitura.': 'No calibration: the dashboard uses the reading\'s "umidade" field.',
+  'Sem cultura': 'No crop',
+  'Sem dados': 'No data',
+  'Sem leitura há mais de {minutes} min = dados atrasados/offline': 'No reading for more than {minutes} min = stale/offline data',
+  'Sem leituras suficientes nos últimos {days} dias.': 'Not enough readings in the last {days} days.',
+  'Senha': 'Password',
+  'Sensor': 'Sensor',
+  'Sensor padrão': 'Default sensor',
+  'Sensor padrão (sem ID)': 'Default sensor (no ID)',
+  'Sensor travado': 'Stuck sensor',
+  'Sessões de irrigação': 'Irrigation sessions',
+  'Silêncio após resolver à mão (minutos)': 'Quiet time after a manual resolve (minutes)',
+  'Simular': 'Simulate',
+  'Sincronizando': 'Syncing',
+  'Sistema de Monitoramento e Irrigação': 'Monitoring and Irrigation System',
+  'Status:': 'Status:',
+  'Subida mínima esperada (pontos de %)': 'Minimum expected rise (% points)',
+  'Suspeita': 'Suspect',
+  'Suspende agendamentos e modo automático sem apagá-los; a irrigação manual continua liberada': 'Suspends schedules and automatic mode without deleting them; manual irrigation stays available',
+  'Suspendeu a irrigação': 'Suspended irrigation',
+  'Suspensa (adiamento por chuva)': 'Suspended (rain delay)',
+  'Suspensa até {until}': 'Suspended until {until}',
+  'Telas do painel': 'Dashboard screens',
+  'Tempo máximo de irrigação manual (minutos)': 'Maximum manual irrigation time (minutes)',
+  'Todas as ações': 'All actions',
+  'Todos os usuários': 'All users',
+  'Toleram solo mais seco entre as regas.': 'Tolerate drier soil between waterings.',
+  'Tolerância após o horário de desligar (minutos)': 'Grace period after the shut-off time (minutes)',
+  'Tomate': 'Tomato',
+  'Travar limites no perfil da cultura': 'Lock limits to the crop profile',
+  'Tudo certo por aqui.': 'All good here.',
+  'Tudo sincronizado': 'All synced',
+  'Típico para {crop}: {minutes} min': 'Typical for {crop}: {minutes} min',
+  'Tópicos inválidos: {topics}. Use um único marcador ({aspersorId} ou {sensorId}) e sem + ou #.': 'Invalid topics: {topics}. Use a single placeholder ({aspersorId} or {sensorId}) and no + or #.',
+  'Umidade': 'Moisture',
+  'Umidade (assina)': 'Moisture (subscribes)',
+  'Umidade Máxima': 'Maximum Moisture',
+  'Umidade Mínima': 'Minimum Moisture',
+  'Umidade abaixo do mínimo': 'Moisture below minimum',
+  'Umidade do Solo': 'Soil Moisture',
+  'Umidade máxima (%)': 'Maximum moisture (%)',
+  'Umidade mínima (%)': 'Minimum moisture (%)',
+  'Umidade não sobe durante a irrigação': 'Moisture not rising during irrigation',
+  'Usar MQTT além do Firestore': 'Use MQTT in addition to Firestore',
+  'Usar recomendação': 'Use recommendation',
+  'Valor impossível': 'Impossible value',
+  'Valor inválido em "{rule}".': 'Invalid value in "{rule}".',
+  'Valores impossíveis, picos isolados e sensor travado não abrem nem fecham a válvula.': 'Impossible values, isolated spikes and stuck sensors neither open nor close the valve.',
+  'Vazão (L/min)': 'Flow (L/min)',
+  'Verificando versões...': 'Checking versions...',
+  'Visto {lastSeenAt}': 'Seen {lastSeenAt}',
+  'Visualizador': 'Viewer',
+  'Visualizador vê os dados, operador aciona a irrigação, responsável altera configurações e membros — o papel vale só nesta horta': 'Viewers see the data, operators run the irrigation, owners change settings and members — the role applies only to this garden',
+  'Visão geral': 'Overview',
+  'Você ainda não participa de nenhuma horta. Peça ao responsável um convite para este e-mail.': 'You are not part of any garden yet. Ask the owner for an invite to this e-mail.',
+  'Você vai perder o acesso de responsável. Continuar?': 'You will lose owner access. Continue?',
+  'Válvula aberta': 'Valve open',
+  'Válvula aberta além do esperado': 'Valve open longer than expected',
+  'agendamentos e modo automático não acionam as válvulas.': 'schedules and automatic mode do not trigger the valves.',
+  'agora': 'just now',
+  'alterado': 'edited',
+  'automático desligado': 'automatic mode off',
+  'campo obrigatório ausente': 'required field missing',
+  'canteiro: {bed} · sensor: {sensor} · vazão: {flow} · cultura: {crop}': 'bed: {bed} · sensor: {sensor} · flow: {flow} · crop: {crop}',
+  'chuva': 'rain',
+  'criado aqui': 'created here',
+  'dados simulados': 'simulated data',
+  'desconhecido': 'unknown',
+  'deve ser ≤ {max}': 'must be ≤ {max}',
+  'deve ser ≥ {min}': 'must be ≥ {min}',
+  'dias inválidos ({days}); use 0 (domingo) a 6 (sábado)': 'invalid days ({days}); use 0 (Sunday) to 6 (Saturday)',
+  'dias inválidos ({days}); use {labels}': 'invalid days ({days}); use {labels}',
+  'fuso horário "{value}" desconhecido': 'unknown time zone "{value}"',
+  'há {n} d': '{n} d ago',
+  'há {n} h': '{n} h ago',
+  'há {n} min': '{n} min ago',
+  'id "{id}" inválido (sem "/", "." ou "..")': 'invalid id "{id}" (no "/", "." or "..")',
+  'id "{id}" repetido': 'duplicate id "{id}"',
+  'id ausente': 'missing id',
+  'informe 12 percentuais (janeiro a dezembro) entre 0 e 200': 'enter 12 percentages (January to December) between 0 and 200',
+  'leitura antiga': 'old reading',
+  'manualmente': 'manually',
+  'minHumidity maior que maxHumidity': 'minHumidity greater than maxHumidity',
+  'nunca': 'never',
+  'não': 'no',
+  'o mesmo valor há mais de {hours} h': 'the same value for more than {hours} h',
+  'origem desconhecida': 'unknown source',
+  'pelo modo automático': 'by automatic mode',
+  'pico isolado, muito longe das leituras anteriores': 'isolated spike, far from the previous readings',
+  'por agendamento': 'by schedule',
+  'por {who}': 'by {who}',
+  'recomendado {min}% a {max}%.': 'recommended {min}% to {max}%.',
+  'reconhecido por {who}': 'acknowledged by {who}',
+  'resolvido automaticamente': 'resolved automatically',
+  'resolvido por {who}': 'resolved by {who}',
+  'sem leitura confiável': 'no trusted reading',
+  'sensor sem leitura': 'sensor without readings',
+  'sim': 'yes',
+  'só é permitido o documento {ids}': 'only the document {ids} is allowed',
+  'umidade ou raw é obrigatório': 'umidade or raw is required',
+  'usar': 'use',
+  'valor impossível (fio solto ou fora de 0–100%)': 'impossible value (loose wire or outside 0–100%)',
+  'vazio': 'empty',
+  'vazão não cadastrada': 'flow not set',
+  '{collection}: {count} documento(s) no formato antigo': '{collection}: {count} document(s) in the old format',
+  '{count} alerta(s) aguardando atenção': '{count} alert(s) need attention',
+  '{count} alteração(ões) aguardando o servidor': '{count} change(s) waiting for the server',
+  '{count} aspersor(es) ficarão sem cultura.': '{count} sprinkler(s) will be left without a crop.',
+  '{count} dia(s) sem dados no período': '{count} day(s) without data in this period',
+  '{count} inválido(s)': '{count} invalid',
+  '{count} leituras': '{count} readings',
+  '{count} leituras no período': '{count} readings in this period',
+  '{count} migrado(s)': '{count} migrated',
+  '{count} média(s) diária(s) gravada(s) em mediaDiaria.': '{count} daily average(s) saved to mediaDiaria.',
+  '{count} pendente(s)': '{count} pending',
+  '{count} suspeitas (em vermelho)': '{count} suspect (in red)',
+  '{cycles} ({auto} auto · {scheduled} prog.)': '{cycles} ({auto} auto · {scheduled} sched.)',
+  '{d} dias': '{d} days',
+  '{h} h': '{h} h',
+  '{min}% a {max}% · {minutes} min': '{min}% to {max}% · {minutes} min',
+  '{m} min': '{m} min',
+  '{name}: umidade não subiu em {minutes} min de irrigação ({from}% → {to}%). Verifique vazamento ou reservatório vazio.': '{name}: moisture did not rise in {minutes} min of irrigation ({from}% → {to}%). Check for leaks or an empty tank.',
+  '{name}: umidade {humidity}% abaixo do mínimo de {min}% há {minutes} min': '{name}: moisture {humidity}% below the {min}% minimum for {minutes} min',
+  '{name}: válvula aberta há {minutes} min': '{name}: valve open for {minutes} min',
+  '{name}: válvula aberta há {minutes} min, já passou do horário de desligar': '{name}: valve open for {minutes} min, past its shut-off time',
+  '{valid} válido(s), {invalid} com erro': '{valid} valid, {invalid} with errors',
+  '· fw {firmware}': '· fw {firmware}',
+  'Água estimada': 'Estimated water',
+  'Última leitura: {reading} · Heartbeat: {heartbeat}': 'Last reading: {reading} · Heartbeat: {heartbeat}',
+  'Últimas sessões': 'Latest sessions',
+  'Últimas {count} ações registradas no painel': 'Last {count} actions recorded in the dashboard',
+  'Últimos': 'Last',
+  'Últimos {days} dias: {liters} L estimados': 'Last {days} days: {liters} L estimated',
+  'Úmido': 'Wet',
+  '→ {minutes} min com o orçamento de {budget}%': '→ {minutes} min with the {budget}% budget',
+  '→ {preview}% com os pontos abaixo': '→ {preview}% with the points below',
+  '⏱️ Próxima irrigação em': '⏱️ Next irrigation in',
+  '⏳ Salvo neste aparelho — será sincronizado quando a conexão voltar.': '⏳ Saved on this device — it will sync when the connection is back.',
+  '⏳ Sem conexão — o comando está na fila e será enviado quando a conexão voltar.': '⏳ No connection — the command is queued and will be sent when the connection is back.',
+  '⏳ pendente': '⏳ pending',
+  '⚠️ Usando os limites padrão ({minHumidity}% / {maxHumidity}%): nenhum valor salvo para este aspersor nem nas configurações gerais.': '⚠️ Using the default limits ({minHumidity}% / {maxHumidity}%): no value saved for this sprinkler or in the general settings.',
+  '✅ Todos os documentos estão no formato atual.': '✅ All documents are in the current format.',
+  '🌧️ Irrigação automática suspensa até {until}': '🌧️ Automatic irrigation suspended until {until}',
+  '🌧️ Irrigação suspensa por mais {duration}': '🌧️ Irrigation suspended for {duration} more',
+  '💧 Irrigando agora: {zones}': '💧 Watering now: {zones}',
+  '📉 Orçamento sazonal deste mês: {monthBudget}% do tempo dos agendamentos.': '📉 This month\'s seasonal budget: {monthBudget}% of the schedule time.',
+  '🔒 Os aspersores travados neste perfil recebem os novos limites ao salvar.': '🔒 Sprinklers locked to this profile get the new limits when you save.',
+  '🔒 Os limites seguem o perfil da cultura — destrave no cadastro de aspersores para ajustar.': '🔒 The limits follow the crop profile — unlock it in the sprinkler registry to adjust.',
+  '🔒 Somente leitura para o seu perfil': '🔒 Read-only for your role',
+  '🔔 Ativar notificações do navegador': '🔔 Enable browser notifications',
+  '🔮 Simular com o histórico': '🔮 Simulate with the history',
+};
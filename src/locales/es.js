@@ -0,0 +1,457 @@
+// src/locales/es.js
+// Espanhol: texto em português (a chave usada em t()) → tradução.
+// Textos que faltarem aparecem em português.
+export default {
+  '"{value}" não está no formato AAAA-MM-DD': '"{value}" no está en el formato AAAA-MM-DD',
+  '"{value}" não está no formato HH:MM': '"{value}" no está en el formato HH:MM',
+  '"{value}" não é um de {values}': '"{value}" no es uno de {values}',
+  '"{value}" não é um número': '"{value}" no es un número',
+  '"{value}" não é uma data válida': '"{value}" no es una fecha válida',
+  '"{value}" não é verdadeiro/falso': '"{value}" no es verdadero/falso',
+  '(em andamento)': '(en curso)',
+  '(pausado)': '(pausado)',
+  '+ Horta': '+ Huerta',
+  '30 dias': '30 días',
+  '7 dias': '7 días',
+  'A data precisa ser hoje ou depois.': 'La fecha debe ser hoy o posterior.',
+  'A duração deve ser um número inteiro de minutos entre 1 e {max}.': 'La duración debe ser un número entero de minutos entre 1 y {max}.',
+  'A duração típica deve ser de pelo menos 1 minuto.': 'La duración típica debe ser de al menos 1 minuto.',
+  'A faixa de umidade deve ir de 0 a 100%, com mínima < máxima.': 'El rango de humedad debe ir de 0 a 100%, con mínima < máxima.',
+  'A proposta mudou — simule de novo para atualizar.': 'La propuesta cambió: simule de nuevo para actualizar.',
+  'A senha precisa ter pelo menos 6 caracteres.': 'La contraseña debe tener al menos 6 caracteres.',
+  'A umidade máxima não pode ser menor que a umidade mínima.': 'La humedad máxima no puede ser menor que la humedad mínima.',
+  'A última leitura deste sensor não tem valor bruto (raw).': 'La última lectura de este sensor no tiene valor bruto (raw).',
+  'A última leitura foi ignorada.': 'La última lectura fue ignorada.',
+  'A última leitura foi ignorada; o valor mostrado vem das anteriores.': 'La última lectura fue ignorada; el valor mostrado viene de las anteriores.',
+  'Abaixo do mínimo': 'Por debajo del mínimo',
+  'Aberta por mais de (minutos, sem horário de desligar)': 'Abierta por más de (minutos, sin hora de apagado)',
+  'Aberto': 'Abierto',
+  'Aberto {how}': 'Abierto {how}',
+  'Adequado': 'Adecuado',
+  'Adicionar Aspersor': 'Agregar Aspersor',
+  'Adicionar Perfil': 'Agregar Perfil',
+  'Agendamentos': 'Programaciones',
+  'Agendamentos na proposta:': 'Programaciones en la propuesta:',
+  'Ainda não confirmado.': 'Aún no confirmado.',
+  'Alerta': 'Alerta',
+  'Alface': 'Lechuga',
+  'Alterou broker MQTT': 'Cambió el broker MQTT',
+  'Alterou configurações gerais': 'Cambió la configuración general',
+  'Alterou modo automático': 'Cambió el modo automático',
+  'Alterou orçamento sazonal': 'Cambió el presupuesto estacional',
+  'Alterou papel de usuário': 'Cambió el rol de usuario',
+  'Alterou regras de alerta': 'Cambió las reglas de alerta',
+  'Ao escolher a cultura, os limites do modo automático passam para {min}% a {max}%; depois podem ser ajustados.': 'Al elegir el cultivo, los límites del modo automático pasan a {min}% a {max}%; después se pueden ajustar.',
+  'Arquivo não foi exportado pela Horta Inteligente': 'El archivo no fue exportado por Huerta Inteligente',
+  'Arquivos JSON já indicam a coleção; para CSV, escolha a coleção acima.': 'Los archivos JSON ya indican la colección; para CSV, elija la colección arriba.',
+  'Aspersores': 'Aspersores',
+  'Ativar': 'Activar',
+  'Ative o aspersor {name} manualmente': 'Active el aspersor {name} manualmente',
+  'Atividades': 'Actividades',
+  'Ativo': 'Activo',
+  'Atual': 'Actual',
+  'Até': 'Hasta',
+  'Backup, relatórios e migração para outro projeto Firebase': 'Copias de seguridad, informes y migración a otro proyecto Firebase',
+  'Baixar Arquivo': 'Descargar Archivo',
+  'Broker MQTT': 'Broker MQTT',
+  'Bruto': 'Bruto',
+  'Cada aspersor tem seu canteiro, sensor, controles e agendamentos': 'Cada aspersor tiene su cantero, sensor, controles y programaciones',
+  'Cada mês deve ficar entre 0% e 200%.': 'Cada mes debe estar entre 0% y 200%.',
+  'Cadastro de Aspersores': 'Registro de Aspersores',
+  'Calcular e gravar em mediaDiaria {count} dia(s) sem média': 'Calcular y guardar en mediaDiaria {count} día(s) sin promedio',
+  'Calibração do Sensor': 'Calibración del Sensor',
+  'Calibração inválida: capture pelo menos o ponto seco e o molhado, e a umidade deve só subir (ou só descer) com o valor bruto.': 'Calibración inválida: capture al menos el punto seco y el mojado, y la humedad debe solo subir (o solo bajar) con el valor bruto.',
+  'Cancelar': 'Cancelar',
+  'Cancelou convite': 'Canceló invitación',
+  'Canteiro': 'Cantero',
+  'Canteiro: {bed}': 'Cantero: {bed}',
+  'Capturar Molhado (100%)': 'Capturar Mojado (100%)',
+  'Capturar Seco (0%)': 'Capturar Seco (0%)',
+  'Capturar ponto': 'Capturar punto',
+  'Carregando leituras...': 'Cargando lecturas...',
+  'Carregando...': 'Cargando...',
+  'Carregar leituras mais antigas': 'Cargar lecturas más antiguas',
+  'Cenoura': 'Zanahoria',
+  'Central de Alertas': 'Centro de Alertas',
+  'Chuva e Orçamento Sazonal': 'Lluvia y Presupuesto Estacional',
+  'Coleção "{name}" não pode ser importada': 'La colección "{name}" no se puede importar',
+  'Com solo seco fica picante e pendoa cedo.': 'Con suelo seco se vuelve picante y espiga temprano.',
+  'Comando enviado — aguardando confirmação do ESP32...': 'Comando enviado: esperando confirmación del ESP32...',
+  'Comandos (publica)': 'Comandos (publica)',
+  'Conexão direta com o broker (ex.: Mosquitto na rede local)': 'Conexión directa con el broker (p. ej., Mosquitto en la red local)',
+  'Configuração geral e calibração': 'Configuración general y calibración',
+  'Configurações': 'Configuración',
+  'Configurações Gerais': 'Configuración General',
+  'Configure os níveis de umidade': 'Configure los niveles de humedad',
+  'Confirmado pelo ESP32': 'Confirmado por el ESP32',
+  'Confirmado pelo ESP32 às {time}': 'Confirmado por el ESP32 a las {time}',
+  'Confirme este e-mail pelo link que enviamos para receber os convites.': 'Confirma este correo con el enlace que enviamos para recibir las invitaciones.',
+  'Considerar sensor sem dados após (minutos)': 'Considerar el sensor sin datos después de (minutos)',
+  'Consumo de Água': 'Consumo de Agua',
+  'Controle Manual': 'Control Manual',
+  'Converte o valor bruto do ADC em % de umidade': 'Convierte el valor bruto del ADC en % de humedad',
+  'Convidar': 'Invitar',
+  'Convidou membro': 'Invitó a un miembro',
+  'Convites pendentes': 'Invitaciones pendientes',
+  'Corrija os erros antes de importar': 'Corrija los errores antes de importar',
+  'Couve': 'Col rizada',
+  'Criando...': 'Creando...',
+  'Criar a primeira horta': 'Crear la primera huerta',
+  'Criar conta': 'Crear cuenta',
+  'Criar horta': 'Crear huerta',
+  'Criar horta e mover os dados': 'Crear huerta y mover los datos',
+  'Criou agendamento': 'Creó una programación',
+  'Dados atrasados': 'Datos atrasados',
+  'De': 'Desde',
+  'Depois de (minutos)': 'Después de (minutos)',
+  'Desliga automaticamente às {time}': 'Se apaga automáticamente a las {time}',
+  'Desligando...': 'Apagando...',
+  'Desligar Aspersor': 'Apagar Aspersor',
+  'Desligou aspersor': 'Apagó el aspersor',
+  'Dias da Semana': 'Días de la Semana',
+  'Dispositivo': 'Dispositivo',
+  'Dispositivos': 'Dispositivos',
+  'Documentos em formato antigo e documentos que não passaram na validação': 'Documentos en formato antiguo y documentos que no pasaron la validación',
+  'Documentos inválidos ({length})': 'Documentos inválidos ({length})',
+  'Duração (minutos)': 'Duración (minutos)',
+  'Duração (máx. {maxManualMinutes} min)': 'Duración (máx. {maxManualMinutes} min)',
+  'E-mail': 'Correo electrónico',
+  'E-mail de confirmação enviado.': 'Correo de confirmación enviado.',
+  'E-mail ou senha incorretos.': 'Correo o contraseña incorrectos.',
+  'E-mail para convidar': 'Correo para invitar',
+  'Editando agendamento existente': 'Editando una programación existente',
+  'Editar': 'Editar',
+  'Editou agendamento': 'Editó una programación',
+  'Em: {zones}': 'En: {zones}',
+  'Emoji': 'Emoji',
+  'Endereço WebSocket do broker': 'Dirección WebSocket del broker',
+  'Endereço inválido. Use ws://host:porta ou wss://host:porta.': 'Dirección inválida. Use ws://host:puerto o wss://host:puerto.',
+  'Entrar': 'Entrar',
+  'Entre para acessar o painel': 'Inicie sesión para acceder al panel',
+  'Enviamos um link de acesso para o seu e-mail.': 'Enviamos un enlace de acceso a su correo.',
+  'Ervas (cebolinha, salsa, manjericão)': 'Hierbas (cebollino, perejil, albahaca)',
+  'Escolha a data.': 'Elija la fecha.',
+  'Escolha uma duração entre 1 e {max} minutos.': 'Elija una duración entre 1 y {max} minutos.',
+  'Estado da válvula (assina)': 'Estado de la válvula (suscribe)',
+  'Este agendamento se sobrepõe a outro ativo. Reativar mesmo assim?': 'Esta programación se superpone a otra activa. ¿Reactivar de todos modos?',
+  'Este agendamento se sobrepõe a:\n{list}\n\nSalvar mesmo assim?': 'Esta programación se superpone a:\n{list}\n\n¿Guardar de todos modos?',
+  'Este e-mail já participa da horta.': 'Este correo ya participa en la huerta.',
+  'Este e-mail já tem conta. Use Entrar.': 'Este correo ya tiene cuenta. Use Entrar.',
+  'Estimativa sobre {readings} leituras dos últimos {days} dias (uma a cada {minutes} min), supondo que a umidade sobe cerca de 1% por minuto com a válvula aberta.': 'Estimación sobre {readings} lecturas de los últimos {days} días (una cada {minutes} min), suponiendo que la humedad sube cerca de 1% por minuto con la válvula abierta.',
+  'Ex.: Rega da manhã': 'Ej.: Riego de la mañana',
+  'Excesso de água racha as raízes.': 'El exceso de agua agrieta las raíces.',
+  'Excluir': 'Eliminar',
+  'Excluir este agendamento?': '¿Eliminar esta programación?',
+  'Excluir este aspersor do cadastro?': '¿Eliminar este aspersor del registro?',
+  'Excluir o perfil {crop}?': '¿Eliminar el perfil {crop}?',
+  'Excluiu agendamento': 'Eliminó una programación',
+  'Excluiu aspersor': 'Eliminó un aspersor',
+  'Excluiu perfil de cultura': 'Eliminó un perfil de cultivo',
+  'Exportando...': 'Exportando...',
+  'Exportar': 'Exportar',
+  'Exportar e Importar Dados': 'Exportar e Importar Datos',
+  'Faixa de umidade recomendada e duração típica da rega de cada planta': 'Rango de humedad recomendado y duración típica del riego de cada planta',
+  'Faixa sombreada: mínimo e máximo do dia': 'Franja sombreada: mínimo y máximo del día',
+  'Falha ao enviar o comando. Tente novamente.': 'No se pudo enviar el comando. Inténtelo de nuevo.',
+  'Falha ao gravar os dados importados.': 'No se pudieron guardar los datos importados.',
+  'Fechar simulação': 'Cerrar simulación',
+  'Filtrar por alvo (ex.: aspersor1)': 'Filtrar por destino (ej.: aspersor1)',
+  'Formato dos Dados': 'Formato de los Datos',
+  'Fuso horário da horta (ex.: America/Sao_Paulo)': 'Zona horaria de la huerta (ej.: America/Sao_Paulo)',
+  'Fuso horário inválido. Use o formato Região/Cidade.': 'Zona horaria inválida. Use el formato Región/Ciudad.',
+  'Gravando...': 'Guardando...',
+  'Gravar {count} documento(s) em "{collection}"? Documentos com o mesmo id serão substituídos.': '¿Guardar {count} documento(s) en "{collection}"? Los documentos con el mismo id serán reemplazados.',
+  'Gravou médias diárias': 'Guardó promedios diarios',
+  'Histórico': 'Historial',
+  'Histórico de Umidade (média diária)': 'Historial de Humedad (promedio diario)',
+  'Horta': 'Huerta',
+  'Horta Inteligente': 'Huerta Inteligente',
+  'Horta principal': 'Huerta principal',
+  'Horário de Início': 'Hora de Inicio',
+  'Horários no fuso {timeZone}': 'Horarios en la zona {timeZone}',
+  'ID do sensor': 'ID del sensor',
+  'Idioma': 'Idioma',
+  'Importando...': 'Importando...',
+  'Importar': 'Importar',
+  'Importação concluída.': 'Importación completada.',
+  'Importou dados': 'Importó datos',
+  'Inativo': 'Inactivo',
+  'Informe o e-mail.': 'Ingrese el correo electrónico.',
+  'Informe o horário de início no formato HH:MM.': 'Indique la hora de inicio en formato HH:MM.',
+  'Informe o nome da cultura!': '¡Ingrese el nombre del cultivo!',
+  'Informe o nome da horta!': '¡Ingrese el nombre de la huerta!',
+  'Informe o nome do aspersor!': '¡Ingrese el nombre del aspersor!',
+  'Informe um e-mail válido!': '¡Ingrese un correo válido!',
+  'Irrigação Automática': 'Riego Automático',
+  'Irrigação Programada': 'Riego Programado',
+  'Irrigação automática ativa.': 'Riego automático activo.',
+  'Irrigações': 'Riegos',
+  'JSON inválido': 'JSON inválido',
+  'Já confirmei': 'Ya lo confirmé',
+  'Leitura atual do sensor': 'Lectura actual del sensor',
+  'Leitura atual do sensor {sensorId}': 'Lectura actual del sensor {sensorId}',
+  'Leitura bruta atual:': 'Lectura bruta actual:',
+  'Leituras de umidade': 'Lecturas de humedad',
+  'Leituras do Sensor': 'Lecturas del Sensor',
+  'Ligando...': 'Encendiendo...',
+  'Ligar por {minutes} min': 'Encender por {minutes} min',
+  'Ligou aspersor': 'Encendió el aspersor',
+  'Limites': 'Límites',
+  'Linha {row}': 'Fila {row}',
+  'Lista de Agendamentos': 'Lista de Programaciones',
+  'MQTT com erro': 'MQTT con error',
+  'MQTT conectado': 'MQTT conectado',
+  'MQTT conectando...': 'MQTT conectando...',
+  'MQTT desativado': 'MQTT desactivado',
+  'MQTT sem conexão': 'MQTT sin conexión',
+  'Membros da Horta': 'Miembros de la Huerta',
+  'Migrando...': 'Migrando...',
+  'Migrar para o formato atual': 'Migrar al formato actual',
+  'Migrou documentos antigos': 'Migró documentos antiguos',
+  'Modo Automático': 'Modo Automático',
+  'Modo automático ignora leituras suspeitas': 'El modo automático ignora lecturas sospechosas',
+  'Morango': 'Fresa',
+  'Mostrar resolvidos': 'Mostrar resueltos',
+  'Motivo (ex.: chuva)': 'Motivo (ej.: lluvia)',
+  'Média salva': 'Promedio guardado',
+  'Média: {average}%': 'Promedio: {average}%',
+  'Médias diárias': 'Promedios diarios',
+  'Mín/Máx: {min}% – {max}%': 'Mín/Máx: {min}% – {max}%',
+  'Nenhum agendamento cadastrado.': 'No hay programaciones registradas.',
+  'Nenhum alerta aberto': 'No hay alertas abiertas',
+  'Nenhum encontrado até agora.': 'Ninguno encontrado hasta ahora.',
+  'Nenhuma atividade encontrada.': 'No se encontró actividad.',
+  'Nenhuma horta': 'Ninguna huerta',
+  'Nenhuma irrigação programada nos próximos 7 dias.': 'No hay riegos programados en los próximos 7 días.',
+  'Nenhuma leitura no período.': 'No hay lecturas en el período.',
+  'Nome': 'Nombre',
+  'Nome (opcional)': 'Nombre (opcional)',
+  'Nome da cultura': 'Nombre del cultivo',
+  'Nome da horta': 'Nombre de la huerta',
+  'Nome da nova horta:': 'Nombre de la nueva huerta:',
+  'Notificações bloqueadas no navegador': 'Notificaciones bloqueadas en el navegador',
+  'Nova horta': 'Nueva huerta',
+  'Não foi possível carregar as leituras para a simulação.': 'No se pudieron cargar las lecturas para la simulación.',
+  'Não foi possível concluir. Tente novamente.': 'No se pudo completar. Inténtalo de nuevo.',
+  'Não foi possível criar a horta. Tente novamente.': 'No se pudo crear la huerta. Inténtelo de nuevo.',
+  'Não foi possível entrar. Tente novamente.': 'No se pudo iniciar sesión. Inténtelo de nuevo.',
+  'Não foi possível exportar os dados.': 'No se pudieron exportar los datos.',
+  'Não foi possível migrar os documentos.': 'No se pudieron migrar los documentos.',
+  'O ESP32 não confirmou o comando. Verifique o dispositivo.': 'El ESP32 no confirmó el comando. Verifique el dispositivo.',
+  'O convite é aceito quando a pessoa entrar no painel com esse e-mail.': 'La invitación se acepta cuando la persona entra al panel con ese correo.',
+  'O intervalo de dados atrasados deve ser entre 1 e 1440 minutos.': 'El intervalo de datos atrasados debe estar entre 1 y 1440 minutos.',
+  'O mínimo de umidade de cada aspersor vem do modo automático': 'La humedad mínima de cada aspersor viene del modo automático',
+  'O tempo máximo manual deve ser entre 1 e 240 minutos.': 'El tiempo máximo manual debe estar entre 1 y 240 minutos.',
+  'Observações (opcional)': 'Observaciones (opcional)',
+  'Offline': 'Sin conexión',
+  'Online': 'En línea',
+  'Operador': 'Operador',
+  'Orçamento do mês em 0%': 'Presupuesto del mes en 0%',
+  'Orçamento por mês (% dos minutos de cada agendamento)': 'Presupuesto por mes (% de los minutos de cada programación)',
+  'Os dados de antes das hortas serão movidos para esta horta, e todos os usuários entram nela com o papel que já tinham.': 'Los datos de antes de las huertas se moverán a esta huerta, y todos los usuarios entran en ella con el rol que ya tenían.',
+  'Os limites do modo automático seguem o perfil ({min}% a {max}%), inclusive quando ele for alterado.': 'Los límites del modo automático siguen el perfil ({min}% a {max}%), incluso cuando se modifique.',
+  'P10/P90: {p10}% – {p90}%': 'P10/P90: {p10}% – {p90}%',
+  'Pausar': 'Pausar',
+  'Pausar até o dia': 'Pausar hasta el día',
+  'Pausou agendamento': 'Pausó una programación',
+  'Perfis de Cultura': 'Perfiles de Cultivo',
+  'Perfis de cultura': 'Perfiles de cultivo',
+  'Personalizado': 'Personalizado',
+  'Pico isolado': 'Pico aislado',
+  'Pimentão': 'Pimiento',
+  'Por dia': 'Por día',
+  'Por semana': 'Por semana',
+  'Procurando dados existentes...': 'Buscando datos existentes...',
+  'Proposta': 'Propuesta',
+  'Próximas Irrigações': 'Próximos Riegos',
+  'Raiz rasa: regas curtas e frequentes, sem encharcar.': 'Raíz superficial: riegos cortos y frecuentes, sin encharcar.',
+  'Reativou agendamento': 'Reactivó una programación',
+  'Receber link por e-mail': 'Recibir enlace por correo',
+  'Reconhecer': 'Reconocer',
+  'Reconheceu alerta': 'Reconoció una alerta',
+  'Reconhecido': 'Reconocido',
+  'Reenviar e-mail': 'Reenviar correo',
+  'Rega típica (min)': 'Riego típico (min)',
+  'Regar sem molhar as folhas; umidade irregular racha os frutos.': 'Regar sin mojar las hojas; la humedad irregular agrieta los frutos.',
+  'Regras de Alerta': 'Reglas de Alerta',
+  'Remover': 'Quitar',
+  'Remover {who} de {garden}?': '¿Quitar a {who} de {garden}?',
+  'Removeu membro': 'Quitó a un miembro',
+  'Resolver': 'Resolver',
+  'Resolveu alerta': 'Resolvió una alerta',
+  'Resolvido': 'Resuelto',
+  'Responsável': 'Responsable',
+  'Restaurar': 'Restaurar',
+  'Restaurar os valores padrão de {crop}?': '¿Restaurar los valores predeterminados de {crop}?',
+  'Resumo do período: {points} pontos de {count} leituras': 'Resumen del período: {points} puntos de {count} lecturas',
+  'Retomar': 'Reanudar',
+  'Retomar agora': 'Reanudar ahora',
+  'Retomou a irrigação': 'Reanudó el riego',
+  'Rúcula': 'Rúcula',
+  'Sair': 'Salir',
+  'Salvar Alterações': 'Guardar Cambios',
+  'Salvar Aspersor': 'Guardar Aspersor',
+  'Salvar Calibração': 'Guardar Calibración',
+  'Salvar Configurações': 'Guardar Configuración',
+  'Salvar MQTT': 'Guardar MQTT',
+  'Salvar Orçamento': 'Guardar Presupuesto',
+  'Salvar Perfil': 'Guardar Perfil',
+  'Salvar Programação': 'Guardar Programación',
+  'Salvar Regras': 'Guardar Reglas',
+  'Salvou aspersor': 'Guardó un aspersor',
+  'Salvou calibração': 'Guardó la calibración',
+  'Salvou perfil de cultura': 'Guardó un perfil de cultivo',
+  'Seco': 'Seco',
+  'Selecione pelo menos um dia da semana!': '¡Seleccione al menos un día de la semana!',
+  'Sem calibração: o painel usa o campo "umidade" da leitura.': 'Sin calibración: el panel usa el campo "umidade" de la lectura.',
+  'Sem cultura': 'Sin cultivo',
+  'Sem dados': 'Sin datos',
+  'Sem leitura há mais de {minutes} min = dados atrasados/offline': 'Sin lectura por más de {minutes} min = datos atrasados/sin conexión',
+  'Sem leituras suficientes nos últimos {days} dias.': 'No hay lecturas suficientes en los últimos {days} días.',
+  'Senha': 'Contraseña',
+  'Sensor': 'Sensor',
+  'Sensor padrão': 'Sensor predeterminado',
+  'Sensor padrão (sem ID)': 'Sensor predeterminado (sin ID)',
+  'Sensor travado': 'Sensor bloqueado',
+  'Sessões de irrigação': 'Sesiones de riego',
+  'Silêncio após resolver à mão (minutos)': 'Silencio tras resolver a mano (minutos)',
+  'Simular': 'Simular',
+  'Sincronizando': 'Sincronizando',
+  'Sistema de Monitoramento e Irrigação': 'Sistema de Monitoreo y Riego',
+  'Status:': 'Estado:',
+  'Subida mínima esperada (pontos de %)': 'Subida mínima esperada (puntos de %)',
+  'Suspeita': 'Sospechosa',
+  'Suspende agendamentos e modo automático sem apagá-los; a irrigação manual continua liberada': 'Suspende las programaciones y el modo automático sin borrarlos; el riego manual sigue disponible',
+  'Suspendeu a irrigação': 'Suspendió el riego',
+  'Suspensa (adiamento por chuva)': 'Suspendido (aplazamiento por lluvia)',
+  'Suspensa até {until}': 'Suspendido hasta {until}',
+  'Telas do painel': 'Pantallas del panel',
+  'Tempo máximo de irrigação manual (minutos)': 'Tiempo máximo de riego manual (minutos)',
+  'Todas as ações': 'Todas las acciones',
+  'Todos os usuários': 'Todos los usuarios',
+  'Toleram solo mais seco entre as regas.': 'Toleran suelo más seco entre riegos.',
+  'Tolerância após o horário de desligar (minutos)': 'Tolerancia después de la hora de apagado (minutos)',
+  'Tomate': 'Tomate',
+  'Travar limites no perfil da cultura': 'Fijar los límites al perfil del cultivo',
+  'Tudo certo por aqui.': 'Todo en orden por aquí.',
+  'Tudo sincronizado': 'Todo sincronizado',
+  'Típico para {crop}: {minutes} min': 'Típico para {crop}: {minutes} min',
+  'Tópicos inválidos: {topics}. Use um único marcador ({aspersorId} ou {sensorId}) e sem + ou #.': 'Tópicos inválidos: {topics}. Use un único marcador ({aspersorId} o {sensorId}) y sin + ni #.',
+  'Umidade': 'Humedad',
+  'Umidade (assina)': 'Humedad (suscribe)',
+  'Umidade Máxima': 'Humedad Máxima',
+  'Umidade Mínima': 'Humedad Mínima',
+  'Umidade abaixo do mínimo': 'Humedad por debajo del mínimo',
+  'Umidade do Solo': 'Humedad del Suelo',
+  'Umidade máxima (%)': 'Humedad máxima (%)',
+  'Umidade mínima (%)': 'Humedad mínima (%)',
+  'Umidade não sobe durante a irrigação': 'La humedad no sube durante el riego',
+  'Usar MQTT além do Firestore': 'Usar MQTT además de Firestore',
+  'Usar recomendação': 'Usar recomendación',
+  'Valor impossível': 'Valor imposible',
+  'Valor inválido em "{rule}".': 'Valor inválido en "{rule}".',
+  'Valores impossíveis, picos isolados e sensor travado não abrem nem fecham a válvula.': 'Valores imposibles, picos aislados y sensores bloqueados no abren ni cierran la válvula.',
+  'Vazão (L/min)': 'Caudal (L/min)',
+  'Verificando versões...': 'Verificando versiones...',
+  'Visto {lastSeenAt}': 'Visto {lastSeenAt}',
+  'Visualizador': 'Visualizador',
+  'Visualizador vê os dados, operador aciona a irrigação, responsável altera configurações e membros — o papel vale só nesta horta': 'El visualizador ve los datos, el operador acciona el riego y el responsable cambia configuraciones y miembros; el rol vale solo en esta huerta',
+  'Visão geral': 'Resumen',
+  'Você ainda não participa de nenhuma horta. Peça ao responsável um convite para este e-mail.': 'Todavía no participa en ninguna huerta. Pida al responsable una invitación para este correo.',
+  'Você vai perder o acesso de responsável. Continuar?': 'Va a perder el acceso de responsable. ¿Continuar?',
+  'Válvula aberta': 'Válvula abierta',
+  'Válvula aberta além do esperado': 'Válvula abierta más de lo esperado',
+  'agendamentos e modo automático não acionam as válvulas.': 'las programaciones y el modo automático no accionan las válvulas.',
+  'agora': 'ahora',
+  'alterado': 'modificado',
+  'automático desligado': 'modo automático apagado',
+  'campo obrigatório ausente': 'falta un campo obligatorio',
+  'canteiro: {bed} · sensor: {sensor} · vazão: {flow} · cultura: {crop}': 'cantero: {bed} · sensor: {sensor} · caudal: {flow} · cultivo: {crop}',
+  'chuva': 'lluvia',
+  'criado aqui': 'creado aquí',
+  'dados simulados': 'datos simulados',
+  'desconhecido': 'desconocido',
+  'deve ser ≤ {max}': 'debe ser ≤ {max}',
+  'deve ser ≥ {min}': 'debe ser ≥ {min}',
+  'dias inválidos ({days}); use 0 (domingo) a 6 (sábado)': 'días inválidos ({days}); use 0 (domingo) a 6 (sábado)',
+  'dias inválidos ({days}); use {labels}': 'días inválidos ({days}); use {labels}',
+  'fuso horário "{value}" desconhecido': 'zona horaria "{value}" desconocida',
+  'há {n} d': 'hace {n} d',
+  'há {n} h': 'hace {n} h',
+  'há {n} min': 'hace {n} min',
+  'id "{id}" inválido (sem "/", "." ou "..")': 'id "{id}" no válido (sin "/", "." ni "..")',
+  'id "{id}" repetido': 'id "{id}" repetido',
+  'id ausente': 'falta el id',
+  'informe 12 percentuais (janeiro a dezembro) entre 0 e 200': 'ingrese 12 porcentajes (enero a diciembre) entre 0 y 200',
+  'leitura antiga': 'lectura antigua',
+  'manualmente': 'manualmente',
+  'minHumidity maior que maxHumidity': 'minHumidity mayor que maxHumidity',
+  'nunca': 'nunca',
+  'não': 'no',
+  'o mesmo valor há mais de {hours} h': 'el mismo valor desde hace más de {hours} h',
+  'origem desconhecida': 'origen desconocido',
+  'pelo modo automático': 'por el modo automático',
+  'pico isolado, muito longe das leituras anteriores': 'pico aislado, muy lejos de las lecturas anteriores',
+  'por agendamento': 'por programación',
+  'por {who}': 'por {who}',
+  'recomendado {min}% a {max}%.': 'recomendado {min}% a {max}%.',
+  'reconhecido por {who}': 'reconocido por {who}',
+  'resolvido automaticamente': 'resuelto automáticamente',
+  'resolvido por {who}': 'resuelto por {who}',
+  'sem leitura confiável': 'sin lectura confiable',
+  'sensor sem leitura': 'sensor sin lectura',
+  'sim': 'sí',
+  'só é permitido o documento {ids}': 'solo se permite el documento {ids}',
+  'umidade ou raw é obrigatório': 'umidade o raw es obligatorio',
+  'usar': 'usar',
+  'valor impossível (fio solto ou fora de 0–100%)': 'valor imposible (cable suelto o fuera de 0–100%)',
+  'vazio': 'vacío',
+  'vazão não cadastrada': 'caudal no registrado',
+  '{collection}: {count} documento(s) no formato antigo': '{collection}: {count} documento(s) en el formato antiguo',
+  '{count} alerta(s) aguardando atenção': '{count} alerta(s) esperando atención',
+  '{count} alteração(ões) aguardando o servidor': '{count} cambio(s) esperando al servidor',
+  '{count} aspersor(es) ficarão sem cultura.': '{count} aspersor(es) quedarán sin cultivo.',
+  '{count} dia(s) sem dados no período': '{count} día(s) sin datos en el período',
+  '{count} inválido(s)': '{count} inválido(s)',
+  '{count} leituras': '{count} lecturas',
+  '{count} leituras no período': '{count} lecturas en el período',
+  '{count} migrado(s)': '{count} migrado(s)',
+  '{count} média(s) diária(s) gravada(s) em mediaDiaria.': '{count} promedio(s) diario(s) guardado(s) en mediaDiaria.',
+  '{count} pendente(s)': '{count} pendiente(s)',
+  '{count} suspeitas (em vermelho)': '{count} sospechosas (en rojo)',
+  '{cycles} ({auto} auto · {scheduled} prog.)': '{cycles} ({auto} auto · {scheduled} prog.)',
+  '{d} dias': '{d} días',
+  '{h} h': '{h} h',
+  '{min}% a {max}% · {minutes} min': '{min}% a {max}% · {minutes} min',
+  '{m} min': '{m} min',
+  '{name}: umidade não subiu em {minutes} min de irrigação ({from}% → {to}%). Verifique vazamento ou reservatório vazio.': '{name}: la humedad no subió en {minutes} min de riego ({from}% → {to}%). Verifique fugas o un depósito vacío.',
+  '{name}: umidade {humidity}% abaixo do mínimo de {min}% há {minutes} min': '{name}: humedad {humidity}% por debajo del mínimo de {min}% desde hace {minutes} min',
+  '{name}: válvula aberta há {minutes} min': '{name}: válvula abierta desde hace {minutes} min',
+  '{name}: válvula aberta há {minutes} min, já passou do horário de desligar': '{name}: válvula abierta desde hace {minutes} min, ya pasó la hora de apagado',
+  '{valid} válido(s), {invalid} com erro': '{valid} válido(s), {invalid} con error',
+  '· fw {firmware}': '· fw {firmware}',
+  'Água estimada': 'Agua estimada',
+  'Última leitura: {reading} · Heartbeat: {heartbeat}': 'Última lectura: {reading} · Heartbeat: {heartbeat}',
+  'Últimas sessões': 'Últimas sesiones',
+  'Últimas {count} ações registradas no painel': 'Últimas {count} acciones registradas en el panel',
+  'Últimos': 'Últimos',
+  'Últimos {days} dias: {liters} L estimados': 'Últimos {days} días: {liters} L estimados',
+  'Úmido': 'Húmedo',
+  '→ {minutes} min com o orçamento de {budget}%': '→ {minutes} min con el presupuesto de {budget}%',
+  '→ {preview}% com os pontos abaixo': '→ {preview}% con los puntos de abajo',
+  '⏱️ Próxima irrigação em': '⏱️ Próximo riego en',
+  '⏳ Salvo neste aparelho — será sincronizado quando a conexão voltar.': '⏳ Guardado en este dispositivo: se sincronizará cuando vuelva la conexión.',
+  '⏳ Sem conexão — o comando está na fila e será enviado quando a conexão voltar.': '⏳ Sin conexión: el comando está en cola y se enviará cuando vuelva la conexión.',
+  '⏳ pendente': '⏳ pendiente',
+  '⚠️ Usando os limites padrão ({minHumidity}% / {maxHumidity}%): nenhum valor salvo para este aspersor nem nas configurações gerais.': '⚠️ Usando los límites predeterminados ({minHumidity}% / {maxHumidity}%): no hay valor guardado para este aspersor ni en la configuración general.',
+  '✅ Todos os documentos estão no formato atual.': '✅ Todos los documentos están en el formato actual.',
+  '🌧️ Irrigação automática suspensa até {until}': '🌧️ Riego automático suspendido hasta {until}',
+  '🌧️ Irrigação suspensa por mais {duration}': '🌧️ Riego suspendido por {duration} más',
+  '💧 Irrigando agora: {zones}': '💧 Regando ahora: {zones}',
+  '📉 Orçamento sazonal deste mês: {monthBudget}% do tempo dos agendamentos.': '📉 Presupuesto estacional de este mes: {monthBudget}% del tiempo de las programaciones.',
+  '🔒 Os aspersores travados neste perfil recebem os novos limites ao salvar.': '🔒 Los aspersores fijados a este perfil reciben los nuevos límites al guardar.',
+  '🔒 Os limites seguem o perfil da cultura — destrave no cadastro de aspersores para ajustar.': '🔒 Los límites siguen el perfil del cultivo: desbloquéelo en el registro de aspersores para ajustar.',
+  '🔒 Somente leitura para o seu perfil': '🔒 Solo lectura para su perfil',
+  '🔔 Ativar notificações do navegador': '🔔 Activar notificaciones del navegador',
+  '🔮 Simular com o histórico': '🔮 Simular con el historial',
+};
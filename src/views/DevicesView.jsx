@@ -0,0 +1,559 @@
+// src/views/DevicesView.jsx
+// 📡 Dispositivos: saúde dos sensores/ESP32, cadastro de aspersores,
+// calibração dos sensores e conexão direta com o broker MQTT.
+import { useEffect, useMemo, useState } from "react";
+import { formatNumber, t } from "../lib/i18n";
+import { findCrop } from "../lib/crops";
+import {
+  DEFAULT_SENSOR_KEY,
+  isMonotonic,
+  normalizePoints,
+  rawToPercent,
+  sensorKey,
+} from "../lib/calibration";
+import { deviceHealth, formatAgo } from "../lib/health";
+import {
+  DEFAULT_MQTT_TOPICS,
+  MQTT_STATE_LABELS,
+  isValidBrokerUrl,
+  validateTopics,
+} from "../lib/mqttTransport";
+import { useDevices, useLatestReading, useNow } from "../hooks";
+import { Card, HealthBadge, SectionTitle } from "../components";
+
+// 🎯 Calibração do sensor: pontos "seco", "molhado" e extras (bruto → %)
+function CalibrationCard({ sensors, calibrations, onSave, readOnly }) {
+  const [selected, setSelected] = useState(sensors[0] || DEFAULT_SENSOR_KEY);
+  const [points, setPoints] = useState([]);
+  const [extraPct, setExtraPct] = useState(50);
+  const latest = useLatestReading(
+    selected === DEFAULT_SENSOR_KEY ? "" : selected
+  );
+  const saved = calibrations[selected];
+
+  useEffect(() => {
+    setPoints(saved || []);
+  }, [saved, selected]);
+
+  const capture = (pct) => {
+    if (!latest || typeof latest.raw !== "number") {
+      alert(t("A última leitura deste sensor não tem valor bruto (raw)."));
+      return;
+    }
+    setPoints((old) =>
+      normalizePoints([
+        ...old.filter((p) => p.pct !== pct && p.raw !== latest.raw),
+        { raw: latest.raw, pct },
+      ])
+    );
+  };
+
+  const save = async () => {
+    if (!isMonotonic(points)) {
+      alert(
+        t(
+          "Calibração inválida: capture pelo menos o ponto seco e o molhado, e a umidade deve só subir (ou só descer) com o valor bruto."
+        )
+      );
+      return;
+    }
+    await onSave(selected === DEFAULT_SENSOR_KEY ? "" : selected, points);
+  };
+
+  const preview =
+    latest && typeof latest.raw === "number"
+      ? rawToPercent(latest.raw, points)
+      : null;
+
+  return (
+    <Card readOnly={readOnly}>
+      <SectionTitle
+        icon={<span className="text-emerald-600">🎯</span>}
+        subtitle={t("Converte o valor bruto do ADC em % de umidade")}
+      >
+        {t("Calibração do Sensor")}
+      </SectionTitle>
+
+      <div className="mb-4">
+        <p className="text-gray-800 font-medium mb-2">{t("Sensor")}</p>
+        <select
+          value={selected}
+          onChange={(e) => setSelected(e.target.value)}
+          className="w-full rounded-xl border-gray-300"
+        >
+          {sensors.map((id) => (
+            <option key={id} value={id}>
+              {id === DEFAULT_SENSOR_KEY ? t("Sensor padrão (sem ID)") : id}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <p className="text-gray-700 mb-4">
+        {t("Leitura bruta atual:")}{" "}
+        <span className="font-semibold">
+          {latest && typeof latest.raw === "number" ? latest.raw : "—"}
+        </span>
+        {preview !== null && (
+          <span className="text-gray-500">
+            {" "}
+            {t("→ {preview}% com os pontos abaixo", { preview })}
+          </span>
+        )}
+      </p>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        <button
+          onClick={() => capture(0)}
+          className="px-3 py-2 rounded-xl bg-amber-100 text-amber-800 font-semibold"
+        >
+          {t("Capturar Seco (0%)")}
+        </button>
+        <button
+          onClick={() => capture(100)}
+          className="px-3 py-2 rounded-xl bg-sky-100 text-sky-800 font-semibold"
+        >
+          {t("Capturar Molhado (100%)")}
+        </button>
+        <div className="flex gap-2 items-center">
+          <input
+            type="number"
+            min={1}
+            max={99}
+            value={extraPct}
+            onChange={(e) => setExtraPct(Number(e.target.value))}
+            className="w-20 rounded-xl border-gray-300"
+          />
+          <button
+            onClick={() => capture(extraPct)}
+            className="px-3 py-2 rounded-xl bg-gray-200 text-gray-800 font-semibold"
+          >
+            {t("Capturar ponto")}
+          </button>
+        </div>
+      </div>
+
+      {points.length === 0 ? (
+        <p className="text-gray-500 mb-4">
+          {t('Sem calibração: o painel usa o campo "umidade" da leitura.')}
+        </p>
+      ) : (
+        <ul className="space-y-1 mb-4">
+          {points.map((p) => (
+            <li
+              key={p.raw}
+              className="flex justify-between items-center border rounded-lg px-3 py-1"
+            >
+              <span>
+                {t("Bruto")} <strong>{p.raw}</strong> → {p.pct}%
+              </span>
+              <button
+                onClick={() =>
+                  setPoints((old) => old.filter((x) => x.raw !== p.raw))
+                }
+                className="text-red-600 text-sm"
+              >
+                {t("Remover")}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <button
+        onClick={save}
+        className="w-full rounded-xl py-3 bg-emerald-600 hover:bg-emerald-700 text-white font-semibold"
+      >
+        {t("Salvar Calibração")}
+      </button>
+    </Card>
+  );
+}
+
+// 📡 Saúde dos dispositivos (última leitura e último heartbeat)
+function DeviceRow({ id, device, staleAfterMinutes, now }) {
+  const latest = useLatestReading(id === DEFAULT_SENSOR_KEY ? "" : id);
+  const health = deviceHealth({
+    lastReadingAt: latest?.at,
+    lastHeartbeatAt: device?.lastHeartbeat,
+    now,
+    staleAfterMs: staleAfterMinutes * 60000,
+  });
+
+  return (
+    <li className="flex justify-between items-center border rounded-lg p-3">
+      <div>
+        <strong>
+          {device?.name ||
+            (id === DEFAULT_SENSOR_KEY ? t("Sensor padrão") : id)}
+        </strong>
+        {device?.firmware && (
+          <span className="text-gray-500 text-xs">
+            {" "}
+            {t("· fw {firmware}", { firmware: device.firmware })}
+          </span>
+        )}
+        <span className="block text-xs text-gray-500">
+          {t("Última leitura: {reading} · Heartbeat: {heartbeat}", {
+            reading: latest ? formatAgo(latest.at, now) : t("nunca"),
+            heartbeat: device?.lastHeartbeat
+              ? formatAgo(device.lastHeartbeat.getTime(), now)
+              : t("nunca"),
+          })}
+        </span>
+      </div>
+      <HealthBadge state={health.state} />
+    </li>
+  );
+}
+
+function DevicesCard({ sensors, devices, staleAfterMinutes }) {
+  const now = useNow(30 * 1000);
+  const ids = [...new Set([...sensors, ...Object.keys(devices)])];
+
+  return (
+    <Card>
+      <SectionTitle
+        icon={<span className="text-emerald-600">📡</span>}
+        subtitle={t(
+          "Sem leitura há mais de {minutes} min = dados atrasados/offline",
+          { minutes: staleAfterMinutes }
+        )}
+      >
+        {t("Dispositivos")}
+      </SectionTitle>
+      <ul className="space-y-2">
+        {ids.map((id) => (
+          <DeviceRow
+            key={id}
+            id={id}
+            device={devices[id]}
+            staleAfterMinutes={staleAfterMinutes}
+            now={now}
+          />
+        ))}
+      </ul>
+    </Card>
+  );
+}
+
+// 📡 Broker MQTT: endereço WebSocket e modelos de tópico
+const MQTT_TOPIC_LABELS = {
+  command: "Comandos (publica)",
+  status: "Estado da válvula (assina)",
+  humidity: "Umidade (assina)",
+};
+
+function MqttSettingsCard({ config, state, onSave, readOnly }) {
+  const [form, setForm] = useState(config);
+
+  useEffect(() => {
+    setForm(config);
+  }, [config]);
+
+  const save = () => {
+    if (!isValidBrokerUrl(form.url)) {
+      alert(t("Endereço inválido. Use ws://host:porta ou wss://host:porta."));
+      return;
+    }
+    const invalid = validateTopics(form.topics);
+    if (invalid.length) {
+      alert(
+        t(
+          "Tópicos inválidos: {topics}. Use um único marcador ({aspersorId} ou {sensorId}) e sem + ou #.",
+          { topics: invalid.map((k) => t(MQTT_TOPIC_LABELS[k])).join(", ") }
+        )
+      );
+      return;
+    }
+    onSave(form);
+  };
+
+  return (
+    <Card readOnly={readOnly}>
+      <SectionTitle
+        icon={<span className="text-emerald-600">📡</span>}
+        subtitle={
+          config.enabled
+            ? t(MQTT_STATE_LABELS[state] || "MQTT desativado")
+            : t("Conexão direta com o broker (ex.: Mosquitto na rede local)")
+        }
+      >
+        {t("Broker MQTT")}
+      </SectionTitle>
+      <label className="flex items-center gap-2 mb-3">
+        <input
+          type="checkbox"
+          checked={form.enabled}
+          onChange={(e) => setForm({ ...form, enabled: e.target.checked })}
+        />
+        {t("Usar MQTT além do Firestore")}
+      </label>
+      <div className="mb-2">
+        <p className="text-gray-800 font-medium mb-2">
+          {t("Endereço WebSocket do broker")}
+        </p>
+        <input
+          value={form.url}
+          onChange={(e) => setForm({ ...form, url: e.target.value.trim() })}
+          placeholder="ws://192.168.0.10:9001"
+          className="w-full rounded-xl border-gray-300 focus:border-emerald-500 focus:ring-emerald-500"
+        />
+      </div>
+      {Object.keys(DEFAULT_MQTT_TOPICS).map((key) => (
+        <div key={key} className="mb-2">
+          <p className="text-gray-800 font-medium mb-2">
+            {t(MQTT_TOPIC_LABELS[key])}
+          </p>
+          <input
+            value={form.topics[key]}
+            onChange={(e) =>
+              setForm({
+                ...form,
+                topics: { ...form.topics, [key]: e.target.value.trim() },
+              })
+            }
+            placeholder={DEFAULT_MQTT_TOPICS[key]}
+            className="w-full rounded-xl border-gray-300 focus:border-emerald-500 focus:ring-emerald-500"
+          />
+        </div>
+      ))}
+      <button
+        onClick={save}
+        className="mt-4 w-full rounded-xl py-3 bg-emerald-600 hover:bg-emerald-700 text-white font-semibold"
+      >
+        {t("Salvar MQTT")}
+      </button>
+    </Card>
+  );
+}
+
+// 🗂️ Cadastro de aspersores (nome, canteiro e sensor vinculado)
+function ZoneRegistryCard({ zones, crops, onSave, onRemove, readOnly }) {
+  const empty = {
+    id: "",
+    name: "",
+    bed: "",
+    sensorId: "",
+    flowRateLpm: "",
+    cropId: "",
+    cropLocked: false,
+  };
+  const [form, setForm] = useState(empty);
+  const formCrop = findCrop(crops, form.cropId);
+
+  const save = async () => {
+    if (!form.name.trim()) {
+      alert(t("Informe o nome do aspersor!"));
+      return;
+    }
+    await onSave({ ...form, name: form.name.trim() });
+    setForm(empty);
+  };
+
+  const excluir = async (id) => {
+    if (window.confirm(t("Excluir este aspersor do cadastro?"))) {
+      await onRemove(id);
+    }
+  };
+
+  return (
+    <Card readOnly={readOnly}>
+      <SectionTitle
+        icon={<span className="text-emerald-600">🗂️</span>}
+        subtitle={t(
+          "Cada aspersor tem seu canteiro, sensor, controles e agendamentos"
+        )}
+      >
+        {t("Cadastro de Aspersores")}
+      </SectionTitle>
+
+      <ul className="space-y-2 mb-5">
+        {zones.map((z) => {
+          const crop = findCrop(crops, z.cropId);
+          return (
+            <li
+              key={z.id}
+              className="flex justify-between items-center border rounded-lg p-3"
+            >
+              <div>
+                <strong>{z.name || z.id}</strong>
+                <span className="text-gray-500 text-sm">
+                  {" "}
+                  —{" "}
+                  {t(
+                    "canteiro: {bed} · sensor: {sensor} · vazão: {flow} · cultura: {crop}",
+                    {
+                      bed: z.bed || "—",
+                      sensor: z.sensorId || "—",
+                      flow: z.flowRateLpm
+                        ? `${formatNumber(z.flowRateLpm)} L/min`
+                        : "—",
+                      crop: crop ? `${crop.emoji} ${crop.name}` : "—",
+                    }
+                  )}
+                  {crop && z.cropLocked && " 🔒"}
+                </span>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() =>
+                    setForm({
+                      id: z.id,
+                      name: z.name || "",
+                      bed: z.bed || "",
+                      sensorId: z.sensorId || "",
+                      flowRateLpm: z.flowRateLpm ?? "",
+                      cropId: z.cropId || "",
+                      cropLocked: z.cropLocked === true,
+                    })
+                  }
+                  className="bg-gray-200 text-gray-800 px-2 py-1 rounded"
+                >
+                  {t("Editar")}
+                </button>
+                <button
+                  onClick={() => excluir(z.id)}
+                  className="bg-red-500 text-white px-2 py-1 rounded"
+                >
+                  {t("Excluir")}
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+        <input
+          placeholder={t("Nome")}
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          className="rounded-xl border-gray-300 focus:border-emerald-500 focus:ring-emerald-500"
+        />
+        <input
+          placeholder={t("Canteiro")}
+          value={form.bed}
+          onChange={(e) => setForm({ ...form, bed: e.target.value })}
+          className="rounded-xl border-gray-300 focus:border-emerald-500 focus:ring-emerald-500"
+        />
+        <input
+          placeholder={t("ID do sensor")}
+          value={form.sensorId}
+          onChange={(e) => setForm({ ...form, sensorId: e.target.value })}
+          className="rounded-xl border-gray-300 focus:border-emerald-500 focus:ring-emerald-500"
+        />
+        <input
+          type="number"
+          min="0"
+          step="0.1"
+          placeholder={t("Vazão (L/min)")}
+          value={form.flowRateLpm}
+          onChange={(e) => setForm({ ...form, flowRateLpm: e.target.value })}
+          className="rounded-xl border-gray-300 focus:border-emerald-500 focus:ring-emerald-500"
+        />
+        <select
+          value={form.cropId}
+          onChange={(e) => setForm({ ...form, cropId: e.target.value })}
+          className="md:col-span-2 rounded-xl border-gray-300 focus:border-emerald-500 focus:ring-emerald-500"
+        >
+          <option value="">{t("Sem cultura")}</option>
+          {crops.map((c) => (
+            <option key={c.id} value={c.id}>
+              {c.emoji} {c.name}
+            </option>
+          ))}
+        </select>
+        <label className="md:col-span-2 flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={form.cropLocked}
+            disabled={!formCrop}
+            onChange={(e) => setForm({ ...form, cropLocked: e.target.checked })}
+          />
+          {t("Travar limites no perfil da cultura")}
+        </label>
+      </div>
+      {formCrop && (
+        <p className="text-xs text-gray-500 mt-2">
+          {form.cropLocked
+            ? t(
+                "Os limites do modo automático seguem o perfil ({min}% a {max}%), inclusive quando ele for alterado.",
+                { min: formCrop.minHumidity, max: formCrop.maxHumidity }
+              )
+            : t(
+                "Ao escolher a cultura, os limites do modo automático passam para {min}% a {max}%; depois podem ser ajustados.",
+                { min: formCrop.minHumidity, max: formCrop.maxHumidity }
+              )}
+        </p>
+      )}
+      <div className="flex gap-3 mt-4">
+        <button
+          onClick={save}
+          className="flex-1 rounded-xl py-3 bg-emerald-600 hover:bg-emerald-700 text-white font-semibold"
+        >
+          {form.id ? t("Salvar Aspersor") : t("Adicionar Aspersor")}
+        </button>
+        {form.id && (
+          <button
+            onClick={() => setForm(empty)}
+            className="rounded-xl px-4 py-3 bg-gray-200 text-gray-800 font-semibold"
+          >
+            {t("Cancelar")}
+          </button>
+        )}
+      </div>
+    </Card>
+  );
+}
+
+export default function DevicesView({
+  zones,
+  crops,
+  calibrations,
+  onSaveCalibration,
+  onSaveZone,
+  onRemoveZone,
+  mqttConfig,
+  mqttState,
+  onSaveMqttConfig,
+  staleAfterMinutes,
+  perms,
+}) {
+  const devices = useDevices();
+  const sensorKeys = useMemo(
+    () => [...new Set(zones.map((z) => sensorKey(z.sensorId)))],
+    [zones]
+  );
+
+  return (
+    <>
+      <DevicesCard
+        sensors={sensorKeys}
+        devices={devices}
+        staleAfterMinutes={staleAfterMinutes}
+      />
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <ZoneRegistryCard
+          zones={zones}
+          crops={crops}
+          onSave={onSaveZone}
+          onRemove={onRemoveZone}
+          readOnly={!perms.editSettings}
+        />
+        <CalibrationCard
+          sensors={sensorKeys}
+          calibrations={calibrations}
+          onSave={onSaveCalibration}
+          readOnly={!perms.editSettings}
+        />
+        <MqttSettingsCard
+          config={mqttConfig}
+          state={mqttState}
+          onSave={onSaveMqttConfig}
+          readOnly={!perms.editSettings}
+        />
+      </div>
+    </>
+  );
+}
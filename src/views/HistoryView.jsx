@@ -0,0 +1,684 @@
+// src/views/HistoryView.jsx
+// 📈 Histórico: leituras do sensor do aspersor escolhido, médias diárias,
+// consumo de água e registro de atividades.
+import { useMemo, useState } from "react";
+import {
+  Area,
+  Bar,
+  BarChart,
+  Brush,
+  ComposedChart,
+  Legend,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { formatDay, formatNumber, getLocale, t } from "../lib/i18n";
+import { QUALITY_FLAGS, trustedReadings } from "../lib/quality";
+import { AUDIT_ACTIONS, changedFields } from "../lib/audit";
+import {
+  SOURCE_LABELS,
+  aggregateConsumption,
+  sessionLiters,
+  sessionMinutes,
+} from "../lib/consumption";
+import {
+  AUDIT_FEED_SIZE,
+  CONSUMPTION_DAYS,
+  toDate,
+  useAuditLog,
+  useDailyAverageHistory,
+  useHumidityReadings,
+  useIrrigationSessions,
+  useQueryParams,
+} from "../hooks";
+import { Card, SectionTitle, ZoneSelector } from "../components";
+
+// 📉 Leituras brutas com seleção de período, zoom e páginas antigas (7 e 30
+// dias aparecem resumidos, ver useHumidityReadings). O período fica na URL: "?periodo=7d" ou "?de=2025-06-01T00:00&ate=...".
+const RANGE_PRESETS = [
+  { key: "24h", label: "24h", ms: 24 * 60 * 60 * 1000 },
+  { key: "7d", label: "7 dias", ms: 7 * 24 * 60 * 60 * 1000 },
+  { key: "30d", label: "30 dias", ms: 30 * 24 * 60 * 60 * 1000 },
+];
+
+// Date → valor de <input type="datetime-local"> no horário local
+const toInputValue = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+function RawHumidityChart({ sensorId, calibrations }) {
+  const [query, setQuery] = useQueryParams();
+  const customFrom = query.get("de");
+  const customTo = query.get("ate") || "";
+  const preset =
+    RANGE_PRESETS.find((p) => p.key === query.get("periodo")) ||
+    RANGE_PRESETS[0];
+  const rangeKey = customFrom !== null ? "custom" : preset.key;
+  // início do período fixo: muda só quando o período muda
+  const presetFrom = useMemo(() => new Date(Date.now() - preset.ms), [preset]);
+
+  const range = useMemo(() => {
+    if (rangeKey !== "custom") return { from: presetFrom, to: null };
+    const from = new Date(customFrom);
+    const to = new Date(customTo);
+    return {
+      from: Number.isNaN(from.getTime()) ? null : from,
+      to: Number.isNaN(to.getTime()) ? null : to,
+    };
+  }, [rangeKey, presetFrom, customFrom, customTo]);
+
+  const { readings, loading, hasOlder, loadOlder, sampled } =
+    useHumidityReadings(sensorId, range, calibrations);
+  // leituras confiáveis na linha; as suspeitas viram pontos vermelhos
+  const chartData = useMemo(
+    () =>
+      readings.map((r) => ({
+        ...r,
+        trusted: r.flag ? null : r.humidity,
+        suspect: r.flag ? r.humidity : null,
+      })),
+    [readings]
+  );
+  const suspectCount = readings.length - trustedReadings(readings).length;
+
+  const selectPreset = (p) =>
+    setQuery({
+      periodo: p === RANGE_PRESETS[0] ? null : p.key,
+      de: null,
+      ate: null,
+    });
+  const selectCustom = () =>
+    setQuery({
+      periodo: null,
+      de: toInputValue(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)),
+      ate: toInputValue(new Date()),
+    });
+
+  const showDays = rangeKey !== "24h";
+  const formatTick = (ms) =>
+    new Date(ms).toLocaleString(
+      getLocale(),
+      showDays
+        ? {
+            day: "2-digit",
+            month: "2-digit",
+            hour: "2-digit",
+            minute: "2-digit",
+          }
+        : { hour: "2-digit", minute: "2-digit" }
+    );
+
+  return (
+    <Card>
+      <SectionTitle
+        icon={<span className="text-emerald-600">📉</span>}
+        subtitle={
+          (sampled !== null
+            ? t("Resumo do período: {points} pontos de {count} leituras", {
+                points: formatNumber(readings.length),
+                count: formatNumber(sampled),
+              })
+            : t("{count} leituras no período", {
+                count: formatNumber(readings.length),
+              })) +
+          (suspectCount
+            ? ` · ${t("{count} suspeitas (em vermelho)", {
+                count: suspectCount,
+              })}`
+            : "")
+        }
+      >
+        {t("Leituras do Sensor")}
+      </SectionTitle>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {RANGE_PRESETS.map((p) => (
+          <button
+            key={p.key}
+            onClick={() => selectPreset(p)}
+            className={`px-3 py-1 rounded-full border text-sm ${
+              rangeKey === p.key
+                ? "bg-emerald-50 border-emerald-600 text-emerald-700"
+                : "bg-white border-gray-300 text-gray-700"
+            }`}
+          >
+            {t(p.label)}
+          </button>
+        ))}
+        <button
+          onClick={selectCustom}
+          className={`px-3 py-1 rounded-full border text-sm ${
+            rangeKey === "custom"
+              ? "bg-emerald-50 border-emerald-600 text-emerald-700"
+              : "bg-white border-gray-300 text-gray-700"
+          }`}
+        >
+          {t("Personalizado")}
+        </button>
+      </div>
+
+      {rangeKey === "custom" && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-4">
+          <label className="text-sm text-gray-700">
+            {t("De")}
+            <input
+              type="datetime-local"
+              value={customFrom}
+              onChange={(e) => setQuery({ de: e.target.value })}
+              className="w-full rounded-xl border-gray-300 focus:border-emerald-500 focus:ring-emerald-500"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            {t("Até")}
+            <input
+              type="datetime-local"
+              value={customTo}
+              onChange={(e) => setQuery({ ate: e.target.value })}
+              className="w-full rounded-xl border-gray-300 focus:border-emerald-500 focus:ring-emerald-500"
+            />
+          </label>
+        </div>
+      )}
+
+      <div className="h-72">
+        {readings.length === 0 ? (
+          <p className="text-gray-500">
+            {loading
+              ? t("Carregando leituras...")
+              : t("Nenhuma leitura no período.")}
+          </p>
+        ) : (
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={chartData}>
+              <XAxis
+                dataKey="at"
+                type="number"
+                scale="time"
+                domain={["dataMin", "dataMax"]}
+                tickFormatter={formatTick}
+                tick={{ fontSize: 12, fill: "#475569" }}
+              />
+              <YAxis
+                domain={[0, 100]}
+                tick={{ fontSize: 12, fill: "#475569" }}
+              />
+              <Tooltip
+                labelFormatter={(ms) =>
+                  new Date(ms).toLocaleString(getLocale())
+                }
+                formatter={(v, name, item) =>
+                  item.dataKey === "suspect"
+                    ? [
+                        `${formatNumber(v)}%`,
+                        `${t("Suspeita")} – ${t(
+                          QUALITY_FLAGS[item.payload.flag]
+                        )}`,
+                      ]
+                    : [`${formatNumber(v)}%`, t("Umidade")]
+                }
+              />
+              <Line
+                type="monotone"
+                dataKey="trusted"
+                stroke="#10b981"
+                strokeWidth={2}
+                dot={false}
+                connectNulls
+                isAnimationActive={false}
+              />
+              <Line
+                dataKey="suspect"
+                stroke="none"
+                dot={{ r: 3, fill: "#ef4444", stroke: "#ef4444" }}
+                activeDot={{ r: 5, fill: "#ef4444" }}
+                isAnimationActive={false}
+              />
+              {/* arraste as bordas para dar zoom em um trecho */}
+              <Brush
+                dataKey="at"
+                height={24}
+                stroke="#10b981"
+                tickFormatter={formatTick}
+              />
+            </LineChart>
+          </ResponsiveContainer>
+        )}
+      </div>
+
+      {hasOlder && (
+        <button
+          onClick={loadOlder}
+          disabled={loading}
+          className="mt-4 w-full rounded-xl py-2 bg-gray-200 text-gray-800 font-semibold disabled:opacity-60"
+        >
+          {loading ? t("Carregando...") : t("Carregar leituras mais antigas")}
+        </button>
+      )}
+    </Card>
+  );
+}
+
+// 📈 Histórico (média diária com faixa mínimo–máximo)
+function DailyTooltip({ active, payload }) {
+  if (!active || !payload?.length) return null;
+  const d = payload[0].payload;
+  return (
+    <div className="bg-white border rounded-lg p-2 text-sm shadow">
+      <p className="font-semibold">{d.dateLabel}</p>
+      {d.gap ? (
+        <p className="text-gray-500">{t("Sem dados")}</p>
+      ) : (
+        <>
+          <p>{t("Média: {average}%", { average: formatNumber(d.average) })}</p>
+          {d.min !== null && (
+            <p>
+              {t("Mín/Máx: {min}% – {max}%", {
+                min: formatNumber(d.min),
+                max: formatNumber(d.max),
+              })}
+            </p>
+          )}
+          {d.p10 !== null && d.p10 !== undefined && (
+            <p>
+              {t("P10/P90: {p10}% – {p90}%", {
+                p10: formatNumber(d.p10),
+                p90: formatNumber(d.p90),
+              })}
+            </p>
+          )}
+          <p className="text-gray-500">
+            {d.fromStored
+              ? t("Média salva")
+              : t("{count} leituras", { count: d.count })}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
+
+function HumidityHistory({ days, missing, onBackfill }) {
+  const [saving, setSaving] = useState(false);
+
+  const data = useMemo(
+    () =>
+      days.map((d) => {
+        return {
+          ...d,
+          dateLabel: formatDay(d.date),
+          range: d.min !== null && d.max !== null ? [d.min, d.max] : null,
+        };
+      }),
+    [days]
+  );
+  const ticks = useMemo(() => data.map((d) => d.dateLabel), [data]);
+  const gaps = days.filter((d) => d.gap).length;
+
+  const backfill = async () => {
+    setSaving(true);
+    const n = await onBackfill();
+    setSaving(false);
+    alert(
+      t("{count} média(s) diária(s) gravada(s) em mediaDiaria.", { count: n })
+    );
+  };
+
+  return (
+    <Card>
+      <SectionTitle
+        icon={<span className="text-emerald-600">📈</span>}
+        subtitle={
+          gaps
+            ? t("{count} dia(s) sem dados no período", { count: gaps })
+            : t("Faixa sombreada: mínimo e máximo do dia")
+        }
+      >
+        {t("Histórico de Umidade (média diária)")}
+      </SectionTitle>
+      <div className="h-72">
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={data}>
+            <XAxis
+              dataKey="dateLabel"
+              ticks={ticks}
+              interval={0}
+              tick={{ fontSize: 12, fill: "#475569" }}
+            />
+            <YAxis domain={[0, 100]} tick={{ fontSize: 12, fill: "#475569" }} />
+            <Tooltip content={<DailyTooltip />} />
+            <Area
+              type="monotone"
+              dataKey="range"
+              stroke="none"
+              fill="#a7f3d0"
+              fillOpacity={0.6}
+              connectNulls={false}
+            />
+            {/* sem connectNulls: dias sem dados aparecem como buracos na linha */}
+            <Line
+              type="monotone"
+              dataKey="average"
+              stroke="#10b981"
+              strokeWidth={3}
+              dot={{ r: 3 }}
+              connectNulls={false}
+            />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+      {onBackfill && missing.length > 0 && (
+        <button
+          onClick={backfill}
+          disabled={saving}
+          className="mt-4 w-full rounded-xl py-2 bg-gray-200 text-gray-800 font-semibold disabled:opacity-60"
+        >
+          {saving
+            ? t("Gravando...")
+            : t("Calcular e gravar em mediaDiaria {count} dia(s) sem média", {
+                count: missing.length,
+              })}
+        </button>
+      )}
+    </Card>
+  );
+}
+
+// 💧 Consumo estimado de água por dia/semana e por aspersor
+const ZONE_COLORS = ["#0ea5e9", "#10b981", "#f59e0b", "#8b5cf6", "#ef4444"];
+
+function ConsumptionCard({ sessions, from, now, zones, timeZone }) {
+  const [period, setPeriod] = useState("day");
+
+  const flowRates = useMemo(
+    () => Object.fromEntries(zones.map((z) => [z.id, z.flowRateLpm])),
+    [zones]
+  );
+  const { rows, totals, unknownRate } = useMemo(
+    () =>
+      aggregateConsumption(sessions, {
+        from,
+        to: new Date(now),
+        flowRates,
+        period,
+        timeZone,
+        now,
+      }),
+    [sessions, from, now, flowRates, period, timeZone]
+  );
+  const data = rows.map((r) => ({ ...r, dateLabel: formatDay(r.date) }));
+  const total = Object.values(totals).reduce((acc, v) => acc + v, 0);
+  const zoneName = (id) => zones.find((z) => z.id === id)?.name || id;
+  const recent = sessions.slice(0, 5);
+
+  return (
+    <Card>
+      <SectionTitle
+        icon={<span className="text-emerald-600">💧</span>}
+        subtitle={t("Últimos {days} dias: {liters} L estimados", {
+          days: CONSUMPTION_DAYS,
+          liters: formatNumber(total, { maximumFractionDigits: 1 }),
+        })}
+      >
+        {t("Consumo de Água")}
+      </SectionTitle>
+      <div className="flex gap-2 mb-4">
+        {[
+          ["day", "Por dia"],
+          ["week", "Por semana"],
+        ].map(([key, label]) => (
+          <button
+            key={key}
+            onClick={() => setPeriod(key)}
+            className={`px-3 py-1 rounded-lg text-sm ${
+              period === key
+                ? "bg-emerald-600 text-white"
+                : "bg-gray-200 text-gray-800"
+            }`}
+          >
+            {t(label)}
+          </button>
+        ))}
+      </div>
+      <div className="h-72">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={data}>
+            <XAxis
+              dataKey="dateLabel"
+              tick={{ fontSize: 12, fill: "#475569" }}
+            />
+            <YAxis tick={{ fontSize: 12, fill: "#475569" }} unit=" L" />
+            <Tooltip
+              formatter={(v, name) => [`${formatNumber(v)} L`, zoneName(name)]}
+            />
+            <Legend formatter={(name) => zoneName(name)} />
+            {zones.map((z, i) => (
+              <Bar
+                key={z.id}
+                dataKey={z.id}
+                stackId="litros"
+                fill={ZONE_COLORS[i % ZONE_COLORS.length]}
+              />
+            ))}
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+      <ul className="mt-4 text-sm space-y-1">
+        {zones.map((z) => (
+          <li key={z.id} className="flex justify-between">
+            <span>{z.name || z.id}</span>
+            <span className="text-gray-600">
+              {unknownRate.includes(z.id)
+                ? t("vazão não cadastrada")
+                : `${formatNumber(totals[z.id] || 0, {
+                    minimumFractionDigits: 1,
+                    maximumFractionDigits: 1,
+                  })} L`}
+            </span>
+          </li>
+        ))}
+      </ul>
+      {recent.length > 0 && (
+        <div className="mt-4">
+          <h3 className="text-sm font-semibold text-gray-700 mb-1">
+            {t("Últimas sessões")}
+          </h3>
+          <ul className="text-xs text-gray-600 space-y-1">
+            {recent.map((s) => {
+              const liters = sessionLiters(s, flowRates[s.aspersorId], now);
+              return (
+                <li key={s.id}>
+                  {new Date(s.startedAt).toLocaleString(getLocale(), {
+                    timeZone,
+                  })}{" "}
+                  · {zoneName(s.aspersorId)} ·{" "}
+                  {SOURCE_LABELS[s.source]
+                    ? t(SOURCE_LABELS[s.source])
+                    : s.source || t("origem desconhecida")}{" "}
+                  · {Math.round(sessionMinutes(s, now))} min
+                  {s.endedAt === null && ` ${t("(em andamento)")}`}
+                  {liters !== null && ` · ${formatNumber(liters)} L`}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+    </Card>
+  );
+}
+
+// Valor de um campo no feed de atividades
+function formatAuditValue(value) {
+  if (value === null || value === undefined || value === "") return "—";
+  if (value?.toDate || value instanceof Date) {
+    return toDate(value).toLocaleString(getLocale());
+  }
+  if (typeof value === "boolean") return value ? t("sim") : t("não");
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+// 📝 Feed de atividades: quem fez o quê e o que mudou
+function ActivityFeedCard({ entries }) {
+  const [action, setAction] = useState("");
+  const [actor, setActor] = useState("");
+  const [target, setTarget] = useState("");
+
+  const actors = useMemo(
+    () =>
+      [...new Set(entries.map((e) => e.actor?.email || e.actor?.uid))]
+        .filter(Boolean)
+        .sort(),
+    [entries]
+  );
+
+  const filtered = entries.filter(
+    (e) =>
+      (!action || e.action === action) &&
+      (!actor || (e.actor?.email || e.actor?.uid) === actor) &&
+      (!target ||
+        String(e.target).toLowerCase().includes(target.trim().toLowerCase()))
+  );
+
+  return (
+    <Card>
+      <SectionTitle
+        icon={<span className="text-emerald-600">📝</span>}
+        subtitle={t("Últimas {count} ações registradas no painel", {
+          count: AUDIT_FEED_SIZE,
+        })}
+      >
+        {t("Atividades")}
+      </SectionTitle>
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 mb-4">
+        <select
+          value={action}
+          onChange={(e) => setAction(e.target.value)}
+          className="rounded-xl border-gray-300 text-sm"
+        >
+          <option value="">{t("Todas as ações")}</option>
+          {Object.entries(AUDIT_ACTIONS).map(([key, label]) => (
+            <option key={key} value={key}>
+              {t(label)}
+            </option>
+          ))}
+        </select>
+        <select
+          value={actor}
+          onChange={(e) => setActor(e.target.value)}
+          className="rounded-xl border-gray-300 text-sm"
+        >
+          <option value="">{t("Todos os usuários")}</option>
+          {actors.map((a) => (
+            <option key={a} value={a}>
+              {a}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={target}
+          onChange={(e) => setTarget(e.target.value)}
+          placeholder={t("Filtrar por alvo (ex.: aspersor1)")}
+          className="rounded-xl border-gray-300 text-sm"
+        />
+      </div>
+      {filtered.length === 0 ? (
+        <p className="text-gray-500 text-sm">
+          {t("Nenhuma atividade encontrada.")}
+        </p>
+      ) : (
+        <ul className="space-y-2 max-h-96 overflow-y-auto">
+          {filtered.map((e) => {
+            const changes = changedFields(e.before, e.after);
+            return (
+              <li key={e.id} className="border rounded-lg p-3 text-sm">
+                <div className="flex justify-between gap-2">
+                  <span>
+                    <strong>
+                      {AUDIT_ACTIONS[e.action]
+                        ? t(AUDIT_ACTIONS[e.action])
+                        : e.action}
+                    </strong>
+                    {e.target && (
+                      <span className="text-gray-500"> — {e.target}</span>
+                    )}
+                  </span>
+                  <span className="text-gray-400 whitespace-nowrap">
+                    {e.createdAt?.toLocaleString(getLocale())}
+                  </span>
+                </div>
+                <div className="text-gray-500">
+                  {t("por {who}", {
+                    who: e.actor?.email || e.actor?.uid || t("desconhecido"),
+                  })}
+                </div>
+                {changes.length > 0 && (
+                  <ul className="mt-1 text-xs text-gray-600">
+                    {changes.map((c) => (
+                      <li key={c.field}>
+                        <code>{c.field}</code>: {formatAuditValue(c.before)} →{" "}
+                        {formatAuditValue(c.after)}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </Card>
+  );
+}
+
+export default function HistoryView({
+  zones,
+  zone,
+  crops,
+  onSelectZone,
+  calibrations,
+  timeZone,
+  perms,
+}) {
+  const daily = useDailyAverageHistory(timeZone, calibrations);
+  const irrigation = useIrrigationSessions(timeZone);
+  const auditEntries = useAuditLog();
+
+  return (
+    <>
+      <ZoneSelector
+        zones={zones}
+        crops={crops}
+        selectedId={zone.id}
+        onSelect={onSelectZone}
+      />
+
+      {/* Leituras brutas do sensor do aspersor selecionado */}
+      <RawHumidityChart sensorId={zone.sensorId} calibrations={calibrations} />
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <HumidityHistory
+          days={daily.days}
+          missing={daily.missing}
+          onBackfill={perms.editSettings ? daily.backfill : null}
+        />
+        <ActivityFeedCard entries={auditEntries} />
+      </div>
+
+      {/* Consumo de água de todos os aspersores */}
+      <ConsumptionCard
+        sessions={irrigation.sessions}
+        from={irrigation.from}
+        now={irrigation.now}
+        zones={zones}
+        timeZone={timeZone}
+      />
+    </>
+  );
+}
@@ -0,0 +1,1090 @@
+// src/views/OverviewView.jsx
+// 🌿 Visão geral: alertas e, para o aspersor escolhido, umidade atual,
+// controle manual e modo automático.
+import { useEffect, useRef, useState } from "react";
+import { store } from "../lib/backend";
+import { statusRepo } from "../lib/repositories";
+import { describeSchedule } from "../lib/schedules";
+import { maxGapFor, replayScenario, sampleMinutes } from "../lib/whatIf";
+import { formatDuration, formatNumber, getLocale, t } from "../lib/i18n";
+import { QUALITY_FLAGS, STUCK_MINUTES } from "../lib/quality";
+import { sensorKey } from "../lib/calibration";
+import { deviceHealth, formatAgo } from "../lib/health";
+import { logAudit } from "../lib/audit";
+import { queueWrite } from "../lib/offline";
+import { SOURCE_LABELS, sessionId, sessionLiters } from "../lib/consumption";
+import {
+  ALERT_RULES,
+  ALERT_STATES,
+  alertMessage,
+  isAutoResolved,
+} from "../lib/alerts";
+import {
+  GENERAL_DEFAULTS,
+  toDate,
+  useActuatorStatus,
+  useAutoSettings,
+  useCurrentHumidity,
+  useDevices,
+  useNow,
+  useSchedules,
+  useWhatIfReadings,
+} from "../hooks";
+import {
+  Card,
+  HealthBadge,
+  PendingNote,
+  SectionTitle,
+  ZoneSelector,
+} from "../components";
+
+// Tempo máximo esperando o ESP32 confirmar um comando (ackCommandId)
+const ACK_TIMEOUT_MS = 30 * 1000;
+
+// Ciclo de vida do último comando:
+// queued (offline) | requested | acknowledged | timeout | none
+function getCommandState(status, now) {
+  if (!status || !status.commandId) return "none";
+  if (status.pending) return "queued";
+  if (status.ackCommandId === status.commandId) return "acknowledged";
+  if (
+    status.requestedAt &&
+    now - status.requestedAt.getTime() > ACK_TIMEOUT_MS
+  ) {
+    return "timeout";
+  }
+  return "requested";
+}
+
+// Estado do Firestore + o recebido por MQTT (quando for mais novo que o
+// último comando gravado)
+function mergeLiveStatus(status, live) {
+  if (!status || !live) return status;
+  if (status.requestedAt && live.at < status.requestedAt.getTime()) {
+    return status;
+  }
+  return {
+    ...status,
+    isOn: live.isOn,
+    source: live.source || status.source,
+    endsAt: live.endsAt || status.endsAt,
+    ackCommandId: live.ackCommandId || status.ackCommandId,
+    ackAt: live.ackCommandId ? new Date(live.at) : status.ackAt,
+  };
+}
+
+// Acionar aspersor (status manual) – um documento de status por aspersor
+// Ao ligar, "minutes" define o horário de desligamento (endsAt), que o
+// ESP32/Node-RED respeita mesmo se o navegador for fechado. Com "onlyIf",
+// o comando só sai se onlyIf(status atual) aprovar no momento da gravação.
+async function triggerActuator(
+  aspersorId,
+  nextState,
+  { minutes, flowRateLpm, mqtt, commandId = `cmd-${Date.now()}`, onlyIf } = {}
+) {
+  try {
+    const now = new Date();
+    const endsAt =
+      nextState && minutes ? new Date(now.getTime() + minutes * 60000) : null;
+    const command = {
+      isOn: nextState,
+      source: "manual",
+      commandId,
+      requestedAt: now,
+      endsAt,
+      updatedAt: now,
+    };
+    let previous = null;
+    if (onlyIf) {
+      previous = await statusRepo.saveIf(aspersorId, command, onlyIf);
+      if (!previous) return { ok: true, skipped: true };
+    }
+    // pelo broker o ESP32 recebe na hora, mesmo sem internet; o Firestore
+    // continua recebendo o comando para o histórico e o Node-RED. A
+    // publicação não é aguardada: com o broker travado, o comando ainda
+    // precisa chegar ao Firestore, que é a fonte da verdade.
+    if (mqtt?.connected) {
+      mqtt
+        .publishCommand(aspersorId, {
+          isOn: nextState,
+          source: "manual",
+          commandId,
+          requestedAt: now.toISOString(),
+          endsAt: endsAt ? endsAt.toISOString() : null,
+        })
+        .catch((e) => console.error("Erro ao publicar comando MQTT:", e));
+    }
+    if (!onlyIf) {
+      previous = await statusRepo.get(aspersorId);
+      await queueWrite(statusRepo.save(aspersorId, command));
+    }
+    await closeOpenSessions(aspersorId, now);
+    if (nextState) {
+      await queueWrite(
+        store.setDoc(`sessoesIrrigacao/${sessionId(aspersorId, commandId)}`, {
+          aspersorId,
+          source: "manual",
+          commandId,
+          startedAt: now,
+          endedAt: null,
+          flowRateLpm: flowRateLpm > 0 ? flowRateLpm : null,
+        })
+      );
+    }
+    await logAudit({
+      action: nextState ? "valve.on" : "valve.off",
+      target: aspersorId,
+      before: previous.exists
+        ? {
+            isOn: previous.data.isOn === true,
+            source: previous.data.source || null,
+          }
+        : null,
+      after: { isOn: nextState, source: "manual", endsAt, minutes },
+    });
+    return { ok: true };
+  } catch (e) {
+    console.error("Erro ao acionar aspersor:", e);
+    return { ok: false };
+  }
+}
+
+// Desligamento de segurança quando o prazo de um acionamento manual acaba e
+// o dispositivo não desligou sozinho. Vários navegadores podem estar abertos
+// no painel: o estado é conferido e gravado numa transação, e o comando tem
+// id fixo por prazo, então só um deles envia o comando e o registro.
+async function safetyShutOff(aspersorId, endsAtMs, { mqtt } = {}) {
+  const commandId = `safety-${endsAtMs}`;
+  // desligado, outro comando depois do acionamento ou o mesmo desligamento
+  // já enviado: nada a fazer
+  const stillDue = ({ exists, data: s }) =>
+    exists &&
+    s.isOn === true &&
+    s.source === "manual" &&
+    toDate(s.endsAt)?.getTime() === endsAtMs &&
+    s.commandId !== commandId;
+  await triggerActuator(aspersorId, false, {
+    mqtt,
+    commandId,
+    onlyIf: stillDue,
+  });
+}
+
+// 🚰 Fecha as sessões de irrigação ainda abertas de um aspersor (o Node-RED
+// faz o mesmo quando desliga a válvula por conta própria)
+async function closeOpenSessions(aspersorId, endedAt) {
+  const open = await store.getQuery({
+    collection: "sessoesIrrigacao",
+    where: [
+      ["aspersorId", "==", aspersorId],
+      ["endedAt", "==", null],
+    ],
+  });
+  for (const d of open) {
+    const session = {
+      ...d.data,
+      startedAt: toDate(d.data.startedAt).getTime(),
+      endedAt: endedAt.getTime(),
+    };
+    await queueWrite(
+      store.updateDoc(`sessoesIrrigacao/${d.id}`, {
+        endedAt,
+        liters: sessionLiters(session),
+      })
+    );
+  }
+}
+
+// Aviso do filtro de qualidade sobre a leitura mais recente
+const QUALITY_NOTES = {
+  range: "valor impossível (fio solto ou fora de 0–100%)",
+  spike: "pico isolado, muito longe das leituras anteriores",
+  stuck: "o mesmo valor há mais de {hours} h",
+};
+
+function HumidityCard({ reading, health, sensorId }) {
+  // sem leitura confiável ou sensor offline: não mostra um valor que pareça
+  // alarme
+  const hasValue =
+    reading && reading.value !== null && health.state !== "offline";
+  const stale = health.state === "stale";
+  const pct = hasValue ? Math.max(0, Math.min(100, reading.value)) : 0;
+  const circumference = 2 * Math.PI * 80;
+  const stroke = (pct / 100) * circumference;
+  return (
+    <Card>
+      <SectionTitle
+        icon={<span className="text-emerald-600">💧</span>}
+        subtitle={
+          sensorId
+            ? t("Leitura atual do sensor {sensorId}", { sensorId })
+            : t("Leitura atual do sensor")
+        }
+      >
+        {t("Umidade do Solo")}
+      </SectionTitle>
+      <div className="flex items-center gap-2 text-sm text-gray-500">
+        <HealthBadge state={health.state} />
+        {health.lastSeenAt && (
+          <span>
+            {t("Visto {lastSeenAt}", {
+              lastSeenAt: formatAgo(health.lastSeenAt),
+            })}
+          </span>
+        )}
+      </div>
+      {reading?.flag && health.state !== "offline" && (
+        <p className="mt-2 text-sm text-amber-700">
+          ⚠️ {t(QUALITY_FLAGS[reading.flag])}:{" "}
+          {t(QUALITY_NOTES[reading.flag], { hours: STUCK_MINUTES / 60 })}.{" "}
+          {hasValue
+            ? t(
+                "A última leitura foi ignorada; o valor mostrado vem das anteriores."
+              )
+            : t("A última leitura foi ignorada.")}
+        </p>
+      )}
+      <div className="flex items-center justify-center py-4">
+        <svg width="190" height="190" viewBox="0 0 200 200">
+          <circle
+            cx="100"
+            cy="100"
+            r="80"
+            fill="none"
+            stroke="#eef2f7"
+            strokeWidth="16"
+          />
+          {hasValue && (
+            <circle
+              cx="100"
+              cy="100"
+              r="80"
+              fill="none"
+              stroke={stale ? "#94a3b8" : "#10b981"}
+              strokeWidth="16"
+              strokeLinecap="round"
+              strokeDasharray={`${stroke} ${circumference}`}
+              transform="rotate(-90 100 100)"
+            />
+          )}
+          <text
+            x="100"
+            y="100"
+            textAnchor="middle"
+            dominantBaseline="central"
+            fontSize={hasValue ? "44" : "26"}
+            fill={hasValue && !stale ? "#111827" : "#94a3b8"}
+            fontWeight="700"
+          >
+            {hasValue
+              ? `${formatNumber(pct)}%`
+              : !reading
+              ? t("Sem dados")
+              : health.state === "offline"
+              ? t("Offline")
+              : t("Suspeita")}
+          </text>
+          <text
+            x="100"
+            y="130"
+            textAnchor="middle"
+            fontSize="16"
+            fill="#64748b"
+          >
+            {!hasValue
+              ? reading && health.state !== "offline"
+                ? t("sem leitura confiável")
+                : t("sensor sem leitura")
+              : stale
+              ? t("leitura antiga")
+              : pct >= 70
+              ? t("Úmido")
+              : pct >= 40
+              ? t("Adequado")
+              : t("Seco")}
+          </text>
+        </svg>
+      </div>
+    </Card>
+  );
+}
+
+// 🌿 Controle Manual
+// mm:ss (ou h:mm:ss) para a contagem regressiva
+function formatCountdown(ms) {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = String(Math.floor((total % 3600) / 60)).padStart(2, "0");
+  const sec = String(total % 60).padStart(2, "0");
+  return h ? `${h}:${m}:${sec}` : `${m}:${sec}`;
+}
+
+function ManualControlCard({ aspersor, maxManualMinutes, mqtt, readOnly }) {
+  const [loading, setLoading] = useState(false);
+  const [failed, setFailed] = useState(false);
+  const [minutes, setMinutes] = useState(Math.min(10, maxManualMinutes));
+  const status = mergeLiveStatus(
+    useActuatorStatus(aspersor.id),
+    mqtt.statuses[aspersor.id]
+  );
+  const now = useNow(1000);
+  const isOn = status?.isOn === true;
+  const commandState = failed ? "failed" : getCommandState(status, now);
+  const remainingMs =
+    isOn && status?.endsAt ? status.endsAt.getTime() - now : null;
+  const expired = remainingMs !== null && remainingMs <= 0;
+  const endsAtMs = status?.endsAt ? status.endsAt.getTime() : null;
+  const source = status?.source;
+  // prazo já tratado por este navegador
+  const shutOffFor = useRef(null);
+
+  const send = async (nextState, opts) => {
+    setLoading(true);
+    setFailed(false);
+    const res = await triggerActuator(aspersor.id, nextState, {
+      ...opts,
+      flowRateLpm: aspersor.flowRateLpm,
+      mqtt,
+    });
+    if (!res.ok) {
+      setFailed(true);
+    }
+    setLoading(false);
+  };
+
+  const handleClick = () => {
+    if (isOn) {
+      send(false);
+      return;
+    }
+    const m = Number(minutes);
+    if (!m || m < 1 || m > maxManualMinutes) {
+      alert(
+        t("Escolha uma duração entre 1 e {max} minutos.", {
+          max: maxManualMinutes,
+        })
+      );
+      return;
+    }
+    send(true, { minutes: m });
+  };
+
+  // Desligamento de segurança pelo navegador quando o prazo acaba e o
+  // dispositivo ainda não desligou sozinho
+  useEffect(() => {
+    if (!expired || source !== "manual" || loading || readOnly) return;
+    const key = `${aspersor.id}-${endsAtMs}`;
+    if (shutOffFor.current === key) return;
+    shutOffFor.current = key;
+    safetyShutOff(aspersor.id, endsAtMs, { mqtt });
+  }, [expired, endsAtMs, source, loading, readOnly, aspersor.id, mqtt]);
+
+  return (
+    <Card readOnly={readOnly}>
+      <SectionTitle icon={<span className="text-emerald-600">🌱</span>}>
+        {t("Controle Manual")}
+      </SectionTitle>
+      <p className="text-gray-600 mb-6">
+        {t("Ative o aspersor {name} manualmente", {
+          name: aspersor.name || aspersor.id,
+        })}
+      </p>
+
+      <div className="flex flex-col items-center gap-4">
+        <div className="w-28 h-28 rounded-full bg-emerald-50 flex items-center justify-center">
+          {remainingMs !== null ? (
+            <span className="text-2xl font-semibold text-emerald-700">
+              {formatCountdown(remainingMs)}
+            </span>
+          ) : (
+            <span className="text-4xl text-emerald-700">🌿</span>
+          )}
+        </div>
+        {!isOn && (
+          <div className="w-full">
+            <p className="text-gray-800 font-medium mb-2">
+              {t("Duração (máx. {maxManualMinutes} min)", { maxManualMinutes })}
+            </p>
+            <div className="flex flex-wrap gap-2 mb-2">
+              {[5, 10, 15, 30]
+                .filter((m) => m <= maxManualMinutes)
+                .map((m) => (
+                  <button
+                    key={m}
+                    onClick={() => setMinutes(m)}
+                    className={`px-3 py-1 rounded-full border text-sm ${
+                      Number(minutes) === m
+                        ? "bg-emerald-50 border-emerald-600 text-emerald-700"
+                        : "bg-white border-gray-300 text-gray-700"
+                    }`}
+                  >
+                    {t("{m} min", { m })}
+                  </button>
+                ))}
+            </div>
+            <input
+              type="number"
+              min={1}
+              max={maxManualMinutes}
+              step={1}
+              value={minutes}
+              onChange={(e) => setMinutes(e.target.value)}
+              className="w-full rounded-xl border-gray-300 focus:border-emerald-500 focus:ring-emerald-500"
+            />
+          </div>
+        )}
+        <button
+          onClick={handleClick}
+          disabled={loading || !status}
+          className="px-6 py-3 rounded-xl bg-emerald-600 hover:bg-emerald-700 text-white font-semibold disabled:opacity-60"
+        >
+          {loading
+            ? isOn
+              ? t("Desligando...")
+              : t("Ligando...")
+            : isOn
+            ? t("Desligar Aspersor")
+            : t("Ligar por {minutes} min", { minutes: minutes || "?" })}
+        </button>
+        <p className="text-gray-700">
+          {t("Status:")}{" "}
+          <span className="font-medium">
+            {!status ? t("Carregando...") : isOn ? t("Ativo") : t("Inativo")}
+          </span>
+        </p>
+        {remainingMs !== null && (
+          <p className="text-gray-500 text-sm">
+            {t("Desliga automaticamente às {time}", {
+              time: status.endsAt.toLocaleTimeString(getLocale(), {
+                hour: "2-digit",
+                minute: "2-digit",
+              }),
+            })}
+          </p>
+        )}
+        {isOn && status?.source && (
+          <p className="text-gray-500 text-sm">
+            {t("Aberto {how}", {
+              how: SOURCE_LABELS[status.source]
+                ? t(SOURCE_LABELS[status.source])
+                : status.source,
+            })}
+          </p>
+        )}
+        {commandState === "queued" && (
+          <p className="text-amber-600 text-sm">
+            {t(
+              "⏳ Sem conexão — o comando está na fila e será enviado quando a conexão voltar."
+            )}
+          </p>
+        )}
+        {commandState === "requested" && (
+          <p className="text-amber-600 text-sm">
+            {t("Comando enviado — aguardando confirmação do ESP32...")}
+          </p>
+        )}
+        {commandState === "acknowledged" && (
+          <p className="text-emerald-700 text-sm">
+            {status.ackAt
+              ? t("Confirmado pelo ESP32 às {time}", {
+                  time: status.ackAt.toLocaleTimeString(getLocale()),
+                })
+              : t("Confirmado pelo ESP32")}
+          </p>
+        )}
+        {commandState === "timeout" && (
+          <p className="text-red-600 text-sm">
+            {t("O ESP32 não confirmou o comando. Verifique o dispositivo.")}
+          </p>
+        )}
+        {commandState === "failed" && (
+          <p className="text-red-600 text-sm">
+            {t("Falha ao enviar o comando. Tente novamente.")}
+          </p>
+        )}
+      </div>
+    </Card>
+  );
+}
+
+// 💦 Automático
+function AutoIrrigationCard({
+  settings,
+  crop,
+  locked,
+  whatIf,
+  pending,
+  onSave,
+  readOnly,
+}) {
+  const [showWhatIf, setShowWhatIf] = useState(false);
+  const [autoModeEnabled, setAutoModeEnabled] = useState(
+    settings.autoModeEnabled
+  );
+  const [minHumidity, setMinHumidity] = useState(settings.minHumidity);
+  const [maxHumidity, setMaxHumidity] = useState(settings.maxHumidity);
+
+  useEffect(() => {
+    setAutoModeEnabled(settings.autoModeEnabled);
+    setMinHumidity(settings.minHumidity);
+    setMaxHumidity(settings.maxHumidity);
+  }, [settings]);
+
+  const handleMinChange = (value) => {
+    const v = Number(value);
+    setMinHumidity(v);
+    if (v > maxHumidity) {
+      setMaxHumidity(v);
+    }
+  };
+
+  const handleMaxChange = (value) => {
+    const v = Number(value);
+    setMaxHumidity(v);
+    if (v < minHumidity) {
+      setMinHumidity(v);
+    }
+  };
+
+  const save = () => {
+    if (maxHumidity < minHumidity) {
+      alert(t("A umidade máxima não pode ser menor que a umidade mínima."));
+      return;
+    }
+    onSave({ autoModeEnabled, minHumidity, maxHumidity });
+  };
+
+  return (
+    <Card readOnly={readOnly}>
+      <SectionTitle icon={<span className="text-emerald-600">💦</span>}>
+        {t("Irrigação Automática")}
+      </SectionTitle>
+      <p className="text-gray-600 mb-4">
+        {t("Configure os níveis de umidade")}
+      </p>
+      {settings.usingDefaults?.length > 0 && (
+        <p className="mb-4 rounded-lg bg-amber-50 px-3 py-2 text-sm text-amber-800">
+          {t(
+            "⚠️ Usando os limites padrão ({minHumidity}% / {maxHumidity}%): nenhum valor salvo para este aspersor nem nas configurações gerais.",
+            {
+              minHumidity: GENERAL_DEFAULTS.minHumidity,
+              maxHumidity: GENERAL_DEFAULTS.maxHumidity,
+            }
+          )}
+        </p>
+      )}
+      {crop && (
+        <div className="mb-4 rounded-lg bg-emerald-50 px-3 py-2 text-sm text-emerald-800">
+          {crop.emoji} <strong>{crop.name}</strong>:{" "}
+          {t("recomendado {min}% a {max}%.", {
+            min: crop.minHumidity,
+            max: crop.maxHumidity,
+          })}
+          {locked ? (
+            <span className="block">
+              {t(
+                "🔒 Os limites seguem o perfil da cultura — destrave no cadastro de aspersores para ajustar."
+              )}
+            </span>
+          ) : (
+            (minHumidity !== crop.minHumidity ||
+              maxHumidity !== crop.maxHumidity) && (
+              <button
+                onClick={() => {
+                  setMinHumidity(crop.minHumidity);
+                  setMaxHumidity(crop.maxHumidity);
+                }}
+                className="ml-2 underline"
+              >
+                {t("Usar recomendação")}
+              </button>
+            )
+          )}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between mb-5">
+        <span className="text-gray-800 font-medium">
+          {t("Modo Automático")}
+        </span>
+        <label className="inline-flex items-center cursor-pointer">
+          <input
+            type="checkbox"
+            className="sr-only"
+            checked={autoModeEnabled}
+            onChange={(e) => setAutoModeEnabled(e.target.checked)}
+          />
+          <span
+            className={`w-11 h-6 rounded-full transition-colors ${
+              autoModeEnabled ? "bg-emerald-600" : "bg-gray-300"
+            }`}
+          >
+            <span
+              className={`block w-5 h-5 bg-white rounded-full shadow transform transition-transform ${
+                autoModeEnabled ? "translate-x-6" : "translate-x-1"
+              }`}
+            />
+          </span>
+        </label>
+      </div>
+
+      <div className="mb-6">
+        <div className="flex items-center justify-between mb-2 text-gray-800">
+          <span>{t("Umidade Mínima")}</span>
+          <span className="font-semibold">{minHumidity}%</span>
+        </div>
+        <input
+          type="range"
+          min={10}
+          max={90}
+          value={minHumidity}
+          disabled={locked}
+          onChange={(e) => handleMinChange(e.target.value)}
+          className="w-full accent-emerald-600 disabled:opacity-50"
+        />
+      </div>
+
+      <div className="mb-6">
+        <div className="flex items-center justify-between mb-2 text-gray-800">
+          <span>{t("Umidade Máxima")}</span>
+          <span className="font-semibold">{maxHumidity}%</span>
+        </div>
+        <input
+          type="range"
+          min={10}
+          max={100}
+          value={maxHumidity}
+          disabled={locked}
+          onChange={(e) => handleMaxChange(e.target.value)}
+          className="w-full accent-emerald-600 disabled:opacity-50"
+        />
+      </div>
+
+      <button
+        onClick={save}
+        className="w-full rounded-xl py-3 bg-emerald-600 hover:bg-emerald-700 text-white font-semibold"
+      >
+        {t("Salvar Configurações")}
+      </button>
+      {pending && <PendingNote />}
+
+      <button
+        onClick={() => setShowWhatIf(!showWhatIf)}
+        className="mt-3 w-full text-sm text-emerald-700 underline"
+      >
+        {showWhatIf ? t("Fechar simulação") : t("🔮 Simular com o histórico")}
+      </button>
+      {showWhatIf && (
+        <WhatIfPanel
+          {...whatIf}
+          current={settings}
+          candidate={{ autoModeEnabled, minHumidity, maxHumidity }}
+        />
+      )}
+    </Card>
+  );
+}
+
+// 🔮 Simulação "e se": os valores atuais e os do formulário (ainda não
+// salvos) repassados pelas leituras gravadas, lado a lado
+const WHAT_IF_PERIODS = [7, 14, 30];
+
+function WhatIfPanel({
+  current,
+  candidate,
+  sensorId,
+  calibrations,
+  schedules,
+  timeZone,
+  seasonalBudget,
+  flowRateLpm,
+}) {
+  const [days, setDays] = useState(WHAT_IF_PERIODS[0]);
+  const [excluded, setExcluded] = useState([]);
+  const [result, setResult] = useState(null);
+  const history = useWhatIfReadings(sensorId, calibrations);
+
+  const active = schedules.filter((s) => s.active !== false);
+  const candidateSchedules = active.filter((s) => !excluded.includes(s.id));
+  // muda quando algo do cenário proposto muda (resultado desatualizado)
+  const key = JSON.stringify([days, candidate, excluded]);
+
+  const toggleSchedule = (id) =>
+    setExcluded((old) =>
+      old.includes(id) ? old.filter((x) => x !== id) : [...old, id]
+    );
+
+  const simulate = async () => {
+    try {
+      const readings = await history.load(days);
+      const options = {
+        timeZone,
+        seasonalBudget,
+        flowRateLpm,
+        maxGapMinutes: maxGapFor(days),
+      };
+      setResult({
+        key,
+        days,
+        readings: readings.length,
+        columns: [
+          {
+            label: "Atual",
+            settings: current,
+            schedules: active.length,
+            stats: replayScenario(
+              readings,
+              { ...current, schedules: active },
+              options
+            ),
+          },
+          {
+            label: "Proposta",
+            settings: candidate,
+            schedules: candidateSchedules.length,
+            stats: replayScenario(
+              readings,
+              { ...candidate, schedules: candidateSchedules },
+              options
+            ),
+          },
+        ],
+      });
+    } catch (e) {
+      console.error("Erro na simulação:", e);
+      alert(t("Não foi possível carregar as leituras para a simulação."));
+    }
+  };
+
+  const pct = (part, total) =>
+    total ? ` (${Math.round((part / total) * 100)}%)` : "";
+
+  const rows = [
+    [
+      "Limites",
+      (c) =>
+        c.settings.autoModeEnabled
+          ? `${c.settings.minHumidity}% – ${c.settings.maxHumidity}%`
+          : t("automático desligado"),
+    ],
+    ["Agendamentos", (c) => c.schedules],
+    [
+      "Irrigações",
+      (c) =>
+        t("{cycles} ({auto} auto · {scheduled} prog.)", {
+          cycles: c.stats.cycles,
+          auto: c.stats.autoCycles,
+          scheduled: c.stats.scheduleRuns,
+        }),
+    ],
+    ["Válvula aberta", (c) => formatDuration(c.stats.valveMinutes * 60000)],
+    [
+      "Abaixo do mínimo",
+      (c) =>
+        formatDuration(c.stats.belowMinMinutes * 60000) +
+        pct(c.stats.belowMinMinutes, c.stats.coveredMinutes),
+    ],
+    [
+      "Água estimada",
+      (c) =>
+        c.stats.liters === null ? "—" : `${formatNumber(c.stats.liters)} L`,
+    ],
+  ];
+
+  return (
+    <div className="mt-4 border-t pt-4 text-sm">
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <span className="text-gray-700">{t("Últimos")}</span>
+        {WHAT_IF_PERIODS.map((d) => (
+          <button
+            key={d}
+            onClick={() => setDays(d)}
+            className={`px-3 py-1 rounded-full border ${
+              d === days
+                ? "bg-emerald-50 border-emerald-600 text-emerald-700"
+                : "bg-white border-gray-300 text-gray-700"
+            }`}
+          >
+            {t("{d} dias", { d })}
+          </button>
+        ))}
+      </div>
+
+      {active.length > 0 && (
+        <div className="mb-3">
+          <p className="text-gray-700 mb-1">{t("Agendamentos na proposta:")}</p>
+          {active.map((s) => (
+            <label key={s.id} className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={!excluded.includes(s.id)}
+                onChange={() => toggleSchedule(s.id)}
+              />
+              {describeSchedule(s)}
+            </label>
+          ))}
+        </div>
+      )}
+
+      <button
+        onClick={simulate}
+        disabled={history.loading}
+        className="w-full rounded-xl py-2 bg-gray-800 text-white font-semibold disabled:opacity-50"
+      >
+        {history.loading ? t("Carregando leituras...") : t("Simular")}
+      </button>
+
+      {result && (
+        <>
+          {result.key !== key && (
+            <p className="mt-3 text-amber-700">
+              {t("A proposta mudou — simule de novo para atualizar.")}
+            </p>
+          )}
+          {result.readings < 2 ? (
+            <p className="mt-3 text-gray-500">
+              {t("Sem leituras suficientes nos últimos {days} dias.", {
+                days: result.days,
+              })}
+            </p>
+          ) : (
+            <table className="mt-3 w-full">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="font-normal" />
+                  {result.columns.map((c) => (
+                    <th key={c.label} className="font-semibold text-gray-800">
+                      {t(c.label)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(([label, value]) => (
+                  <tr key={label} className="border-t">
+                    <td className="py-1 pr-2 text-gray-600">{t(label)}</td>
+                    {result.columns.map((c) => (
+                      <td key={c.label} className="py-1">
+                        {value(c)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {result.readings >= 2 && (
+            <p className="mt-2 text-xs text-gray-500">
+              {t(
+                "Estimativa sobre {readings} leituras dos últimos {days} dias (uma a cada {minutes} min), supondo que a umidade sobe cerca de 1% por minuto com a válvula aberta.",
+                {
+                  readings: formatNumber(result.readings),
+                  days: result.days,
+                  minutes: sampleMinutes(result.days),
+                }
+              )}
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// 🚨 Central de alertas: reconhecer (parar de avisar) e resolver
+const ALERT_STATE_STYLES = {
+  open: "bg-red-100 text-red-700",
+  acknowledged: "bg-amber-100 text-amber-700",
+  resolved: "bg-gray-100 text-gray-600",
+};
+
+function AlertCenterCard({ alerts, zones, onSetState, canManage }) {
+  const [showResolved, setShowResolved] = useState(false);
+  const [permission, setPermission] = useState(() =>
+    "Notification" in window ? Notification.permission : "unsupported"
+  );
+
+  const visible = alerts.filter((a) => showResolved || a.state !== "resolved");
+  const openCount = alerts.filter((a) => a.state === "open").length;
+  const zoneName = (id) => zones.find((z) => z.id === id)?.name || id;
+
+  const enableNotifications = async () => {
+    setPermission(await Notification.requestPermission());
+  };
+
+  return (
+    <Card>
+      <SectionTitle
+        icon={<span className="text-emerald-600">🚨</span>}
+        subtitle={
+          openCount
+            ? t("{count} alerta(s) aguardando atenção", { count: openCount })
+            : t("Nenhum alerta aberto")
+        }
+      >
+        {t("Central de Alertas")}
+      </SectionTitle>
+      <div className="flex flex-wrap gap-3 items-center mb-4 text-sm">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={showResolved}
+            onChange={(e) => setShowResolved(e.target.checked)}
+          />
+          {t("Mostrar resolvidos")}
+        </label>
+        {permission === "default" && (
+          <button
+            onClick={enableNotifications}
+            className="ml-auto px-3 py-1 rounded-lg bg-emerald-600 text-white"
+          >
+            {t("🔔 Ativar notificações do navegador")}
+          </button>
+        )}
+        {permission === "denied" && (
+          <span className="ml-auto text-gray-500">
+            {t("Notificações bloqueadas no navegador")}
+          </span>
+        )}
+      </div>
+      {visible.length === 0 ? (
+        <p className="text-gray-500 text-sm">{t("Tudo certo por aqui.")}</p>
+      ) : (
+        <ul className="space-y-2 max-h-96 overflow-y-auto">
+          {visible.map((a) => (
+            <li key={a.id} className="border rounded-lg p-3 text-sm">
+              <div className="flex justify-between gap-2">
+                <strong>
+                  {ALERT_RULES[a.rule] ? t(ALERT_RULES[a.rule].label) : a.rule}{" "}
+                  — {zoneName(a.aspersorId)}
+                </strong>
+                <span
+                  className={`px-2 rounded-full text-xs whitespace-nowrap ${
+                    ALERT_STATE_STYLES[a.state] || ""
+                  }`}
+                >
+                  {ALERT_STATES[a.state] ? t(ALERT_STATES[a.state]) : a.state}
+                </span>
+              </div>
+              <p className="text-gray-600 mt-1">{alertMessage(a)}</p>
+              <p className="text-xs text-gray-400 mt-1">
+                {a.createdAt?.toLocaleString(getLocale())}
+                {a.ackBy &&
+                  ` · ${t("reconhecido por {who}", { who: a.ackBy })}`}
+                {isAutoResolved(a)
+                  ? ` · ${t("resolvido automaticamente")}`
+                  : a.resolvedBy &&
+                    ` · ${t("resolvido por {who}", { who: a.resolvedBy })}`}
+              </p>
+              {canManage && a.state !== "resolved" && (
+                <div className="flex gap-2 mt-2">
+                  {a.state === "open" && (
+                    <button
+                      onClick={() => onSetState(a, "acknowledged")}
+                      className="bg-gray-200 text-gray-800 px-2 py-1 rounded"
+                    >
+                      {t("Reconhecer")}
+                    </button>
+                  )}
+                  <button
+                    onClick={() => onSetState(a, "resolved")}
+                    className="bg-emerald-600 text-white px-2 py-1 rounded"
+                  >
+                    {t("Resolver")}
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </Card>
+  );
+}
+
+export default function OverviewView({
+  zones,
+  zone,
+  zoneCrop,
+  crops,
+  onSelectZone,
+  calibrations,
+  mqtt,
+  general,
+  seasonalBudget,
+  alerts,
+  onSetAlertState,
+  now,
+  perms,
+}) {
+  const currentHum = useCurrentHumidity(
+    zone.sensorId,
+    calibrations,
+    mqtt.readings[sensorKey(zone.sensorId)]
+  );
+  const devices = useDevices();
+  const {
+    settings,
+    pending: autoPending,
+    save: saveAuto,
+  } = useAutoSettings(zone.id, calibrations[sensorKey(zone.sensorId)]);
+  const { items: schedules } = useSchedules(zone.id);
+  const zoneHealth = deviceHealth({
+    lastReadingAt: currentHum?.at,
+    lastHeartbeatAt: devices[sensorKey(zone.sensorId)]?.lastHeartbeat,
+    now,
+    staleAfterMs: general.staleAfterMinutes * 60000,
+  });
+
+  return (
+    <>
+      {/* Alertas de todos os aspersores */}
+      <AlertCenterCard
+        alerts={alerts}
+        zones={zones}
+        onSetState={onSetAlertState}
+        canManage={perms.operateValves}
+      />
+
+      {/* Seleção do aspersor – os cards abaixo agem sobre ele */}
+      <ZoneSelector
+        zones={zones}
+        crops={crops}
+        selectedId={zone.id}
+        onSelect={onSelectZone}
+      />
+
+      {/* Umidade, Manual e Automático */}
+      <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
+        <HumidityCard
+          reading={currentHum}
+          health={zoneHealth}
+          sensorId={zone.sensorId}
+        />
+        <ManualControlCard
+          key={zone.id}
+          aspersor={zone}
+          maxManualMinutes={general.maxManualMinutes}
+          mqtt={mqtt}
+          readOnly={!perms.operateValves}
+        />
+        <AutoIrrigationCard
+          settings={settings}
+          crop={zoneCrop}
+          locked={Boolean(zoneCrop && zone.cropLocked)}
+          whatIf={{
+            sensorId: zone.sensorId,
+            calibrations,
+            schedules,
+            timeZone: general.timeZone,
+            seasonalBudget,
+            flowRateLpm: zone.flowRateLpm,
+          }}
+          pending={autoPending}
+          onSave={saveAuto}
+          readOnly={!perms.editSettings}
+        />
+      </div>
+    </>
+  );
+}
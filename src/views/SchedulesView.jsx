@@ -0,0 +1,653 @@
+// src/views/SchedulesView.jsx
+// 🗓️ Agendamentos do aspersor escolhido, calendário da semana de todos os
+// aspersores, adiamento por chuva e orçamento sazonal.
+import { useEffect, useMemo, useState } from "react";
+import { DAY_LABELS } from "../lib/schedules";
+import {
+  formatDay,
+  formatDuration,
+  getLocale,
+  monthName,
+  t,
+  weekdayName,
+} from "../lib/i18n";
+import {
+  activeRuns,
+  budgetedMinutes,
+  expandSchedules,
+  groupRunsByDay,
+  isPaused,
+  nextRun,
+  zonedTimeToDate,
+} from "../lib/scheduleEngine";
+import { useNow, useSchedules } from "../hooks";
+import { Card, PendingNote, SectionTitle, ZoneSelector } from "../components";
+
+// 📅 Agendamento (novo ou edição de um existente)
+const EMPTY_SCHEDULE = {
+  id: null,
+  name: "",
+  weekdays: [],
+  time: "06:00",
+  minutes: 15,
+  active: true,
+};
+
+// [1, 3] → um booleano por dia da semana (botões do formulário)
+const toBools = (weekdays) => DAY_LABELS.map((_, i) => weekdays.includes(i));
+
+function ScheduleCard({
+  schedule,
+  aspersorId,
+  crop,
+  onSave,
+  onCancel,
+  readOnly,
+}) {
+  // agendamento novo começa com a duração típica da cultura do canteiro
+  const defaultMinutes = crop?.minutes ?? EMPTY_SCHEDULE.minutes;
+  const current = schedule || { ...EMPTY_SCHEDULE, minutes: defaultMinutes };
+
+  const [name, setName] = useState(current.name);
+  const [days, setDays] = useState(toBools(current.weekdays));
+  const [start, setStart] = useState(current.time);
+  const [duration, setDuration] = useState(current.minutes);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const c = schedule || { ...EMPTY_SCHEDULE, minutes: defaultMinutes };
+    setName(c.name);
+    setDays(toBools(c.weekdays));
+    setStart(c.time);
+    setDuration(c.minutes);
+    setError(null);
+  }, [schedule, defaultMinutes]);
+
+  const toggleDay = (i) =>
+    setDays((old) => old.map((v, idx) => (idx === i ? !v : v)));
+
+  // 🔴 Aqui é onde você queria saber “onde alterar”:
+  // agora passamos time/minutes pra bater com o Node-RED
+  const save = async () => {
+    const { ok: saved, error } = await onSave({
+      id: current.id,
+      name,
+      days,
+      time: start,
+      minutes: duration,
+      active: current.active,
+      aspersorId,
+    });
+    setError(error || null);
+    if (saved && !current.id) {
+      setName("");
+      setDays(toBools([]));
+    }
+    if (saved && current.id) onCancel();
+  };
+
+  return (
+    <Card readOnly={readOnly}>
+      <SectionTitle
+        icon={<span className="text-emerald-600">📅</span>}
+        subtitle={current.id ? t("Editando agendamento existente") : undefined}
+      >
+        {t("Irrigação Programada")}
+      </SectionTitle>
+      <div className="mb-4">
+        <p className="text-gray-800 font-medium mb-2">{t("Nome (opcional)")}</p>
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={t("Ex.: Rega da manhã")}
+          className="w-full rounded-xl border-gray-300 focus:border-emerald-500 focus:ring-emerald-500"
+        />
+      </div>
+
+      <div className="mb-5">
+        <p className="text-gray-800 font-medium mb-2">{t("Dias da Semana")}</p>
+        <div className="flex flex-wrap gap-3">
+          {DAY_LABELS.map((lb, i) => (
+            <button
+              key={lb}
+              onClick={() => toggleDay(i)}
+              className={`px-3 py-2 rounded-full border text-sm ${
+                days[i]
+                  ? "bg-emerald-50 border-emerald-600 text-emerald-700"
+                  : "bg-white border-gray-300 text-gray-700"
+              }`}
+            >
+              {days[i] ? "✅" : "⭕"} {weekdayName(i)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="mb-4">
+        <p className="text-gray-800 font-medium mb-2">
+          {t("Horário de Início")}
+        </p>
+        <input
+          type="time"
+          value={start}
+          onChange={(e) => setStart(e.target.value)}
+          className="w-full rounded-xl border-gray-300 focus:border-emerald-500 focus:ring-emerald-500"
+        />
+      </div>
+
+      <div className="mb-2">
+        <p className="text-gray-800 font-medium mb-2">
+          {t("Duração (minutos)")}
+        </p>
+        <input
+          type="number"
+          min={1}
+          step={1}
+          value={duration}
+          onChange={(e) =>
+            setDuration(e.target.value === "" ? "" : Number(e.target.value))
+          }
+          className="w-full rounded-xl border-gray-300 focus:border-emerald-500 focus:ring-emerald-500"
+        />
+        {crop && (
+          <p className="text-xs text-gray-500 mt-1">
+            {crop.emoji}{" "}
+            {t("Típico para {crop}: {minutes} min", {
+              crop: crop.name,
+              minutes: crop.minutes,
+            })}
+            {duration !== crop.minutes && (
+              <button
+                onClick={() => setDuration(crop.minutes)}
+                className="ml-2 underline"
+              >
+                {t("usar")}
+              </button>
+            )}
+          </p>
+        )}
+      </div>
+
+      {error && <p className="text-red-600 text-sm mt-4">{error}</p>}
+
+      <div className="flex gap-3 mt-4">
+        <button
+          onClick={save}
+          className="flex-1 rounded-xl py-3 bg-emerald-600 hover:bg-emerald-700 text-white font-semibold"
+        >
+          {current.id ? t("Salvar Alterações") : t("Salvar Programação")}
+        </button>
+        {current.id && (
+          <button
+            onClick={onCancel}
+            className="rounded-xl px-4 py-3 bg-gray-200 text-gray-800 font-semibold"
+          >
+            {t("Cancelar")}
+          </button>
+        )}
+      </div>
+    </Card>
+  );
+}
+
+// 📋 Lista de agendamentos do aspersor selecionado
+function ScheduleList({
+  items,
+  budget,
+  editingId,
+  onEdit,
+  onToggle,
+  onRemove,
+  readOnly,
+}) {
+  const excluir = async (id) => {
+    if (window.confirm(t("Excluir este agendamento?"))) {
+      await onRemove(id);
+    }
+  };
+
+  return (
+    <Card readOnly={readOnly}>
+      <SectionTitle icon={<span className="text-emerald-600">📋</span>}>
+        {t("Lista de Agendamentos")}
+      </SectionTitle>
+      {items.length === 0 ? (
+        <p className="text-gray-500">{t("Nenhum agendamento cadastrado.")}</p>
+      ) : (
+        <ul className="space-y-2">
+          {items.map((ag) => (
+            <li
+              key={ag.id}
+              className={`flex justify-between items-center border rounded-lg p-3 ${
+                ag.id === editingId ? "border-emerald-600" : ""
+              } ${ag.active ? "" : "opacity-60"}`}
+            >
+              <div>
+                {ag.name && <span className="block text-sm">{ag.name}</span>}
+                <strong>
+                  {ag.weekdays.map((d) => weekdayName(d)).join(", ")}
+                </strong>{" "}
+                — {ag.time} ({ag.minutes} min
+                {budget !== 100 && (
+                  <span className="text-sky-700">
+                    {" "}
+                    {t("→ {minutes} min com o orçamento de {budget}%", {
+                      minutes: budgetedMinutes(ag.minutes, budget),
+                      budget,
+                    })}
+                  </span>
+                )}
+                )
+                {!ag.active && (
+                  <span className="ml-2 text-xs text-gray-500">
+                    {t("(pausado)")}
+                  </span>
+                )}
+                {ag.pending && (
+                  <span className="ml-2 text-xs text-amber-600">
+                    {t("⏳ pendente")}
+                  </span>
+                )}
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => onEdit(ag)}
+                  className="bg-gray-200 text-gray-800 px-2 py-1 rounded"
+                >
+                  {t("Editar")}
+                </button>
+                <button
+                  onClick={() => onToggle(ag, !ag.active)}
+                  className="bg-amber-500 text-white px-2 py-1 rounded"
+                >
+                  {ag.active ? t("Pausar") : t("Ativar")}
+                </button>
+                <button
+                  onClick={() => excluir(ag.id)}
+                  className="bg-red-500 text-white px-2 py-1 rounded"
+                >
+                  {t("Excluir")}
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </Card>
+  );
+}
+
+// 🗓️ Próximas irrigações (semana) calculadas pelo motor de agendamentos
+function NextIrrigationIndicator({ runs, zones, now, pausedUntil }) {
+  const zoneName = (id) => {
+    const z = zones.find((x) => x.id === id);
+    return z ? z.name || z.id : id;
+  };
+  const running = activeRuns(runs, new Date(now));
+  const next = nextRun(runs, new Date(now));
+
+  if (!running.length && pausedUntil && isPaused(pausedUntil, new Date(now))) {
+    return (
+      <p className="text-sky-700 font-medium">
+        {t("🌧️ Irrigação suspensa por mais {duration}", {
+          duration: formatDuration(pausedUntil - now),
+        })}
+      </p>
+    );
+  }
+  if (running.length) {
+    return (
+      <p className="text-emerald-700 font-medium">
+        {t("💧 Irrigando agora: {zones}", {
+          zones: running.map((r) => zoneName(r.aspersorId)).join(", "),
+        })}
+      </p>
+    );
+  }
+  if (!next) {
+    return (
+      <p className="text-gray-500">
+        {t("Nenhuma irrigação programada nos próximos 7 dias.")}
+      </p>
+    );
+  }
+  return (
+    <p className="text-gray-800">
+      {t("⏱️ Próxima irrigação em")}{" "}
+      <span className="font-semibold">{formatDuration(next.start - now)}</span>{" "}
+      — {zoneName(next.aspersorId)}
+      {next.name && ` (${next.name})`}
+    </p>
+  );
+}
+
+function WeekCalendarCard({ runs, zones, timeZone, now, pausedUntil }) {
+  const byDay = useMemo(() => groupRunsByDay(runs, timeZone), [runs, timeZone]);
+
+  // os 7 dias a partir de hoje, no fuso da horta; recalcula só quando muda
+  // o dia, não a cada minuto
+  const today = new Date(now).toLocaleDateString("en-CA", { timeZone });
+  const days = useMemo(() => {
+    const [y, m, d] = today.split("-").map(Number);
+    const list = [];
+    for (let i = 0; i < 7; i++) {
+      const key = new Date(Date.UTC(y, m - 1, d + i))
+        .toISOString()
+        .slice(0, 10);
+      list.push({
+        key,
+        label: formatDay(key, {
+          weekday: "short",
+          day: "2-digit",
+          month: "2-digit",
+        }),
+      });
+    }
+    return list;
+  }, [today]);
+
+  const zoneName = (id) => {
+    const z = zones.find((x) => x.id === id);
+    return z ? z.name || z.id : id;
+  };
+  const timeLabel = (d) =>
+    d.toLocaleTimeString(getLocale(), {
+      timeZone,
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+
+  return (
+    <Card>
+      <SectionTitle
+        icon={<span className="text-emerald-600">🗓️</span>}
+        subtitle={t("Horários no fuso {timeZone}", { timeZone })}
+      >
+        {t("Próximas Irrigações")}
+      </SectionTitle>
+      <div className="mb-4">
+        <NextIrrigationIndicator
+          runs={runs}
+          zones={zones}
+          now={now}
+          pausedUntil={pausedUntil}
+        />
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-7 gap-2">
+        {days.map((d) => (
+          <div key={d.key} className="border rounded-lg p-2 min-h-24">
+            <p className="text-sm font-semibold text-gray-800 mb-1">
+              {d.label}
+            </p>
+            {(byDay[d.key] || []).map((r) => (
+              <div
+                key={`${r.scheduleId}-${r.start.getTime()}`}
+                title={
+                  r.skipped === "paused"
+                    ? t("Suspensa (adiamento por chuva)")
+                    : r.skipped === "budget"
+                    ? t("Orçamento do mês em 0%")
+                    : undefined
+                }
+                className={`text-xs rounded px-1 py-0.5 mb-1 ${
+                  r.skipped
+                    ? "bg-gray-100 text-gray-400 line-through"
+                    : r.start <= now && r.end > now
+                    ? "bg-emerald-600 text-white"
+                    : "bg-emerald-50 text-emerald-800"
+                }`}
+              >
+                {timeLabel(r.start)} · {zoneName(r.aspersorId)} (
+                {r.skipped ? r.plannedMinutes : r.minutes} min
+                {!r.skipped && r.budget !== 100 && ` · ${r.budget}%`})
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </Card>
+  );
+}
+
+const MONTHS = Array.from({ length: 12 }, (_, i) => i);
+
+// 🌧️ Adiamento por chuva e orçamento sazonal
+function IrrigationPlanCard({
+  plan,
+  pending,
+  timeZone,
+  onPause,
+  onResume,
+  onSaveBudget,
+  readOnly,
+}) {
+  const [until, setUntil] = useState("");
+  const [reason, setReason] = useState(() => t("chuva"));
+  const [budget, setBudget] = useState(plan.seasonalBudget);
+  const now = useNow(60 * 1000);
+  const paused = isPaused(plan.pausedUntil, new Date(now));
+
+  useEffect(() => {
+    setBudget(plan.seasonalBudget);
+  }, [plan.seasonalBudget]);
+
+  const pauseHours = (hours) =>
+    onPause(new Date(Date.now() + hours * 3600000), reason.trim());
+
+  // "até 22/10" = até o fim do dia 22 no fuso da horta
+  const pauseUntilDate = () => {
+    const [y, m, d] = until.split("-").map(Number);
+    if (!y) {
+      alert(t("Escolha a data."));
+      return;
+    }
+    const end = zonedTimeToDate(y, m, d + 1, 0, 0, timeZone);
+    if (end <= new Date()) {
+      alert(t("A data precisa ser hoje ou depois."));
+      return;
+    }
+    onPause(end, reason.trim());
+  };
+
+  const saveBudget = () => {
+    const values = budget.map(Number);
+    if (values.some((v) => !Number.isFinite(v) || v < 0 || v > 200)) {
+      alert(t("Cada mês deve ficar entre 0% e 200%."));
+      return;
+    }
+    onSaveBudget(values);
+  };
+
+  return (
+    <Card readOnly={readOnly}>
+      <SectionTitle
+        icon={<span className="text-emerald-600">🌧️</span>}
+        subtitle={t(
+          "Suspende agendamentos e modo automático sem apagá-los; a irrigação manual continua liberada"
+        )}
+      >
+        {t("Chuva e Orçamento Sazonal")}
+      </SectionTitle>
+
+      {paused ? (
+        <div className="flex items-center justify-between gap-3 mb-4">
+          <p className="text-sky-800">
+            {t("Suspensa até {until}", {
+              until: plan.pausedUntil.toLocaleString(getLocale(), {
+                timeZone,
+                dateStyle: "short",
+                timeStyle: "short",
+              }),
+            })}
+            {plan.pauseReason && ` (${plan.pauseReason})`}
+          </p>
+          <button
+            onClick={onResume}
+            className="rounded-lg bg-gray-200 text-gray-800 px-3 py-1"
+          >
+            {t("Retomar")}
+          </button>
+        </div>
+      ) : (
+        <p className="text-gray-600 mb-4">{t("Irrigação automática ativa.")}</p>
+      )}
+
+      <p className="text-gray-800 font-medium mb-2">{t("Pausar")}</p>
+      <input
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        placeholder={t("Motivo (ex.: chuva)")}
+        className="w-full rounded-xl border-gray-300 mb-2"
+      />
+      <div className="flex flex-wrap gap-2 mb-2">
+        {[24, 48, 72].map((h) => (
+          <button
+            key={h}
+            onClick={() => pauseHours(h)}
+            className="rounded-lg bg-sky-100 text-sky-800 px-3 py-1"
+          >
+            {t("{h} h", { h })}
+          </button>
+        ))}
+      </div>
+      <div className="flex gap-2 mb-6">
+        <input
+          type="date"
+          value={until}
+          onChange={(e) => setUntil(e.target.value)}
+          className="flex-1 rounded-xl border-gray-300"
+        />
+        <button
+          onClick={pauseUntilDate}
+          className="rounded-xl bg-sky-600 hover:bg-sky-700 text-white px-3"
+        >
+          {t("Pausar até o dia")}
+        </button>
+      </div>
+
+      <p className="text-gray-800 font-medium mb-2">
+        {t("Orçamento por mês (% dos minutos de cada agendamento)")}
+      </p>
+      <div className="grid grid-cols-4 sm:grid-cols-6 gap-2 mb-3">
+        {MONTHS.map((i) => (
+          <label key={i} className="text-xs text-gray-600">
+            {monthName(i)}
+            <input
+              type="number"
+              min={0}
+              max={200}
+              step={5}
+              value={budget[i]}
+              onChange={(e) =>
+                setBudget((old) =>
+                  old.map((v, idx) => (idx === i ? e.target.value : v))
+                )
+              }
+              className="w-full rounded-lg border-gray-300 text-sm"
+            />
+          </label>
+        ))}
+      </div>
+      <button
+        onClick={saveBudget}
+        className="w-full rounded-xl py-2 bg-emerald-600 hover:bg-emerald-700 text-white font-semibold"
+      >
+        {t("Salvar Orçamento")}
+      </button>
+      {pending && <PendingNote />}
+    </Card>
+  );
+}
+
+export default function SchedulesView({
+  zones,
+  zone,
+  zoneCrop,
+  crops,
+  onSelectZone,
+  timeZone,
+  irrigationPlan,
+  monthBudget,
+  now,
+  perms,
+}) {
+  const {
+    items: schedules,
+    save: saveSchedule,
+    setActive: setScheduleActive,
+    remove: removeSchedule,
+  } = useSchedules(zone.id);
+  const { items: allSchedules } = useSchedules();
+  // a edição em andamento vale só para o aspersor em que começou
+  const [editing, setEditing] = useState(null);
+  const editingSchedule = editing?.zoneId === zone.id ? editing.schedule : null;
+  const edit = (schedule) =>
+    setEditing(schedule ? { zoneId: zone.id, schedule } : null);
+
+  const upcomingRuns = useMemo(
+    () =>
+      expandSchedules(allSchedules, {
+        from: new Date(now),
+        days: 7,
+        timeZone,
+        pausedUntil: irrigationPlan.plan.pausedUntil,
+        seasonalBudget: irrigationPlan.plan.seasonalBudget,
+      }),
+    [allSchedules, now, timeZone, irrigationPlan.plan]
+  );
+
+  return (
+    <>
+      <ZoneSelector
+        zones={zones}
+        crops={crops}
+        selectedId={zone.id}
+        onSelect={onSelectZone}
+      />
+
+      {/* Programação e lista de agendamentos do aspersor */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <ScheduleCard
+          schedule={editingSchedule}
+          aspersorId={zone.id}
+          crop={zoneCrop}
+          onSave={saveSchedule}
+          onCancel={() => edit(null)}
+          readOnly={!perms.editSchedules}
+        />
+        <ScheduleList
+          items={schedules}
+          budget={monthBudget}
+          editingId={editingSchedule?.id}
+          onEdit={edit}
+          onToggle={setScheduleActive}
+          onRemove={async (id) => {
+            await removeSchedule(id);
+            if (editingSchedule?.id === id) edit(null);
+          }}
+          readOnly={!perms.editSchedules}
+        />
+      </div>
+
+      {/* Próximas irrigações de todos os aspersores */}
+      <WeekCalendarCard
+        runs={upcomingRuns}
+        zones={zones}
+        timeZone={timeZone}
+        now={now}
+        pausedUntil={irrigationPlan.plan.pausedUntil}
+      />
+
+      {/* Adiamento por chuva e orçamento sazonal */}
+      <IrrigationPlanCard
+        plan={irrigationPlan.plan}
+        pending={irrigationPlan.pending}
+        timeZone={timeZone}
+        onPause={irrigationPlan.pause}
+        onResume={irrigationPlan.resume}
+        onSaveBudget={irrigationPlan.saveBudget}
+        readOnly={!perms.editSettings}
+      />
+    </>
+  );
+}
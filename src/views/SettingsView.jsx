@@ -0,0 +1,1033 @@
+// src/views/SettingsView.jsx
+// ⚙️ Configurações: gerais, perfis de cultura, regras de alerta, backup e
+// formato dos dados e membros da horta.
+import { useEffect, useState } from "react";
+import { store } from "../lib/backend";
+import { readingsRepo } from "../lib/repositories";
+import { t } from "../lib/i18n";
+import { cropFields } from "../lib/crops";
+import { isValidTimeZone } from "../lib/scheduleEngine";
+import { dayKey, parseDailyAverageDoc } from "../lib/aggregation";
+import { COLLECTIONS, parseImport, toCSV, toJSON } from "../lib/dataTransfer";
+import { ROLES, ROLE_LABELS } from "../lib/roles";
+import { logAudit } from "../lib/audit";
+import { ALERT_RULES } from "../lib/alerts";
+import { dayStart, toDate, useDataMigration, useGardenMembers } from "../hooks";
+import { Card, PendingNote, SectionTitle } from "../components";
+
+// 📦 Busca os documentos de uma coleção para exportação.
+// from/to (Date) filtram leituras, médias diárias e sessões; as demais vão inteiras.
+// O dia das médias diárias é o do fuso da horta ("timeZone").
+async function fetchForExport(collectionName, { from, to }, timeZone) {
+  const schema = COLLECTIONS[collectionName];
+
+  if (collectionName === "leiturasUmidade") {
+    const docs = await readingsRepo.fetchDocs({ from, to });
+    return docs.map((d) => ({ id: d.id, data: d.data }));
+  }
+
+  let docs = (await store.getQuery({ collection: collectionName })).map(
+    (d) => ({ id: d.id, data: d.data })
+  );
+  if (schema.onlyIds) {
+    docs = docs.filter((d) => schema.onlyIds.includes(d.id));
+  }
+  if (collectionName === "sessoesIrrigacao") {
+    docs = docs.filter((d) => {
+      const at = toDate(d.data.startedAt)?.getTime();
+      return (
+        at && (!from || at >= from.getTime()) && (!to || at <= to.getTime())
+      );
+    });
+  }
+  if (collectionName === "mediaDiaria") {
+    const fromKey = from ? dayKey(from.getTime(), timeZone) : "";
+    const toKey = to ? dayKey(to.getTime(), timeZone) : "9999-12-31";
+    docs = docs.filter((d) => {
+      const parsed = parseDailyAverageDoc(d.id, d.data);
+      return parsed && parsed.date >= fromKey && parsed.date <= toKey;
+    });
+  }
+  return docs;
+}
+
+// Grava documentos já validados (sobrescreve os de mesmo id)
+async function importDocs(collectionName, docs) {
+  await store.writeBatch(
+    docs.map((d) => ({ path: `${collectionName}/${d.id}`, data: d.data }))
+  );
+  await logAudit({
+    action: "data.import",
+    target: collectionName,
+    after: { documentos: docs.length, ids: docs.slice(0, 50).map((d) => d.id) },
+  });
+}
+
+// 📦 Exportar / importar dados (CSV ou JSON)
+function DataTransferCard({ canImport, timeZone }) {
+  const [exportCollection, setExportCollection] = useState("leiturasUmidade");
+  const [format, setFormat] = useState("csv");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [exporting, setExporting] = useState(false);
+
+  const [importCollection, setImportCollection] = useState("agendamentos");
+  const [preview, setPreview] = useState(null);
+  const [importing, setImporting] = useState(false);
+
+  const hasDateFilter = Boolean(COLLECTIONS[exportCollection].dateField);
+
+  const exportar = async () => {
+    setExporting(true);
+    try {
+      // datas do filtro no fuso da horta, "até" inclui o dia inteiro
+      const range = {
+        from: hasDateFilter && from ? dayStart(from, timeZone) : null,
+        to:
+          hasDateFilter && to
+            ? new Date(dayStart(to, timeZone, 1).getTime() - 1)
+            : null,
+      };
+      const docs = await fetchForExport(exportCollection, range, timeZone);
+      const content =
+        format === "csv"
+          ? toCSV(exportCollection, docs)
+          : toJSON(exportCollection, docs);
+      const blob = new Blob([content], {
+        type: format === "csv" ? "text/csv;charset=utf-8" : "application/json",
+      });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `${exportCollection}-${new Date()
+        .toISOString()
+        .slice(0, 10)}.${format}`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      console.error("Erro ao exportar:", e);
+      alert(t("Não foi possível exportar os dados."));
+    }
+    setExporting(false);
+  };
+
+  const lerArquivo = async (file) => {
+    if (!file) return;
+    const text = await file.text();
+    setPreview({
+      fileName: file.name,
+      ...parseImport(text, {
+        fileName: file.name,
+        collection: importCollection,
+      }),
+    });
+  };
+
+  const importar = async () => {
+    if (
+      !window.confirm(
+        t(
+          'Gravar {count} documento(s) em "{collection}"? Documentos com o mesmo id serão substituídos.',
+          { count: preview.docs.length, collection: preview.collection }
+        )
+      )
+    ) {
+      return;
+    }
+    setImporting(true);
+    try {
+      await importDocs(preview.collection, preview.docs);
+      alert(t("Importação concluída."));
+      setPreview(null);
+    } catch (e) {
+      console.error("Erro ao importar:", e);
+      alert(t("Falha ao gravar os dados importados."));
+    }
+    setImporting(false);
+  };
+
+  const options = Object.entries(COLLECTIONS).map(([key, c]) => (
+    <option key={key} value={key}>
+      {t(c.label)} ({key})
+    </option>
+  ));
+
+  return (
+    <Card>
+      <SectionTitle
+        icon={<span className="text-emerald-600">📦</span>}
+        subtitle={t(
+          "Backup, relatórios e migração para outro projeto Firebase"
+        )}
+      >
+        {t("Exportar e Importar Dados")}
+      </SectionTitle>
+
+      <p className="text-gray-800 font-medium mb-2">{t("Exportar")}</p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
+        <select
+          value={exportCollection}
+          onChange={(e) => setExportCollection(e.target.value)}
+          className="rounded-xl border-gray-300"
+        >
+          {options}
+        </select>
+        <select
+          value={format}
+          onChange={(e) => setFormat(e.target.value)}
+          className="rounded-xl border-gray-300"
+        >
+          <option value="csv">CSV</option>
+          <option value="json">JSON</option>
+        </select>
+        {hasDateFilter && (
+          <>
+            <label className="text-sm text-gray-700">
+              {t("De")}
+              <input
+                type="date"
+                value={from}
+                onChange={(e) => setFrom(e.target.value)}
+                className="w-full rounded-xl border-gray-300"
+              />
+            </label>
+            <label className="text-sm text-gray-700">
+              {t("Até")}
+              <input
+                type="date"
+                value={to}
+                onChange={(e) => setTo(e.target.value)}
+                className="w-full rounded-xl border-gray-300"
+              />
+            </label>
+          </>
+        )}
+      </div>
+      <button
+        onClick={exportar}
+        disabled={exporting}
+        className="w-full rounded-xl py-3 bg-emerald-600 hover:bg-emerald-700 text-white font-semibold disabled:opacity-60"
+      >
+        {exporting ? t("Exportando...") : t("Baixar Arquivo")}
+      </button>
+
+      {canImport && (
+        <>
+          <p className="text-gray-800 font-medium mt-6 mb-2">{t("Importar")}</p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
+            <select
+              value={importCollection}
+              onChange={(e) => {
+                setImportCollection(e.target.value);
+                setPreview(null);
+              }}
+              className="rounded-xl border-gray-300"
+            >
+              {options}
+            </select>
+            <input
+              type="file"
+              accept=".csv,.json"
+              onChange={(e) => lerArquivo(e.target.files[0])}
+              className="text-sm"
+            />
+          </div>
+          <p className="text-gray-500 text-xs mb-3">
+            {t(
+              "Arquivos JSON já indicam a coleção; para CSV, escolha a coleção acima."
+            )}
+          </p>
+
+          {preview && (
+            <div className="border rounded-lg p-3">
+              <p className="text-gray-800">
+                <strong>{preview.fileName}</strong> →{" "}
+                {preview.collection || "?"}:{" "}
+                {t("{valid} válido(s), {invalid} com erro", {
+                  valid: preview.docs.length,
+                  invalid: preview.errors.length,
+                })}
+              </p>
+              {preview.errors.length > 0 && (
+                <ul className="text-red-600 text-sm mt-2 max-h-40 overflow-auto">
+                  {preview.errors.slice(0, 50).map((e, i) => (
+                    <li key={i}>
+                      {t("Linha {row}", { row: e.row })}
+                      {e.id ? ` (${e.id})` : ""}: {e.message}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <button
+                onClick={importar}
+                disabled={
+                  importing || !preview.docs.length || preview.errors.length > 0
+                }
+                className="mt-3 w-full rounded-xl py-2 bg-emerald-600 hover:bg-emerald-700 text-white font-semibold disabled:opacity-60"
+              >
+                {importing
+                  ? t("Importando...")
+                  : preview.errors.length
+                  ? t("Corrija os erros antes de importar")
+                  : t("Importar")}
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </Card>
+  );
+}
+
+// 🧬 Formato dos dados: migração de documentos antigos e documentos inválidos
+function DataMigrationCard({ invalid, outdated, onMigrate, readOnly }) {
+  const [running, setRunning] = useState(false);
+  const [report, setReport] = useState(null);
+  const pendentes = outdated
+    ? Object.entries(outdated).filter(([, n]) => n > 0)
+    : [];
+
+  const migrar = async () => {
+    setRunning(true);
+    try {
+      setReport(await onMigrate());
+    } catch (e) {
+      console.error("Erro ao migrar:", e);
+      alert(t("Não foi possível migrar os documentos."));
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <Card readOnly={readOnly}>
+      <SectionTitle
+        icon={<span className="text-emerald-600">🧬</span>}
+        subtitle={t(
+          "Documentos em formato antigo e documentos que não passaram na validação"
+        )}
+      >
+        {t("Formato dos Dados")}
+      </SectionTitle>
+
+      {outdated === null ? (
+        <p className="text-gray-500 text-sm">{t("Verificando versões...")}</p>
+      ) : pendentes.length === 0 ? (
+        <p className="text-gray-600 text-sm mb-3">
+          {t("✅ Todos os documentos estão no formato atual.")}
+        </p>
+      ) : (
+        <>
+          <ul className="text-sm text-gray-800 mb-3">
+            {pendentes.map(([name, n]) => (
+              <li key={name}>
+                {t("{collection}: {count} documento(s) no formato antigo", {
+                  collection: COLLECTIONS[name]
+                    ? t(COLLECTIONS[name].label)
+                    : name,
+                  count: n,
+                })}
+              </li>
+            ))}
+          </ul>
+          <button
+            onClick={migrar}
+            disabled={running}
+            className="w-full rounded-xl py-2 bg-emerald-600 hover:bg-emerald-700 text-white font-semibold disabled:opacity-60"
+          >
+            {running ? t("Migrando...") : t("Migrar para o formato atual")}
+          </button>
+        </>
+      )}
+      {report && (
+        <p className="text-sm text-gray-600 mt-2">
+          {Object.entries(report)
+            .map(
+              ([name, r]) =>
+                `${COLLECTIONS[name] ? t(COLLECTIONS[name].label) : name}: ` +
+                t("{count} migrado(s)", { count: r.migrated }) +
+                (r.invalid.length
+                  ? `, ${t("{count} inválido(s)", { count: r.invalid.length })}`
+                  : "")
+            )
+            .join(" · ")}
+        </p>
+      )}
+
+      <p className="text-gray-800 font-medium mt-6 mb-2">
+        {t("Documentos inválidos ({length})", { length: invalid.length })}
+      </p>
+      {invalid.length === 0 ? (
+        <p className="text-gray-500 text-sm">
+          {t("Nenhum encontrado até agora.")}
+        </p>
+      ) : (
+        <ul className="text-red-600 text-sm max-h-48 overflow-auto space-y-1">
+          {invalid.slice(0, 100).map((d) => (
+            <li key={`${d.collection}/${d.id}`}>
+              <code>
+                {d.collection}/{d.id}
+              </code>
+              : {d.problems.join("; ")}
+            </li>
+          ))}
+        </ul>
+      )}
+    </Card>
+  );
+}
+
+// ⚙️ Configurações gerais
+function GeneralSettingsCard({ settings, pending, onSave, readOnly }) {
+  const [maxManualMinutes, setMaxManualMinutes] = useState(
+    settings.maxManualMinutes
+  );
+  const [timeZone, setTimeZone] = useState(settings.timeZone);
+  const [staleAfterMinutes, setStaleAfterMinutes] = useState(
+    settings.staleAfterMinutes
+  );
+  const [ignoreSuspect, setIgnoreSuspect] = useState(
+    settings.ignoreSuspectReadings
+  );
+
+  useEffect(() => {
+    setMaxManualMinutes(settings.maxManualMinutes);
+    setTimeZone(settings.timeZone);
+    setStaleAfterMinutes(settings.staleAfterMinutes);
+    setIgnoreSuspect(settings.ignoreSuspectReadings);
+  }, [settings]);
+
+  const save = () => {
+    const v = Number(maxManualMinutes);
+    if (!Number.isInteger(v) || v < 1 || v > 240) {
+      alert(t("O tempo máximo manual deve ser entre 1 e 240 minutos."));
+      return;
+    }
+    if (!isValidTimeZone(timeZone)) {
+      alert(t("Fuso horário inválido. Use o formato Região/Cidade."));
+      return;
+    }
+    const stale = Number(staleAfterMinutes);
+    if (!Number.isInteger(stale) || stale < 1 || stale > 1440) {
+      alert(
+        t("O intervalo de dados atrasados deve ser entre 1 e 1440 minutos.")
+      );
+      return;
+    }
+    onSave({
+      maxManualMinutes: v,
+      timeZone,
+      staleAfterMinutes: stale,
+      ignoreSuspectReadings: ignoreSuspect,
+    });
+  };
+
+  return (
+    <Card readOnly={readOnly}>
+      <SectionTitle icon={<span className="text-emerald-600">⚙️</span>}>
+        {t("Configurações Gerais")}
+      </SectionTitle>
+
+      <div className="mb-2">
+        <p className="text-gray-800 font-medium mb-2">
+          {t("Tempo máximo de irrigação manual (minutos)")}
+        </p>
+        <input
+          type="number"
+          min={1}
+          max={240}
+          step={1}
+          value={maxManualMinutes}
+          onChange={(e) => setMaxManualMinutes(e.target.value)}
+          className="w-full rounded-xl border-gray-300 focus:border-emerald-500 focus:ring-emerald-500"
+        />
+      </div>
+
+      <div className="mb-2">
+        <p className="text-gray-800 font-medium mb-2">
+          {t("Fuso horário da horta (ex.: America/Sao_Paulo)")}
+        </p>
+        <input
+          value={timeZone}
+          onChange={(e) => setTimeZone(e.target.value.trim())}
+          className="w-full rounded-xl border-gray-300 focus:border-emerald-500 focus:ring-emerald-500"
+        />
+      </div>
+
+      <div className="mb-2">
+        <p className="text-gray-800 font-medium mb-2">
+          {t("Considerar sensor sem dados após (minutos)")}
+        </p>
+        <input
+          type="number"
+          min={1}
+          max={1440}
+          step={1}
+          value={staleAfterMinutes}
+          onChange={(e) => setStaleAfterMinutes(e.target.value)}
+          className="w-full rounded-xl border-gray-300 focus:border-emerald-500 focus:ring-emerald-500"
+        />
+      </div>
+
+      <label className="flex items-start gap-2 mt-3 text-gray-800">
+        <input
+          type="checkbox"
+          checked={ignoreSuspect}
+          onChange={(e) => setIgnoreSuspect(e.target.checked)}
+          className="mt-1"
+        />
+        <span>
+          {t("Modo automático ignora leituras suspeitas")}
+          <span className="block text-sm text-gray-500">
+            {t(
+              "Valores impossíveis, picos isolados e sensor travado não abrem nem fecham a válvula."
+            )}
+          </span>
+        </span>
+      </label>
+
+      <button
+        onClick={save}
+        className="mt-4 w-full rounded-xl py-3 bg-emerald-600 hover:bg-emerald-700 text-white font-semibold"
+      >
+        {t("Salvar Configurações")}
+      </button>
+      {pending && <PendingNote />}
+    </Card>
+  );
+}
+
+// ⚙️ Regras de alerta: ativar/desativar e ajustar os limites de cada uma
+const ALERT_PARAM_LABELS = {
+  minutes: "Depois de (minutos)",
+  maxMinutes: "Aberta por mais de (minutos, sem horário de desligar)",
+  graceMinutes: "Tolerância após o horário de desligar (minutos)",
+  minRise: "Subida mínima esperada (pontos de %)",
+  muteMinutes: "Silêncio após resolver à mão (minutos)",
+};
+
+function AlertRulesCard({ rules, onSave, readOnly }) {
+  const [form, setForm] = useState(rules);
+
+  useEffect(() => {
+    setForm(rules);
+  }, [rules]);
+
+  const update = (rule, field, value) =>
+    setForm({ ...form, [rule]: { ...form[rule], [field]: value } });
+
+  const save = () => {
+    const parsed = {};
+    for (const [rule, def] of Object.entries(ALERT_RULES)) {
+      parsed[rule] = { enabled: form[rule].enabled };
+      for (const param of Object.keys(def.params)) {
+        const v = Number(form[rule][param]);
+        if (!Number.isFinite(v) || v < 0) {
+          alert(t('Valor inválido em "{rule}".', { rule: t(def.label) }));
+          return;
+        }
+        parsed[rule][param] = v;
+      }
+    }
+    onSave(parsed);
+  };
+
+  return (
+    <Card readOnly={readOnly}>
+      <SectionTitle
+        icon={<span className="text-emerald-600">⚙️</span>}
+        subtitle={t(
+          "O mínimo de umidade de cada aspersor vem do modo automático"
+        )}
+      >
+        {t("Regras de Alerta")}
+      </SectionTitle>
+      <div className="space-y-4">
+        {Object.entries(ALERT_RULES).map(([rule, def]) => (
+          <div key={rule} className="border rounded-lg p-3">
+            <label className="flex items-center gap-2 font-medium text-gray-800">
+              <input
+                type="checkbox"
+                checked={form[rule].enabled}
+                onChange={(e) => update(rule, "enabled", e.target.checked)}
+              />
+              {t(def.label)}
+            </label>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 mt-2">
+              {Object.keys(def.params).map((param) => (
+                <label key={param} className="text-sm text-gray-600">
+                  {t(ALERT_PARAM_LABELS[param])}
+                  <input
+                    type="number"
+                    min={0}
+                    value={form[rule][param]}
+                    onChange={(e) => update(rule, param, e.target.value)}
+                    className="mt-1 w-full rounded-xl border-gray-300 focus:border-emerald-500 focus:ring-emerald-500"
+                  />
+                </label>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+      <button
+        onClick={save}
+        className="mt-4 w-full rounded-xl py-3 bg-emerald-600 hover:bg-emerald-700 text-white font-semibold"
+      >
+        {t("Salvar Regras")}
+      </button>
+    </Card>
+  );
+}
+
+// 🌱 Perfis de cultura (faixa de umidade e duração típica por planta)
+const EMPTY_CROP = {
+  id: "",
+  name: "",
+  emoji: "🌱",
+  minHumidity: 50,
+  maxHumidity: 75,
+  minutes: 15,
+  notes: "",
+};
+
+function CropProfilesCard({ crops, zones, onSave, onRemove, readOnly }) {
+  const [form, setForm] = useState(EMPTY_CROP);
+
+  const bedsUsing = (id) => zones.filter((z) => z.cropId === id);
+
+  const save = async () => {
+    const minHumidity = Number(form.minHumidity);
+    const maxHumidity = Number(form.maxHumidity);
+    const minutes = Number(form.minutes);
+    if (!form.name.trim()) {
+      alert(t("Informe o nome da cultura!"));
+      return;
+    }
+    if (
+      !(minHumidity >= 0 && maxHumidity <= 100 && minHumidity < maxHumidity)
+    ) {
+      alert(t("A faixa de umidade deve ir de 0 a 100%, com mínima < máxima."));
+      return;
+    }
+    if (!(minutes >= 1)) {
+      alert(t("A duração típica deve ser de pelo menos 1 minuto."));
+      return;
+    }
+    await onSave({
+      ...form,
+      name: form.name.trim(),
+      emoji: form.emoji.trim() || "🌱",
+      notes: form.notes.trim(),
+      minHumidity,
+      maxHumidity,
+      minutes: Math.round(minutes),
+    });
+    setForm(EMPTY_CROP);
+  };
+
+  const remove = async (crop) => {
+    const using = bedsUsing(crop.id).length;
+    const question = crop.builtIn
+      ? t("Restaurar os valores padrão de {crop}?", { crop: crop.name })
+      : t("Excluir o perfil {crop}?", { crop: crop.name }) +
+        (using
+          ? ` ${t("{count} aspersor(es) ficarão sem cultura.", {
+              count: using,
+            })}`
+          : "");
+    if (window.confirm(question)) {
+      await onRemove(crop.id);
+      if (form.id === crop.id) setForm(EMPTY_CROP);
+    }
+  };
+
+  const field =
+    "rounded-xl border-gray-300 focus:border-emerald-500 focus:ring-emerald-500";
+
+  return (
+    <Card readOnly={readOnly}>
+      <SectionTitle
+        icon={<span className="text-emerald-600">🌱</span>}
+        subtitle={t(
+          "Faixa de umidade recomendada e duração típica da rega de cada planta"
+        )}
+      >
+        {t("Perfis de Cultura")}
+      </SectionTitle>
+
+      <ul className="space-y-2 mb-5 max-h-80 overflow-y-auto">
+        {crops.map((c) => {
+          const using = bedsUsing(c.id);
+          return (
+            <li
+              key={c.id}
+              className="flex justify-between items-center gap-3 border rounded-lg p-3"
+            >
+              <div className="text-sm">
+                <strong>
+                  {c.emoji} {c.name}
+                </strong>
+                <span className="text-gray-500">
+                  {" "}
+                  —{" "}
+                  {t("{min}% a {max}% · {minutes} min", {
+                    min: c.minHumidity,
+                    max: c.maxHumidity,
+                    minutes: c.minutes,
+                  })}
+                  {c.edited && ` · ${t("alterado")}`}
+                  {!c.builtIn && ` · ${t("criado aqui")}`}
+                </span>
+                {c.notes && (
+                  <span className="block text-xs text-gray-500">{c.notes}</span>
+                )}
+                {using.length > 0 && (
+                  <span className="block text-xs text-emerald-700">
+                    {t("Em: {zones}", {
+                      zones: using.map((z) => z.name || z.id).join(", "),
+                    })}
+                  </span>
+                )}
+              </div>
+              <div className="flex gap-2 shrink-0">
+                <button
+                  onClick={() =>
+                    setForm({ ...EMPTY_CROP, ...cropFields(c), id: c.id })
+                  }
+                  className="bg-gray-200 text-gray-800 px-2 py-1 rounded"
+                >
+                  {t("Editar")}
+                </button>
+                {(c.edited || !c.builtIn) && (
+                  <button
+                    onClick={() => remove(c)}
+                    className="bg-red-500 text-white px-2 py-1 rounded"
+                  >
+                    {c.builtIn ? t("Restaurar") : t("Excluir")}
+                  </button>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
+        <input
+          placeholder={t("Emoji")}
+          value={form.emoji}
+          onChange={(e) => setForm({ ...form, emoji: e.target.value })}
+          className={field}
+        />
+        <input
+          placeholder={t("Nome da cultura")}
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          className={`md:col-span-5 ${field}`}
+        />
+        <label className="md:col-span-2 text-sm text-gray-700">
+          {t("Umidade mínima (%)")}
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={form.minHumidity}
+            onChange={(e) => setForm({ ...form, minHumidity: e.target.value })}
+            className={`w-full ${field}`}
+          />
+        </label>
+        <label className="md:col-span-2 text-sm text-gray-700">
+          {t("Umidade máxima (%)")}
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={form.maxHumidity}
+            onChange={(e) => setForm({ ...form, maxHumidity: e.target.value })}
+            className={`w-full ${field}`}
+          />
+        </label>
+        <label className="md:col-span-2 text-sm text-gray-700">
+          {t("Rega típica (min)")}
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={form.minutes}
+            onChange={(e) => setForm({ ...form, minutes: e.target.value })}
+            className={`w-full ${field}`}
+          />
+        </label>
+        <input
+          placeholder={t("Observações (opcional)")}
+          value={form.notes}
+          onChange={(e) => setForm({ ...form, notes: e.target.value })}
+          className={`col-span-2 md:col-span-6 ${field}`}
+        />
+      </div>
+      {form.id && bedsUsing(form.id).some((z) => z.cropLocked) && (
+        <p className="text-xs text-gray-500 mt-2">
+          {t(
+            "🔒 Os aspersores travados neste perfil recebem os novos limites ao salvar."
+          )}
+        </p>
+      )}
+      <div className="flex gap-3 mt-4">
+        <button
+          onClick={save}
+          className="flex-1 rounded-xl py-3 bg-emerald-600 hover:bg-emerald-700 text-white font-semibold"
+        >
+          {form.id ? t("Salvar Perfil") : t("Adicionar Perfil")}
+        </button>
+        {form.id && (
+          <button
+            onClick={() => setForm(EMPTY_CROP)}
+            className="rounded-xl px-4 py-3 bg-gray-200 text-gray-800 font-semibold"
+          >
+            {t("Cancelar")}
+          </button>
+        )}
+      </div>
+    </Card>
+  );
+}
+
+// 👥 Membros da horta e convites por e-mail (só responsável)
+const INVITE_ROLES = [...ROLES, "device"];
+
+function GardenMembersCard({
+  gardenName,
+  members,
+  invites,
+  currentUid,
+  onSetRole,
+  onRemove,
+  onInvite,
+  onCancelInvite,
+}) {
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("viewer");
+
+  const change = async (u, newRole) => {
+    if (
+      u.uid === currentUid &&
+      newRole !== "owner" &&
+      !window.confirm(t("Você vai perder o acesso de responsável. Continuar?"))
+    ) {
+      return;
+    }
+    await onSetRole(u.uid, newRole);
+  };
+
+  const remove = async (u) => {
+    const who = u.name || u.email || u.uid;
+    if (
+      window.confirm(
+        t("Remover {who} de {garden}?", { who, garden: gardenName })
+      )
+    ) {
+      await onRemove(u.uid);
+    }
+  };
+
+  const invite = async () => {
+    const address = email.trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+$/.test(address)) {
+      alert(t("Informe um e-mail válido!"));
+      return;
+    }
+    if (members.some((m) => m.email === address)) {
+      alert(t("Este e-mail já participa da horta."));
+      return;
+    }
+    await onInvite(address, role);
+    setEmail("");
+  };
+
+  return (
+    <Card>
+      <SectionTitle
+        icon={<span className="text-emerald-600">👥</span>}
+        subtitle={t(
+          "Visualizador vê os dados, operador aciona a irrigação, responsável altera configurações e membros — o papel vale só nesta horta"
+        )}
+      >
+        {t("Membros da Horta")}
+      </SectionTitle>
+      <ul className="space-y-2">
+        {members.map((u) => (
+          <li
+            key={u.uid}
+            className="flex justify-between items-center gap-3 border rounded-lg p-3"
+          >
+            <div>
+              <strong>{u.name || u.email || u.uid}</strong>
+              {u.name && (
+                <span className="text-gray-500 text-sm"> — {u.email}</span>
+              )}
+            </div>
+            <div className="flex gap-2 items-center">
+              {u.role === "device" ? (
+                <span className="text-sm text-gray-500">
+                  {t(ROLE_LABELS.device)}
+                </span>
+              ) : (
+                <select
+                  value={u.role}
+                  onChange={(e) => change(u, e.target.value)}
+                  className="rounded-xl border-gray-300 text-sm"
+                >
+                  {ROLES.map((r) => (
+                    <option key={r} value={r}>
+                      {t(ROLE_LABELS[r])}
+                    </option>
+                  ))}
+                </select>
+              )}
+              {u.uid !== currentUid && (
+                <button
+                  onClick={() => remove(u)}
+                  className="bg-red-500 text-white px-2 py-1 rounded text-sm"
+                >
+                  {t("Remover")}
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {invites.length > 0 && (
+        <>
+          <p className="text-gray-800 font-medium mt-5 mb-2">
+            {t("Convites pendentes")}
+          </p>
+          <ul className="space-y-2">
+            {invites.map((i) => (
+              <li
+                key={i.email}
+                className="flex justify-between items-center border border-dashed rounded-lg p-3 text-sm"
+              >
+                <span>
+                  ✉️ {i.email}{" "}
+                  <span className="text-gray-500">
+                    — {ROLE_LABELS[i.role] ? t(ROLE_LABELS[i.role]) : i.role}
+                  </span>
+                </span>
+                <button
+                  onClick={() => onCancelInvite(i.email)}
+                  className="bg-gray-200 text-gray-800 px-2 py-1 rounded"
+                >
+                  {t("Cancelar")}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      <div className="flex flex-wrap gap-3 mt-5">
+        <input
+          type="email"
+          placeholder={t("E-mail para convidar")}
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          className="flex-1 min-w-[12rem] rounded-xl border-gray-300 focus:border-emerald-500 focus:ring-emerald-500"
+        />
+        <select
+          value={role}
+          onChange={(e) => setRole(e.target.value)}
+          className="rounded-xl border-gray-300"
+        >
+          {INVITE_ROLES.map((r) => (
+            <option key={r} value={r}>
+              {t(ROLE_LABELS[r])}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={invite}
+          className="rounded-xl px-4 py-2 bg-emerald-600 hover:bg-emerald-700 text-white font-semibold"
+        >
+          {t("Convidar")}
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mt-2">
+        {t(
+          "O convite é aceito quando a pessoa entrar no painel com esse e-mail."
+        )}
+      </p>
+    </Card>
+  );
+}
+
+export default function SettingsView({
+  garden,
+  profile,
+  zones,
+  crops,
+  onSaveCrop,
+  onRemoveCrop,
+  general,
+  alertRules,
+  onSaveAlertRules,
+  perms,
+}) {
+  const dataMigration = useDataMigration();
+  const members = useGardenMembers(garden);
+
+  return (
+    <>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <GeneralSettingsCard
+          settings={general.settings}
+          pending={general.pending}
+          onSave={general.save}
+          readOnly={!perms.editSettings}
+        />
+        <AlertRulesCard
+          rules={alertRules}
+          onSave={onSaveAlertRules}
+          readOnly={!perms.editSettings}
+        />
+      </div>
+
+      <CropProfilesCard
+        crops={crops}
+        zones={zones}
+        onSave={onSaveCrop}
+        onRemove={onRemoveCrop}
+        readOnly={!perms.editSettings}
+      />
+
+      {/* Backup e formato dos dados */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <DataTransferCard
+          canImport={perms.importData}
+          timeZone={general.settings.timeZone}
+        />
+        <DataMigrationCard
+          invalid={dataMigration.invalid}
+          outdated={dataMigration.outdated}
+          onMigrate={dataMigration.migrate}
+          readOnly={!perms.importData}
+        />
+      </div>
+
+      {/* Membros da horta (só responsável) */}
+      {perms.manageUsers && (
+        <GardenMembersCard
+          gardenName={garden.name}
+          members={members.members}
+          invites={members.invites}
+          currentUid={profile.uid}
+          onSetRole={members.setRole}
+          onRemove={members.remove}
+          onInvite={members.invite}
+          onCancelInvite={members.cancelInvite}
+        />
+      )}
+    </>
+  );
+}
@@ -0,0 +1,238 @@
+// tests/firestore.rules.test.js
+// Regras de acesso (firestore.rules) contra o emulador do Firestore: cada
+// papel da horta e o aceite de convites. Precisam do emulador, por isso
+// ficam fora do "npm test"; rode com "npm run test:rules".
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import {
+  collection,
+  deleteDoc,
+  deleteField,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  setDoc,
+  updateDoc,
+  where,
+} from 'firebase/firestore';
+import { acceptInvitePatch, gardenPath } from '../src/lib/gardens';
+
+const GARDEN = 'h1';
+const INVITED = 'convidada@horta.dev';
+const OTHER_INVITED = 'outra@horta.dev';
+
+const member = (role) => ({ role, email: '', name: '' });
+const garden = () => ({
+  name: 'Horta de teste',
+  members: {
+    dono: member('owner'),
+    operador: member('operator'),
+    visitante: member('viewer'),
+    esp: member('device'),
+  },
+  memberUids: ['dono', 'operador', 'visitante', 'esp'],
+  invites: { [INVITED]: 'operator', [OTHER_INVITED]: 'viewer' },
+  inviteEmails: [INVITED, OTHER_INVITED],
+});
+
+let env;
+
+beforeAll(async () => {
+  env = await initializeTestEnvironment({
+    projectId: 'horta-rules-test',
+    firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+  });
+});
+
+afterAll(() => env?.cleanup());
+
+beforeEach(async () => {
+  await env.clearFirestore();
+  await env.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    const put = (path, data) => setDoc(doc(db, path), data);
+    await put('usuarios/admin', { role: 'owner' });
+    await put('usuarios/visitante', { role: 'viewer' });
+    await put(`hortas/${GARDEN}`, garden());
+    await put(gardenPath(GARDEN, 'leiturasUmidade/l1'), { sensorId: 'sensor1', umidade: 40 });
+    await put(gardenPath(GARDEN, 'status/aspersor1'), { isOn: false, commandId: 'cmd-1' });
+    await put(gardenPath(GARDEN, 'agendamentos/a1'), { aspersorId: 'aspersor1', time: '06:00' });
+    await put(gardenPath(GARDEN, 'sessoesIrrigacao/s1'), { aspersorId: 'aspersor1', endedAt: null });
+    await put(gardenPath(GARDEN, 'configuracao/geral'), { limiteUmidade: 30 });
+    await put(gardenPath(GARDEN, 'alertas/al1'), { ruleId: 'seco', state: 'open' });
+    await put(gardenPath(GARDEN, 'auditoria/au1'), { actor: { uid: 'dono' }, action: 'x' });
+  });
+});
+
+// Firestore de quem está logado ("email_verified" vem do token)
+const as = (uid, token = {}) => env.authenticatedContext(uid, token).firestore();
+const anonymous = () => env.unauthenticatedContext().firestore();
+const ref = (db, path) => doc(db, gardenPath(GARDEN, path));
+const gardenRef = (db) => doc(db, `hortas/${GARDEN}`);
+
+describe('usuarios', () => {
+  it('cada um cria o próprio perfil, só como viewer', async () => {
+    await assertSucceeds(setDoc(doc(as('nova'), 'usuarios/nova'), { role: 'viewer' }));
+    await assertFails(setDoc(doc(as('nova2'), 'usuarios/nova2'), { role: 'owner' }));
+    await assertFails(setDoc(doc(as('nova3'), 'usuarios/outra'), { role: 'viewer' }));
+  });
+
+  it('só o responsável geral muda o papel global', async () => {
+    await assertFails(updateDoc(doc(as('visitante'), 'usuarios/visitante'), { role: 'owner' }));
+    await assertSucceeds(updateDoc(doc(as('visitante'), 'usuarios/visitante'), { name: 'Ana' }));
+    await assertSucceeds(updateDoc(doc(as('admin'), 'usuarios/visitante'), { role: 'operator' }));
+  });
+});
+
+describe('sem papel na horta', () => {
+  it('anônimo não lê nada', async () => {
+    await assertFails(getDoc(gardenRef(anonymous())));
+    await assertFails(getDoc(ref(anonymous(), 'leiturasUmidade/l1')));
+  });
+
+  it('quem não é membro nem convidado não lê a horta', async () => {
+    const db = as('estranho', { email: 'estranho@horta.dev', email_verified: true });
+    await assertFails(getDoc(gardenRef(db)));
+    await assertFails(getDoc(ref(db, 'leiturasUmidade/l1')));
+  });
+});
+
+describe('viewer', () => {
+  const db = () => as('visitante');
+
+  it('lê os dados da horta', async () => {
+    await assertSucceeds(getDoc(gardenRef(db())));
+    await assertSucceeds(getDoc(ref(db(), 'leiturasUmidade/l1')));
+    await assertSucceeds(getDoc(ref(db(), 'agendamentos/a1')));
+  });
+
+  it('não comanda aspersores nem muda agendamentos', async () => {
+    await assertFails(updateDoc(ref(db(), 'status/aspersor1'), { isOn: true }));
+    await assertFails(updateDoc(ref(db(), 'agendamentos/a1'), { time: '07:00' }));
+    await assertFails(updateDoc(gardenRef(db()), { name: 'Outra' }));
+  });
+
+  it('resolve alertas só automaticamente; não reconhece nem resolve à mão', async () => {
+    await assertFails(
+      updateDoc(ref(db(), 'alertas/al1'), { state: 'resolved', resolvedAt: new Date(), resolvedBy: 'visitante' })
+    );
+    await assertFails(updateDoc(ref(db(), 'alertas/al1'), { state: 'acknowledged', ackBy: 'visitante' }));
+    await assertSucceeds(
+      updateDoc(ref(db(), 'alertas/al1'), { state: 'resolved', resolvedAt: new Date(), autoResolved: true })
+    );
+  });
+
+  it('registra auditoria só em seu nome e não altera o histórico', async () => {
+    await assertSucceeds(setDoc(ref(db(), 'auditoria/au2'), { actor: { uid: 'visitante' } }));
+    await assertFails(setDoc(ref(db(), 'auditoria/au3'), { actor: { uid: 'dono' } }));
+    await assertFails(updateDoc(ref(db(), 'auditoria/au1'), { action: 'y' }));
+    await assertFails(deleteDoc(ref(db(), 'auditoria/au1')));
+  });
+});
+
+describe('operator', () => {
+  const db = () => as('operador');
+
+  it('comanda aspersores e mantém agendamentos', async () => {
+    await assertSucceeds(updateDoc(ref(db(), 'status/aspersor1'), { isOn: true, commandId: 'cmd-2' }));
+    await assertSucceeds(updateDoc(ref(db(), 'agendamentos/a1'), { time: '07:00' }));
+    await assertSucceeds(updateDoc(ref(db(), 'alertas/al1'), { state: 'acknowledged', ackBy: 'operador' }));
+    await assertSucceeds(
+      updateDoc(ref(db(), 'alertas/al1'), { state: 'resolved', resolvedAt: new Date(), resolvedBy: 'operador' })
+    );
+  });
+
+  it('não altera configurações nem membros', async () => {
+    await assertFails(updateDoc(ref(db(), 'configuracao/geral'), { limiteUmidade: 50 }));
+    await assertFails(updateDoc(gardenRef(db()), { 'members.operador.role': 'owner' }));
+  });
+});
+
+describe('owner da horta', () => {
+  const db = () => as('dono');
+
+  it('altera configurações e membros', async () => {
+    await assertSucceeds(updateDoc(ref(db(), 'configuracao/geral'), { limiteUmidade: 50 }));
+    await assertSucceeds(updateDoc(gardenRef(db()), { 'members.visitante.role': 'operator' }));
+    await assertSucceeds(deleteDoc(ref(db(), 'leiturasUmidade/l1')));
+  });
+
+  it('não cria nem apaga hortas', async () => {
+    await assertFails(setDoc(doc(db(), 'hortas/h2'), garden()));
+    await assertFails(deleteDoc(gardenRef(db())));
+  });
+});
+
+describe('device', () => {
+  const db = () => as('esp');
+
+  it('grava leituras e confirma comandos', async () => {
+    await assertSucceeds(setDoc(ref(db(), 'leiturasUmidade/l2'), { sensorId: 'sensor1', umidade: 41 }));
+    await assertSucceeds(setDoc(ref(db(), 'dispositivos/esp32'), { lastSeen: new Date() }));
+    await assertSucceeds(updateDoc(ref(db(), 'status/aspersor1'), { ackCommandId: 'cmd-1', ackAt: new Date() }));
+    await assertSucceeds(getDoc(ref(db(), 'agendamentos/a1')));
+  });
+
+  it('lê o comando, as sessões abertas e as leituras', async () => {
+    await assertSucceeds(getDoc(ref(db(), 'status/aspersor1')));
+    const sessions = collection(db(), gardenPath(GARDEN, 'sessoesIrrigacao'));
+    await assertSucceeds(getDocs(query(sessions, where('endedAt', '==', null))));
+    await assertSucceeds(updateDoc(ref(db(), 'sessoesIrrigacao/s1'), { endedAt: new Date(), liters: 0 }));
+    await assertSucceeds(getDoc(ref(db(), 'leiturasUmidade/l1')));
+  });
+
+  it('não emite comandos nem altera leituras', async () => {
+    await assertFails(updateDoc(ref(db(), 'status/aspersor1'), { commandId: 'cmd-9' }));
+    await assertFails(updateDoc(ref(db(), 'leiturasUmidade/l1'), { umidade: 0 }));
+  });
+});
+
+describe('responsável geral', () => {
+  it('cria e apaga hortas e lê as de que não é membro', async () => {
+    const db = as('admin');
+    await assertSucceeds(getDoc(gardenRef(db)));
+    await assertSucceeds(setDoc(doc(db, 'hortas/h2'), garden()));
+    await assertSucceeds(deleteDoc(doc(db, 'hortas/h2')));
+  });
+});
+
+describe('convites', () => {
+  const invited = (token = {}) => as('nova', { email: INVITED, email_verified: true, ...token });
+  const profile = { uid: 'nova', email: INVITED, name: 'Nova' };
+  const accept = (db, patch = acceptInvitePatch(garden(), profile, deleteField)) =>
+    setDoc(gardenRef(db), patch, { merge: true });
+
+  it('o convidado com e-mail confirmado lê a horta e aceita o convite', async () => {
+    await assertSucceeds(getDoc(gardenRef(invited())));
+    await assertSucceeds(accept(invited()));
+    await assertSucceeds(getDoc(ref(as('nova'), 'leiturasUmidade/l1')));
+  });
+
+  it('sem o e-mail confirmado, nem lê nem aceita', async () => {
+    await assertFails(getDoc(gardenRef(invited({ email_verified: false }))));
+    await assertFails(accept(invited({ email_verified: false })));
+  });
+
+  it('não aceita com outro papel', async () => {
+    const patch = acceptInvitePatch(garden(), profile, deleteField);
+    patch.members.nova.role = 'owner';
+    await assertFails(accept(invited(), patch));
+  });
+
+  it('não mexe nos convites nem nos membros dos outros', async () => {
+    const patch = () => acceptInvitePatch(garden(), profile, deleteField);
+    await assertFails(
+      accept(invited(), { ...patch(), invites: { [INVITED]: deleteField(), [OTHER_INVITED]: deleteField() } })
+    );
+    await assertFails(accept(invited(), { ...patch(), inviteEmails: [] }));
+    await assertFails(accept(invited(), { ...patch(), memberUids: [...garden().memberUids, 'nova', 'intrusa'] }));
+    await assertFails(accept(invited(), { ...patch(), memberUids: ['nova'] }));
+  });
+
+  it('o convite sai junto com o aceite', async () => {
+    const { invites: _invites, ...patch } = acceptInvitePatch(garden(), profile, deleteField);
+    await assertFails(accept(invited(), patch));
+  });
+});
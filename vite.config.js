@@ -1,10 +1,43 @@
+import { createHash } from 'node:crypto'
+import { readFileSync, writeFileSync } from 'node:fs'
+import { join, resolve } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Troca "__BUILD_HASH__" em dist/sw.js por um hash dos arquivos gerados: a
+// cada publicação o service worker muda e guarda a casca num cache novo
+function serviceWorkerBuildHash() {
+  let outDir
+  return {
+    name: 'sw-build-hash',
+    apply: 'build',
+    configResolved(config) {
+      outDir = resolve(config.root, config.build.outDir)
+    },
+    writeBundle(_options, bundle) {
+      const hash = createHash('sha256')
+      for (const name of Object.keys(bundle).sort()) {
+        const file = bundle[name]
+        hash.update(name).update(file.type === 'chunk' ? file.code : file.source)
+      }
+      const sw = join(outDir, 'sw.js')
+      writeFileSync(sw, readFileSync(sw, 'utf8').replace('__BUILD_HASH__', hash.digest('hex').slice(0, 12)))
+    }
+  }
+}
+
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorkerBuildHash()],
   build: {
     target: 'esnext'
+  },
+  // "unit" roda em qualquer lugar (npm test); "rules" precisa do emulador
+  // do Firestore (npm run test:rules)
+  test: {
+    projects: [
+      { extends: true, test: { name: 'unit', include: ['src/**/*.test.js'] } },
+      { extends: true, test: { name: 'rules', include: ['tests/**/*.test.js'], environment: 'node' } }
+    ]
   }
 })